@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Archive Page
+ * Searches archived conversations and re-downloads their HTML
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: sanitizeFilename is loaded from content/utils.js;
+// searchArchive and the IndexedDB functions from store.js
+
+const queryInput = document.getElementById('queryInput');
+const roleSelect = document.getElementById('roleSelect');
+const fromInput = document.getElementById('fromInput');
+const toInput = document.getElementById('toInput');
+const statusDiv = document.getElementById('status');
+const resultsTable = document.getElementById('results');
+const quotaInput = document.getElementById('quotaInput');
+const usageDiv = document.getElementById('usage');
+const clearButton = document.getElementById('clearBtn');
+
+// Records loaded from IndexedDB, searched in memory
+let archiveRecords = [];
+
+/**
+ * Show a status message
+ */
+function showStatus(message, isError = false) {
+  statusDiv.textContent = message;
+  statusDiv.classList.toggle('error', isError);
+}
+
+/**
+ * Format a yyyymmdd date as yyyy-mm-dd
+ */
+function formatArchiveDate(date) {
+  return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+}
+
+/**
+ * Format a byte count in megabytes
+ */
+function formatMegabytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Show how much of the quota is used
+ */
+function showUsage() {
+  const used = archiveRecords.reduce((sum, record) => sum + record.size, 0);
+  const quota = normalizeArchiveQuota(quotaInput.value);
+  usageDiv.textContent = quota === 0
+    ? `Archive is off. ${archiveRecords.length} conversations stored (${formatMegabytes(used)}).`
+    : `${archiveRecords.length} conversations, ${formatMegabytes(used)} of ${quota} MB used`;
+}
+
+/**
+ * Download the stored HTML of a conversation
+ */
+async function downloadRecord(record) {
+  const html = await getArchiveDocument(record.id);
+  if (html === null) {
+    showStatus(`"${record.title}" is no longer in the archive`, true);
+    return;
+  }
+
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${record.date}-${sanitizeFilename(record.title)}.html`;
+  document.body.appendChild(link);
+  link.click();
+
+  setTimeout(() => {
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+/**
+ * Delete one conversation from the archive
+ */
+async function deleteRecord(record) {
+  await deleteArchiveRecords([record.id]);
+  archiveRecords = archiveRecords.filter(other => other.id !== record.id);
+  renderResults();
+  showUsage();
+}
+
+/**
+ * Create a small action button
+ */
+function createButton(label, className, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.className = className;
+  button.addEventListener('click', () => {
+    onClick().catch(error => showStatus(error.message, true));
+  });
+  return button;
+}
+
+/**
+ * Search with the current filters and list the results
+ */
+function renderResults() {
+  const results = searchArchive(archiveRecords, {
+    query: queryInput.value,
+    role: roleSelect.value,
+    from: toCompactDate(fromInput.value),
+    to: toCompactDate(toInput.value)
+  });
+
+  const tbody = resultsTable.querySelector('tbody');
+  tbody.textContent = '';
+  results.forEach(({ record, snippet }) => {
+    const row = document.createElement('tr');
+
+    const title = document.createElement('td');
+    const name = document.createElement('div');
+    name.textContent = record.title;
+    title.appendChild(name);
+    if (snippet) {
+      const context = document.createElement('div');
+      context.className = 'snippet';
+      context.textContent = snippet;
+      title.appendChild(context);
+    }
+
+    const date = document.createElement('td');
+    date.textContent = formatArchiveDate(record.date);
+    const count = document.createElement('td');
+    count.textContent = String(record.messageCount);
+
+    const actions = document.createElement('td');
+    actions.className = 'actions';
+    actions.appendChild(createButton('Download', '', () => downloadRecord(record)));
+    actions.appendChild(createButton('Delete', 'secondary', () => deleteRecord(record)));
+
+    row.append(title, date, count, actions);
+    tbody.appendChild(row);
+  });
+
+  resultsTable.hidden = results.length === 0;
+  if (!archiveRecords.length && normalizeArchiveQuota(quotaInput.value) === 0) {
+    showStatus('The archive is off. Set a storage limit below to keep a searchable copy of each export.');
+  } else if (!archiveRecords.length) {
+    showStatus('The archive is empty. Conversations appear here after you export them.');
+  } else {
+    showStatus(`${results.length} of ${archiveRecords.length} conversations`);
+  }
+}
+
+/**
+ * Load the archive and the quota preference
+ */
+async function loadArchive() {
+  chrome.storage.sync.get(['archiveQuotaMB'], (result) => {
+    quotaInput.value = normalizeArchiveQuota(chrome.runtime.lastError ? undefined : result.archiveQuotaMB);
+    showUsage();
+    renderResults();
+  });
+
+  try {
+    archiveRecords = await getArchiveRecords();
+    renderResults();
+    showUsage();
+  } catch (error) {
+    console.error('GPT Chat Save archive error:', error);
+    showStatus(`Could not open the archive: ${error.message}`, true);
+  }
+}
+
+[queryInput, roleSelect, fromInput, toInput].forEach(input => {
+  input.addEventListener('input', renderResults);
+});
+
+/**
+ * Save storage limit; the background script applies it on the next export
+ */
+quotaInput.addEventListener('change', () => {
+  const quota = normalizeArchiveQuota(quotaInput.value);
+  quotaInput.value = quota;
+  chrome.storage.sync.set({ archiveQuotaMB: quota }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+  showUsage();
+  renderResults();
+});
+
+clearButton.addEventListener('click', async () => {
+  if (!archiveRecords.length || !window.confirm('Delete all archived conversations?')) {
+    return;
+  }
+  try {
+    await deleteArchiveRecords(archiveRecords.map(record => record.id));
+    archiveRecords = [];
+    renderResults();
+    showUsage();
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+loadArchive();
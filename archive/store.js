@@ -0,0 +1,336 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Conversation Archive Store
+ * IndexedDB archive of exported conversations, shared by the background
+ * script (which stores exports) and the archive page (which searches them)
+ *
+ * Two object stores keep searches fast: 'conversations' holds metadata and
+ * per-message plain text, 'documents' holds the generated HTML by the same id.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+const ARCHIVE_DB_NAME = 'gpt-chat-save-archive';
+const ARCHIVE_DB_VERSION = 1;
+
+/** Storage quota used until the user sets one (chrome.storage.sync 'archiveQuotaMB'); 0: archive off */
+const DEFAULT_ARCHIVE_QUOTA_MB = 0;
+
+/** Characters of context on each side of a search match */
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Validate archive quota preference
+ * @param {*} value - Stored quota in megabytes (0 turns the archive off)
+ * @returns {number} Quota in megabytes
+ */
+function normalizeArchiveQuota(value) {
+  const quota = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(quota) && quota >= 0
+    ? quota
+    : DEFAULT_ARCHIVE_QUOTA_MB;
+}
+
+/**
+ * Bytes of a string when stored as UTF-8
+ * @param {string} text
+ * @returns {number}
+ */
+function getByteLength(text) {
+  return new TextEncoder().encode(text || '').length;
+}
+
+/**
+ * Build the stored record and document for an export
+ * Conversations without an id (unsaved new chats) are keyed by title and date.
+ *
+ * @param {Object} conversation
+ * @param {string|null} conversation.conversationId - ChatGPT conversation id
+ * @param {string} conversation.title - Conversation title
+ * @param {string} conversation.date - Date from getFilenameDate() (yyyymmdd)
+ * @param {string} conversation.exportedAt - ISO time of the export
+ * @param {Array<{role: string, text: string}>} conversation.messages - Plain text per message
+ * @param {string} conversation.html - Generated HTML document
+ * @returns {{record: Object, document: Object}}
+ */
+function createArchiveRecord(conversation) {
+  const id = conversation.conversationId || `${conversation.date}-${conversation.title}`;
+  const messages = conversation.messages.map(({ role, text }) => ({ role, text }));
+  const size = getByteLength(conversation.html) +
+    messages.reduce((sum, message) => sum + getByteLength(message.text), 0);
+  return {
+    record: {
+      id,
+      conversationId: conversation.conversationId || null,
+      title: conversation.title,
+      date: conversation.date,
+      exportedAt: conversation.exportedAt,
+      messageCount: messages.length,
+      messages,
+      size
+    },
+    document: { id, html: conversation.html }
+  };
+}
+
+/**
+ * Records to delete so the archive fits in the quota, oldest exports first
+ * @param {Array<Object>} records - Stored records (id, exportedAt, size)
+ * @param {number} quotaBytes - Quota in bytes
+ * @param {string} [keepId] - Record that must not be evicted (the one just stored)
+ * @returns {string[]} Ids to delete
+ */
+function selectArchiveEvictions(records, quotaBytes, keepId) {
+  let total = records.reduce((sum, record) => sum + record.size, 0);
+  const evictions = [];
+  const oldestFirst = records
+    .filter(record => record.id !== keepId)
+    .sort((a, b) => a.exportedAt.localeCompare(b.exportedAt));
+  for (const record of oldestFirst) {
+    if (total <= quotaBytes) break;
+    evictions.push(record.id);
+    total -= record.size;
+  }
+  return evictions;
+}
+
+/**
+ * Split a search query into lowercase terms; "quoted phrases" stay together
+ * @param {string} query
+ * @returns {string[]}
+ */
+function parseSearchQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query || '')) !== null) {
+    const term = (match[1] ?? match[2]).trim().toLowerCase();
+    if (term) {
+      terms.push(term);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Convert a yyyy-mm-dd date input value to the yyyymmdd archive format
+ * @param {string} value - Date input value (may be empty)
+ * @returns {string} Compact date, or '' when not set
+ */
+function toCompactDate(value) {
+  return (value || '').replace(/-/g, '');
+}
+
+/**
+ * Text around the first match of a term, with ellipses where cut
+ * @param {string} text - Message text
+ * @param {string} term - Lowercase search term
+ * @returns {string}
+ */
+function getArchiveSnippet(text, term) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const index = term ? flat.toLowerCase().indexOf(term) : -1;
+  if (index === -1) {
+    return flat.length > SNIPPET_CONTEXT * 2 ? `${flat.slice(0, SNIPPET_CONTEXT * 2)}…` : flat;
+  }
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(flat.length, index + term.length + SNIPPET_CONTEXT);
+  return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '');
+}
+
+/**
+ * Full-text search over archived conversations
+ * Every term must appear in the title or in the text of messages with the
+ * chosen role. Results are sorted by conversation date, newest first.
+ *
+ * @param {Array<Object>} records - Records from the 'conversations' store
+ * @param {Object} [filters]
+ * @param {string} [filters.query=''] - Search terms
+ * @param {string} [filters.role='any'] - Only search messages by 'user' or 'assistant'
+ * @param {string} [filters.from] - Earliest date (yyyymmdd), inclusive
+ * @param {string} [filters.to] - Latest date (yyyymmdd), inclusive
+ * @returns {Array<{record: Object, snippet: string}>}
+ */
+function searchArchive(records, filters = {}) {
+  const terms = parseSearchQuery(filters.query);
+  const role = filters.role || 'any';
+
+  return records
+    .filter(record => (!filters.from || record.date >= filters.from) &&
+      (!filters.to || record.date <= filters.to))
+    .map(record => {
+      const messages = role === 'any'
+        ? record.messages
+        : record.messages.filter(message => message.role === role);
+      const title = record.title.toLowerCase();
+      const texts = messages.map(message => message.text.toLowerCase());
+      const matches = terms.every(term => title.includes(term) || texts.some(text => text.includes(term)));
+      if (!matches || (role !== 'any' && !messages.length)) {
+        return null;
+      }
+      // Title-only matches show the start of the conversation
+      const firstMatch = (terms.length &&
+        messages.find(message => message.text.toLowerCase().includes(terms[0]))) || messages[0];
+      return { record, snippet: firstMatch ? getArchiveSnippet(firstMatch.text, terms[0]) : '' };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.record.date.localeCompare(a.record.date) ||
+      b.record.exportedAt.localeCompare(a.record.exportedAt));
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_ARCHIVE_QUOTA_MB,
+    normalizeArchiveQuota,
+    createArchiveRecord,
+    selectArchiveEvictions,
+    parseSearchQuery,
+    toCompactDate,
+    getArchiveSnippet,
+    searchArchive
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require IndexedDB)
+// ============================================================================
+
+/**
+ * Resolve with the result of an IndexedDB request
+ * BROWSER ONLY
+ *
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * BROWSER ONLY
+ *
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open (and create on first use) the archive database
+ * BROWSER ONLY
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openArchiveDb() {
+  const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains('conversations')) {
+      db.createObjectStore('conversations', { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains('documents')) {
+      db.createObjectStore('documents', { keyPath: 'id' });
+    }
+  };
+  return requestToPromise(request);
+}
+
+/**
+ * Load every archived conversation (without HTML)
+ * BROWSER ONLY
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function getArchiveRecords() {
+  const db = await openArchiveDb();
+  try {
+    return await requestToPromise(db.transaction('conversations').objectStore('conversations').getAll());
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load the stored HTML of a conversation
+ * BROWSER ONLY
+ *
+ * @param {string} id - Record id
+ * @returns {Promise<string|null>}
+ */
+async function getArchiveDocument(id) {
+  const db = await openArchiveDb();
+  try {
+    const entry = await requestToPromise(db.transaction('documents').objectStore('documents').get(id));
+    return entry ? entry.html : null;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Delete archived conversations
+ * BROWSER ONLY
+ *
+ * @param {string[]} ids - Record ids
+ * @returns {Promise<void>}
+ */
+async function deleteArchiveRecords(ids) {
+  const db = await openArchiveDb();
+  try {
+    const transaction = db.transaction(['conversations', 'documents'], 'readwrite');
+    ids.forEach(id => {
+      transaction.objectStore('conversations').delete(id);
+      transaction.objectStore('documents').delete(id);
+    });
+    await transactionDone(transaction);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Store an export, replacing an earlier export of the same conversation,
+ * then evict the oldest exports until the archive fits in the quota
+ * BROWSER ONLY
+ *
+ * @param {Object} conversation - See createArchiveRecord
+ * @param {number} quotaBytes - Quota in bytes
+ * @returns {Promise<{stored: boolean, evicted: number}>}
+ */
+async function storeArchiveConversation(conversation, quotaBytes) {
+  const { record, document: htmlDocument } = createArchiveRecord(conversation);
+  if (record.size > quotaBytes) {
+    return { stored: false, evicted: 0 };
+  }
+
+  const db = await openArchiveDb();
+  try {
+    const transaction = db.transaction(['conversations', 'documents'], 'readwrite');
+    transaction.objectStore('conversations').put(record);
+    transaction.objectStore('documents').put(htmlDocument);
+    await transactionDone(transaction);
+  } finally {
+    db.close();
+  }
+
+  const evictions = selectArchiveEvictions(await getArchiveRecords(), quotaBytes, record.id);
+  if (evictions.length) {
+    await deleteArchiveRecords(evictions);
+  }
+  return { stored: true, evicted: evictions.length };
+}
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Background Script
+ * Downloads auto-saved conversations, overwriting the previous snapshot,
+ * and stores exports in the local archive
+ *
+ * Content scripts cannot choose the download folder or overwrite files,
+ * so auto-save exports are passed here and saved with the downloads API.
+ * The archive lives in the extension's IndexedDB (not chatgpt.com's), so
+ * the archive page can read it. Images the page cannot read (cross-origin,
+ * no CORS headers) and attached files are downloaded here with the
+ * extension's host permissions. The keyboard shortcut and context menu
+ * exports are set up from quick-export.js.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: storeArchiveConversation, normalizeArchiveQuota are loaded from archive/store.js;
+// isChatGptFileUrl, fetchImageBytes, bytesToDataUrl from content/images.js; initQuickExport from quick-export.js
+
+// Object URLs of running downloads, revoked when the download ends
+const downloadUrls = new Map();
+
+/**
+ * Download an auto-saved export, replacing the file from the previous save
+ */
+function saveAutoSaveDownload(request, sendResponse) {
+  const blob = new Blob([request.output], { type: request.mimeType });
+  const url = URL.createObjectURL(blob);
+  chrome.downloads.download({
+    url,
+    filename: request.filename,
+    conflictAction: 'overwrite',
+    saveAs: false
+  }, (downloadId) => {
+    if (chrome.runtime.lastError) {
+      URL.revokeObjectURL(url);
+      sendResponse({ success: false, error: chrome.runtime.lastError.message });
+      return;
+    }
+    downloadUrls.set(downloadId, url);
+    sendResponse({ success: true });
+  });
+}
+
+/**
+ * Store an export in the archive, within the quota set on the archive page
+ */
+function saveToArchive(request, sendResponse) {
+  chrome.storage.sync.get(['archiveQuotaMB'], async (result) => {
+    const quotaMB = normalizeArchiveQuota(chrome.runtime.lastError ? undefined : result.archiveQuotaMB);
+    if (quotaMB === 0) {
+      sendResponse({ success: true, stored: false });
+      return;
+    }
+    try {
+      const { stored, evicted } = await storeArchiveConversation(request.conversation, quotaMB * 1024 * 1024);
+      sendResponse({ success: true, stored, evicted });
+    } catch (error) {
+      console.error('GPT Chat Save archive error:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  });
+}
+
+/**
+ * Download an image or an attached file for a content script and return
+ * it as a data URL
+ */
+async function fetchFileForPage(request, sendResponse) {
+  try {
+    if (!isChatGptFileUrl(request.url || '')) {
+      throw new Error('Only files from chatgpt.com can be downloaded');
+    }
+    const { bytes, mimeType } = await fetchImageBytes(request.url, {
+      accept: request.action === 'fetch_image' ? 'image/' : ''
+    });
+    sendResponse({ success: true, dataUrl: bytesToDataUrl(bytes, mimeType) });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'auto_save') {
+    saveAutoSaveDownload(request, sendResponse);
+    return true; // Indicates async response
+  }
+  if (request.action === 'archive_store') {
+    saveToArchive(request, sendResponse);
+    return true; // Indicates async response
+  }
+  if (request.action === 'fetch_image' || request.action === 'fetch_file') {
+    fetchFileForPage(request, sendResponse);
+    return true; // Indicates async response
+  }
+});
+
+chrome.downloads.onChanged.addListener((delta) => {
+  if (!delta.state || delta.state.current === 'in_progress' || !downloadUrls.has(delta.id)) {
+    return;
+  }
+  URL.revokeObjectURL(downloadUrls.get(delta.id));
+  downloadUrls.delete(delta.id);
+});
+
+// Keyboard shortcut and context menu exports
+initQuickExport();
@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Quick Export
+ * Saves the open conversation from a keyboard shortcut or the page's context
+ * menu, without opening the popup, and reports the result in a notification
+ *
+ * The export runs in the content script with the settings last chosen in the
+ * popup (see loadExportPreferences in content.js).
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+/** Command in manifest.json that saves the conversation (shortcut can be changed in Firefox) */
+const QUICK_EXPORT_COMMAND = 'save-conversation';
+
+/** Context menu entries on chatgpt.com and the export each one starts */
+const QUICK_EXPORT_MENU_ITEMS = [
+  { id: 'save-html', title: 'Save conversation as HTML', request: { format: 'html', scope: 'all' } },
+  { id: 'save-markdown', title: 'Save conversation as Markdown', request: { format: 'markdown', scope: 'all' } },
+  { id: 'save-json', title: 'Save conversation as JSON', request: { format: 'json', scope: 'all' } },
+  { id: 'save-message', title: 'Save this message', request: { scope: 'message' } }
+];
+
+/** Format names used in notifications */
+const QUICK_EXPORT_FORMAT_NAMES = {
+  html: 'HTML',
+  markdown: 'Markdown',
+  json: 'JSON',
+  pdf: 'PDF',
+  bundle: 'HTML + images'
+};
+
+/**
+ * Export started by a context menu entry
+ * @param {string} menuItemId - Id of the clicked entry
+ * @returns {{format?: string, scope: string}|null} Null for entries of other extensions
+ */
+function getMenuExportRequest(menuItemId) {
+  const item = QUICK_EXPORT_MENU_ITEMS.find(entry => entry.id === menuItemId);
+  return item ? { ...item.request } : null;
+}
+
+/**
+ * Whether a tab shows chatgpt.com
+ * @param {string|undefined} url - Tab URL (undefined for tabs the extension cannot access)
+ * @returns {boolean}
+ */
+function isChatGptUrl(url) {
+  try {
+    return new URL(url).hostname === 'chatgpt.com';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Notification text for the result of a quick export
+ * @param {Object|null} result - Response of the content script's quick_export
+ *   ({ success, error, format, messageCount, imagesFailed, redactionSummary })
+ * @returns {string}
+ */
+function getQuickExportNotice(result) {
+  if (!result?.success) {
+    return result?.error || 'Export failed';
+  }
+  const count = result.messageCount;
+  const lines = [`Saved ${count} ${count === 1 ? 'message' : 'messages'} as ${QUICK_EXPORT_FORMAT_NAMES[result.format] || 'HTML'}`];
+  if (result.imagesFailed) {
+    lines.push(`${result.imagesFailed} ${result.imagesFailed === 1 ? 'image links' : 'images link'} to the original`);
+  }
+  if (result.redactionSummary) {
+    lines.push(`Redacted: ${result.redactionSummary}`);
+  }
+  return lines.join('\n');
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    QUICK_EXPORT_COMMAND,
+    QUICK_EXPORT_MENU_ITEMS,
+    getMenuExportRequest,
+    isChatGptUrl,
+    getQuickExportNotice
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require chrome.commands, chrome.contextMenus, chrome.notifications)
+// ============================================================================
+
+/**
+ * Show a notification
+ * BROWSER ONLY (background script)
+ *
+ * @param {string} message
+ */
+function showQuickExportNotice(message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon.png'),
+    title: 'GPT Chat Save',
+    message
+  });
+}
+
+/**
+ * Inject scripts one after another
+ * BROWSER ONLY (background script)
+ *
+ * @param {number} tabId
+ * @param {string[]} scripts - Files in manifest order
+ * @param {Function} callback - Called with an error message, or null once all are loaded
+ */
+function injectQuickExportScripts(tabId, scripts, callback) {
+  if (scripts.length === 0) {
+    callback(null);
+    return;
+  }
+  const [currentScript, ...remainingScripts] = scripts;
+  chrome.tabs.executeScript(tabId, { file: currentScript }, () => {
+    if (chrome.runtime.lastError) {
+      callback(`Failed to load ${currentScript}: ${chrome.runtime.lastError.message}`);
+      return;
+    }
+    injectQuickExportScripts(tabId, remainingScripts, callback);
+  });
+}
+
+/**
+ * Run the export in a chatgpt.com tab and report the result
+ * Injects the content scripts first if the tab was open before the extension
+ * was installed or updated.
+ * BROWSER ONLY (background script)
+ *
+ * @param {Object|undefined} tab - Tab to export
+ * @param {{format?: string, scope: string, targetElementId?: number}} request - From
+ *   getMenuExportRequest with the clicked element's id, or the whole conversation in the
+ *   popup's format for the keyboard shortcut
+ */
+function runQuickExport(tab, request) {
+  if (!tab?.id || !isChatGptUrl(tab.url)) {
+    showQuickExportNotice('Open a conversation on chatgpt.com to save it.');
+    return;
+  }
+
+  const sendExport = () => {
+    chrome.tabs.sendMessage(tab.id, { action: 'quick_export', ...request }, (response) => {
+      showQuickExportNotice(chrome.runtime.lastError
+        ? `Failed to communicate with page: ${chrome.runtime.lastError.message}`
+        : getQuickExportNotice(response));
+    });
+  };
+
+  chrome.tabs.sendMessage(tab.id, { action: 'ping' }, (response) => {
+    if (!chrome.runtime.lastError && response?.status === 'ok') {
+      sendExport();
+      return;
+    }
+    // Content script not loaded - inject it first (same order as manifest.json)
+    const scripts = chrome.runtime.getManifest().content_scripts[0].js;
+    injectQuickExportScripts(tab.id, scripts, (error) => {
+      if (error) {
+        showQuickExportNotice(error);
+      } else {
+        sendExport();
+      }
+    });
+  });
+}
+
+/**
+ * Add the context menu entries and listen for them and the keyboard shortcut
+ * BROWSER ONLY (background script)
+ */
+function initQuickExport() {
+  chrome.contextMenus.removeAll(() => {
+    QUICK_EXPORT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({
+        id: item.id,
+        title: item.title,
+        contexts: ['page', 'selection', 'link', 'image'],
+        documentUrlPatterns: ['https://chatgpt.com/*']
+      });
+    });
+  });
+
+  chrome.contextMenus.onClicked.addListener((info, tab) => {
+    const request = getMenuExportRequest(info.menuItemId);
+    if (request) {
+      // The page looks up the clicked element by id (menus.getTargetElement)
+      runQuickExport(tab, { ...request, targetElementId: info.targetElementId });
+    }
+  });
+
+  chrome.commands.onCommand.addListener((command) => {
+    if (command !== QUICK_EXPORT_COMMAND) {
+      return;
+    }
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      runQuickExport(tabs[0], { scope: 'all' });
+    });
+  });
+}
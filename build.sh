@@ -30,7 +30,11 @@ fi
 zip -r "$XPI_OUTPUT" \
     manifest.json \
     popup/ \
+    background/ \
     content/ \
+    import/ \
+    archive/ \
+    options/ \
     lib/ \
     icons/ \
     -x "*.DS_Store" \
@@ -42,7 +46,11 @@ echo "Built: $XPI_OUTPUT"
 zip -r "$SOURCE_OUTPUT" \
     manifest.json \
     popup/ \
+    background/ \
     content/ \
+    import/ \
+    archive/ \
+    options/ \
     lib/ \
     icons/ \
     tests/ \
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Attached Files
+ * Downloads files uploaded with user messages and files generated by Code
+ * Interpreter / Advanced Data Analysis, so HTML + images bundles can include
+ * them in an attachments/ folder next to index.html.
+ *
+ * Download links come from ChatGPT's API (signed in as the page); the files
+ * themselves are fetched by the background script, which is not bound by the
+ * page's CORS rules.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: makeUniqueFilename is loaded from zip.js; getPageFetch, fetchAccessToken
+// from conversations.js; dataUrlToBytes from images.js
+
+/** Folder of attached files in HTML + images bundles */
+const ATTACHMENTS_FOLDER = 'attachments';
+
+/** Larger files are listed but not bundled */
+const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+/**
+ * API path that returns a download link for an attachment
+ * @param {Object} attachment - { id } for uploads, { messageId, sandboxPath } for generated files
+ * @param {string|null} conversationId - Conversation of the message (needed for generated files)
+ * @returns {string|null} Path below the site origin, or null if the file cannot be downloaded
+ */
+function getAttachmentDownloadPath(attachment, conversationId) {
+  if (attachment.id) {
+    return `/backend-api/files/${encodeURIComponent(attachment.id)}/download`;
+  }
+  if (attachment.sandboxPath && attachment.messageId && conversationId) {
+    const query = new URLSearchParams({
+      message_id: attachment.messageId,
+      sandbox_path: attachment.sandboxPath
+    });
+    return `/backend-api/conversation/${encodeURIComponent(conversationId)}/interpreter/download?${query}`;
+  }
+  return null;
+}
+
+/**
+ * Path of an attachment inside a bundle
+ * @param {string|null} name - Original filename
+ * @param {Set<string>} used - Paths already in the bundle (updated)
+ * @returns {string} e.g. 'attachments/data.csv'
+ */
+function getAttachmentFilename(name, used) {
+  const safeName = String(name || '')
+    .replace(/[\u0000-\u001f\\/:*?"<>|]/g, '_')
+    .replace(/^[\s.]+|\s+$/g, '')
+    .slice(0, 120) || 'file';
+  return makeUniqueFilename(`${ATTACHMENTS_FOLDER}/${safeName}`, used);
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ATTACHMENTS_FOLDER,
+    MAX_ATTACHMENT_BYTES,
+    getAttachmentDownloadPath,
+    getAttachmentFilename
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require chrome.runtime, chatgpt.com session)
+// ============================================================================
+
+/**
+ * Download one attached file
+ * BROWSER ONLY (chatgpt.com content script)
+ *
+ * @param {string} apiPath - From getAttachmentDownloadPath
+ * @param {string} accessToken - From fetchAccessToken
+ * @returns {Promise<Uint8Array>} File contents
+ * @throws {Error} If the link or the file cannot be loaded
+ */
+async function fetchAttachmentBytes(apiPath, accessToken) {
+  const response = await getPageFetch()(`${location.origin}${apiPath}`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  if (!response.ok) {
+    throw new Error(`Download link request failed (${response.status})`);
+  }
+  const { download_url: downloadUrl } = await response.json();
+  if (!downloadUrl) {
+    throw new Error('No download link (the file may have expired)');
+  }
+
+  const result = await new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'fetch_file', url: new URL(downloadUrl, location.origin).href }, (reply) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!reply?.success) {
+        reject(new Error(reply?.error || 'File download failed'));
+      } else {
+        resolve(reply);
+      }
+    });
+  });
+  return dataUrlToBytes(result.dataUrl).bytes;
+}
+
+/**
+ * Download the attached and generated files of the exported messages
+ * Each bundled file is linked from its card through attachment.path; files
+ * that are too large or cannot be downloaded are only listed.
+ * BROWSER ONLY (chatgpt.com content script)
+ *
+ * @param {Array<Object>} messages - Processed messages (attachments are replaced)
+ * @param {string|null} conversationId - Conversation id from the URL
+ * @returns {Promise<{files: Array<{name: string, data: Uint8Array}>, failed: number}>}
+ */
+async function bundleAttachments(messages, conversationId) {
+  const files = [];
+  const paths = new Map();
+  const used = new Set();
+  let failed = 0;
+  let accessToken = null;
+
+  for (const message of messages) {
+    const attachments = [];
+    for (const attachment of message.attachments || []) {
+      const apiPath = getAttachmentDownloadPath(attachment, conversationId);
+      if (!apiPath || attachment.size > MAX_ATTACHMENT_BYTES) {
+        attachments.push(attachment);
+        continue;
+      }
+      if (!paths.has(apiPath)) {
+        try {
+          accessToken = accessToken || await fetchAccessToken();
+          const data = await fetchAttachmentBytes(apiPath, accessToken);
+          if (data.length > MAX_ATTACHMENT_BYTES) {
+            throw new Error('File too large');
+          }
+          const name = getAttachmentFilename(attachment.name, used);
+          files.push({ name, data });
+          paths.set(apiPath, name);
+        } catch (error) {
+          console.warn('GPT Chat Save: Could not download attachment', attachment.name, error.message);
+          paths.set(apiPath, null);
+          failed++;
+        }
+      }
+      const path = paths.get(apiPath);
+      attachments.push(path ? { ...attachment, path } : attachment);
+    }
+    message.attachments = attachments;
+  }
+
+  return { files, failed };
+}
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Auto-save
+ * Re-exports the open conversation whenever ChatGPT finishes a response
+ *
+ * The export is handed to the background script, which downloads it under
+ * a stable per-conversation filename and overwrites the previous snapshot.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: buildExport, isStreaming, loadExportPreferences, SELECTORS are loaded from content.js;
+// fetchConversationTree from conversations.js, bulkExportRunning from bulk.js,
+// observeConversation from page-observer.js
+
+/** Which conversations are auto-saved */
+const AUTO_SAVE_MODES = ['off', 'all', 'pinned', 'pattern'];
+
+/** Folder inside the downloads directory for auto-saved snapshots */
+const AUTO_SAVE_FOLDER = 'gpt-chat-save';
+
+/** Wait after a response finishes before saving, so follow-up updates are included */
+const AUTO_SAVE_DELAY_MS = 3000;
+
+/**
+ * Validate auto-save mode preference, defaulting to 'off' for unknown values
+ * @param {*} value - Stored preference
+ * @returns {string} One of AUTO_SAVE_MODES
+ */
+function normalizeAutoSaveMode(value) {
+  return AUTO_SAVE_MODES.includes(value) ? value : 'off';
+}
+
+/**
+ * Check a conversation title against a pattern
+ * Case-insensitive; matches anywhere in the title; '*' matches any text.
+ *
+ * @param {string} title - Conversation title
+ * @param {string} pattern - Title pattern (empty never matches)
+ * @returns {boolean}
+ */
+function titleMatchesPattern(title, pattern) {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed) {
+    return false;
+  }
+  const source = trimmed
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(source, 'i').test(title || '');
+}
+
+/**
+ * Decide whether a conversation should be auto-saved
+ * @param {Object} settings
+ * @param {string} settings.mode - Auto-save mode ('off', 'all', 'pinned', 'pattern')
+ * @param {string} [settings.pattern] - Title pattern for 'pattern' mode
+ * @param {Object} conversation
+ * @param {string} conversation.title - Conversation title
+ * @param {boolean} [conversation.pinned=false] - Whether the conversation is pinned
+ * @returns {boolean}
+ */
+function shouldAutoSave(settings, conversation) {
+  switch (normalizeAutoSaveMode(settings.mode)) {
+    case 'all':
+      return true;
+    case 'pinned':
+      return conversation.pinned === true;
+    case 'pattern':
+      return titleMatchesPattern(conversation.title, settings.pattern);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether conversation data from the API is pinned
+ * ChatGPT reports pinned chats as starred
+ *
+ * @param {Object} conversation - Conversation from the backend API or data export
+ * @returns {boolean}
+ */
+function isPinnedConversation(conversation) {
+  return conversation?.is_starred === true || Boolean(conversation?.pinned_time);
+}
+
+/**
+ * Stable filename for a conversation's auto-saved snapshot
+ * Based on the conversation id, so renaming a chat does not leave old copies behind.
+ *
+ * @param {string} conversationId - Conversation id
+ * @param {string} extension - File extension without dot
+ * @returns {string} Path relative to the downloads directory
+ */
+function getAutoSaveFilename(conversationId, extension) {
+  const safeId = String(conversationId).replace(/[^A-Za-z0-9-]/g, '');
+  return `${AUTO_SAVE_FOLDER}/chatgpt-${safeId}.${extension}`;
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AUTO_SAVE_MODES,
+    normalizeAutoSaveMode,
+    titleMatchesPattern,
+    shouldAutoSave,
+    isPinnedConversation,
+    getAutoSaveFilename
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/** Watcher state for this tab */
+const autoSaveState = {
+  settings: null,
+  observer: null,
+  timer: null,
+  streaming: false,
+  running: false
+};
+
+/**
+ * Load export and auto-save preferences
+ * BROWSER ONLY
+ *
+ * @returns {Promise<Object>} Settings used for auto-save exports (mode, pattern and
+ *   loadExportPreferences)
+ */
+async function loadAutoSaveSettings() {
+  const preferences = await loadExportPreferences();
+  return new Promise(resolve => {
+    chrome.storage.sync.get(['autoSave', 'autoSavePattern'], (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn('GPT Chat Save: Failed to load auto-save settings', chrome.runtime.lastError);
+        resolve({ mode: 'off' });
+        return;
+      }
+      resolve({
+        mode: normalizeAutoSaveMode(result.autoSave),
+        pattern: result.autoSavePattern || '',
+        ...preferences
+      });
+    });
+  });
+}
+
+/**
+ * Export the open conversation and hand it to the background script
+ * BROWSER ONLY
+ *
+ * @param {string} conversationId - Conversation open when the save was scheduled
+ * @returns {Promise<void>}
+ */
+async function runAutoSave(conversationId) {
+  const settings = autoSaveState.settings;
+  if (!settings || settings.mode === 'off' || autoSaveState.running || bulkExportRunning) {
+    return;
+  }
+  // Skip if the user navigated away or another response started meanwhile
+  if (getConversationIdFromUrl(location.href) !== conversationId || isStreaming()) {
+    return;
+  }
+
+  autoSaveState.running = true;
+  try {
+    let pinned = false;
+    if (settings.mode === 'pinned') {
+      try {
+        pinned = isPinnedConversation(await fetchConversationTree(conversationId));
+      } catch (error) {
+        console.warn('GPT Chat Save: Could not check whether the conversation is pinned', error);
+        return;
+      }
+    }
+    if (!shouldAutoSave(settings, { title: document.title, pinned })) {
+      return;
+    }
+
+    const result = await buildExport(settings.theme, settings.imageQuality, {
+      format: settings.format,
+      showMetadata: settings.showMetadata,
+      branches: settings.branches,
+      traces: settings.traces,
+      reader: settings.reader,
+      layout: settings.layout,
+      speakerLabels: settings.speakerLabels,
+      imageBudgetMB: settings.imageBudgetMB,
+      attachments: settings.attachments,
+      reportProgress: false
+    });
+    if (!result.success) {
+      console.warn('GPT Chat Save: Auto-save skipped:', result.error);
+      return;
+    }
+    if (result.imagesFailed) {
+      console.warn(`GPT Chat Save: Auto-save could not embed ${result.imagesFailed} image(s); they link to the original`);
+    }
+
+    const extension = result.filename.slice(result.filename.lastIndexOf('.') + 1);
+    chrome.runtime.sendMessage({
+      action: 'auto_save',
+      output: result.output,
+      filename: getAutoSaveFilename(conversationId, extension),
+      mimeType: result.mimeType
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        console.warn('GPT Chat Save: Auto-save download failed',
+          chrome.runtime.lastError || response?.error);
+      }
+    });
+  } catch (error) {
+    console.error('GPT Chat Save auto-save error:', error);
+  } finally {
+    autoSaveState.running = false;
+  }
+}
+
+/**
+ * Schedule a save when the streaming indicator disappears
+ * Called for page mutations; repeated ends restart the delay (debounce).
+ * BROWSER ONLY
+ */
+function checkStreamingEnded() {
+  const streaming = isStreaming();
+  const ended = autoSaveState.streaming && !streaming;
+  autoSaveState.streaming = streaming;
+  if (!ended) {
+    return;
+  }
+
+  const conversationId = getConversationIdFromUrl(location.href);
+  if (!conversationId) {
+    return; // New chat without an id yet; saved after the next response
+  }
+  clearTimeout(autoSaveState.timer);
+  autoSaveState.timer = setTimeout(() => runAutoSave(conversationId), AUTO_SAVE_DELAY_MS);
+}
+
+/**
+ * Start or stop watching the page to match the current settings
+ * BROWSER ONLY
+ */
+function applyAutoSaveSettings() {
+  const enabled = autoSaveState.settings?.mode !== 'off';
+  if (enabled && !autoSaveState.observer) {
+    autoSaveState.streaming = isStreaming();
+    // The stop button is in the composer, inside the conversation container
+    autoSaveState.observer = observeConversation(checkStreamingEnded, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'data-testid']
+    });
+  } else if (!enabled && autoSaveState.observer) {
+    autoSaveState.observer.disconnect();
+    autoSaveState.observer = null;
+    clearTimeout(autoSaveState.timer);
+  }
+}
+
+/**
+ * Load settings, start watching, and follow setting changes from the popup
+ * BROWSER ONLY
+ */
+async function initAutoSave() {
+  autoSaveState.settings = await loadAutoSaveSettings();
+  applyAutoSaveSettings();
+
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'sync') {
+      return;
+    }
+    autoSaveState.settings = await loadAutoSaveSettings();
+    applyAutoSaveSettings();
+  });
+}
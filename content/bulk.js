@@ -0,0 +1,479 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Bulk Export
+ * Exports every conversation in the sidebar history into ZIP archives
+ *
+ * Conversations are exported in parts of BULK_PART_SIZE. Progress is saved
+ * after each conversation: its export is kept in chrome.storage.local until
+ * its part is downloaded, so an interrupted run resumes with the next
+ * conversation and downloads the exports it had finished with its part.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: generateArchiveIndexPage is loaded from template.js, createZip, makeUniqueFilename from zip.js,
+// loadRedactionRules, redactText from redact.js
+
+/** Conversations per ZIP download */
+const BULK_PART_SIZE = 25;
+
+/** chrome.storage.local key holding resume state */
+const BULK_STATE_KEY = 'bulkExport';
+
+/** chrome.storage.local key prefix of finished exports of the open part (followed by the conversation id) */
+const BULK_ITEM_PREFIX = 'bulkExportItem:';
+
+/**
+ * Create resume state for a new bulk export
+ * @param {Array<{id: string, title: string}>} conversations - Conversations to export
+ * @param {Date} startedAt - Start time
+ * @returns {Object} Bulk export state
+ */
+function createBulkState(conversations, startedAt) {
+  return {
+    conversations: conversations.map(({ id, title }) => ({ id, title })),
+    done: [],
+    current: [],
+    part: 0,
+    startedAt: startedAt.toISOString()
+  };
+}
+
+/**
+ * Conversations that still need to be exported
+ * Skips downloaded ones and those waiting in the open part.
+ *
+ * @param {Object|null} state - Bulk export state
+ * @returns {Array<{id: string, title: string}>}
+ */
+function getPendingConversations(state) {
+  if (!state || !Array.isArray(state.conversations)) {
+    return [];
+  }
+  const done = new Set([...(state.done || []), ...(state.current || [])]);
+  return state.conversations.filter(conversation => !done.has(conversation.id));
+}
+
+/**
+ * Record a conversation whose export is stored for the open part
+ * @param {Object} state - Bulk export state (not modified)
+ * @param {string} id - Conversation id
+ * @returns {Object} Updated state
+ */
+function recordBulkConversation(state, id) {
+  return {
+    ...state,
+    current: [...(state.current || []), id]
+  };
+}
+
+/**
+ * Record a downloaded part and close it
+ * Conversations of the part that failed are not done, so a resumed run retries them.
+ *
+ * @param {Object} state - Bulk export state (not modified)
+ * @param {string[]} doneIds - Conversation ids included in the part
+ * @returns {Object} Updated state
+ */
+function recordBulkPart(state, doneIds) {
+  return {
+    ...state,
+    done: [...state.done, ...doneIds],
+    current: [],
+    part: state.part + 1
+  };
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BULK_PART_SIZE,
+    createBulkState,
+    getPendingConversations,
+    recordBulkConversation,
+    recordBulkPart
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/** Guard against concurrent bulk exports in the same tab */
+let bulkExportRunning = false;
+
+/**
+ * Resolve after a delay
+ * BROWSER ONLY
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Load saved bulk export state
+ * BROWSER ONLY
+ *
+ * @returns {Promise<Object|null>}
+ */
+function loadBulkState() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([BULK_STATE_KEY], (result) => {
+      resolve(chrome.runtime.lastError ? null : result[BULK_STATE_KEY] || null);
+    });
+  });
+}
+
+/**
+ * Save (or clear, with null) bulk export state
+ * BROWSER ONLY
+ *
+ * @param {Object|null} state
+ * @returns {Promise<void>}
+ */
+function saveBulkState(state) {
+  return new Promise(resolve => {
+    if (state) {
+      chrome.storage.local.set({ [BULK_STATE_KEY]: state }, () => resolve());
+    } else {
+      chrome.storage.local.remove(BULK_STATE_KEY, () => resolve());
+    }
+  });
+}
+
+/**
+ * Keep the finished export of a conversation until its part is downloaded
+ * Firefox stores the byte arrays of PDF and bundle exports as they are.
+ * BROWSER ONLY
+ *
+ * @param {string} id - Conversation id
+ * @param {Object} item - { title, filename, output, files, messageCount, error }
+ * @returns {Promise<void>} Rejects if storage fails, so the run stops instead of losing the export
+ */
+function saveBulkItem(id, item) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [BULK_ITEM_PREFIX + id]: item }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Could not save progress: ${chrome.runtime.lastError.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Load the stored exports of the open part
+ * BROWSER ONLY
+ *
+ * @param {string[]} ids - Conversation ids, in export order
+ * @returns {Promise<Array<Object>>} Items in the same order (missing ones left out)
+ */
+function loadBulkItems(ids) {
+  const keys = ids.map(id => BULK_ITEM_PREFIX + id);
+  return new Promise(resolve => {
+    chrome.storage.local.get(keys, (result) => {
+      resolve(chrome.runtime.lastError ? [] : keys.map(key => result[key]).filter(Boolean));
+    });
+  });
+}
+
+/**
+ * Delete stored exports once their part is downloaded
+ * BROWSER ONLY
+ *
+ * @param {string[]} ids - Conversation ids
+ * @returns {Promise<void>}
+ */
+function removeBulkItems(ids) {
+  return new Promise(resolve => {
+    chrome.storage.local.remove(ids.map(id => BULK_ITEM_PREFIX + id), () => resolve());
+  });
+}
+
+/**
+ * Find sidebar links to conversations, keyed by conversation id
+ * BROWSER ONLY
+ *
+ * @returns {Map<string, HTMLAnchorElement>}
+ */
+function getSidebarLinks() {
+  const links = new Map();
+  document.querySelectorAll(SELECTORS.sidebarConversationLink).forEach(link => {
+    const id = getConversationIdFromUrl(link.href);
+    if (id && !links.has(id)) {
+      links.set(id, link);
+    }
+  });
+  return links;
+}
+
+/**
+ * Scroll the sidebar until no more history loads, then list conversations
+ * BROWSER ONLY
+ *
+ * @returns {Promise<Array<{id: string, title: string}>>}
+ */
+async function listSidebarConversations() {
+  let previousCount = -1;
+  let stableRounds = 0;
+
+  // ChatGPT loads older history as the sidebar scrolls
+  for (let round = 0; round < 100 && stableRounds < 2; round++) {
+    const links = getSidebarLinks();
+    if (links.size === previousCount) {
+      stableRounds++;
+    } else {
+      stableRounds = 0;
+      previousCount = links.size;
+    }
+    const lastLink = Array.from(links.values()).pop();
+    lastLink?.scrollIntoView({ block: 'end' });
+    await delay(800);
+  }
+
+  return Array.from(getSidebarLinks(), ([id, link]) => ({
+    id,
+    title: link.textContent.trim() || 'Untitled'
+  }));
+}
+
+/**
+ * Id of the first rendered message, used to tell when the page has changed
+ * BROWSER ONLY
+ *
+ * @returns {string|null}
+ */
+function getFirstMessageId() {
+  return document.querySelector(`${SELECTORS.conversationContainer} ${SELECTORS.messageId}`)
+    ?.getAttribute('data-message-id') || null;
+}
+
+/**
+ * Open a conversation through its sidebar link and wait until it has loaded:
+ * URL matches, messages present, not streaming, message count stable
+ * BROWSER ONLY
+ *
+ * @param {string} id - Conversation id
+ * @param {Map<string, HTMLAnchorElement>} links - Sidebar links
+ * @param {number} [timeoutMs=60000]
+ * @returns {Promise<void>} Rejects if the conversation does not load
+ */
+async function openConversation(id, links, timeoutMs = 60000) {
+  const link = links.get(id);
+  if (!link) {
+    throw new Error('Not found in sidebar');
+  }
+
+  const alreadyOpen = getConversationIdFromUrl(location.href) === id;
+  const previousFirstId = alreadyOpen ? null : getFirstMessageId();
+  if (!alreadyOpen) {
+    link.click(); // ChatGPT handles this as in-page navigation
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  let previousCount = -1;
+  while (Date.now() < deadline) {
+    await delay(500);
+    if (getConversationIdFromUrl(location.href) !== id || isStreaming()) {
+      continue;
+    }
+    const firstId = getFirstMessageId();
+    const count = document.querySelectorAll(
+      `${SELECTORS.conversationContainer} ${SELECTORS.messageArticle}`
+    ).length;
+    if (count > 0 && firstId !== previousFirstId && count === previousCount) {
+      return;
+    }
+    previousCount = count;
+  }
+  throw new Error('Timed out waiting for conversation to load');
+}
+
+/**
+ * Export one conversation of a bulk run
+ * BROWSER ONLY
+ *
+ * @param {{id: string, title: string}} conversation
+ * @param {Object} request - Export options from the popup
+ * @returns {Promise<Object>} Item for the part: { id, title, filename, output, files,
+ *   messageCount }, or { id, title, error } if the export failed; title is redacted
+ */
+async function exportBulkConversation(conversation, request) {
+  try {
+    await openConversation(conversation.id, getSidebarLinks());
+    const result = await buildExport(request.theme, request.imageQuality, {
+      format: request.format,
+      showMetadata: request.showMetadata,
+      branches: request.branches,
+      traces: request.traces,
+      reader: request.reader,
+      layout: request.layout,
+      speakerLabels: request.speakerLabels,
+      imageBudgetMB: request.imageBudgetMB,
+      attachments: request.attachments,
+      reportProgress: false
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return {
+      id: conversation.id,
+      title: result.title,
+      filename: result.filename,
+      output: result.files ? null : result.output,
+      files: result.files,
+      messageCount: result.messageCount
+    };
+  } catch (error) {
+    console.warn('GPT Chat Save: Bulk export failed for', conversation.id, error);
+    // The sidebar title is redacted like the exported ones
+    const { text: title } = redactText(conversation.title, await loadRedactionRules());
+    return { id: conversation.id, title, error: error.message };
+  }
+}
+
+/**
+ * Download the ZIP of a part with an index page
+ * BROWSER ONLY
+ *
+ * @param {Object} state - Bulk export state (part number and start time)
+ * @param {Array<Object>} items - From exportBulkConversation, in export order
+ * @returns {string[]} Ids of the conversations included in the part
+ */
+function downloadBulkPart(state, items) {
+  const files = [];
+  const entries = [];
+  const usedNames = new Set(['index.html']);
+
+  items.forEach(item => {
+    if (item.error) {
+      entries.push({ title: item.title, filename: null, error: item.error });
+      return;
+    }
+    let filename;
+    if (item.files) {
+      // Bundles get a folder each instead of a ZIP inside the ZIP
+      const folder = makeUniqueFilename(item.filename.replace(/\.zip$/, ''), usedNames);
+      item.files.forEach(file => files.push({ name: `${folder}/${file.name}`, data: file.data }));
+      filename = `${folder}/index.html`;
+    } else {
+      filename = makeUniqueFilename(item.filename, usedNames);
+      files.push({ name: filename, data: item.output });
+    }
+    entries.push({ title: item.title, filename, messageCount: item.messageCount });
+  });
+
+  const part = state.part + 1;
+  files.unshift({
+    name: 'index.html',
+    data: generateArchiveIndexPage(entries, {
+      heading: `ChatGPT Archive - Part ${part}`,
+      exportedAt: new Date().toISOString()
+    })
+  });
+  const dateStr = formatDateCompact(new Date(state.startedAt));
+  downloadFile(createZip(files), `gpt-chat-save-archive-${dateStr}-part-${part}.zip`, 'application/zip');
+  return items.filter(item => !item.error).map(item => item.id);
+}
+
+/**
+ * Export every conversation in the sidebar, or resume a previous run
+ * BROWSER ONLY
+ *
+ * @param {Object} request - Export options from the popup
+ * @param {boolean} [request.resume=false] - Continue saved state instead of starting over
+ * @returns {Promise<Object>} { success, exported, failed, parts } or { success: false, error }
+ */
+async function runBulkExport(request) {
+  if (bulkExportRunning) {
+    return { success: false, error: 'Export of all conversations is already running.' };
+  }
+  bulkExportRunning = true;
+
+  try {
+    const saved = await loadBulkState();
+    let state = request.resume ? saved : null;
+    const conversations = await listSidebarConversations();
+    if (!getPendingConversations(state).length && !state?.current?.length) {
+      if (!conversations.length) {
+        return { success: false, error: 'No conversations found in the sidebar.' };
+      }
+      // Exports kept for an abandoned run are not needed any more
+      await removeBulkItems(saved?.current || []);
+      state = createBulkState(conversations, new Date());
+      await saveBulkState(state);
+    }
+    state = { ...state, current: state.current || [] };
+
+    const pending = getPendingConversations(state);
+    const total = pending.length;
+    let exported = 0;
+    let failed = 0;
+    let parts = 0;
+
+    const finishPart = async () => {
+      const ids = state.current;
+      const doneIds = downloadBulkPart(state, await loadBulkItems(ids));
+      parts++;
+      state = recordBulkPart(state, doneIds);
+      await saveBulkState(state);
+      await removeBulkItems(ids);
+    };
+
+    // A resumed part may already be full
+    if (state.current.length >= BULK_PART_SIZE) {
+      await finishPart();
+    }
+
+    for (const [index, conversation] of pending.entries()) {
+      try {
+        chrome.runtime.sendMessage({
+          action: 'export_progress',
+          processed: index,
+          total,
+          title: conversation.title
+        });
+      } catch (e) { /* popup may be closed */ }
+
+      const item = await exportBulkConversation(conversation, request);
+      if (item.error) {
+        failed++;
+      } else {
+        exported++;
+      }
+
+      // Save progress after each conversation, so a resumed run continues here
+      await saveBulkItem(conversation.id, item);
+      state = recordBulkConversation(state, conversation.id);
+      await saveBulkState(state);
+      if (state.current.length >= BULK_PART_SIZE) {
+        await finishPart();
+      }
+    }
+    if (state.current.length) {
+      await finishPart();
+    }
+
+    // Keep state only if something still needs to be retried
+    if (!getPendingConversations(state).length) {
+      await saveBulkState(null);
+    }
+
+    return { success: true, exported, failed, parts };
+
+  } catch (error) {
+    console.error('GPT Chat Save bulk export error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    bulkExportRunning = false;
+  }
+}
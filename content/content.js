@@ -24,6 +24,11 @@ const SELECTORS = {
   // User detection - ChatGPT marks messages with data attributes
   userMessage: '[data-message-author-role="user"]',
   assistantMessage: '[data-message-author-role="assistant"]',
+  // Message metadata attributes (on the same element as the author role)
+  messageId: '[data-message-id]',
+  modelSlug: '[data-message-model-slug]',
+  // Sidebar history links (used by bulk export)
+  sidebarConversationLink: 'nav a[href*="/c/"]',
   // Streaming detection - present when ChatGPT is still generating
   streamingIndicator: '[data-testid="stop-button"], .result-streaming',
   // ChatGPT UI elements to strip from export:
@@ -34,22 +39,119 @@ const SELECTORS = {
   interactive: 'button:not([disabled]), input, select, textarea, [role="button"]',
   // DALL-E image containers (id="image-{uuid}"):
   dalleImageContainer: 'div[id^="image-"]',
+  // Selection checkboxes added by selection.js:
+  selectionOverlay: '.gcs-selection-overlay',
+  // Save and Download buttons added by message-actions.js:
+  messageActions: '.gcs-message-action',
+  // Copy button in a message's action toolbar (message-actions.js adds Save next to it):
+  turnCopyButton: '[data-testid="copy-turn-action-button"]',
+  // KaTeX visual rendering (the MathML copy alongside it is kept):
+  katexHtml: '.katex-html',
   // Code blocks for syntax highlighting:
   codeBlocks: 'pre code, code[class*="language-"]'
 };
 
-// Note: escapeHtml, sanitizeFilename, formatDateCompact, getThemeColors
+/**
+ * MathML elements kept from KaTeX output (renders natively, no script needed)
+ * annotation carries the original TeX source, used by the Markdown export
+ */
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'ms',
+  'mspace', 'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover',
+  'munder', 'munderover', 'mtable', 'mtr', 'mtd', 'mstyle', 'mpadded',
+  'mphantom', 'menclose', 'merror'
+];
+
+/**
+ * Attributes kept after sanitizing (links, images, and MathML layout)
+ */
+const ALLOWED_ATTRS = [
+  'class', 'href', 'target', 'rel', 'src', 'alt',
+  'display', 'displaystyle', 'mathvariant', 'encoding', 'stretchy', 'fence',
+  'separator', 'accent', 'accentunder', 'lspace', 'rspace', 'linethickness',
+  'scriptlevel', 'columnalign', 'rowspacing', 'columnspacing', 'notation',
+  'minsize', 'maxsize', 'movablelimits', 'symmetric', 'largeop',
+  'width', 'height', 'depth'
+];
+
+/**
+ * Output formats: file extension and MIME type of the download
+ */
+const EXPORT_FORMATS = {
+  html:     { extension: 'html', mimeType: 'text/html;charset=utf-8' },
+  markdown: { extension: 'md',   mimeType: 'text/markdown;charset=utf-8' },
+  json:     { extension: 'json', mimeType: 'application/json;charset=utf-8' },
+  pdf:      { extension: 'pdf',  mimeType: 'application/pdf' },
+  bundle:   { extension: 'zip',  mimeType: 'application/zip' }  // index.html + images/
+};
+
+// Note: escapeHtml, sanitizeFilename, formatDateCompact, formatMessageMeta, formatAttachmentLabel,
+// getThemeColors, getConversationIdFromUrl, getGizmoFromUrl, buildConversationJSON
 // are loaded from utils.js (see manifest.json content_scripts order)
-// processAllImages is loaded from images.js
+// processAllImages, createImageBudget, createImageFileCollector, inlineImageFiles,
+// stripInteractiveElements are loaded from images.js
+// generateHTMLTemplate, renderHTMLDocument, getSyntaxColors, loadSpeakerSettings are loaded
+// from template.js
+// loadCustomThemes, findCustomTheme are loaded from themes.js
+// htmlToMarkdown, htmlToPlainText, generateMarkdownDocument are loaded from markdown.js
+// generatePdfDocument, getPdfBlocks, countPdfReplacedChars, getPdfUnsupportedCharsError are
+// loaded from pdf.js
+// readFiberMessages, combineFiberMessages, getFiberMessageOrder are loaded from fiber.js
+// selectionState, startSelectionMode, filterSelected are loaded from selection.js
+// createZip, makeUniqueFilename are loaded from zip.js; runBulkExport from bulk.js
+// bundleAttachments is loaded from attachments.js
+// fetchConversationTree, fetchGizmoInfo, getBranchVersions, getBranchTraces, renderMessageContent
+// are loaded from conversations.js
+// initAutoSave is loaded from autosave.js
+// getSingleMessageExport, initMessageActions are loaded from message-actions.js
+// loadRedactionRules, redactElement, redactHtml, redactText, scanPageRedactions
+// are loaded from redact.js
+// processArticleCached, loadExportHistory, saveExportHistory, getMessagesAfter,
+// getLastMessageId are loaded from incremental.js
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'ping') {
     sendResponse({ status: 'ok' });
     return;
   }
+  if (request.action === 'start_selection') {
+    sendResponse({ status: 'ok', count: startSelectionMode() });
+    return;
+  }
+  if (request.action === 'get_selection') {
+    sendResponse({ count: selectionState.selected.size, active: selectionState.active });
+    return;
+  }
+  if (request.action === 'scan_redactions') {
+    scanPageRedactions()
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ enabled: false, error: error.message }));
+    return true; // Indicates async response
+  }
+  if (request.action === 'bulk_export') {
+    runBulkExport(request).then(result => sendResponse(result));
+    return true; // Indicates async response
+  }
+  if (request.action === 'quick_export') {
+    runQuickExport(request)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Indicates async response
+  }
   if (request.action === 'convert_to_html') {
     // Handle async conversion
-    convertToHTML(request.theme, request.imageQuality)
+    convertToHTML(request.theme, request.imageQuality, {
+      format: request.format,
+      showMetadata: request.showMetadata,
+      scope: request.scope,
+      branches: request.branches,
+      traces: request.traces,
+      reader: request.reader,
+      layout: request.layout,
+      speakerLabels: request.speakerLabels,
+      imageBudgetMB: request.imageBudgetMB,
+      attachments: request.attachments
+    })
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Indicates async response
@@ -68,36 +170,12 @@ function isStreaming() {
  * Returns Unix timestamp (seconds) or null if not found
  */
 function getConversationCreationTime() {
-  // Look for elements with message data
-  const messageElements = document.querySelectorAll('div[data-message-id]');
-
   let earliestTimestamp = null;
 
-  for (const element of messageElements) {
-    try {
-      // Firefox content scripts run in isolated context - wrappedJSObject
-      // gives access to page-defined properties like React fiber
-      const unwrapped = element.wrappedJSObject || element;
-
-      // Find React fiber key
-      const reactKey = Object.keys(unwrapped).find(k => k.startsWith('__reactFiber$'));
-      if (!reactKey) continue;
-
-      const fiber = unwrapped[reactKey];
-      // Navigate through fiber to find message data
-      const messages = fiber?.return?.memoizedProps?.messages ||
-                       fiber?.return?.return?.memoizedProps?.messages ||
-                       fiber?.memoizedProps?.messages;
-
-      if (messages && messages[0]?.create_time) {
-        const timestamp = messages[0].create_time;
-        if (!earliestTimestamp || timestamp < earliestTimestamp) {
-          earliestTimestamp = timestamp;
-        }
-      }
-    } catch (e) {
-      // Continue to next element if this one fails
-      continue;
+  for (const message of readFiberMessages().values()) {
+    const timestamp = message.createTime;
+    if (timestamp && (!earliestTimestamp || timestamp < earliestTimestamp)) {
+      earliestTimestamp = timestamp;
     }
   }
 
@@ -122,256 +200,19 @@ function getFilenameDate() {
   return formatDateCompact(new Date());
 }
 
-/**
- * Generate the HTML template with embedded styles
- */
-function generateHTMLTemplate(title, colors, theme) {
-  const escapedTitle = escapeHtml(title);
-  const timestamp = new Date().toISOString();
-
-  return `<!DOCTYPE html>
-<!-- GPT Chat Save v6.0.0 | Theme: ${theme} | Exported: ${timestamp} -->
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${escapedTitle}</title>
-  <style>
-    :root {
-      --primary-color: ${colors.primary};
-      --user-color: ${colors.userBubble};
-    }
-
-    * { box-sizing: border-box; }
-
-    body {
-      font-family: ui-sans-serif, -apple-system, system-ui, "Segoe UI", Helvetica, Arial, sans-serif;
-      font-size: 16px;
-      background-color: ${colors.background};
-      color: var(--primary-color);
-      padding: 20px;
-      margin: 0 auto;
-      line-height: 1.6;
-    }
-
-    .header {
-      text-align: center;
-      margin-bottom: 30px;
-      border-bottom: 2px dashed var(--primary-color);
-      padding-bottom: 15px;
-      max-width: 1200px;
-      margin-left: auto;
-      margin-right: auto;
-    }
-
-    .title {
-      font-size: 24px;
-      font-weight: bold;
-      margin: 0;
-      text-transform: uppercase;
-      letter-spacing: 2px;
-    }
-
-    .timestamp {
-      font-size: 14px;
-      margin-top: 10px;
-      opacity: 0.8;
-    }
-
-    .conversation {
-      max-width: 900px;
-      margin: 0 auto;
-      padding: 20px;
-    }
-
-    .message {
-      margin-bottom: 20px;
-      padding: 10px 20px;
-      border-radius: 18px;
-      width: fit-content;
-      max-width: 80%;
-      clear: both;
-      overflow: hidden;
-    }
-
-    .user-message {
-      float: right;
-      background-color: var(--user-color);
-    }
-
-    .assistant-message {
-      float: left;
-    }
-
-    .role {
-      font-weight: bold;
-      margin-bottom: 5px;
-      text-transform: uppercase;
-      font-size: 12px;
-    }
-
-    .user-message .role {
-      color: #ff3333;
-      text-align: right;
-    }
-
-    .assistant-message .role {
-      color: var(--primary-color);
-    }
-
-    .content {
-      user-select: text;
-      word-wrap: break-word;
-    }
-
-    .content h1 { font-size: 24px; margin: 0.67em 0; }
-    .content h2 { font-size: 20px; margin: 0.75em 0; }
-    .content h3 { font-size: 18px; margin: 0.83em 0; }
-    .content h4 { font-size: 16px; margin: 1.12em 0; }
-    .content h5 { font-size: 14px; margin: 1.5em 0; }
-    .content h6 { font-size: 12px; margin: 1.67em 0; }
-
-    table {
-      border-collapse: collapse;
-      margin: 16px 0;
-      width: 100%;
-      max-width: 100%;
-      overflow-x: auto;
-      display: block;
-    }
-
-    th, td {
-      border: 1px solid ${colors.tableBorder};
-      padding: 8px 12px;
-      text-align: left;
-      vertical-align: top;
-    }
-
-    th {
-      font-weight: 600;
-      background: ${colors.tableBorder};
-    }
-
-    blockquote {
-      border-left: 4px solid ${colors.blockquoteBorder};
-      margin: 8px 0;
-      padding: 8px 24px;
-      font-style: italic;
-    }
-
-    hr {
-      border: none;
-      border-top: 1px solid ${colors.tableBorder};
-      margin: 28px 0;
-    }
-
-    li {
-      margin: 8px 0;
-    }
-
-    a {
-      color: inherit;
-      text-decoration: underline;
-    }
-
-    a:hover {
-      opacity: 0.8;
-    }
-
-    code {
-      background: ${colors.inlineCode};
-      color: var(--primary-color);
-      padding: 2px 6px;
-      border-radius: 4px;
-      font-family: "SF Mono", Monaco, "Courier New", monospace;
-      font-size: 0.9em;
-    }
-
-    pre {
-      margin: 16px 0;
-    }
-
-    pre code,
-    .code-block {
-      display: block;
-      background: ${colors.codeBlockBackground} !important;
-      color: #fff !important;
-      padding: 16px !important;
-      border-radius: 8px !important;
-      border: 1px solid ${colors.codeBlockBorder} !important;
-      overflow-x: auto !important;
-      white-space: pre !important;
-      font-size: 14px !important;
-    }
-
-    /* Syntax highlighting */
-    .hljs { background: transparent; color: #fff; }
-    .hljs-keyword { color: #ff79c6; }
-    .hljs-string { color: #f1fa8c; }
-    .hljs-number { color: #bd93f9; }
-    .hljs-function { color: #50fa7b; }
-    .hljs-comment { color: #6272a4; }
-    .hljs-title { color: #50fa7b; }
-    .hljs-params { color: #f8f8f2; }
-    .hljs-built_in { color: #8be9fd; }
-    .hljs-attr { color: #50fa7b; }
-    .hljs-variable { color: #f8f8f2; }
-    .hljs-type { color: #8be9fd; }
-
-    /* Images */
-    .message img,
-    .message .exported-image {
-      max-width: 100%;
-      height: auto;
-      border-radius: 8px;
-      margin: 12px 0;
-      display: block;
-    }
-
-    .image-error {
-      display: inline-block;
-      padding: 12px 16px;
-      background: rgba(255, 100, 100, 0.1);
-      border: 1px dashed rgba(255, 100, 100, 0.3);
-      border-radius: 8px;
-      font-style: italic;
-    }
-
-    .image-error a {
-      color: inherit;
-      text-decoration: underline;
-    }
-
-    .image-placeholder {
-      display: inline-block;
-      padding: 8px 12px;
-      background: rgba(128, 128, 128, 0.1);
-      border-radius: 4px;
-      font-style: italic;
-      opacity: 0.7;
-    }
-
-    @media print {
-      .message { break-inside: avoid; }
-    }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <h1 class="title">${escapedTitle}</h1>
-    <div class="timestamp">Exported: ${timestamp}</div>
-  </div>
-  <div class="conversation">
-`;
-}
-
 /**
  * Sanitize and process article content
  * @param {HTMLElement} article - Article element to process
- * @param {string} imageQuality - Image quality preset ('include', 'none')
- * @returns {Promise<string>} Processed HTML content
+ * @param {string} imageQuality - Image quality preset (key of IMAGE_PRESETS)
+ * @param {Array<Object>} [redactionRules=[]] - Rules from loadRedactionRules (none: no redaction)
+ * @param {Object|null} [imageBudget=null] - Image size budget of the export (see createImageBudget)
+ * @param {Object|null} [imageFiles=null] - Bundle file collector (see createImageFileCollector)
+ * @returns {Promise<{content: string, redactions: Object<string, number>, images: Object}>}
+ *   Processed HTML content, the number of redacted items per kind and the image
+ *   counts of processAllImages
  */
-async function processArticle(article, imageQuality = 'include') {
+async function processArticle(article, imageQuality = 'include', redactionRules = [], imageBudget = null,
+  imageFiles = null) {
   if (typeof DOMPurify === 'undefined') {
     throw new Error('DOMPurify library not loaded. Try refreshing the page.');
   }
@@ -381,42 +222,51 @@ async function processArticle(article, imageQuality = 'include') {
   // Remove UI elements that shouldn't be exported
   const clone = article.cloneNode(true);
 
+  clone.querySelectorAll(SELECTORS.selectionOverlay).forEach(el => el.remove());
+  clone.querySelectorAll(SELECTORS.messageActions).forEach(el => el.remove());
   clone.querySelectorAll(SELECTORS.productsWidget).forEach(el => el.remove());
   clone.querySelectorAll(SELECTORS.closedPopover).forEach(el => el.remove());
   clone.querySelectorAll(SELECTORS.screenReaderOnly).forEach(el => el.remove());
-  clone.querySelectorAll(SELECTORS.interactive).forEach(el => el.remove());
+  stripInteractiveElements(clone, SELECTORS.interactive);
 
   // Remove DALL-E image containers in 'none' mode (before DOMPurify orphans their text)
   if (imageQuality === 'none') {
     clone.querySelectorAll(SELECTORS.dalleImageContainer).forEach(el => el.remove());
   }
 
-  // Sanitize with DOMPurify - strict whitelist (now includes img)
+  // Keep KaTeX's MathML copy of each equation, drop the span-based rendering
+  clone.querySelectorAll(SELECTORS.katexHtml).forEach(el => el.remove());
+
+  // Sanitize with DOMPurify - strict whitelist (now includes img and MathML)
   tempDiv.innerHTML = DOMPurify.sanitize(clone.innerHTML, {
     ALLOWED_TAGS: [
       'p', 'code', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
       'ul', 'ol', 'li', 'strong', 'em', 'blockquote',
       'table', 'thead', 'tbody', 'tr', 'td', 'th', 'hr',
-      'a', 'br', 'img'  // Links, line breaks, and images
+      'a', 'br', 'img',  // Links, line breaks, and images
+      ...MATHML_TAGS
     ],
-    ALLOWED_ATTR: ['class', 'href', 'target', 'rel', 'src', 'alt']
+    ALLOWED_ATTR: ALLOWED_ATTRS
   });
 
-  // Strip remaining non-essential attributes (keep class, link, and image attributes)
-  const allowedAttrs = ['class', 'href', 'target', 'rel', 'src', 'alt'];
+  // Strip remaining non-essential attributes (keep class, link, image and math attributes)
   tempDiv.querySelectorAll('*').forEach(element => {
     const attrs = Array.from(element.attributes);
     attrs.forEach(attr => {
-      if (!allowedAttrs.includes(attr.name)) {
+      if (!ALLOWED_ATTRS.includes(attr.name)) {
         element.removeAttribute(attr.name);
       }
     });
   });
 
+  // Redact secrets and personal data before highlighting splits code into spans
+  const redactions = redactElement(tempDiv, redactionRules);
+
   // Process images if images.js is loaded
+  let images = { processed: 0, fetched: 0, failed: 0, skipped: 0 };
   if (typeof processAllImages !== 'undefined') {
     try {
-      await processAllImages(tempDiv, imageQuality);
+      images = await processAllImages(tempDiv, imageQuality, imageBudget, imageFiles);
     } catch (error) {
       console.warn('GPT Chat Save: Image processing failed', error);
     }
@@ -442,7 +292,38 @@ async function processArticle(article, imageQuality = 'include') {
     }
   });
 
-  return tempDiv.innerHTML;
+  return { content: tempDiv.innerHTML, redactions, images };
+}
+
+/**
+ * Render a message that has no article from its fiber parts
+ * Text is rendered from its Markdown like imported conversations; images in
+ * the parts are not on the page and are left out.
+ *
+ * @param {{contentType: string, parts: Array}} message - Message from extractConversation
+ * @param {Array<Object>} [redactionRules=[]] - Rules from loadRedactionRules (none: no redaction)
+ * @returns {{content: string, redactions: Object<string, number>, images: Object}} See processArticle
+ */
+function processFiberMessage(message, redactionRules = []) {
+  const tempDiv = document.createElement('div');
+  tempDiv.innerHTML = renderMessageContent({
+    content: { content_type: message.contentType, parts: message.parts }
+  });
+
+  const redactions = redactElement(tempDiv, redactionRules);
+
+  tempDiv.querySelectorAll(SELECTORS.codeBlocks).forEach(code => {
+    code.classList.add('code-block');
+    if (typeof hljs !== 'undefined') {
+      hljs.highlightElement(code);
+    }
+  });
+
+  return {
+    content: tempDiv.innerHTML,
+    redactions,
+    images: { processed: 0, fetched: 0, failed: 0, skipped: 0 }
+  };
 }
 
 /**
@@ -462,6 +343,108 @@ function isUserMessage(article, index) {
   return index % 2 === 0;
 }
 
+/**
+ * Read message ids and model slug from an article's data attributes
+ * @param {HTMLElement} article - Article element
+ * @returns {{ids: string[], model: string|null}}
+ */
+function getMessageAttributes(article) {
+  const ids = Array.from(article.querySelectorAll(SELECTORS.messageId))
+    .map(element => element.getAttribute('data-message-id'))
+    .filter(Boolean);
+  const modelElement = article.querySelector(SELECTORS.modelSlug);
+  return {
+    ids,
+    model: modelElement?.getAttribute('data-message-model-slug') || null
+  };
+}
+
+/**
+ * Build the message list for the conversation
+ * Prefers message data from React fiber props and falls back to DOM
+ * attributes (SELECTORS) for articles that have no fiber data. Visible fiber
+ * messages without a matching article are added in conversation order and
+ * rendered from their parts (see processFiberMessage).
+ *
+ * @param {HTMLElement[]} articles - Rendered article elements in order
+ * @returns {{source: string, messages: Array<Object>}} source is 'fiber' or 'dom'
+ */
+function extractConversation(articles) {
+  const fiberMessages = readFiberMessages();
+  let fiberCount = 0;
+
+  const articleMessages = articles.map((article, index) => {
+    const attrs = getMessageAttributes(article);
+    const fiber = combineFiberMessages(
+      attrs.ids.map(id => fiberMessages.get(id)).filter(Boolean)
+    );
+
+    if (fiber) {
+      fiberCount++;
+      return {
+        article,
+        index,
+        source: 'fiber',
+        isUser: fiber.role === 'user',
+        role: fiber.role,
+        id: fiber.id,
+        ids: attrs.ids,
+        createTime: fiber.createTime,
+        model: fiber.modelSlug || attrs.model,
+        contentType: fiber.contentType,
+        parts: fiber.parts,
+        attachments: fiber.attachments
+      };
+    }
+
+    const isUser = isUserMessage(article, index);
+    return {
+      article,
+      index,
+      source: 'dom',
+      isUser,
+      role: isUser ? 'user' : 'assistant',
+      id: attrs.ids[0] || null,
+      ids: attrs.ids,
+      createTime: null,
+      model: attrs.model,
+      contentType: null,
+      parts: [],
+      attachments: []
+    };
+  });
+
+  if (!fiberMessages.size) {
+    return { source: 'dom', messages: articleMessages };
+  }
+
+  // Messages without an article have no index: the selection only covers articles
+  const order = getFiberMessageOrder(Array.from(fiberMessages.values()), articleMessages.map(message => message.ids));
+  const messages = order.map(entry => {
+    if (!entry.fiber) {
+      return articleMessages[entry.articleIndex];
+    }
+    fiberCount++;
+    const { fiber } = entry;
+    return {
+      article: null,
+      index: null,
+      source: 'fiber',
+      isUser: fiber.role === 'user',
+      role: fiber.role,
+      id: fiber.id,
+      ids: [fiber.id],
+      createTime: fiber.createTime,
+      model: fiber.modelSlug,
+      contentType: fiber.contentType,
+      parts: fiber.parts,
+      attachments: fiber.attachments
+    };
+  });
+
+  return { source: fiberCount > 0 ? 'fiber' : 'dom', messages };
+}
+
 /**
  * Detect theme from page
  * Tries multiple detection methods for resilience
@@ -482,103 +465,655 @@ function detectTheme() {
 }
 
 /**
- * Main conversion function
- * Returns { success: true } or { success: false, error: string }
- * @param {string} selectedTheme - Theme selection ('auto', 'light', 'dark')
- * @param {string} imageQuality - Image quality preset ('high', 'medium', 'low', 'none')
- * @returns {Promise<Object>} Result object
+ * Resolve the theme selected in the popup
+ * Deleted custom themes fall back to the page theme, like 'auto'.
+ *
+ * @param {string} selectedTheme - 'auto', 'light', 'dark' or 'custom:<id>'
+ * @returns {Promise<string|Object>} 'light', 'dark' or a custom theme
+ */
+async function resolveTheme(selectedTheme) {
+  if (selectedTheme === 'light' || selectedTheme === 'dark') {
+    return selectedTheme;
+  }
+  return findCustomTheme(await loadCustomThemes(), selectedTheme) || detectTheme();
+}
+
+/**
+ * Render processed messages as a Markdown document
+ * @param {string} title - Conversation title
+ * @param {Array<{isUser: boolean, content: string}>} messages - Processed messages
+ * @returns {string} Markdown document
+ */
+function renderMarkdownDocument(title, messages) {
+  const container = document.createElement('div');
+  const converted = messages.map(message => {
+    container.innerHTML = message.content;
+    return {
+      isUser: message.isUser,
+      markdown: htmlToMarkdown(container),
+      attachments: message.attachments,
+      traces: message.traces
+    };
+  });
+  return generateMarkdownDocument(title, converted, new Date().toISOString());
+}
+
+/**
+ * Render processed messages as a PDF document
+ * @param {string} title - Conversation title
+ * @param {Array<Object>} messages - Processed messages
+ * @param {string|Object} theme - Resolved theme ('light', 'dark' or a custom theme)
+ * @param {Object} [options] - Passed to generatePdfDocument
+ * @returns {Promise<{output: Uint8Array|null, unsupportedChars: number}>} PDF file contents, or
+ *   null (nothing is rendered) if the PDF fonts cannot show some of the text
+ */
+async function renderPdfDocument(title, messages, theme, options = {}) {
+  const syntaxColors = getSyntaxColors(theme);
+  const pdfMessages = [];
+  for (const message of messages) {
+    // Reasoning, tool calls and attachments are listed above the content, like in HTML
+    // exports (PDFs cannot collapse them)
+    const tracesHTML = (message.traces || [])
+      .map(trace => `<blockquote><p><strong>${escapeHtml(trace.label)}</strong></p>${trace.html}</blockquote>`)
+      .join('');
+    const attachmentsHTML = (message.attachments || [])
+      .map(attachment => `<p><em>Attachment: ${escapeHtml(formatAttachmentLabel(attachment))}</em></p>`)
+      .join('');
+    pdfMessages.push({
+      ...message,
+      blocks: await getPdfBlocks(tracesHTML + attachmentsHTML + message.content, syntaxColors)
+    });
+  }
+  // The standard PDF fonts would write non-Latin text and emoji as '?'
+  const unsupportedChars = countPdfReplacedChars(title, pdfMessages);
+  if (unsupportedChars) {
+    return { output: null, unsupportedChars };
+  }
+  return { output: generatePdfDocument(title, pdfMessages, theme, options), unsupportedChars };
+}
+
+/**
+ * Render processed messages as a structured JSON document
+ * @param {string} title - Conversation title
+ * @param {Array<Object>} messages - Processed messages
+ * @param {string} source - Where message data came from ('fiber' or 'dom')
+ * @param {Object} details - From loadExportDetails (custom GPT and project)
+ * @returns {string} JSON document
+ */
+function renderJSONDocument(title, messages, source, details) {
+  const container = document.createElement('div');
+  const toEntry = (message) => {
+    container.innerHTML = message.content;
+    const codeBlocks = Array.from(container.querySelectorAll('pre code')).map(code => ({
+      language: getCodeLanguage(code.className) || null,
+      code: code.textContent
+    }));
+    const text = htmlToPlainText(container);
+    return {
+      role: message.role,
+      id: message.id,
+      createTime: message.createTime,
+      model: message.model,
+      attachments: message.attachments,
+      traces: message.traces,
+      html: message.content,
+      text,
+      codeBlocks,
+      versions: (message.versions || []).map(group => ({
+        ...group,
+        alternatives: group.alternatives.map(alternative => ({
+          index: alternative.index,
+          messages: alternative.messages.map(toEntry)
+        }))
+      }))
+    };
+  };
+  const entries = messages.map(toEntry);
+
+  const exportData = buildConversationJSON({
+    title,
+    conversationId: getConversationIdFromUrl(location.href),
+    createTime: getConversationCreationTime(),
+    exportedAt: new Date(),
+    source,
+    gpt: details.gpt,
+    project: details.project
+  }, entries);
+  return JSON.stringify(exportData, null, 2);
+}
+
+/**
+ * Load the conversation tree of the current page (other versions, reasoning and tool calls)
+ * @returns {Promise<Object|null>} Conversation from the API, or null if unavailable
  */
-async function convertToHTML(selectedTheme = 'auto', imageQuality = 'medium') {
+async function loadConversationTree() {
+  const conversationId = getConversationIdFromUrl(location.href);
+  if (!conversationId) {
+    return null;
+  }
   try {
-    // Check if ChatGPT is still streaming
-    if (isStreaming()) {
+    return await fetchConversationTree(conversationId);
+  } catch (error) {
+    console.warn('GPT Chat Save: Could not load the conversation tree', error);
+    return null;
+  }
+}
+
+/** Custom GPT and project details by id, loaded once per tab */
+const gizmoInfoCache = new Map();
+
+/**
+ * Conversation details for the export header, <meta> tags and JSON export
+ * The custom GPT or project name and description come from ChatGPT's API, with
+ * the name in the URL as fallback; they are redacted like the title.
+ * @param {Array<Object>} redactionRules - Rules from loadRedactionRules
+ * @param {Object<string, number>} redactions - Redaction counts (updated)
+ * @returns {Promise<Object>} See renderHTMLDocument options.details
+ */
+async function loadExportDetails(redactionRules, redactions) {
+  const gizmo = getGizmoFromUrl(location.href);
+  let info = { name: gizmo?.name || null, description: null };
+  if (gizmo) {
+    if (!gizmoInfoCache.has(gizmo.id)) {
+      try {
+        gizmoInfoCache.set(gizmo.id, await fetchGizmoInfo(gizmo.id));
+      } catch (error) {
+        console.warn('GPT Chat Save: Could not load GPT details', error.message);
+        gizmoInfoCache.set(gizmo.id, null);
+      }
+    }
+    const loaded = gizmoInfoCache.get(gizmo.id);
+    info = { name: loaded?.name || info.name, description: loaded?.description || null };
+  }
+
+  const redact = (value) => {
+    if (!value) {
+      return null;
+    }
+    const result = redactText(value, redactionRules);
+    addRedactionCounts(redactions, result.counts);
+    return result.text;
+  };
+
+  return {
+    version: chrome.runtime.getManifest().version,
+    conversationId: getConversationIdFromUrl(location.href),
+    url: `${location.origin}${location.pathname}`,
+    createTime: getConversationCreationTime(),
+    gpt: gizmo?.kind === 'gpt'
+      ? { id: gizmo.id, name: redact(info.name), description: redact(info.description) }
+      : null,
+    project: gizmo?.kind === 'project' ? { id: gizmo.id, name: redact(info.name) } : null
+  };
+}
+
+/**
+ * Redact the labels and content of reasoning and tool calls
+ * @param {Array<Object>} traces - From classifyTrace (modified)
+ * @param {Array<Object>} rules - Rules from loadRedactionRules
+ * @param {Object<string, number>} counts - Redaction counts (modified)
+ */
+function redactTraces(traces, rules, counts) {
+  if (!rules.length) {
+    return;
+  }
+  traces.forEach(trace => {
+    const label = redactText(trace.label, rules);
+    const text = redactText(trace.text, rules);
+    const html = redactHtml(trace.html, rules);
+    trace.label = label.text;
+    trace.text = text.text;
+    trace.html = html.html;
+    // text and html hold the same content; count it once
+    addRedactionCounts(counts, label.counts);
+    addRedactionCounts(counts, html.counts);
+  });
+}
+
+/**
+ * Redact the content of other versions of a message, recursively
+ * @param {Array<Object>} versions - Version groups (modified)
+ * @param {Array<Object>} rules - Rules from loadRedactionRules
+ * @param {Object<string, number>} counts - Redaction counts (modified)
+ */
+function redactVersions(versions, rules, counts) {
+  if (!rules.length) {
+    return;
+  }
+  versions.forEach(group => {
+    group.alternatives.forEach(alternative => {
+      alternative.messages.forEach(message => {
+        const result = redactHtml(message.content, rules);
+        message.content = result.html;
+        addRedactionCounts(counts, result.counts);
+        redactTraces(message.traces || [], rules, counts);
+        redactVersions(message.versions || [], rules, counts);
+      });
+    });
+  });
+}
+
+/**
+ * Send an export to the local archive (stored by the background script)
+ * @param {string} title - Conversation title
+ * @param {string} date - Date from getFilenameDate()
+ * @param {Array<Object>} messages - Processed messages
+ * @param {string} html - HTML document of the conversation
+ */
+function archiveExport(title, date, messages, html) {
+  const container = document.createElement('div');
+  const texts = messages.map(message => {
+    container.innerHTML = message.content;
+    return { role: message.role, text: htmlToPlainText(container) };
+  });
+
+  chrome.runtime.sendMessage({
+    action: 'archive_store',
+    conversation: {
+      conversationId: getConversationIdFromUrl(location.href),
+      title,
+      date,
+      exportedAt: new Date().toISOString(),
+      messages: texts,
+      html
+    }
+  }, (response) => {
+    if (chrome.runtime.lastError || !response?.success) {
+      console.warn('GPT Chat Save: Could not archive export',
+        chrome.runtime.lastError || response?.error);
+    }
+  });
+}
+
+/**
+ * Trigger a browser download of generated content
+ * @param {string|Uint8Array} content - File contents
+ * @param {string} filename - Suggested filename
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+
+  document.body.appendChild(link);
+  link.click();
+
+  // Cleanup with error handling
+  setTimeout(() => {
+    try {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.warn('GPT Chat Save: Cleanup failed', e);
+    }
+  }, 100);
+}
+
+/**
+ * Build an export of the current conversation without downloading it
+ * Returns { success: true, output, filename, title (redacted), mimeType, ... } or { success: false, error: string }
+ * For bundles, files lists the ZIP's contents (index.html first) and output is the ZIP
+ * @param {string} selectedTheme - Theme selection ('auto', 'light', 'dark', 'custom:<id>')
+ * @param {string} imageQuality - Image quality preset (see convertToHTML)
+ * @param {Object} [options] - See convertToHTML
+ * @param {boolean} [options.reportProgress=true] - Send export_progress messages to the popup
+ * @returns {Promise<Object>} Result object
+ */
+async function buildExport(selectedTheme, imageQuality, options = {}) {
+  const format = EXPORT_FORMATS[options.format] ? options.format : 'html';
+
+  // Check if ChatGPT is still streaming
+  if (isStreaming()) {
+    return {
+      success: false,
+      error: 'ChatGPT is still generating a response. Please wait for it to finish.',
+      isStreaming: true
+    };
+  }
+
+  // Use article elements - they contain both text messages AND image containers
+  // Note: [data-message-author-role] misses image-only articles
+  const main = document.querySelector(SELECTORS.conversationContainer);
+  const articles = main ? main.querySelectorAll(SELECTORS.messageArticle) : [];
+
+  // Fiber data still lists the messages when the article selectors no longer match
+  const conversation = extractConversation(Array.from(articles));
+  if (!conversation.messages.length) {
+    return {
+      success: false,
+      error: main
+        ? 'No messages found in this conversation.'
+        : 'Could not find the conversation. Make sure you are on a ChatGPT chat page.'
+    };
+  }
+
+  // Selection keeps each message's original index, so roles match the full conversation
+  const conversationId = getConversationIdFromUrl(location.href);
+  let exportMessages = conversation.messages;
+  if (options.scope === 'selection') {
+    exportMessages = filterSelected(conversation.messages, selectionState.selected);
+    if (!exportMessages.length) {
+      return { success: false, error: 'No messages selected. Use "Select messages" first.' };
+    }
+  } else if (options.scope === 'new') {
+    const history = conversationId ? await loadExportHistory() : {};
+    const after = getMessagesAfter(conversation.messages, history[conversationId]?.messageId || null);
+    if (!after.found) {
       return {
         success: false,
-        error: 'ChatGPT is still generating a response. Please wait for it to finish.',
-        isStreaming: true
+        error: 'The last saved message is no longer on the page (edited, or another version is shown). Export all messages instead.'
       };
     }
-
-    const main = document.querySelector(SELECTORS.conversationContainer);
-    if (!main) {
-      return { success: false, error: 'Could not find the conversation. Make sure you are on a ChatGPT chat page.' };
+    if (!after.messages.length) {
+      return { success: false, error: 'No new messages since the last save.' };
     }
-
-    // Use article elements - they contain both text messages AND image containers
-    // Note: [data-message-author-role] misses image-only articles
-    const articles = main.querySelectorAll(SELECTORS.messageArticle);
-    if (!articles.length) {
-      return { success: false, error: 'No messages found in this conversation.' };
+    exportMessages = after.messages;
+  } else if (options.scope === 'message') {
+    exportMessages = getSingleMessageExport(conversation.messages, options.article, options.withPrompt);
+    if (!exportMessages.length) {
+      return { success: false, error: 'Could not find the message on the page.' };
     }
+  }
 
-    // Determine theme
-    const theme = selectedTheme === 'auto' ? detectTheme() : selectedTheme;
-
-    const colors = getThemeColors(theme);
-
-    // Use array accumulation instead of string concatenation for memory efficiency
-    // Array.push() is O(1), vs string += which copies entire string each time
-    const htmlParts = [generateHTMLTemplate(document.title, colors, theme)];
-
-    // Process each message in batches to prevent browser freeze on long conversations
-    const messageParts = await processInBatches(
-      Array.from(articles),
-      async (article, index) => {
-        const isUser = isUserMessage(article, index);
-        const messageClass = isUser ? 'user-message' : 'assistant-message';
-        const content = await processArticle(article, imageQuality);
-        return `
-    <div class="message ${messageClass}">
-      <div class="content">${content}</div>
-    </div>
-`;
-      },
-      {
-        onProgress(processed, total) {
-          try {
-            chrome.runtime.sendMessage({ action: 'export_progress', processed, total });
-          } catch (e) { /* popup may be closed */ }
+  // Redaction settings apply to every export path (popup, export all, auto-save)
+  const redactionRules = await loadRedactionRules();
+  const redactions = {};
+  const titleResult = redactText(document.title, redactionRules);
+  const title = titleResult.text;
+  addRedactionCounts(redactions, titleResult.counts);
+
+  // Images share the size limit; each gets an equal part of what is left
+  const imageBudget = imageQuality === 'none' ? null : createImageBudget(
+    (options.imageBudgetMB || 0) * 1024 * 1024,
+    exportMessages.reduce((count, message) => count + (message.article?.querySelectorAll('img').length || 0), 0)
+  );
+
+  // Bundles store each image once in images/ instead of as a data URL
+  const imageFiles = format === 'bundle' ? createImageFileCollector() : null;
+
+  // Process each message in batches to prevent browser freeze on long conversations
+  // Unchanged messages reuse their HTML from earlier exports in this tab
+  let imagesFailed = 0;
+  const messages = await processInBatches(
+    exportMessages,
+    async (message) => {
+      const processed = await processArticleCached(message, imageQuality, redactionRules, imageBudget, imageFiles);
+      addRedactionCounts(redactions, processed.redactions);
+      imagesFailed += processed.images.failed;
+      // Names of attached files are redacted like the message text
+      const attachments = (message.attachments || []).map(attachment => {
+        if (!attachment.name) {
+          return attachment;
         }
+        const nameResult = redactText(attachment.name, redactionRules);
+        addRedactionCounts(redactions, nameResult.counts);
+        return { ...attachment, name: nameResult.text };
+      });
+      return { ...message, attachments, content: processed.content };
+    },
+    {
+      onProgress(processed, total) {
+        if (options.reportProgress === false) return;
+        try {
+          chrome.runtime.sendMessage({ action: 'export_progress', processed, total });
+        } catch (e) { /* popup may be closed */ }
       }
-    );
-    htmlParts.push(...messageParts);
+    }
+  );
+
+  // Other versions, reasoning and tool calls come from the conversation tree, keyed by message id
+  // (the page only renders the displayed branch, and reasoning panels are removed with the buttons)
+  const includeBranches = options.branches && (format === 'html' || format === 'bundle' || format === 'json');
+  const tree = includeBranches || options.traces ? await loadConversationTree() : null;
+  const branchesUnavailable = Boolean(includeBranches && !tree);
+  const tracesUnavailable = Boolean(options.traces && !tree);
+  if (includeBranches && tree) {
+    const versions = getBranchVersions(tree, Boolean(options.traces));
+    messages.forEach(message => {
+      message.versions = message.ids.flatMap(id => versions.get(id) || []);
+      redactVersions(message.versions, redactionRules, redactions);
+    });
+  }
+  if (options.traces && tree) {
+    const traces = getBranchTraces(tree);
+    messages.forEach(message => {
+      message.traces = message.ids.flatMap(id => traces.get(id) || []);
+      redactTraces(message.traces, redactionRules, redactions);
+    });
+  }
+
+  // Determine theme
+  const theme = await resolveTheme(selectedTheme);
+  const details = await loadExportDetails(redactionRules, redactions);
 
-    // Close HTML
-    htmlParts.push(`
-  </div>
-</body>
-</html>`);
+  // Speaker labels: names from the settings page; the assistant defaults to the custom GPT's name
+  let speakers = null;
+  if (options.speakerLabels || options.layout === 'transcript') {
+    speakers = await loadSpeakerSettings();
+    speakers.assistantName = speakers.assistantName || details.gpt?.name || '';
+  }
 
-    // Single string allocation at the end
-    const htmlContent = htmlParts.join('');
+  const renderHTML = () => renderHTMLDocument(title, messages, theme, {
+    showMetadata: options.showMetadata,
+    reader: options.reader,
+    layout: options.layout,
+    speakers,
+    details
+  });
 
-    // Trigger download
-    const blob = new Blob([htmlContent], { type: 'text/html;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
+  // Attached and generated files go to the bundle's attachments/ folder
+  let attachmentsFailed = 0;
+  let attachmentFiles = [];
+  if (format === 'bundle' && options.attachments) {
+    ({ files: attachmentFiles, failed: attachmentsFailed } = await bundleAttachments(messages, conversationId));
+  }
 
-    const safeTitle = sanitizeFilename(document.title);
-    const dateStr = getFilenameDate();
-    link.href = url;
-    link.download = `${dateStr}-${safeTitle}.html`;
+  let output;
+  let bundleFiles = null;
+  if (format === 'markdown') {
+    output = renderMarkdownDocument(title, messages);
+  } else if (format === 'json') {
+    output = renderJSONDocument(title, messages, conversation.source, details);
+  } else if (format === 'pdf') {
+    const pdf = await renderPdfDocument(title, messages, theme, { showMetadata: options.showMetadata });
+    if (!pdf.output) {
+      return { success: false, error: getPdfUnsupportedCharsError(pdf.unsupportedChars) };
+    }
+    output = pdf.output;
+  } else if (format === 'bundle') {
+    bundleFiles = [{ name: 'index.html', data: renderHTML() }, ...imageFiles.files, ...attachmentFiles];
+    output = createZip(bundleFiles);
+  } else {
+    output = renderHTML();
+  }
 
-    document.body.appendChild(link);
-    link.click();
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const safeTitle = sanitizeFilename(title);
+  const dateStr = getFilenameDate();
+
+  // The archive keeps whole conversations only, always as HTML
+  if (!options.scope || options.scope === 'all') {
+    // Bundle images are put back as data URLs, as the archive has no images folder
+    const archiveHTML = format === 'html' ? output
+      : format === 'bundle' ? inlineImageFiles(bundleFiles[0].data, imageFiles)
+        : renderHTML();
+    archiveExport(title, dateStr, messages, archiveHTML);
+  }
 
-    // Cleanup with error handling
-    setTimeout(() => {
-      try {
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-      } catch (e) {
-        console.warn('GPT Chat Save: Cleanup failed', e);
-      }
-    }, 100);
+  // Later "new messages" exports continue after the last message saved now
+  if (conversationId && (!options.scope || options.scope === 'all' || options.scope === 'new')) {
+    const lastMessageId = getLastMessageId(exportMessages);
+    if (lastMessageId) {
+      await saveExportHistory(conversationId, lastMessageId);
+    }
+  }
 
-    return { success: true, messageCount: articles.length };
+  // New-message exports are saved next to the full file, not over it; so are single messages
+  const suffix = options.scope === 'new' ? `-new-${formatDateCompact(new Date())}`
+    : options.scope === 'message' ? `-message-${exportMessages[exportMessages.length - 1].index + 1}` : '';
+
+  return {
+    success: true,
+    output,
+    filename: `${dateStr}-${safeTitle}${suffix}.${extension}`,
+    title,
+    mimeType,
+    files: bundleFiles,
+    messageCount: messages.length,
+    source: conversation.source,
+    branchesUnavailable,
+    tracesUnavailable,
+    redactions,
+    imagesFailed,
+    attachmentsFailed
+  };
+}
+
+/**
+ * Main conversion function
+ * Returns { success: true } or { success: false, error: string }
+ * @param {string} selectedTheme - Theme selection ('auto', 'light', 'dark', 'custom:<id>')
+ * @param {string} imageQuality - Image quality preset ('include', 'original', 'png', 'webp', 'none')
+ * @param {Object} [options]
+ * @param {string} [options.format='html'] - Output format ('html', 'markdown', 'json', 'pdf', or
+ *   'bundle' for a ZIP with index.html and the images as separate files)
+ * @param {boolean} [options.showMetadata=true] - Show time and model with each message (HTML, PDF)
+ * @param {string} [options.scope='all'] - Which messages to export ('all', 'selection',
+ *   'message' for options.article only, or 'new' for messages after the last export of
+ *   this conversation)
+ * @param {Element} [options.article] - Message article for the 'message' scope
+ * @param {boolean} [options.withPrompt=false] - 'message' scope: add the user prompt before
+ *   an assistant message
+ * @param {boolean} [options.branches=false] - Include other versions of edited/regenerated
+ *   messages (HTML and JSON)
+ * @param {boolean} [options.traces=false] - Include reasoning and tool calls as collapsed
+ *   blocks before the answer that follows them
+ * @param {boolean} [options.reader=false] - Add the interactive reader script (HTML and bundle)
+ * @param {string} [options.layout='bubbles'] - 'bubbles' or 'transcript' (HTML and bundle)
+ * @param {boolean} [options.speakerLabels=false] - Label messages with speaker names (HTML and
+ *   bundle; always on in the transcript layout)
+ * @param {number} [options.imageBudgetMB=0] - Size limit for all images of the export
+ *   (0: no limit); images are re-encoded smaller to fit
+ * @param {boolean} [options.attachments=false] - Download attached and generated files
+ *   into the bundle ('bundle' format only)
+ * @returns {Promise<Object>} Result object
+ */
+async function convertToHTML(selectedTheme = 'auto', imageQuality = 'medium', options = {}) {
+  try {
+    const result = await buildExport(selectedTheme, imageQuality, options);
+    if (!result.success) {
+      return result;
+    }
+
+    downloadFile(result.output, result.filename, result.mimeType);
+
+    return {
+      success: true,
+      messageCount: result.messageCount,
+      source: result.source,
+      branchesUnavailable: result.branchesUnavailable,
+      tracesUnavailable: result.tracesUnavailable,
+      imagesFailed: result.imagesFailed,
+      attachmentsFailed: result.attachmentsFailed,
+      redactionSummary: formatRedactionSummary(result.redactions)
+    };
 
   } catch (error) {
     console.error('GPT Chat Save error:', error);
     return { success: false, error: error.message };
   }
 }
+
+/**
+ * Load the export settings last chosen in the popup
+ * Used by exports that start without the popup (auto-save, shortcut, context menu).
+ * @returns {Promise<Object>} theme, imageQuality and the convertToHTML options
+ */
+function loadExportPreferences() {
+  const keys = [
+    'exportTheme', 'imageQuality', 'imageBudgetMB', 'exportFormat', 'showMetadata', 'exportBranches',
+    'exportTraces', 'exportReader', 'exportLayout', 'speakerLabels', 'exportAttachments', 'messageWithPrompt'
+  ];
+  return new Promise(resolve => {
+    chrome.storage.sync.get(keys, (stored) => {
+      const result = chrome.runtime.lastError ? {} : stored;
+      resolve({
+        theme: result.exportTheme || 'auto',
+        imageQuality: result.imageQuality || 'include',
+        imageBudgetMB: result.imageBudgetMB || 0,
+        format: result.exportFormat || 'html',
+        showMetadata: result.showMetadata !== false,
+        branches: result.exportBranches === true,
+        traces: result.exportTraces === true,
+        reader: result.exportReader === true,
+        layout: result.exportLayout === 'transcript' ? 'transcript' : 'bubbles',
+        speakerLabels: result.speakerLabels === true,
+        attachments: result.exportAttachments === true,
+        withPrompt: result.messageWithPrompt === true
+      });
+    });
+  });
+}
+
+// Message under the last right-click, for the "Save this message" context menu entry
+// when the menu does not pass its target (see getContextMenuArticle)
+let contextMenuArticle = null;
+
+document.addEventListener('contextmenu', (event) => {
+  contextMenuArticle = event.target.closest?.(SELECTORS.messageArticle) || null;
+}, true);
+
+/**
+ * Message the context menu was opened on
+ * The menu passes the clicked element's id, which Firefox resolves in the page;
+ * that also works when the scripts were injected after the right-click. The
+ * contextmenu listener above is the fallback.
+ * @param {number} [targetElementId] - info.targetElementId of the menu click
+ * @returns {HTMLElement|null} Message article
+ */
+function getContextMenuArticle(targetElementId) {
+  const menus = typeof browser !== 'undefined' ? browser.menus || browser.contextMenus : null;
+  if (targetElementId !== undefined && menus?.getTargetElement) {
+    const target = menus.getTargetElement(targetElementId);
+    const article = target?.closest?.(SELECTORS.messageArticle);
+    if (article) {
+      return article;
+    }
+  }
+  return contextMenuArticle;
+}
+
+/**
+ * Export from the keyboard shortcut or context menu (see background/quick-export.js)
+ * Uses the popup's saved settings; the menu entries choose the format or a single message.
+ * @param {Object} request - { format (optional), scope: 'all' or 'message', targetElementId
+ *   (menu clicks) }
+ * @returns {Promise<Object>} convertToHTML result with the format used
+ */
+async function runQuickExport(request) {
+  const preferences = await loadExportPreferences();
+  const format = request.format || preferences.format;
+  const message = request.scope === 'message';
+  const article = message ? getContextMenuArticle(request.targetElementId) : null;
+  if (message && !article) {
+    return { success: false, error: 'Right-click inside a message to save it.' };
+  }
+  const result = await convertToHTML(preferences.theme, preferences.imageQuality, {
+    ...preferences,
+    format,
+    scope: message ? 'message' : 'all',
+    article,
+    reportProgress: false
+  });
+  return { ...result, format };
+}
+
+// Watch for finished responses if auto-save is enabled (autosave.js)
+initAutoSave();
+
+// Save buttons on messages and Download buttons on code blocks (message-actions.js)
+initMessageActions();
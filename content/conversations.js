@@ -0,0 +1,755 @@
+'use strict';
+
+/**
+ * GPT Chat Save - ChatGPT Data Export Conversion
+ * Renders conversations from the official data export (conversations.json)
+ * with the same template as live exports, fully offline
+ *
+ * Each conversation holds a message tree: mapping[nodeId] = { message, parent, children }.
+ * The branch shown in ChatGPT ends at current_node.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: escapeHtml, sanitizeFilename, formatDateCompact are loaded from utils.js,
+// renderHTMLDocument from template.js, normalizeFiberMessage from fiber.js
+
+/**
+ * Check that an object looks like a conversation from the data export
+ * @param {*} conversation
+ * @returns {boolean}
+ */
+function isExportConversation(conversation) {
+  return Boolean(conversation && typeof conversation === 'object' &&
+    conversation.mapping && typeof conversation.mapping === 'object');
+}
+
+/**
+ * Node ids from a node down to the end of its latest branch
+ * @param {Object} mapping - Conversation mapping
+ * @param {string} nodeId - First node
+ * @returns {string[]} Node ids in conversation order
+ */
+function getLatestPath(mapping, nodeId) {
+  const path = [];
+  const seen = new Set();
+  let current = nodeId;
+  while (current && mapping[current] && !seen.has(current)) {
+    seen.add(current);
+    path.push(current);
+    const children = mapping[current].children || [];
+    current = children[children.length - 1];
+  }
+  return path;
+}
+
+/**
+ * Node ids from the root to the end of the displayed branch
+ * Follows current_node back to the root; without it, follows the latest
+ * child from the root.
+ *
+ * @param {Object} conversation - Conversation from conversations.json
+ * @returns {string[]} Node ids in conversation order
+ */
+function getConversationPath(conversation) {
+  const mapping = conversation.mapping || {};
+
+  if (conversation.current_node && mapping[conversation.current_node]) {
+    const path = [];
+    const seen = new Set();
+    let nodeId = conversation.current_node;
+    while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+      seen.add(nodeId);
+      path.unshift(nodeId);
+      nodeId = mapping[nodeId].parent;
+    }
+    return path;
+  }
+
+  const root = Object.keys(mapping).find(id => !mapping[id].parent || !mapping[mapping[id].parent]);
+  return getLatestPath(mapping, root);
+}
+
+/**
+ * Whether a message is shown in the ChatGPT conversation view
+ * Skips system and tool messages, hidden context, and assistant tool calls.
+ *
+ * @param {Object|null} message - Raw message from the mapping
+ * @returns {boolean}
+ */
+function isVisibleMessage(message) {
+  if (!message?.author) {
+    return false;
+  }
+  const role = message.author.role;
+  if (role !== 'user' && role !== 'assistant') {
+    return false;
+  }
+  if (message.metadata?.is_visually_hidden_from_conversation) {
+    return false;
+  }
+  if (message.recipient && message.recipient !== 'all') {
+    return false; // Assistant call to a tool (browser, python, ...)
+  }
+  const contentType = message.content?.content_type;
+  if (contentType === 'user_editable_context' || contentType === 'model_editable_context') {
+    return false;
+  }
+  return renderMessageContent(message).trim() !== '';
+}
+
+/**
+ * Apply inline Markdown: code spans, links, bold, italic
+ * Input is raw text; output is escaped HTML.
+ *
+ * @param {string} text - One line of Markdown
+ * @returns {string} HTML
+ */
+function renderInlineMarkdown(text) {
+  const codeSpans = [];
+  const withoutCode = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, fence, code) => {
+    codeSpans.push(code.trim());
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  return escapeHtml(withoutCode)
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?![*\w])/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_([^_\s][^_]*?)_(?![_\w])/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${escapeHtml(codeSpans[index])}</code>`);
+}
+
+/**
+ * Render a code block, highlighted when highlight.js is loaded
+ * @param {string} code - Raw code
+ * @param {string} [language=''] - Language identifier
+ * @returns {string} HTML
+ */
+function renderCodeBlock(code, language = '') {
+  const className = language ? `hljs language-${escapeHtml(language)} code-block` : 'hljs code-block';
+  let body = escapeHtml(code);
+  if (typeof hljs !== 'undefined' && language && hljs.getLanguage(language)) {
+    body = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  }
+  return `<pre><code class="${className}">${body}</code></pre>`;
+}
+
+/**
+ * Split a Markdown table row into cells
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Render Markdown message text to HTML
+ * Supports the subset ChatGPT produces: paragraphs, headings, fenced code,
+ * lists, blockquotes, tables, rules, and inline formatting.
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} HTML
+ */
+function renderMarkdownText(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let i = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+
+  const listPattern = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+  const tableSeparator = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code block
+    const fence = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/.exec(line);
+    if (fence) {
+      flushParagraph();
+      const marker = fence[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Skip closing fence
+      blocks.push(renderCodeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flushParagraph();
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>${renderMarkdownText(quoted.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && tableSeparator.test(lines[i + 1])) {
+      flushParagraph();
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      const headerHTML = header.map(cell => `<th>${renderInlineMarkdown(cell)}</th>`).join('');
+      const bodyHTML = rows
+        .map(row => `<tr>${row.map(cell => `<td>${renderInlineMarkdown(cell)}</td>`).join('')}</tr>`)
+        .join('');
+      blocks.push(`<table><thead><tr>${headerHTML}</tr></thead><tbody>${bodyHTML}</tbody></table>`);
+      continue;
+    }
+
+    const listItem = listPattern.exec(line);
+    if (listItem) {
+      flushParagraph();
+      const ordered = /\d/.test(listItem[2]);
+      const baseIndent = listItem[1].length;
+      const items = [];
+      while (i < lines.length) {
+        const current = listPattern.exec(lines[i]);
+        if (current && current[1].length === baseIndent && /\d/.test(current[2]) === ordered) {
+          items.push([current[3]]);
+          i++;
+        } else if (items.length && lines[i].trim() &&
+                   lines[i].length - lines[i].trimStart().length > baseIndent) {
+          items[items.length - 1].push(lines[i].slice(baseIndent).replace(/^ {1,4}/, ''));
+          i++;
+        } else if (items.length && !lines[i].trim() && i + 1 < lines.length &&
+                   lines[i + 1].length - lines[i + 1].trimStart().length > baseIndent) {
+          items[items.length - 1].push('');
+          i++;
+        } else {
+          break;
+        }
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      const start = ordered ? parseInt(listItem[2], 10) : 1;
+      const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+      const itemsHTML = items.map(itemLines => {
+        const body = renderMarkdownText(itemLines.join('\n'));
+        // Tight list items: drop the wrapping paragraph of single-line items
+        return `<li>${body.replace(/^<p>([\s\S]*?)<\/p>(?=<(?:ul|ol)>|$)/, '$1')}</li>`;
+      }).join('');
+      blocks.push(`<${tag}${startAttr}>${itemsHTML}</${tag}>`);
+      continue;
+    }
+
+    paragraph.push(line.trim());
+    i++;
+  }
+
+  flushParagraph();
+  return blocks.join('');
+}
+
+/**
+ * Render one non-text content part (images, audio transcripts, ...)
+ * @param {Object} part - Content part object
+ * @returns {string} HTML
+ */
+function renderContentPart(part) {
+  if (!part || typeof part !== 'object') {
+    return '';
+  }
+  if (part.content_type === 'image_asset_pointer') {
+    return '<p class="image-placeholder">[Image not included in data export]</p>';
+  }
+  if (typeof part.text === 'string') {
+    return renderMarkdownText(part.text);
+  }
+  return '';
+}
+
+/**
+ * Render the content of a raw message to HTML
+ * @param {Object} message - Raw message from the mapping
+ * @returns {string} HTML
+ */
+function renderMessageContent(message) {
+  const content = message.content || {};
+  switch (content.content_type) {
+    case 'text':
+    case 'multimodal_text':
+      return (content.parts || [])
+        .map(part => (typeof part === 'string' ? renderMarkdownText(part) : renderContentPart(part)))
+        .join('');
+    case 'code':
+      return renderCodeBlock(content.text || '', content.language === 'unknown' ? '' : content.language);
+    case 'execution_output':
+      return renderCodeBlock(content.text || '');
+    default:
+      if (typeof content.text === 'string') {
+        return renderMarkdownText(content.text);
+      }
+      return (content.parts || [])
+        .filter(part => typeof part === 'string')
+        .map(renderMarkdownText)
+        .join('');
+  }
+}
+
+/** Labels of reasoning and tool call blocks, by kind */
+const TRACE_LABELS = {
+  reasoning: 'Reasoning',
+  search: 'Web search',
+  code: 'Code run',
+  tool: 'Tool call'
+};
+
+/**
+ * Text of a hidden message (tool call, tool output)
+ * @param {Object} content - Message content
+ * @returns {string}
+ */
+function getTraceText(content) {
+  if (typeof content.text === 'string') {
+    return content.text;
+  }
+  if (typeof content.result === 'string') {
+    return content.result; // Browsing results
+  }
+  return (content.parts || []).filter(part => typeof part === 'string').join('\n\n');
+}
+
+/**
+ * Search query of a web search call, if it can be read
+ * @param {string} text - Call content (JSON or e.g. search("query"))
+ * @returns {string|null}
+ */
+function getSearchQuery(text) {
+  try {
+    const data = JSON.parse(text);
+    const query = data?.search_query?.[0]?.q ?? data?.query ?? data?.q;
+    if (typeof query === 'string' && query.trim()) {
+      return query.trim();
+    }
+  } catch {
+    // Not JSON
+  }
+  const match = /search\(\s*["'](.+?)["']/.exec(text);
+  return match ? match[1] : null;
+}
+
+/**
+ * Classify a hidden message of an assistant turn as a reasoning or tool trace
+ * Reasoning is the 'thoughts' content of reasoning models; tool traces are
+ * assistant calls to a tool (recipient other than 'all') and the tool's output.
+ *
+ * @param {Object|null} message - Raw message from the mapping
+ * @returns {Object|null} { kind, label, text, language, html } with kind 'reasoning', 'search',
+ *   'code' or 'tool'; null for other messages (system, context, empty) and for
+ *   'reasoning_recap', which only labels the reasoning before it
+ */
+function classifyTrace(message) {
+  const role = message?.author?.role;
+  const content = message?.content || {};
+  let trace = null;
+
+  if (role === 'assistant' && content.content_type === 'thoughts') {
+    const text = (content.thoughts || [])
+      .map(thought => [thought.summary && `**${thought.summary}**`, thought.content].filter(Boolean).join('\n\n'))
+      .join('\n\n');
+    trace = { kind: 'reasoning', label: TRACE_LABELS.reasoning, text, language: null };
+  } else if (role === 'assistant' && message.recipient && message.recipient !== 'all') {
+    const recipient = message.recipient;
+    const text = getTraceText(content);
+    if (recipient === 'python' || recipient.startsWith('python.')) {
+      trace = { kind: 'code', label: TRACE_LABELS.code, text, language: 'python' };
+    } else if (/^(web|browser)(\.|$)/.test(recipient)) {
+      const query = getSearchQuery(text);
+      trace = {
+        kind: 'search',
+        label: query ? `${TRACE_LABELS.search}: ${query}` : TRACE_LABELS.search,
+        text: query ? '' : text,
+        language: null
+      };
+    } else {
+      trace = { kind: 'tool', label: `${TRACE_LABELS.tool}: ${recipient}`, text, language: null };
+    }
+  } else if (role === 'tool') {
+    const name = message.author.name || '';
+    const text = getTraceText(content);
+    if (name === 'python' || content.content_type === 'execution_output') {
+      trace = { kind: 'code', label: 'Code output', text, language: null };
+    } else if (/^(web|browser)(\.|$)/.test(name)) {
+      trace = { kind: 'search', label: 'Search results', text, language: null };
+    } else {
+      trace = { kind: 'tool', label: name ? `Tool output: ${name}` : 'Tool output', text, language: null };
+    }
+  }
+
+  if (!trace || (!trace.text.trim() && trace.kind !== 'search')) {
+    return null;
+  }
+  trace.html = trace.kind === 'code'
+    ? renderCodeBlock(trace.text, trace.language || '')
+    : renderMarkdownText(trace.text);
+  return trace;
+}
+
+/**
+ * Whether a node or any node below it holds a visible message
+ * @param {Object} mapping - Conversation mapping
+ * @param {string} nodeId - Node to check
+ * @returns {boolean}
+ */
+function hasVisibleMessage(mapping, nodeId) {
+  const stack = [nodeId];
+  const seen = new Set();
+  while (stack.length) {
+    const id = stack.pop();
+    if (!mapping[id] || seen.has(id)) continue;
+    seen.add(id);
+    if (isVisibleMessage(mapping[id].message)) {
+      return true;
+    }
+    stack.push(...(mapping[id].children || []));
+  }
+  return false;
+}
+
+/**
+ * Visible messages along a path, with the sibling versions at each branch point
+ * A branch point is a node whose parent has several children that lead to
+ * visible messages (an edited prompt or a regenerated answer). Its versions
+ * are attached to the next visible message on the path; each alternative
+ * follows its own latest branch.
+ *
+ * @param {Object} mapping - Conversation mapping
+ * @param {string[]} path - Node ids in conversation order
+ * @param {boolean} [includeVersions=true] - Collect sibling versions
+ * @param {boolean} [isAlternative=false] - Path starts at a sibling version, whose
+ *   siblings are already listed by the caller
+ * @returns {Array<Object>} { message, versions: [{ index, total, alternatives: [{ index, entries }] }],
+ *   traces } where traces are the reasoning and tool calls (see classifyTrace) since
+ *   the previous visible message
+ */
+function getBranchEntries(mapping, path, includeVersions = true, isAlternative = false) {
+  const entries = [];
+  let pending = [];
+  let traces = [];
+
+  path.forEach((nodeId, position) => {
+    const node = mapping[nodeId];
+    const checkSiblings = includeVersions && !(isAlternative && position === 0);
+    if (checkSiblings && node.parent && mapping[node.parent]) {
+      const siblings = (mapping[node.parent].children || [])
+        .filter(id => hasVisibleMessage(mapping, id));
+      const current = siblings.indexOf(nodeId);
+      if (siblings.length > 1 && current !== -1) {
+        pending.push({
+          index: current + 1,
+          total: siblings.length,
+          alternatives: siblings
+            .map((id, i) => ({ id, index: i + 1 }))
+            .filter(sibling => sibling.id !== nodeId)
+            .map(sibling => ({
+              index: sibling.index,
+              entries: getBranchEntries(mapping, getLatestPath(mapping, sibling.id), true, true)
+            }))
+        });
+      }
+    }
+    if (isVisibleMessage(node.message)) {
+      entries.push({ message: node.message, versions: pending, traces });
+      pending = [];
+      traces = [];
+      return;
+    }
+    const trace = classifyTrace(node.message);
+    if (trace) {
+      traces.push(trace);
+    } else if (node.message?.content?.content_type === 'reasoning_recap' && traces.length) {
+      // "Thought for 34s" labels the reasoning before it
+      const reasoning = traces.findLast(item => item.kind === 'reasoning');
+      if (reasoning && typeof node.message.content.content === 'string') {
+        reasoning.label = node.message.content.content;
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Convert a branch entry into a message for renderHTMLDocument
+ * @param {Object} entry - From getBranchEntries
+ * @param {boolean} [includeTraces=false] - Keep the reasoning and tool calls before the message
+ * @returns {Object} { id, isUser, role, createTime, model, attachments, traces, content, versions }
+ */
+function toRenderedMessage(entry, includeTraces = false) {
+  const message = normalizeFiberMessage(entry.message);
+  return {
+    id: message.id,
+    isUser: message.role === 'user',
+    role: message.role,
+    createTime: message.createTime,
+    model: message.modelSlug,
+    attachments: message.attachments,
+    traces: includeTraces ? entry.traces : [],
+    content: renderMessageContent(entry.message),
+    versions: entry.versions.map(group => ({
+      index: group.index,
+      total: group.total,
+      alternatives: group.alternatives.map(alternative => ({
+        index: alternative.index,
+        messages: alternative.entries.map(nested => toRenderedMessage(nested, includeTraces))
+      }))
+    }))
+  };
+}
+
+/**
+ * Visible messages of the displayed branch, ready for renderHTMLDocument
+ * @param {Object} conversation - Conversation from conversations.json
+ * @param {Object} [options]
+ * @param {boolean} [options.branches=false] - Include other versions of edited/regenerated turns
+ * @param {boolean} [options.traces=false] - Include reasoning and tool calls (see classifyTrace)
+ * @returns {Array<Object>} { id, isUser, role, createTime, model, attachments, traces, content, versions }
+ */
+function getConversationMessages(conversation, options = {}) {
+  return getBranchEntries(conversation.mapping, getConversationPath(conversation), Boolean(options.branches))
+    .map(entry => toRenderedMessage(entry, Boolean(options.traces)));
+}
+
+/**
+ * Other versions of each message on the displayed branch, keyed by message id
+ * Used to add alternatives to a live page export, where only the displayed
+ * branch is rendered.
+ *
+ * @param {Object} conversation - Conversation with mapping and current_node
+ * @param {boolean} [includeTraces=false] - Keep reasoning and tool calls in the other versions
+ * @returns {Map<string, Array<Object>>} Message id -> versions (only messages that have some)
+ */
+function getBranchVersions(conversation, includeTraces = false) {
+  const versions = new Map();
+  getConversationMessages(conversation, { branches: true, traces: includeTraces }).forEach(message => {
+    if (message.versions.length) {
+      versions.set(message.id, message.versions);
+    }
+  });
+  return versions;
+}
+
+/**
+ * Reasoning and tool calls before each message on the displayed branch, keyed by message id
+ * Used to add them to a live page export, where the page does not keep them.
+ *
+ * @param {Object} conversation - Conversation with mapping and current_node
+ * @returns {Map<string, Array<Object>>} Message id -> traces (only messages that have some)
+ */
+function getBranchTraces(conversation) {
+  const traces = new Map();
+  getConversationMessages(conversation, { traces: true }).forEach(message => {
+    if (message.traces.length) {
+      traces.set(message.id, message.traces);
+    }
+  });
+  return traces;
+}
+
+/**
+ * Custom GPT or project of a conversation, from its gizmo_id
+ * Data exports only have the id; names come from the page URL or ChatGPT's API.
+ * @param {Object} conversation - Conversation from conversations.json or the API
+ * @returns {{id: string, kind: 'gpt'|'project'}|null}
+ */
+function getConversationGizmo(conversation) {
+  const id = conversation.gizmo_id;
+  if (typeof id !== 'string' || !/^g-[A-Za-z0-9-]+$/.test(id)) {
+    return null;
+  }
+  return { id, kind: id.startsWith('g-p-') ? 'project' : 'gpt' };
+}
+
+/**
+ * Name and description of a custom GPT or project from ChatGPT's gizmo API
+ * @param {Object} data - Response of /backend-api/gizmos/<id>
+ * @returns {{name: string|null, description: string|null}}
+ */
+function parseGizmoInfo(data) {
+  const display = data?.gizmo?.display || {};
+  const clean = value => (typeof value === 'string' && value.trim()) || null;
+  return { name: clean(display.name), description: clean(display.description) };
+}
+
+/**
+ * Render a conversation to a complete HTML document
+ * @param {Object} conversation - Conversation from conversations.json
+ * @param {string|Object} theme - 'light', 'dark' or a custom theme
+ * @param {Object} [options] - branches, traces (see getConversationMessages), passed on to
+ *   renderHTMLDocument; id, creation time and GPT/project id are added to options.details
+ * @returns {{html: string, messageCount: number}}
+ */
+function conversationToHTML(conversation, theme, options = {}) {
+  const messages = getConversationMessages(conversation, options);
+  const gizmo = getConversationGizmo(conversation);
+  const conversationId = conversation.conversation_id || conversation.id || null;
+  const details = {
+    conversationId,
+    url: conversationId ? `https://chatgpt.com/c/${encodeURIComponent(conversationId)}` : null,
+    createTime: conversation.create_time || null,
+    gpt: gizmo?.kind === 'gpt' ? { id: gizmo.id } : null,
+    project: gizmo?.kind === 'project' ? { id: gizmo.id } : null,
+    ...options.details
+  };
+  return {
+    html: renderHTMLDocument(conversation.title || 'Untitled', messages, theme, { ...options, details }),
+    messageCount: messages.length
+  };
+}
+
+/**
+ * Filename for an imported conversation (creation date + title)
+ * @param {Object} conversation - Conversation from conversations.json
+ * @param {string} [extension='html']
+ * @returns {string}
+ */
+function getConversationFilename(conversation, extension = 'html') {
+  const created = conversation.create_time ? new Date(conversation.create_time * 1000) : new Date();
+  return `${formatDateCompact(created)}-${sanitizeFilename(conversation.title || '')}.${extension}`;
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isExportConversation,
+    getLatestPath,
+    getConversationPath,
+    isVisibleMessage,
+    classifyTrace,
+    getBranchEntries,
+    renderInlineMarkdown,
+    renderMarkdownText,
+    renderMessageContent,
+    getConversationMessages,
+    getBranchVersions,
+    getBranchTraces,
+    getConversationGizmo,
+    parseGizmoInfo,
+    conversationToHTML,
+    getConversationFilename
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/**
+ * fetch that sends requests as the page, with its cookies
+ * BROWSER ONLY (chatgpt.com content script)
+ *
+ * @returns {Function}
+ */
+function getPageFetch() {
+  // Firefox: content.fetch runs in the page's context
+  return typeof content !== 'undefined' && content.fetch ? content.fetch.bind(content) : fetch;
+}
+
+/**
+ * Get the signed-in user's token for ChatGPT's API
+ * BROWSER ONLY (chatgpt.com content script)
+ *
+ * @returns {Promise<string>} Access token
+ * @throws {Error} If the session cannot be loaded or nobody is signed in
+ */
+async function fetchAccessToken() {
+  const session = await getPageFetch()(`${location.origin}/api/auth/session`);
+  if (!session.ok) {
+    throw new Error(`Session request failed (${session.status})`);
+  }
+  const { accessToken } = await session.json();
+  if (!accessToken) {
+    throw new Error('Not signed in');
+  }
+  return accessToken;
+}
+
+/**
+ * Load the full message tree of a conversation from ChatGPT's own API
+ * Same shape as a conversations.json entry. Only the displayed branch is
+ * rendered on the page, so this is the only place the other versions exist.
+ * BROWSER ONLY (chatgpt.com content script)
+ *
+ * @param {string} conversationId - Conversation id from the URL
+ * @returns {Promise<Object>} Conversation with mapping and current_node
+ */
+async function fetchConversationTree(conversationId) {
+  const accessToken = await fetchAccessToken();
+  const response = await getPageFetch()(
+    `${location.origin}/backend-api/conversation/${encodeURIComponent(conversationId)}`,
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
+  if (!response.ok) {
+    throw new Error(`Conversation request failed (${response.status})`);
+  }
+  const conversation = await response.json();
+  if (!isExportConversation(conversation)) {
+    throw new Error('Unexpected conversation data');
+  }
+  return conversation;
+}
+
+/**
+ * Load the name and description of a custom GPT or project
+ * BROWSER ONLY (chatgpt.com content script)
+ *
+ * @param {string} gizmoId - Id from the URL (g-… or g-p-…)
+ * @returns {Promise<{name: string|null, description: string|null}>}
+ * @throws {Error} If the request fails
+ */
+async function fetchGizmoInfo(gizmoId) {
+  const accessToken = await fetchAccessToken();
+  const response = await getPageFetch()(
+    `${location.origin}/backend-api/gizmos/${encodeURIComponent(gizmoId)}`,
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
+  if (!response.ok) {
+    throw new Error(`GPT request failed (${response.status})`);
+  }
+  return parseGizmoInfo(await response.json());
+}
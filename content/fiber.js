@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * GPT Chat Save - React Fiber Data Extraction
+ * Reads ChatGPT's message objects from React fiber props, which survive
+ * UI restyles better than the rendered DOM
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+/** React attaches the fiber to DOM nodes under a key with this prefix */
+const FIBER_KEY_PREFIX = '__reactFiber$';
+
+/** How many parent fibers to search for message props */
+const MAX_FIBER_DEPTH = 5;
+
+/** Code Interpreter links to generated files: [label](sandbox:/mnt/data/name.ext) */
+const SANDBOX_LINK_PATTERN = /\]\(sandbox:(\/mnt\/data\/[^)\n]+)\)/g;
+
+/**
+ * Files generated by Code Interpreter / Advanced Data Analysis and linked in a message
+ * @param {Array<*>} parts - Message content parts (only strings are searched)
+ * @param {string} messageId - Id of the message, needed to download the files
+ * @returns {Array<Object>} { id: null, name, mimeType: null, size: null, messageId, sandboxPath }
+ */
+function getSandboxFiles(parts, messageId) {
+  const paths = new Set();
+  parts.filter(part => typeof part === 'string').forEach(part => {
+    for (const match of part.matchAll(SANDBOX_LINK_PATTERN)) {
+      paths.add(match[1]);
+    }
+  });
+  return Array.from(paths, sandboxPath => ({
+    id: null,
+    name: sandboxPath.slice(sandboxPath.lastIndexOf('/') + 1),
+    mimeType: null,
+    size: null,
+    messageId,
+    sandboxPath
+  }));
+}
+
+/**
+ * Normalize a ChatGPT message object into the fields we export
+ * Message shape: { id, author: { role }, create_time, content: { content_type, parts },
+ *                  recipient, metadata: { model_slug, attachments, is_visually_hidden_from_conversation } }
+ * attachments holds uploaded files, then files generated by Code Interpreter.
+ *
+ * @param {Object} raw - Message object from fiber props
+ * @returns {Object|null} Normalized message, or null if it lacks an id or role
+ */
+function normalizeFiberMessage(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.id || !raw.author?.role) {
+    return null;
+  }
+
+  const metadata = raw.metadata || {};
+  const attachments = Array.isArray(metadata.attachments) ? metadata.attachments : [];
+  const parts = Array.isArray(raw.content?.parts) ? Array.from(raw.content.parts) : [];
+
+  return {
+    id: String(raw.id),
+    role: String(raw.author.role),
+    createTime: typeof raw.create_time === 'number' ? raw.create_time : null,
+    contentType: raw.content?.content_type || null,
+    parts,
+    recipient: raw.recipient || 'all',
+    hidden: metadata.is_visually_hidden_from_conversation === true,
+    modelSlug: metadata.model_slug || null,
+    attachments: [
+      ...attachments.map(attachment => ({
+        id: attachment.id || null,
+        name: attachment.name || null,
+        mimeType: attachment.mime_type || null,
+        size: typeof attachment.size === 'number' ? attachment.size : null
+      })),
+      ...getSandboxFiles(parts, String(raw.id))
+    ]
+  };
+}
+
+/**
+ * Collect raw message objects from a fiber and its nearest parents
+ * Looks for `messages` (array) and `message` (object) props.
+ *
+ * @param {Object} fiber - React fiber node
+ * @param {number} [maxDepth=MAX_FIBER_DEPTH] - Number of fibers to inspect
+ * @returns {Array<Object>} Raw message objects (may contain duplicates)
+ */
+function getMessagesFromFiber(fiber, maxDepth = MAX_FIBER_DEPTH) {
+  const found = [];
+  let current = fiber;
+
+  for (let depth = 0; depth < maxDepth && current; depth++) {
+    const props = current.memoizedProps;
+    if (props && typeof props === 'object') {
+      if (Array.isArray(props.messages)) {
+        found.push(...props.messages);
+      }
+      if (props.message && typeof props.message === 'object') {
+        found.push(props.message);
+      }
+    }
+    current = current.return;
+  }
+
+  return found;
+}
+
+/**
+ * Merge fiber records for all message ids rendered in one article
+ * An assistant turn can contain several messages (e.g. tool calls), so
+ * attachments are combined and the last model slug wins.
+ *
+ * @param {Array<Object>} records - Normalized messages in DOM order
+ * @returns {Object|null} Combined record, or null if records is empty
+ */
+function combineFiberMessages(records) {
+  if (!records.length) {
+    return null;
+  }
+  const [first] = records;
+  return {
+    ...first,
+    parts: records.flatMap(record => record.parts),
+    modelSlug: records.reduce((slug, record) => record.modelSlug || slug, null),
+    attachments: records.flatMap(record => record.attachments)
+  };
+}
+
+/**
+ * Whether a fiber message is shown in the conversation view
+ * Skips system and tool messages, hidden context, assistant tool calls and
+ * messages without text or content parts.
+ *
+ * @param {Object} message - From normalizeFiberMessage
+ * @returns {boolean}
+ */
+function isVisibleFiberMessage(message) {
+  if (message.role !== 'user' && message.role !== 'assistant') {
+    return false;
+  }
+  if (message.hidden || message.recipient !== 'all') {
+    return false;
+  }
+  if (message.contentType !== 'text' && message.contentType !== 'multimodal_text') {
+    return false;
+  }
+  return message.parts.some(part => (typeof part === 'string' ? part.trim() !== '' : Boolean(part)));
+}
+
+/**
+ * Order of the exported messages, built from fiber data when there is any
+ * Rendered articles keep their place and are exported from the page (images,
+ * math and formatting as shown). Visible fiber messages without an article
+ * (e.g. when a ChatGPT restyle breaks the article selector) are added after
+ * the article of the fiber message before them.
+ *
+ * @param {Array<Object>} fiberMessages - Normalized messages in conversation order
+ * @param {Array<string[]>} articleIds - Message ids of each rendered article, in page order
+ * @returns {Array<{articleIndex: number}|{fiber: Object}>} Articles by index and fiber-only messages
+ */
+function getFiberMessageOrder(fiberMessages, articleIds) {
+  const articleOfId = new Map();
+  articleIds.forEach((ids, index) => ids.forEach(id => articleOfId.set(id, index)));
+
+  // Fiber-only messages by the index of the article they follow (-1: before all articles)
+  const following = new Map();
+  let lastArticle = -1;
+  fiberMessages.forEach(message => {
+    if (articleOfId.has(message.id)) {
+      lastArticle = Math.max(lastArticle, articleOfId.get(message.id));
+    } else if (isVisibleFiberMessage(message)) {
+      following.set(lastArticle, [...(following.get(lastArticle) || []), { fiber: message }]);
+    }
+  });
+
+  return [
+    ...(following.get(-1) || []),
+    ...articleIds.flatMap((ids, index) => [{ articleIndex: index }, ...(following.get(index) || [])])
+  ];
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FIBER_KEY_PREFIX,
+    getSandboxFiles,
+    normalizeFiberMessage,
+    getMessagesFromFiber,
+    combineFiberMessages,
+    isVisibleFiberMessage,
+    getFiberMessageOrder
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/**
+ * Get the React fiber attached to a DOM element
+ * BROWSER ONLY
+ *
+ * @param {HTMLElement} element - Rendered element
+ * @returns {Object|null} Fiber node or null
+ */
+function getReactFiber(element) {
+  try {
+    // Firefox content scripts run in isolated context - wrappedJSObject
+    // gives access to page-defined properties like React fiber
+    const unwrapped = element.wrappedJSObject || element;
+    const reactKey = Object.keys(unwrapped).find(k => k.startsWith(FIBER_KEY_PREFIX));
+    return reactKey ? unwrapped[reactKey] : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read all message objects reachable from rendered message elements
+ * BROWSER ONLY
+ *
+ * @param {ParentNode} [root=document] - Where to look for message elements
+ * @returns {Map<string, Object>} Normalized messages keyed by message id
+ */
+function readFiberMessages(root = document) {
+  const messages = new Map();
+
+  for (const element of root.querySelectorAll('div[data-message-id]')) {
+    const fiber = getReactFiber(element);
+    if (!fiber) continue;
+
+    try {
+      for (const raw of getMessagesFromFiber(fiber)) {
+        const message = normalizeFiberMessage(raw);
+        if (message && !messages.has(message.id)) {
+          messages.set(message.id, message);
+        }
+      }
+    } catch (e) {
+      // Continue to next element if this one fails
+      continue;
+    }
+  }
+
+  return messages;
+}
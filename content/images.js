@@ -16,11 +16,46 @@ const MIN_IMAGE_SIZE = 50;
 
 /**
  * Quality presets for image export
- * @type {Object.<string, {maxWidth: number, maxHeight: number, quality: number}|null>}
+ * format 'auto' picks PNG or JPEG per image (see chooseImageFormat);
+ * quality applies to JPEG and WebP.
+ * @type {Object.<string, {maxWidth: number, maxHeight: number, format: string, quality: number}|null>}
  */
 const IMAGE_PRESETS = {
-  include: { maxWidth: 800, maxHeight: 600, quality: 0.85 },
-  none:    null  // Strip images entirely
+  include:  { maxWidth: 800, maxHeight: 600, format: 'auto', quality: 0.85 },
+  original: { maxWidth: Infinity, maxHeight: Infinity, format: 'auto', quality: 0.92 },
+  png:      { maxWidth: Infinity, maxHeight: Infinity, format: 'png', quality: 1 },
+  webp:     { maxWidth: Infinity, maxHeight: Infinity, format: 'webp', quality: 0.9 },
+  none:     null  // Strip images entirely
+};
+
+/** Images with at most this many colors (diagrams, screenshots) stay PNG in 'auto' format */
+const FEW_COLORS_LIMIT = 256;
+
+/** Pixels sampled when analyzing an image */
+const ANALYSIS_SAMPLES = 100000;
+
+/** Retries after a failed image download, and the time limit per attempt */
+const IMAGE_FETCH_RETRIES = 2;
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+/** Delay before the first retry; doubles for each further retry */
+const IMAGE_FETCH_RETRY_DELAY_MS = 500;
+
+/** Lower qualities, then smaller sizes, tried when an image is over its size budget */
+const BUDGET_QUALITIES = [0.75, 0.6, 0.45];
+const BUDGET_SCALES = [0.75, 0.5, 0.35];
+
+/** Folder of the image files in HTML + images bundles */
+const IMAGE_FILES_FOLDER = 'images';
+
+/** File extensions of image types, for bundled image files */
+const IMAGE_FILE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg'
 };
 
 /**
@@ -73,22 +108,137 @@ function shouldSkipImage(src, width, height, img = null) {
  * 
  * @param {number} width - Original image width
  * @param {number} height - Original image height
- * @param {string} preset - Preset name ('high', 'medium', 'low', 'none')
+ * @param {string} preset - Preset name (key of IMAGE_PRESETS)
+ * @param {number} [factor=1] - Further reduction, e.g. to fit a size budget
  * @returns {{width: number, height: number}|null} Scaled dimensions or null if preset is 'none'/invalid
  */
-function getScaledDimensions(width, height, preset) {
+function getScaledDimensions(width, height, preset, factor = 1) {
   const config = IMAGE_PRESETS[preset];
   if (!config) {
     return null;
   }
   
-  const scale = calculateScale(width, height, config.maxWidth, config.maxHeight);
+  const scale = calculateScale(width, height, config.maxWidth, config.maxHeight) * factor;
   return {
-    width: Math.round(width * scale),
-    height: Math.round(height * scale)
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
   };
 }
 
+/**
+ * Check RGBA pixel data for transparency and count its colors
+ * Large images are sampled.
+ *
+ * @param {Uint8ClampedArray|Array<number>} data - RGBA bytes (ImageData.data)
+ * @param {number} [maxSamples=ANALYSIS_SAMPLES] - Pixels to look at
+ * @returns {{hasAlpha: boolean, colorCount: number}} colorCount stops above FEW_COLORS_LIMIT
+ */
+function analyzePixels(data, maxSamples = ANALYSIS_SAMPLES) {
+  const pixels = Math.floor(data.length / 4);
+  const step = Math.max(1, Math.floor(pixels / maxSamples));
+  const colors = new Set();
+  let hasAlpha = false;
+
+  for (let pixel = 0; pixel < pixels; pixel += step) {
+    const i = pixel * 4;
+    if (data[i + 3] < 255) {
+      hasAlpha = true;
+    }
+    if (colors.size <= FEW_COLORS_LIMIT) {
+      colors.add((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+    } else if (hasAlpha) {
+      break;
+    }
+  }
+  return { hasAlpha, colorCount: colors.size };
+}
+
+/**
+ * Choose the output type of an image
+ * 'auto' keeps PNG for images with transparency or few colors (diagrams,
+ * screenshots) and uses JPEG for photos.
+ *
+ * @param {string} format - Preset format ('auto', 'png', 'jpeg', 'webp')
+ * @param {{hasAlpha: boolean, colorCount: number}} analysis - From analyzePixels
+ * @returns {string} MIME type
+ */
+function chooseImageFormat(format, analysis) {
+  if (format === 'png' || format === 'webp' || format === 'jpeg') {
+    return `image/${format}`;
+  }
+  return analysis.hasAlpha || analysis.colorCount <= FEW_COLORS_LIMIT ? 'image/png' : 'image/jpeg';
+}
+
+/**
+ * Encodings to try, in order, when an image is over its size budget
+ * Lossless PNG switches to WebP (keeps transparency) or JPEG.
+ *
+ * @param {string} mimeType - Type chosen by chooseImageFormat
+ * @param {number} quality - Preset quality
+ * @param {boolean} hasAlpha - Image has transparent pixels
+ * @returns {Array<{mimeType: string, quality: number, scale: number}>}
+ */
+function getBudgetSteps(mimeType, quality, hasAlpha) {
+  const isLossless = mimeType === 'image/png';
+  const lossyType = isLossless ? (hasAlpha ? 'image/webp' : 'image/jpeg') : mimeType;
+  const qualities = isLossless ? BUDGET_QUALITIES : BUDGET_QUALITIES.filter(q => q < quality);
+  const lowest = qualities.length ? qualities[qualities.length - 1] : quality;
+  return [
+    ...qualities.map(q => ({ mimeType: lossyType, quality: q, scale: 1 })),
+    ...BUDGET_SCALES.map(scale => ({ mimeType: lossyType, quality: lowest, scale }))
+  ];
+}
+
+/**
+ * Bytes of the data encoded in a base64 data URL
+ * @param {string} dataUrl
+ * @returns {number}
+ */
+function getDataUrlSize(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+/**
+ * Create the image size budget of an export
+ * @param {number} limitBytes - Total image bytes allowed (0: no limit)
+ * @param {number} imageCount - Images the export may contain
+ * @returns {{remainingBytes: number, remainingImages: number}|null} null without a limit
+ */
+function createImageBudget(limitBytes, imageCount) {
+  if (!(limitBytes > 0)) {
+    return null;
+  }
+  return { remainingBytes: limitBytes, remainingImages: Math.max(1, imageCount) };
+}
+
+/**
+ * Bytes the next image may use: an equal share of what is left, so images
+ * smaller than their share leave more for the rest
+ * @param {Object|null} budget - From createImageBudget
+ * @returns {number} Bytes (Infinity without a budget)
+ */
+function getImageAllowance(budget) {
+  if (!budget) {
+    return Infinity;
+  }
+  return Math.max(0, budget.remainingBytes) / Math.max(1, budget.remainingImages);
+}
+
+/**
+ * Account for one image (bytes is 0 for skipped or failed images)
+ * @param {Object|null} budget - From createImageBudget (modified)
+ * @param {number} bytes - Encoded size
+ */
+function chargeImageBudget(budget, bytes) {
+  if (!budget) {
+    return;
+  }
+  budget.remainingBytes -= bytes;
+  budget.remainingImages = Math.max(0, budget.remainingImages - 1);
+}
+
 /**
  * Factory for creating standardized image processing results
  */
@@ -97,13 +247,19 @@ const createImageResult = {
    * Create a success result
    * @param {string} dataUrl - The base64 data URL
    * @param {string} originalSrc - Original image source
+   * @param {boolean} [fetched=false] - Bytes were downloaded by the extension
+   *   because the page's copy could not be read
    */
-  success(dataUrl, originalSrc) {
-    return {
+  success(dataUrl, originalSrc, fetched = false) {
+    const result = {
       success: true,
       dataUrl,
       originalSrc
     };
+    if (fetched) {
+      result.fetched = true;
+    }
+    return result;
   },
 
   /**
@@ -133,13 +289,207 @@ const createImageResult = {
   }
 };
 
+/**
+ * Check that a URL points to ChatGPT's own file hosts
+ * The background script downloads with the user's cookies, so it only
+ * fetches from https://chatgpt.com and https://*.oaiusercontent.com.
+ *
+ * @param {string} url - Absolute URL
+ * @returns {boolean}
+ */
+function isChatGptFileUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase();
+  return parsed.protocol === 'https:' &&
+    (host === 'chatgpt.com' || host.endsWith('.oaiusercontent.com'));
+}
+
+/**
+ * Download an image, retrying network errors, timeouts and server errors
+ * Client errors (e.g. an expired file URL) are not retried.
+ *
+ * @param {string} url - Image URL
+ * @param {Object} [options]
+ * @param {number} [options.retries=IMAGE_FETCH_RETRIES] - Attempts after the first
+ * @param {number} [options.timeoutMs=IMAGE_FETCH_TIMEOUT_MS] - Time limit per attempt
+ * @param {string} [options.accept='image/'] - Required MIME type prefix ('' accepts any file)
+ * @param {Function} [options.fetchFn] - fetch implementation (default: global fetch)
+ * @param {Function} [options.delayFn] - Wait between attempts (default: setTimeout)
+ * @returns {Promise<{bytes: Uint8Array, mimeType: string}>}
+ * @throws {Error} From the last attempt
+ */
+async function fetchImageBytes(url, options = {}) {
+  const retries = options.retries ?? IMAGE_FETCH_RETRIES;
+  const timeoutMs = options.timeoutMs ?? IMAGE_FETCH_TIMEOUT_MS;
+  const accept = options.accept ?? 'image/';
+  const fetchFn = options.fetchFn || ((...args) => fetch(...args));
+  const delayFn = options.delayFn || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await delayFn(IMAGE_FETCH_RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchFn(url, { signal: controller.signal, credentials: 'include' });
+      if (!response.ok) {
+        lastError = new Error(`HTTP ${response.status}`);
+        if (response.status < 500 && response.status !== 408 && response.status !== 429) {
+          break;
+        }
+        continue;
+      }
+      const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase() ||
+        'application/octet-stream';
+      if (!mimeType.startsWith(accept)) {
+        throw Object.assign(new Error(`Not an image (${mimeType || 'unknown type'})`), { permanent: true });
+      }
+      return { bytes: new Uint8Array(await response.arrayBuffer()), mimeType };
+    } catch (error) {
+      if (error.permanent) {
+        throw error;
+      }
+      lastError = error.name === 'AbortError' ? new Error(`Timed out after ${timeoutMs / 1000}s`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Encode bytes as a base64 data URL
+ * @param {Uint8Array} bytes
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function bytesToDataUrl(bytes, mimeType) {
+  let binary = '';
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${mimeType};base64,${btoa(binary)}`;
+}
+
+/**
+ * Decode a base64 data URL
+ * @param {string} dataUrl
+ * @returns {{bytes: Uint8Array, mimeType: string}|null} null if not a base64 data URL
+ */
+function dataUrlToBytes(dataUrl) {
+  const match = /^data:([^;,]+)(?:;[^;,]+)*;base64,(.*)$/s.exec(dataUrl || '');
+  if (!match) {
+    return null;
+  }
+  const binary = atob(match[2]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return { bytes, mimeType: match[1].toLowerCase() };
+}
+
+/**
+ * Collects the image files of an HTML + images bundle
+ * paths maps each image's dedup key (src without query) to its file, so an
+ * image shown in several messages is stored once.
+ *
+ * @returns {{files: Array<{name: string, data: Uint8Array, mimeType: string}>, paths: Map<string, string>}}
+ *   files can be passed to createZip
+ */
+function createImageFileCollector() {
+  return { files: [], paths: new Map() };
+}
+
+/**
+ * Store an encoded image as a bundle file
+ * @param {Object} collector - From createImageFileCollector (updated)
+ * @param {string} srcKey - Dedup key of the image
+ * @param {string} dataUrl - Encoded image
+ * @returns {string|null} Relative path of the file (e.g. 'images/image-001.png'),
+ *   or null if the data URL cannot be decoded
+ */
+function addImageFile(collector, srcKey, dataUrl) {
+  if (collector.paths.has(srcKey)) {
+    return collector.paths.get(srcKey);
+  }
+  const decoded = dataUrlToBytes(dataUrl);
+  if (!decoded) {
+    return null;
+  }
+  const extension = IMAGE_FILE_EXTENSIONS[decoded.mimeType] || 'img';
+  const number = String(collector.files.length + 1).padStart(3, '0');
+  const path = `${IMAGE_FILES_FOLDER}/image-${number}.${extension}`;
+  collector.files.push({ name: path, data: decoded.bytes, mimeType: decoded.mimeType });
+  collector.paths.set(srcKey, path);
+  return path;
+}
+
+/**
+ * Replace bundle image paths in an HTML document with data URLs again,
+ * e.g. for a copy that has to work without the images folder
+ * @param {string} html - Document referencing files of the collector
+ * @param {Object} collector - From createImageFileCollector
+ * @returns {string}
+ */
+function inlineImageFiles(html, collector) {
+  const files = new Map(collector.files.map(file => [file.name, file]));
+  const pattern = new RegExp(`src="(${IMAGE_FILES_FOLDER}/image-\\d+\\.[a-z]+)"`, 'g');
+  return html.replace(pattern, (match, path) => {
+    const file = files.get(path);
+    return file ? `src="${bytesToDataUrl(file.data, file.mimeType)}"` : match;
+  });
+}
+
+/**
+ * Remove buttons and other interactive elements from a copy of a message,
+ * keeping the images inside buttons (Code Interpreter charts open a viewer on
+ * click), so processAllImages embeds them like other images
+ * @param {Element} root - Detached copy of the message
+ * @param {string} interactiveSelector - Elements to remove (SELECTORS.interactive)
+ */
+function stripInteractiveElements(root, interactiveSelector) {
+  // Unwrap first: the interactive selector matches the buttons themselves
+  root.querySelectorAll('button').forEach(button => {
+    const buttonImages = button.querySelectorAll('img');
+    if (buttonImages.length) {
+      button.replaceWith(...buttonImages);
+    }
+  });
+  root.querySelectorAll(interactiveSelector).forEach(el => el.remove());
+}
+
 // Export for testing (ES modules / Node)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { 
     IMAGE_PRESETS, 
+    FEW_COLORS_LIMIT,
     calculateScale, 
     shouldSkipImage,
     getScaledDimensions,
+    analyzePixels,
+    chooseImageFormat,
+    getBudgetSteps,
+    getDataUrlSize,
+    createImageBudget,
+    getImageAllowance,
+    chargeImageBudget,
+    isChatGptFileUrl,
+    fetchImageBytes,
+    bytesToDataUrl,
+    dataUrlToBytes,
+    createImageFileCollector,
+    addImageFile,
+    inlineImageFiles,
+    stripInteractiveElements,
     createImageResult,
     MIN_IMAGE_SIZE
   };
@@ -149,33 +499,87 @@ if (typeof module !== 'undefined' && module.exports) {
 // Browser-only functions (require DOM/Canvas)
 // ============================================================================
 
+/**
+ * Draw an image on a new canvas
+ * BROWSER ONLY - requires document.createElement
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Image to draw
+ * @param {{width: number, height: number}} dims - Canvas size
+ * @param {string} [background] - Fill color under the image (JPEG has no transparency)
+ * @returns {HTMLCanvasElement}
+ */
+function drawToCanvas(source, dims, background) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  
+  canvas.width = dims.width;
+  canvas.height = dims.height;
+  
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, dims.width, dims.height);
+  }
+  ctx.drawImage(source, 0, 0, dims.width, dims.height);
+  return canvas;
+}
+
+/**
+ * Encode a canvas as a data URL
+ * BROWSER ONLY
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas with the image (may be transparent)
+ * @param {string} mimeType - Output type
+ * @param {number} quality - JPEG/WebP quality
+ * @returns {string} Base64 data URL
+ */
+function encodeCanvas(canvas, mimeType, quality) {
+  // Transparent pixels would turn black in JPEG
+  const source = mimeType === 'image/jpeg'
+    ? drawToCanvas(canvas, { width: canvas.width, height: canvas.height }, '#fff')
+    : canvas;
+  return source.toDataURL(mimeType, quality);
+}
+
 /**
  * Resize image using Canvas and convert to base64 data URL
+ * Output type follows the preset (see chooseImageFormat); over maxBytes,
+ * lower qualities and sizes are tried (see getBudgetSteps) and the last
+ * attempt is kept if none fits.
  * BROWSER ONLY - requires document.createElement
  * 
  * @param {HTMLImageElement} img - Loaded image element
  * @param {string} preset - Quality preset name
+ * @param {number} [maxBytes=Infinity] - Size budget of this image
  * @returns {string} Base64 data URL
  * @throws {Error} If canvas operations fail (e.g., CORS)
  */
-function resizeAndEncode(img, preset = 'medium') {
+function resizeAndEncode(img, preset = 'include', maxBytes = Infinity) {
   const config = IMAGE_PRESETS[preset];
   if (!config) {
     throw new Error(`Invalid preset: ${preset}`);
   }
 
   const dims = getScaledDimensions(img.naturalWidth, img.naturalHeight, preset);
+  const canvas = drawToCanvas(img, dims);
   
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  
-  canvas.width = dims.width;
-  canvas.height = dims.height;
-  
-  ctx.drawImage(img, 0, 0, dims.width, dims.height);
-  
-  // This throws if image is cross-origin without CORS headers
-  return canvas.toDataURL('image/jpeg', config.quality);
+  // getImageData and toDataURL throw if image is cross-origin without CORS headers
+  const analysis = analyzePixels(canvas.getContext('2d').getImageData(0, 0, dims.width, dims.height).data);
+  const mimeType = chooseImageFormat(config.format, analysis);
+  let dataUrl = encodeCanvas(canvas, mimeType, config.quality);
+  if (getDataUrlSize(dataUrl) <= maxBytes) {
+    return dataUrl;
+  }
+
+  for (const step of getBudgetSteps(mimeType, config.quality, analysis.hasAlpha)) {
+    const stepCanvas = step.scale === 1
+      ? canvas
+      : drawToCanvas(img, getScaledDimensions(img.naturalWidth, img.naturalHeight, preset, step.scale));
+    dataUrl = encodeCanvas(stepCanvas, step.mimeType, step.quality);
+    if (getDataUrlSize(dataUrl) <= maxBytes) {
+      break;
+    }
+  }
+  return dataUrl;
 }
 
 /**
@@ -201,9 +605,10 @@ function waitForLoad(img) {
  * 
  * @param {HTMLImageElement} img - Image element to process
  * @param {string} preset - Quality preset name
+ * @param {number} [maxBytes=Infinity] - Size budget of this image
  * @returns {Promise<Object>} Result object from createImageResult
  */
-async function processImage(img, preset = 'medium') {
+async function processImage(img, preset = 'include', maxBytes = Infinity) {
   const originalSrc = img.src;
   
   // Check if should skip (pass img element for class checking)
@@ -213,11 +618,53 @@ async function processImage(img, preset = 'medium') {
 
   try {
     await waitForLoad(img);
-    const dataUrl = resizeAndEncode(img, preset);
+    const dataUrl = resizeAndEncode(img, preset, maxBytes);
     return createImageResult.success(dataUrl, originalSrc);
   } catch (error) {
-    console.warn('GPT Chat Save: Image processing failed', error.message);
-    return createImageResult.error(error.message, originalSrc);
+    // Usually a tainted canvas (cross-origin image without CORS headers)
+    try {
+      const dataUrl = await fetchImageViaExtension(originalSrc, preset, maxBytes);
+      return createImageResult.success(dataUrl, originalSrc, true);
+    } catch (fetchError) {
+      console.warn('GPT Chat Save: Image processing failed', error.message, fetchError.message);
+      return createImageResult.error(fetchError.message, originalSrc);
+    }
+  }
+}
+
+/**
+ * Download an image through the background script, which is not bound by
+ * the page's CORS rules, then resize and encode it like a page image
+ * BROWSER ONLY
+ *
+ * @param {string} src - Image URL
+ * @param {string} preset - Quality preset name
+ * @param {number} [maxBytes=Infinity] - Size budget of this image
+ * @returns {Promise<string>} Base64 data URL
+ * @throws {Error} If the download fails
+ */
+async function fetchImageViaExtension(src, preset, maxBytes = Infinity) {
+  const response = await new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'fetch_image', url: src }, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!result?.success) {
+        reject(new Error(result?.error || 'Image download failed'));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+
+  // A data URL image can be drawn without tainting the canvas
+  try {
+    const copy = new Image();
+    copy.src = response.dataUrl;
+    await waitForLoad(copy);
+    return resizeAndEncode(copy, preset, maxBytes);
+  } catch (error) {
+    // Formats the canvas cannot draw are embedded as downloaded
+    return response.dataUrl;
   }
 }
 
@@ -226,11 +673,15 @@ async function processImage(img, preset = 'medium') {
  * BROWSER ONLY
  * 
  * @param {HTMLElement} container - DOM element containing images
- * @param {string} preset - Quality preset ('high', 'medium', 'low', 'none')
- * @returns {Promise<{processed: number, failed: number, skipped: number}>}
+ * @param {string} preset - Quality preset (key of IMAGE_PRESETS)
+ * @param {Object|null} [budget=null] - Image size budget of the export (see createImageBudget)
+ * @param {Object|null} [imageFiles=null] - Bundle file collector (see createImageFileCollector);
+ *   images are then written to it and linked by relative path instead of embedded
+ * @returns {Promise<{processed: number, fetched: number, failed: number, skipped: number}>}
+ *   fetched counts processed images downloaded by the extension (see fetchImageViaExtension)
  */
-async function processAllImages(container, preset = 'include') {
-  const stats = { processed: 0, failed: 0, skipped: 0 };
+async function processAllImages(container, preset = 'include', budget = null, imageFiles = null) {
+  const stats = { processed: 0, fetched: 0, failed: 0, skipped: 0 };
   
   // Handle 'none' preset - strip all images and their UI containers
   if (preset === 'none' || !IMAGE_PRESETS[preset]) {
@@ -282,21 +733,38 @@ async function processAllImages(container, preset = 'include') {
     const srcKey = img.src.split('?')[0]; // Ignore query params for deduplication
     if (processedSrcs.has(srcKey)) {
       img.remove(); // Remove duplicate
+      chargeImageBudget(budget, 0);
       stats.skipped++;
       continue;
     }
+
+    // Already written to the bundle by an earlier message
+    const bundledPath = imageFiles?.paths.get(srcKey);
+    if (bundledPath) {
+      img.src = bundledPath;
+      img.removeAttribute('srcset');
+      img.classList.add('exported-image');
+      processedSrcs.add(srcKey);
+      chargeImageBudget(budget, 0);
+      stats.processed++;
+      continue;
+    }
     
-    const result = await processImage(img, preset);
+    const result = await processImage(img, preset, getImageAllowance(budget));
+    chargeImageBudget(budget, result.success && !result.skipped ? getDataUrlSize(result.dataUrl) : 0);
     
     if (result.skipped) {
       img.remove(); // Remove skipped images (blurred backgrounds, etc.)
       stats.skipped++;
     } else if (result.success) {
-      img.src = result.dataUrl;
+      img.src = (imageFiles && addImageFile(imageFiles, srcKey, result.dataUrl)) || result.dataUrl;
       img.removeAttribute('srcset');
       img.classList.add('exported-image');
       processedSrcs.add(srcKey); // Mark this src as processed
       stats.processed++;
+      if (result.fetched) {
+        stats.fetched++;
+      }
     } else {
       // Failed - add placeholder with fallback link
       const wrapper = document.createElement('span');
@@ -0,0 +1,410 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Incremental Export
+ * Remembers the last exported message of each conversation, so later exports
+ * can contain only new messages, and caches processed message HTML (in memory,
+ * and in chrome.storage.local if turned on in the settings, so it survives
+ * reloads) so full re-exports skip sanitizing and image encoding for unchanged
+ * messages.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+/** chrome.storage.local key holding the last exported message per conversation */
+const EXPORT_HISTORY_KEY = 'exportHistory';
+
+/** Conversations remembered in the export history (least recently exported dropped first) */
+const EXPORT_HISTORY_LIMIT = 500;
+
+/** Processed messages kept in memory and in storage (oldest dropped first) */
+const PROCESSED_CACHE_LIMIT = 2000;
+
+/** Characters of processed HTML kept in memory per tab (oldest dropped first) */
+const PROCESSED_CACHE_MEMORY_LIMIT = 32 * 1024 * 1024;
+
+/** chrome.storage.sync key of the setting that keeps processed messages in storage (default off) */
+const PROCESSED_CACHE_SETTING_KEY = 'keepProcessedCache';
+
+/** chrome.storage.local key prefix of stored processed messages (followed by the cache key) */
+const PROCESSED_CACHE_PREFIX = 'processed:';
+
+/** chrome.storage.local key listing the stored processed messages, oldest first */
+const PROCESSED_CACHE_INDEX_KEY = 'processedIndex';
+
+/** Characters of processed HTML kept in storage (oldest dropped first) */
+const PROCESSED_CACHE_STORAGE_LIMIT = 50 * 1024 * 1024;
+
+/**
+ * Last message id of a processed message list
+ * A message can span several ids (e.g. text and image parts); the last one is used.
+ *
+ * @param {Array<{id: string|null, ids: string[]}>} messages - Messages in page order
+ * @returns {string|null}
+ */
+function getLastMessageId(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const { ids = [], id } = messages[i];
+    const lastId = ids[ids.length - 1] || id;
+    if (lastId) {
+      return lastId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Messages after the last exported one
+ * @param {Array<{id: string|null, ids: string[]}>} messages - Messages in page order
+ * @param {string|null} lastMessageId - Last exported message id (null: nothing exported yet)
+ * @returns {{found: boolean, messages: Array<Object>}} found is false if the id is not on
+ *   the page (edited, or another branch is shown); messages is then empty
+ */
+function getMessagesAfter(messages, lastMessageId) {
+  if (!lastMessageId) {
+    return { found: true, messages };
+  }
+  const index = messages.findIndex(message =>
+    message.id === lastMessageId || (message.ids || []).includes(lastMessageId));
+  if (index === -1) {
+    return { found: false, messages: [] };
+  }
+  return { found: true, messages: messages.slice(index + 1) };
+}
+
+/**
+ * Record an export in the history
+ * @param {Object} history - Conversation id → { messageId, exportedAt } (not modified)
+ * @param {string} conversationId - Exported conversation
+ * @param {string} messageId - Last exported message id
+ * @param {string} exportedAt - ISO time of the export
+ * @param {number} [limit=EXPORT_HISTORY_LIMIT] - Conversations to keep
+ * @returns {Object} Updated history
+ */
+function recordExportHistory(history, conversationId, messageId, exportedAt, limit = EXPORT_HISTORY_LIMIT) {
+  const entries = Object.entries(history || {})
+    .filter(([id]) => id !== conversationId)
+    .sort((a, b) => b[1].exportedAt.localeCompare(a[1].exportedAt))
+    .slice(0, Math.max(0, limit - 1));
+  return Object.fromEntries([[conversationId, { messageId, exportedAt }], ...entries]);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, as hex
+ * Used to notice when a cached message has changed on the page.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Fingerprint of a rendered message, to notice when a cached copy is outdated
+ * Image URLs on chatgpt.com are signed and expire, so their query strings are
+ * left out; the same message still matches after a reload.
+ *
+ * @param {string[]} ids - Message ids (data-message-id values)
+ * @param {string} html - Rendered markup of the message
+ * @returns {string}
+ */
+function getProcessedFingerprint(ids, html) {
+  const stable = html.replace(/<img\b[^>]*>/gi, tag =>
+    tag.replace(/\s(?:src|srcset)="[^"]*"/gi, attribute => attribute.replace(/\?[^"\s,]*/g, '')));
+  return hashString(`${ids.join(',')}|${stable}`);
+}
+
+/**
+ * Cache key for a processed message
+ * @param {{ids: string[]}} message - Message with its data-message-id values
+ * @param {string} imageQuality - Image setting the HTML was processed with
+ * @param {string} [variant=''] - Other processing settings (e.g. redaction signature)
+ * @returns {string|null} Key, or null for messages without an id (never cached)
+ */
+function getProcessedCacheKey(message, imageQuality, variant = '') {
+  if (!message.ids?.length) {
+    return null;
+  }
+  const key = `${message.ids.join(',')}|${imageQuality}`;
+  return variant ? `${key}|${hashString(variant)}` : key;
+}
+
+/**
+ * Add a stored processed message to the index and drop the oldest ones over the limits
+ * @param {Array<{key: string, size: number}>} index - Stored messages, oldest first (not modified)
+ * @param {string} key - Cache key of the new message
+ * @param {number} size - Length of its processed HTML
+ * @param {number} [maxEntries=PROCESSED_CACHE_LIMIT] - Messages to keep
+ * @param {number} [maxSize=PROCESSED_CACHE_STORAGE_LIMIT] - Total HTML length to keep
+ * @returns {{index: Array<{key: string, size: number}>, removed: string[]}} Updated index and
+ *   the keys to delete (includes key itself if the message alone is over maxSize)
+ */
+function addProcessedCacheEntry(index, key, size, maxEntries = PROCESSED_CACHE_LIMIT,
+  maxSize = PROCESSED_CACHE_STORAGE_LIMIT) {
+  const entries = [...(index || []).filter(entry => entry.key !== key), { key, size }];
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const removed = [];
+  while (entries.length && (entries.length > maxEntries || total > maxSize)) {
+    const oldest = entries.shift();
+    total -= oldest.size;
+    removed.push(oldest.key);
+  }
+  return { index: entries, removed };
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORT_HISTORY_LIMIT,
+    getLastMessageId,
+    getMessagesAfter,
+    recordExportHistory,
+    hashString,
+    getProcessedFingerprint,
+    getProcessedCacheKey,
+    addProcessedCacheEntry
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/** Processed HTML by cache key: { fingerprint, content, redactions, images } */
+const processedCache = new Map();
+
+/** Keys and HTML lengths of processedCache, oldest first (see addProcessedCacheEntry) */
+let processedCacheIndex = [];
+
+/** Pending storage writes; index updates run one after another */
+let processedCacheWrites = Promise.resolve();
+
+/** Whether processed messages are kept in storage (Promise, reloaded when the setting changes) */
+let processedStorageEnabled = null;
+
+/**
+ * Load the export history
+ * BROWSER ONLY
+ *
+ * @returns {Promise<Object>} Conversation id → { messageId, exportedAt }
+ */
+function loadExportHistory() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([EXPORT_HISTORY_KEY], (result) => {
+      resolve(chrome.runtime.lastError ? {} : result[EXPORT_HISTORY_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Remember the last exported message of a conversation
+ * BROWSER ONLY
+ *
+ * @param {string} conversationId
+ * @param {string} messageId
+ * @returns {Promise<void>}
+ */
+async function saveExportHistory(conversationId, messageId) {
+  const history = recordExportHistory(
+    await loadExportHistory(), conversationId, messageId, new Date().toISOString()
+  );
+  return new Promise(resolve => {
+    chrome.storage.local.set({ [EXPORT_HISTORY_KEY]: history }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('GPT Chat Save: Failed to save export history', chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Keep a processed message in memory, dropping the oldest ones over the limits
+ * BROWSER ONLY
+ *
+ * @param {string} key - From getProcessedCacheKey
+ * @param {Object} entry - { fingerprint, content, redactions, images }
+ */
+function rememberProcessed(key, entry) {
+  const { index, removed } = addProcessedCacheEntry(
+    processedCacheIndex, key, entry.content.length, PROCESSED_CACHE_LIMIT, PROCESSED_CACHE_MEMORY_LIMIT
+  );
+  processedCacheIndex = index;
+  removed.forEach(removedKey => processedCache.delete(removedKey));
+  if (!removed.includes(key)) {
+    processedCache.set(key, entry);
+  }
+}
+
+/**
+ * Drop an outdated processed message from memory
+ * BROWSER ONLY
+ *
+ * @param {string} key - From getProcessedCacheKey
+ */
+function forgetProcessed(key) {
+  processedCache.delete(key);
+  processedCacheIndex = processedCacheIndex.filter(entry => entry.key !== key);
+}
+
+/**
+ * Whether the settings page allows keeping processed messages in storage
+ * BROWSER ONLY
+ *
+ * @returns {Promise<boolean>}
+ */
+function loadProcessedStorageEnabled() {
+  if (!processedStorageEnabled) {
+    processedStorageEnabled = new Promise(resolve => {
+      chrome.storage.sync.get([PROCESSED_CACHE_SETTING_KEY], (result) => {
+        resolve(!chrome.runtime.lastError && result[PROCESSED_CACHE_SETTING_KEY] === true);
+      });
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'sync' && changes[PROCESSED_CACHE_SETTING_KEY]) {
+        processedStorageEnabled = Promise.resolve(changes[PROCESSED_CACHE_SETTING_KEY].newValue === true);
+      }
+    });
+  }
+  return processedStorageEnabled;
+}
+
+/**
+ * Number and size of the processed messages kept in storage
+ * BROWSER ONLY
+ *
+ * @returns {Promise<{count: number, size: number}>} size in characters of HTML
+ */
+function getStoredProcessedUsage() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([PROCESSED_CACHE_INDEX_KEY], (result) => {
+      const index = chrome.runtime.lastError ? [] : result[PROCESSED_CACHE_INDEX_KEY] || [];
+      resolve({ count: index.length, size: index.reduce((sum, entry) => sum + entry.size, 0) });
+    });
+  });
+}
+
+/**
+ * Delete all processed messages kept in storage
+ * BROWSER ONLY
+ *
+ * @returns {Promise<void>}
+ */
+function clearStoredProcessed() {
+  processedCacheWrites = processedCacheWrites.then(() => new Promise(resolve => {
+    chrome.storage.local.get([PROCESSED_CACHE_INDEX_KEY], (result) => {
+      const index = chrome.runtime.lastError ? [] : result[PROCESSED_CACHE_INDEX_KEY] || [];
+      const keys = [PROCESSED_CACHE_INDEX_KEY, ...index.map(entry => PROCESSED_CACHE_PREFIX + entry.key)];
+      chrome.storage.local.remove(keys, () => resolve());
+    });
+  }));
+  return processedCacheWrites;
+}
+
+/**
+ * Read a processed message stored by an earlier page load
+ * BROWSER ONLY
+ *
+ * @param {string} key - From getProcessedCacheKey
+ * @returns {Promise<Object|null>} { fingerprint, content, redactions, images }
+ */
+function loadStoredProcessed(key) {
+  const storageKey = PROCESSED_CACHE_PREFIX + key;
+  return new Promise(resolve => {
+    chrome.storage.local.get([storageKey], (result) => {
+      resolve(chrome.runtime.lastError ? null : result[storageKey] || null);
+    });
+  });
+}
+
+/**
+ * Store a processed message for later page loads, dropping the oldest ones
+ * over the limits
+ * BROWSER ONLY
+ *
+ * @param {string} key - From getProcessedCacheKey
+ * @param {Object} entry - { fingerprint, content, redactions, images }
+ * @returns {Promise<void>}
+ */
+function storeProcessed(key, entry) {
+  processedCacheWrites = processedCacheWrites.then(() => new Promise(resolve => {
+    chrome.storage.local.get([PROCESSED_CACHE_INDEX_KEY], (result) => {
+      const stored = chrome.runtime.lastError ? [] : result[PROCESSED_CACHE_INDEX_KEY];
+      const { index, removed } = addProcessedCacheEntry(stored, key, entry.content.length);
+      chrome.storage.local.remove(removed.map(removedKey => PROCESSED_CACHE_PREFIX + removedKey), () => {
+        const items = { [PROCESSED_CACHE_INDEX_KEY]: index };
+        if (!removed.includes(key)) {
+          items[PROCESSED_CACHE_PREFIX + key] = entry;
+        }
+        chrome.storage.local.set(items, () => {
+          if (chrome.runtime.lastError) {
+            console.warn('GPT Chat Save: Failed to store processed message', chrome.runtime.lastError);
+          }
+          resolve();
+        });
+      });
+    });
+  }));
+  return processedCacheWrites;
+}
+
+/**
+ * Process a message article, reusing the result of an earlier export when
+ * the message has not changed
+ * Results are kept in memory, and in storage when turned on in the settings,
+ * so they are reused after the page is reloaded. Exports with an image size
+ * budget or image files are not cached:
+ * how much an image may use depends on the other images of the export, and
+ * bundled images are numbered per export. Messages with images that
+ * could not be embedded are not cached either, so the next export retries them.
+ * Messages without an article are rendered from their fiber parts.
+ * BROWSER ONLY
+ *
+ * @param {Object} message - Message from extractConversation
+ * @param {string} imageQuality - Image quality preset
+ * @param {Array<Object>} [redactionRules=[]] - Rules from loadRedactionRules
+ * @param {Object|null} [imageBudget=null] - Image size budget (see createImageBudget)
+ * @param {Object|null} [imageFiles=null] - Bundle file collector (see createImageFileCollector)
+ * @returns {Promise<{content: string, redactions: Object<string, number>, images: Object}>} See processArticle
+ */
+async function processArticleCached(message, imageQuality, redactionRules = [], imageBudget = null,
+  imageFiles = null) {
+  if (!message.article) {
+    return processFiberMessage(message, redactionRules);
+  }
+  const key = getProcessedCacheKey(message, imageQuality, getRedactionSignature(redactionRules));
+  if (!key || imageBudget || imageFiles) {
+    return processArticle(message.article, imageQuality, redactionRules, imageBudget, imageFiles);
+  }
+
+  const keepStored = await loadProcessedStorageEnabled();
+  const fingerprint = getProcessedFingerprint(message.ids, message.article.innerHTML);
+  const cached = processedCache.get(key) || (keepStored ? await loadStoredProcessed(key) : null);
+  if (cached && cached.fingerprint === fingerprint) {
+    rememberProcessed(key, cached);
+    return { content: cached.content, redactions: cached.redactions, images: cached.images };
+  }
+
+  const { content, redactions, images } = await processArticle(message.article, imageQuality, redactionRules);
+  forgetProcessed(key);
+  if (images.failed) {
+    return { content, redactions, images };
+  }
+  const entry = { fingerprint, content, redactions, images };
+  rememberProcessed(key, entry);
+  if (keepStored) {
+    // Not awaited: the export does not wait for storage
+    storeProcessed(key, entry);
+  }
+  return { content, redactions, images };
+}
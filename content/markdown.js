@@ -0,0 +1,467 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Markdown Conversion
+ * Converts sanitized message HTML to GitHub-flavored Markdown
+ *
+ * Only relies on basic node properties (nodeType, nodeName, childNodes,
+ * textContent, getAttribute) so it can be tested without a DOM.
+ * Uses getCodeLanguage, formatAttachmentLabel and escapeHtml from utils.js (loaded first,
+ * see manifest.json).
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/** Elements rendered as standalone Markdown blocks */
+const MARKDOWN_BLOCK_TAGS = [
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'pre', 'blockquote', 'table', 'hr'
+];
+
+/**
+ * Lowercase tag name of a node ('' for non-elements)
+ * @param {Node} node
+ * @returns {string}
+ */
+function tagOf(node) {
+  return node.nodeType === ELEMENT_NODE ? node.nodeName.toLowerCase() : '';
+}
+
+/**
+ * Child element nodes with a given tag name
+ * @param {Node} node - Parent node
+ * @param {string} tag - Lowercase tag name
+ * @returns {Node[]}
+ */
+function childrenByTag(node, tag) {
+  return Array.from(node.childNodes).filter(child => tagOf(child) === tag);
+}
+
+/**
+ * Escape characters that Markdown would otherwise interpret
+ * @param {string} text - Plain text
+ * @returns {string} Markdown-safe text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+/**
+ * Percent-encode the characters that would end a Markdown link destination
+ * early: parentheses, angle brackets and spaces
+ * @param {string} url - Link or image URL
+ * @returns {string} URL safe to place inside (...)
+ */
+function escapeMarkdownUrl(url) {
+  return url.replace(/[()<>\s]/g, char =>
+    `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+/**
+ * Wrap inline code in enough backticks to contain any backticks inside it
+ * @param {string} code - Raw code text
+ * @returns {string} Inline code span
+ */
+function inlineCode(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+/**
+ * Build a fenced code block, lengthening the fence if the code contains one
+ * @param {string} code - Raw code text
+ * @param {string} language - Language identifier ('' for none)
+ * @returns {string} Fenced code block
+ */
+function fenceCode(code, language = '') {
+  const longestRun = Math.max(0, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  const body = code.endsWith('\n') ? code : `${code}\n`;
+  return `${fence}${language}\n${body}${fence}`;
+}
+
+/**
+ * Find the original TeX source in a KaTeX MathML element
+ * @param {Node} math - math element
+ * @returns {string|null} TeX source, or null if there is no annotation
+ */
+function getTexSource(math) {
+  const stack = [math];
+  while (stack.length) {
+    const node = stack.pop();
+    if (tagOf(node) === 'annotation' && node.getAttribute('encoding') === 'application/x-tex') {
+      return node.textContent.trim();
+    }
+    stack.push(...Array.from(node.childNodes));
+  }
+  return null;
+}
+
+/**
+ * Convert a MathML element to $...$ (inline) or $$...$$ (display) math
+ * @param {Node} math - math element
+ * @returns {string}
+ */
+function mathToMarkdown(math) {
+  const tex = getTexSource(math) ?? math.textContent.trim();
+  if (!tex) {
+    return '';
+  }
+  return math.getAttribute('display') === 'block' ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+}
+
+/**
+ * Convert inline content of a node to Markdown
+ * @param {Node} node
+ * @returns {string}
+ */
+function inlineToMarkdown(node) {
+  if (node.nodeType === TEXT_NODE) {
+    return escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+  }
+  if (node.nodeType !== ELEMENT_NODE) {
+    return '';
+  }
+
+  const tag = tagOf(node);
+  const children = () => Array.from(node.childNodes).map(inlineToMarkdown).join('');
+
+  switch (tag) {
+    case 'strong':
+    case 'b': {
+      const text = children().trim();
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = children().trim();
+      return text ? `*${text}*` : '';
+    }
+    case 'code':
+      return inlineCode(node.textContent);
+    case 'br':
+      return '  \n';
+    case 'a': {
+      const href = node.getAttribute('href');
+      const text = children().trim();
+      return href ? `[${text || escapeMarkdown(href)}](${escapeMarkdownUrl(href)})` : text;
+    }
+    case 'img': {
+      const src = node.getAttribute('src');
+      return src ? `![${escapeMarkdown(node.getAttribute('alt') || '')}](${escapeMarkdownUrl(src)})` : '';
+    }
+    case 'math':
+      return mathToMarkdown(node);
+    default:
+      return children();
+  }
+}
+
+/**
+ * Convert a list element to Markdown, indenting nested content under each item
+ * @param {Node} list - ul or ol element
+ * @returns {string}
+ */
+function listToMarkdown(list) {
+  const ordered = tagOf(list) === 'ol';
+  const start = parseInt(list.getAttribute('start'), 10) || 1;
+
+  return childrenByTag(list, 'li').map((item, i) => {
+    const marker = ordered ? `${start + i}. ` : '- ';
+    const indent = ' '.repeat(marker.length);
+    const content = blocksToMarkdown(item, '\n') || '';
+    return content
+      .split('\n')
+      .map((line, lineIndex) => {
+        if (lineIndex === 0) return marker + line;
+        return line ? indent + line : line;
+      })
+      .join('\n');
+  }).join('\n');
+}
+
+/**
+ * Convert a table element to a GFM table
+ * @param {Node} table
+ * @returns {string}
+ */
+function tableToMarkdown(table) {
+  const rows = [];
+  const collectRows = node => {
+    Array.from(node.childNodes).forEach(child => {
+      if (tagOf(child) === 'tr') {
+        rows.push(child);
+      } else if (child.nodeType === ELEMENT_NODE) {
+        collectRows(child);
+      }
+    });
+  };
+  collectRows(table);
+  if (!rows.length) {
+    return '';
+  }
+
+  const cellText = cell => inlineToMarkdown(cell).trim().replace(/\s*\n\s*/g, '<br>');
+  const cells = rows.map(row =>
+    Array.from(row.childNodes)
+      .filter(child => tagOf(child) === 'th' || tagOf(child) === 'td')
+      .map(cellText)
+  );
+  const columnCount = Math.max(...cells.map(row => row.length));
+  const formatRow = row => {
+    const padded = row.concat(Array(columnCount - row.length).fill(''));
+    return `| ${padded.join(' | ')} |`;
+  };
+
+  const [header, ...body] = cells;
+  return [
+    formatRow(header),
+    `| ${Array(columnCount).fill('---').join(' | ')} |`,
+    ...body.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Convert a single block element to Markdown
+ * @param {Node} node - Element whose tag is in MARKDOWN_BLOCK_TAGS
+ * @returns {string}
+ */
+function blockToMarkdown(node) {
+  const tag = tagOf(node);
+
+  if (/^h[1-6]$/.test(tag)) {
+    return `${'#'.repeat(Number(tag[1]))} ${inlineToMarkdown(node).trim()}`;
+  }
+
+  switch (tag) {
+    case 'p':
+      // Display math inside a paragraph splits it into separate blocks
+      return inlineToMarkdown(node).trim().replace(/\s*\n\n\s*/g, '\n\n');
+    case 'pre': {
+      const code = childrenByTag(node, 'code')[0] || node;
+      return fenceCode(code.textContent, getCodeLanguage(code.getAttribute('class') || ''));
+    }
+    case 'ul':
+    case 'ol':
+      return listToMarkdown(node);
+    case 'blockquote':
+      return blocksToMarkdown(node)
+        .split('\n')
+        .map(line => (line ? `> ${line}` : '>'))
+        .join('\n');
+    case 'table':
+      return tableToMarkdown(node);
+    case 'hr':
+      return '---';
+    default:
+      return inlineToMarkdown(node).trim();
+  }
+}
+
+/**
+ * Convert the children of a node to Markdown blocks
+ * Consecutive inline children are grouped into a single paragraph.
+ * @param {Node} node - Container node
+ * @param {string} [listSeparator='\n\n'] - Separator placed before nested lists
+ * @returns {string}
+ */
+function blocksToMarkdown(node, listSeparator = '\n\n') {
+  const blocks = [];
+  let inline = '';
+
+  const flushInline = () => {
+    const text = inline.trim();
+    if (text) {
+      blocks.push({ tag: 'p', text });
+    }
+    inline = '';
+  };
+
+  Array.from(node.childNodes).forEach(child => {
+    const tag = tagOf(child);
+    if (MARKDOWN_BLOCK_TAGS.includes(tag)) {
+      flushInline();
+      const text = blockToMarkdown(child);
+      if (text) {
+        blocks.push({ tag, text });
+      }
+    } else {
+      inline += inlineToMarkdown(child);
+    }
+  });
+  flushInline();
+
+  return blocks.map((block, i) => {
+    if (i === 0) return block.text;
+    const isList = block.tag === 'ul' || block.tag === 'ol';
+    return (isList ? listSeparator : '\n\n') + block.text;
+  }).join('');
+}
+
+/**
+ * Convert sanitized message HTML (as a DOM node) to Markdown
+ * @param {Node} container - Node whose children are the message content
+ * @returns {string} GitHub-flavored Markdown
+ */
+function htmlToMarkdown(container) {
+  return blocksToMarkdown(container);
+}
+
+/** Elements whose text starts on its own line in plain text */
+const PLAIN_TEXT_BLOCK_TAGS = [
+  ...MARKDOWN_BLOCK_TAGS, 'li', 'div', 'thead', 'tbody', 'tfoot', 'section', 'figure'
+];
+
+/**
+ * Move pending inline text to its own plain text line
+ * @param {{lines: string[], inline: string}} state - Finished lines and pending inline text
+ */
+function flushPlainText(state) {
+  const text = state.inline.replace(/\s+/g, ' ').trim();
+  if (text) {
+    state.lines.push(text);
+  }
+  state.inline = '';
+}
+
+/**
+ * Collect the plain text lines of a node
+ * Text is whitespace-collapsed except inside <pre>; table rows become one line
+ * with tab-separated cells.
+ * @param {Node} node - Parent node
+ * @param {{lines: string[], inline: string}} state - Finished lines and pending inline text
+ */
+function collectPlainText(node, state) {
+  Array.from(node.childNodes).forEach(child => {
+    if (child.nodeType === TEXT_NODE) {
+      state.inline += child.textContent;
+      return;
+    }
+    const tag = tagOf(child);
+    if (!tag) {
+      return;
+    }
+    if (tag === 'br') {
+      flushPlainText(state);
+    } else if (tag === 'pre') {
+      flushPlainText(state);
+      const code = child.textContent.replace(/\n+$/, '');
+      if (code.trim()) {
+        state.lines.push(code);
+      }
+    } else if (tag === 'tr') {
+      flushPlainText(state);
+      const cells = Array.from(child.childNodes)
+        .filter(cell => tagOf(cell) === 'td' || tagOf(cell) === 'th')
+        .map(cell => htmlToPlainText(cell).replace(/\n/g, ' '));
+      if (cells.some(Boolean)) {
+        state.lines.push(cells.join('\t'));
+      }
+    } else if (PLAIN_TEXT_BLOCK_TAGS.includes(tag)) {
+      flushPlainText(state);
+      collectPlainText(child, state);
+      flushPlainText(state);
+    } else {
+      collectPlainText(child, state);
+    }
+  });
+}
+
+/**
+ * Convert sanitized message HTML (as a DOM node) to plain text
+ * Blocks (paragraphs, list items, headings, code blocks, table rows) are
+ * separated by line breaks and table cells by tabs, so words from adjacent
+ * blocks are not run together as with textContent.
+ * @param {Node} container - Node whose children are the message content
+ * @returns {string} Plain text
+ */
+function htmlToPlainText(container) {
+  const state = { lines: [], inline: '' };
+  collectPlainText(container, state);
+  flushPlainText(state);
+  return state.lines.join('\n');
+}
+
+/**
+ * List attached and generated files; bundled files link to their copy
+ * @param {Array<Object>} attachments - { name, mimeType, size, path }
+ * @returns {string} Markdown list
+ */
+function attachmentsToMarkdown(attachments) {
+  return attachments.map(attachment => {
+    const label = escapeMarkdown(formatAttachmentLabel(attachment));
+    return attachment.path
+      ? `- Attachment: [${label}](${escapeMarkdownUrl(encodeURI(attachment.path))})`
+      : `- Attachment: ${label}`;
+  }).join('\n');
+}
+
+/**
+ * Reasoning and tool calls as collapsed <details> blocks (rendered by GitHub and most viewers)
+ * @param {Array<Object>} traces - { kind, label, text, language } (see classifyTrace)
+ * @returns {string} Markdown
+ */
+function tracesToMarkdown(traces) {
+  return traces.map(trace => {
+    const summary = `<details>\n<summary>${escapeHtml(trace.label)}</summary>`;
+    if (!trace.text.trim()) {
+      return `${summary}\n</details>`;
+    }
+    const body = trace.kind === 'code' ? fenceCode(trace.text, trace.language || '') : trace.text.trim();
+    return `${summary}\n\n${body}\n\n</details>`;
+  }).join('\n\n');
+}
+
+/**
+ * Build the complete Markdown document for a conversation
+ * @param {string} title - Conversation title
+ * @param {Array<{isUser: boolean, markdown: string, attachments: Array<Object>, traces: Array<Object>}>} messages -
+ *   Converted messages in order (attachments and traces optional)
+ * @param {string} exportedAt - ISO timestamp of the export
+ * @returns {string} Markdown document
+ */
+function generateMarkdownDocument(title, messages, exportedAt) {
+  const parts = [`# ${escapeMarkdown(title)}`, `*Exported: ${exportedAt}*`];
+  messages.forEach(message => {
+    parts.push(message.isUser ? '## User' : '## Assistant');
+    if (message.traces?.length) {
+      parts.push(tracesToMarkdown(message.traces));
+    }
+    if (message.attachments?.length) {
+      parts.push(attachmentsToMarkdown(message.attachments));
+    }
+    if (message.markdown) {
+      parts.push(message.markdown);
+    }
+  });
+  return parts.join('\n\n') + '\n';
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ELEMENT_NODE,
+    TEXT_NODE,
+    tagOf,
+    childrenByTag,
+    escapeMarkdown,
+    escapeMarkdownUrl,
+    inlineCode,
+    fenceCode,
+    getTexSource,
+    htmlToMarkdown,
+    htmlToPlainText,
+    attachmentsToMarkdown,
+    tracesToMarkdown,
+    generateMarkdownDocument
+  };
+}
@@ -0,0 +1,341 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Message Actions
+ * Adds a "Save" button to each message's action toolbar on chatgpt.com,
+ * which exports only that message (optionally with the prompt before it),
+ * and a "Download" button to each code block, which saves the code as a file
+ * named after its language.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: getCodeLanguage, sanitizeFilename are loaded from utils.js; loadRedactionRules,
+// redactText from redact.js; observeConversation from page-observer.js; SELECTORS,
+// convertToHTML, downloadFile, loadExportPreferences from content.js
+
+/** Class of the buttons added to the page (removed from exports with other buttons) */
+const MESSAGE_ACTION_CLASS = 'gcs-message-action';
+
+/** chrome.storage.sync key of the popup setting; false removes the buttons */
+const MESSAGE_ACTIONS_KEY = 'messageActions';
+
+/** File extension by code block language (highlight.js names and common aliases) */
+const CODE_FILE_EXTENSIONS = {
+  bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh', console: 'sh',
+  powershell: 'ps1', ps1: 'ps1', bat: 'bat', batch: 'bat', cmd: 'bat',
+  python: 'py', py: 'py',
+  javascript: 'js', js: 'js', jsx: 'jsx', mjs: 'mjs', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+  json: 'json', jsonc: 'json', html: 'html', xml: 'xml', svg: 'svg', css: 'css', scss: 'scss', less: 'less',
+  java: 'java', kotlin: 'kt', kt: 'kt', scala: 'scala', groovy: 'groovy',
+  c: 'c', h: 'h', cpp: 'cpp', 'c++': 'cpp', cc: 'cpp', csharp: 'cs', cs: 'cs', 'c#': 'cs', fsharp: 'fs',
+  objectivec: 'm', 'objective-c': 'm', swift: 'swift', go: 'go', golang: 'go', rust: 'rs', rs: 'rs',
+  ruby: 'rb', rb: 'rb', php: 'php', perl: 'pl', lua: 'lua', r: 'r', julia: 'jl', dart: 'dart',
+  haskell: 'hs', elixir: 'ex', erlang: 'erl', clojure: 'clj', ocaml: 'ml', zig: 'zig', nim: 'nim',
+  matlab: 'm', sql: 'sql', graphql: 'graphql', proto: 'proto', protobuf: 'proto',
+  yaml: 'yml', yml: 'yml', toml: 'toml', ini: 'ini', properties: 'properties', env: 'env',
+  markdown: 'md', md: 'md', latex: 'tex', tex: 'tex', csv: 'csv', diff: 'diff', patch: 'patch',
+  vue: 'vue', svelte: 'svelte', solidity: 'sol', terraform: 'tf', hcl: 'tf', nginx: 'conf',
+  plaintext: 'txt', text: 'txt', txt: 'txt'
+};
+
+/** Languages whose files are usually named after the tool rather than given an extension */
+const CODE_FILE_NAMES = {
+  dockerfile: 'Dockerfile',
+  docker: 'Dockerfile',
+  makefile: 'Makefile',
+  make: 'Makefile'
+};
+
+/**
+ * File extension for a code block language
+ * @param {string} language - From getCodeLanguage (e.g. 'python')
+ * @returns {string} Extension without dot ('txt' for unknown languages)
+ */
+function getCodeFileExtension(language) {
+  const key = String(language || '').toLowerCase();
+  return Object.hasOwn(CODE_FILE_EXTENSIONS, key) ? CODE_FILE_EXTENSIONS[key] : 'txt';
+}
+
+/**
+ * Download filename for a code block
+ * @param {string} language - From getCodeLanguage
+ * @param {string} baseName - Name the file starts with (e.g. the conversation title)
+ * @param {number} number - Position of the code block on the page (1-based)
+ * @returns {string} e.g. 'Sorting in Python-code-2.py', or 'Dockerfile'
+ */
+function getCodeFilename(language, baseName, number) {
+  const key = String(language || '').toLowerCase();
+  if (Object.hasOwn(CODE_FILE_NAMES, key)) {
+    return CODE_FILE_NAMES[key];
+  }
+  return `${sanitizeFilename(baseName)}-code-${number}.${getCodeFileExtension(key)}`;
+}
+
+/**
+ * Messages saved by a message's Save button
+ * @param {Array<{article: *, isUser: boolean}>} messages - Messages in page order
+ * @param {*} article - Article of the message to save
+ * @param {boolean} [withPrompt=false] - Add the user prompt before an assistant message
+ * @returns {Array<Object>} The message, with its prompt first if requested (empty if not found)
+ */
+function getSingleMessageExport(messages, article, withPrompt = false) {
+  const index = messages.findIndex(message => message.article === article);
+  if (index === -1) {
+    return [];
+  }
+  const previous = messages[index - 1];
+  return withPrompt && !messages[index].isUser && previous?.isUser
+    ? [previous, messages[index]]
+    : [messages[index]];
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MESSAGE_ACTION_CLASS,
+    MESSAGE_ACTIONS_KEY,
+    getCodeFileExtension,
+    getCodeFilename,
+    getSingleMessageExport
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/** Wait after page changes before adding buttons, so streaming does not rescan each token */
+const MESSAGE_ACTIONS_DELAY_MS = 500;
+
+/** Page watcher of the buttons; observer is null while they are turned off */
+const messageActionsState = {
+  observer: null,
+  timer: null
+};
+
+/**
+ * Inject styles for the added buttons once
+ * BROWSER ONLY
+ */
+function injectMessageActionStyles() {
+  if (document.getElementById('gcs-message-action-style')) {
+    return;
+  }
+  const style = document.createElement('style');
+  style.id = 'gcs-message-action-style';
+  style.textContent = `
+    .${MESSAGE_ACTION_CLASS} {
+      border: none; border-radius: 6px; background: transparent; color: inherit;
+      padding: 2px 8px; font: 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      opacity: 0.7; cursor: pointer;
+    }
+    .${MESSAGE_ACTION_CLASS}:hover { opacity: 1; background: rgba(127, 127, 127, 0.15); }
+    .${MESSAGE_ACTION_CLASS}:disabled { cursor: default; opacity: 0.5; }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Build one of the added buttons
+ * BROWSER ONLY
+ *
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Called with the button
+ * @returns {HTMLButtonElement}
+ */
+function createMessageActionButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = MESSAGE_ACTION_CLASS;
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    onClick(button);
+  });
+  return button;
+}
+
+/**
+ * Show a short result on a button, then restore its label
+ * BROWSER ONLY
+ *
+ * @param {HTMLButtonElement} button
+ * @param {string} label - Temporary text
+ * @param {string} title - Tooltip (e.g. the error)
+ */
+function flashMessageAction(button, label, title) {
+  const { textContent, title: originalTitle } = button;
+  button.textContent = label;
+  button.title = title;
+  setTimeout(() => {
+    button.textContent = textContent;
+    button.title = originalTitle;
+  }, 3000);
+}
+
+/**
+ * Export one message with the popup's saved settings
+ * BROWSER ONLY
+ *
+ * @param {HTMLElement} article - Message article
+ * @param {HTMLButtonElement} button - Save button (shows progress and the result)
+ * @returns {Promise<void>}
+ */
+async function saveSingleMessage(article, button) {
+  button.disabled = true;
+  button.textContent = 'Saving…';
+  try {
+    const preferences = await loadExportPreferences();
+    const result = await convertToHTML(preferences.theme, preferences.imageQuality, {
+      ...preferences,
+      scope: 'message',
+      article,
+      reportProgress: false
+    });
+    button.textContent = 'Save';
+    if (result.success) {
+      flashMessageAction(button, 'Saved', 'Save this message');
+    } else {
+      flashMessageAction(button, 'Failed', result.error || 'Export failed');
+    }
+  } catch (error) {
+    button.textContent = 'Save';
+    flashMessageAction(button, 'Failed', error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Download the code of a code block, redacted like exports
+ * BROWSER ONLY
+ *
+ * @param {HTMLElement} code - code element
+ * @param {number} number - Position of the code block on the page (1-based)
+ * @returns {Promise<void>}
+ */
+async function downloadCodeBlock(code, number) {
+  const { text } = redactText(code.textContent, await loadRedactionRules());
+  const filename = getCodeFilename(getCodeLanguage(code.className), document.title, number);
+  downloadFile(text, filename, 'text/plain;charset=utf-8');
+}
+
+/**
+ * Add the Save button to a message's action toolbar
+ * The toolbar appears after the response has finished; messages without one
+ * are retried on the next page change.
+ * BROWSER ONLY
+ *
+ * @param {HTMLElement} article - Message article
+ */
+function addSaveAction(article) {
+  if (article.querySelector(`.${MESSAGE_ACTION_CLASS}[data-action="save"]`)) {
+    return;
+  }
+  const copyButton = article.querySelector(SELECTORS.turnCopyButton);
+  if (!copyButton) {
+    return;
+  }
+  const button = createMessageActionButton('Save', 'Save this message', () => saveSingleMessage(article, button));
+  button.dataset.action = 'save';
+  copyButton.after(button);
+}
+
+/**
+ * Add the Download button to a code block's toolbar, next to its copy button
+ * Code blocks without a copy button are left alone, so the page's own markup
+ * (and its styles) are not changed.
+ * BROWSER ONLY
+ *
+ * @param {HTMLElement} pre - Code block
+ * @param {number} number - Position of the code block on the page (1-based)
+ */
+function addCodeDownloadAction(pre, number) {
+  const code = pre.querySelector('code');
+  if (!code || pre.querySelector(`.${MESSAGE_ACTION_CLASS}[data-action="download"]`)) {
+    return;
+  }
+  const copyButton = Array.from(pre.querySelectorAll('button'))
+    .find(candidate => /copy/i.test(candidate.textContent || candidate.getAttribute('aria-label') || ''));
+  if (!copyButton) {
+    return;
+  }
+
+  const button = createMessageActionButton('Download', 'Download as file', () => {
+    downloadCodeBlock(code, number).catch(error => flashMessageAction(button, 'Failed', error.message));
+  });
+  button.dataset.action = 'download';
+  copyButton.after(button);
+}
+
+/**
+ * Add the buttons to every message and code block on the page
+ * BROWSER ONLY
+ */
+function addMessageActions() {
+  const main = document.querySelector(SELECTORS.conversationContainer);
+  if (!main) {
+    return;
+  }
+  main.querySelectorAll(SELECTORS.messageArticle).forEach(addSaveAction);
+  main.querySelectorAll('pre').forEach((pre, index) => addCodeDownloadAction(pre, index + 1));
+}
+
+/**
+ * Whether the buttons are turned on in the popup (default: on)
+ * BROWSER ONLY
+ *
+ * @returns {Promise<boolean>}
+ */
+function loadMessageActionsEnabled() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get([MESSAGE_ACTIONS_KEY], (result) => {
+      resolve(chrome.runtime.lastError ? true : result[MESSAGE_ACTIONS_KEY] !== false);
+    });
+  });
+}
+
+/**
+ * Add or remove the buttons to match the popup setting
+ * BROWSER ONLY
+ *
+ * @param {boolean} enabled
+ */
+function applyMessageActionsSetting(enabled) {
+  if (enabled && !messageActionsState.observer) {
+    injectMessageActionStyles();
+    addMessageActions();
+    messageActionsState.observer = observeConversation(() => {
+      clearTimeout(messageActionsState.timer);
+      messageActionsState.timer = setTimeout(addMessageActions, MESSAGE_ACTIONS_DELAY_MS);
+    });
+  } else if (!enabled && messageActionsState.observer) {
+    messageActionsState.observer.disconnect();
+    messageActionsState.observer = null;
+    clearTimeout(messageActionsState.timer);
+    document.querySelectorAll(`.${MESSAGE_ACTION_CLASS}`).forEach(button => button.remove());
+  }
+}
+
+/**
+ * Add the buttons now and whenever the conversation changes, and follow the
+ * setting in the popup
+ * BROWSER ONLY
+ */
+async function initMessageActions() {
+  applyMessageActionsSetting(await loadMessageActionsEnabled());
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[MESSAGE_ACTIONS_KEY]) {
+      applyMessageActionsSetting(changes[MESSAGE_ACTIONS_KEY].newValue !== false);
+    }
+  });
+}
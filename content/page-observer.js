@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Page Observer
+ * Watches the conversation on chatgpt.com for changes, shared by auto-save
+ * and the message buttons
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: SELECTORS is loaded from content.js
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/**
+ * Watch the conversation container for changes
+ * ChatGPT replaces the container on navigation: its ancestors are watched for
+ * child changes only, and the observer moves to the new container. Until the
+ * container is rendered, the body is watched instead.
+ * BROWSER ONLY
+ *
+ * @param {Function} onChange - Called after changes in the conversation
+ * @param {MutationObserverInit} [options] - What to watch in the container
+ *   (default: added and removed nodes)
+ * @returns {MutationObserver} Disconnect to stop watching
+ */
+function observeConversation(onChange, options = { childList: true, subtree: true }) {
+  let container = null;
+  const observer = new MutationObserver(() => {
+    if (!container?.isConnected || container !== document.querySelector(SELECTORS.conversationContainer)) {
+      attach();
+    }
+    onChange();
+  });
+  const attach = () => {
+    observer.disconnect();
+    container = document.querySelector(SELECTORS.conversationContainer);
+    if (!container) {
+      observer.observe(document.body, { ...options, childList: true, subtree: true });
+      return;
+    }
+    observer.observe(container, options);
+    for (let node = container.parentElement; node; node = node.parentElement) {
+      observer.observe(node, { childList: true });
+    }
+  };
+  attach();
+  return observer;
+}
@@ -0,0 +1,1056 @@
+'use strict';
+
+/**
+ * GPT Chat Save - PDF Export
+ * Lays out sanitized message HTML on A4 pages and writes a PDF file directly,
+ * without the print dialog or external libraries
+ *
+ * Text uses the PDF standard fonts (Helvetica, Courier), which cover Latin-1
+ * (WinAnsi) only: toWinAnsi writes other characters, such as CJK text and emoji, as
+ * '?', so exports with such text are refused (see countPdfReplacedChars).
+ * Images are embedded as JPEG, the format images.js produces.
+ * Like markdown.js, the HTML conversion only relies on basic node properties.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: getThemeColors, formatMessageMeta are loaded from utils.js,
+// SYNTAX_COLORS from template.js, tagOf, getTexSource, TEXT_NODE from markdown.js
+
+/** A4 page size and margin, in points */
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 56 };
+
+/** Body text size in points */
+const PDF_FONT_SIZE = 10.5;
+
+/** Code block text size in points */
+const PDF_CODE_SIZE = 8.5;
+
+/** Heading sizes by level */
+const PDF_HEADING_SIZES = { 1: 18, 2: 15.5, 3: 13.5, 4: 12, 5: 11, 6: 10.5 };
+
+/** Glyph widths (1/1000 em) of Helvetica for characters 32-126 */
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+/** Glyph widths (1/1000 em) of Helvetica-Bold for characters 32-126 */
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/**
+ * Standard fonts used in the document
+ * widths: null means monospaced (600 for every glyph)
+ */
+const PDF_FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+  italic: { resource: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS },
+  mono: { resource: 'F4', baseFont: 'Courier', widths: null }
+};
+
+/** Characters outside Latin-1 that WinAnsiEncoding places in 0x80-0x9F */
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+  '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A,
+  '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+  '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C,
+  'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/** Elements laid out as separate blocks */
+const PDF_BLOCK_TAGS = [
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'pre', 'blockquote', 'table', 'hr'
+];
+
+/**
+ * Convert text to WinAnsi bytes (one char per byte) for the standard fonts
+ * @param {string} text - Unicode text
+ * @returns {string} Text with every char code below 256 (newlines kept for wrapping)
+ */
+function toWinAnsi(text) {
+  let result = '';
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) || char === '\n') {
+      result += char;
+    } else if (WIN_ANSI_EXTRAS[char]) {
+      result += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if (char === '\t') {
+      result += '    ';
+    } else {
+      result += '?';
+    }
+  }
+  return result;
+}
+
+/**
+ * Number of characters toWinAnsi cannot encode (written as '?')
+ * @param {string} text - Unicode text
+ * @returns {number}
+ */
+function countNonWinAnsi(text) {
+  let count = 0;
+  for (const char of text || '') {
+    if (toWinAnsi(char) === '?' && char !== '?') {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Number of characters a PDF export would show as '?' because the standard
+ * fonts only cover WinAnsi (e.g. CJK, Cyrillic, emoji)
+ * @param {string} title - Document title
+ * @param {Array<{blocks: Array<Object>}>} messages - Messages for generatePdfDocument
+ * @returns {number}
+ */
+function countPdfReplacedChars(title, messages) {
+  const blockTexts = block => [
+    block.marker,
+    block.type === 'image' && !block.jpeg ? block.alt : '',
+    ...(block.runs || []).map(run => run.text),
+    ...(block.segments || []).map(segment => segment.text)
+  ];
+  return messages
+    .flatMap(message => message.blocks.flatMap(blockTexts))
+    .reduce((count, text) => count + countNonWinAnsi(text), countNonWinAnsi(title));
+}
+
+/**
+ * Error shown instead of a PDF that would replace characters with '?'
+ * @param {number} count - From countPdfReplacedChars
+ * @returns {string}
+ */
+function getPdfUnsupportedCharsError(count) {
+  const chars = count === 1 ? '1 character' : `${count} characters`;
+  return `${chars} cannot be shown with the PDF fonts (e.g. non-Latin text or emoji). ` +
+    'Export as HTML instead.';
+}
+
+/**
+ * Width of WinAnsi text in points
+ * @param {string} text - Text from toWinAnsi
+ * @param {string} style - Key of PDF_FONTS
+ * @param {number} size - Font size
+ * @returns {number}
+ */
+function measureText(text, style, size) {
+  const widths = PDF_FONTS[style].widths;
+  let units = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (!widths) {
+      units += 600;
+    } else {
+      // Latin-1 letters beyond ASCII are close to the average glyph width
+      units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+  }
+  return units * size / 1000;
+}
+
+/**
+ * Shorten WinAnsi text with '...' to fit a width
+ * @param {string} text - Text from toWinAnsi
+ * @param {string} style - Key of PDF_FONTS
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width in points
+ * @returns {string}
+ */
+function clipText(text, style, size, maxWidth) {
+  if (measureText(text, style, size) <= maxWidth) {
+    return text;
+  }
+  let end = text.length;
+  while (end > 0 && measureText(`${text.slice(0, end)}...`, style, size) > maxWidth) {
+    end--;
+  }
+  return `${text.slice(0, end).trimEnd()}...`;
+}
+
+/**
+ * Parse a CSS color into PDF RGB components (0-1)
+ * Supports #rgb, #rrggbb, rgb(), rgba() and 'transparent'; alpha is
+ * blended over the background.
+ *
+ * @param {string} color - CSS color
+ * @param {string} [background='#fff'] - Color underneath, for alpha blending
+ * @returns {number[]} [r, g, b]
+ */
+function parseColor(color, background = '#fff') {
+  const value = String(color).trim().toLowerCase();
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(value);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16) / 255);
+  }
+  const rgb = /^rgba?\(([^)]+)\)$/.exec(value);
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(',').map(Number);
+    const base = a < 1 ? parseColor(background) : [0, 0, 0];
+    return [r, g, b].map((channel, i) => (channel / 255) * a + base[i] * (1 - a));
+  }
+  if (value === 'transparent') {
+    return parseColor(background);
+  }
+  return [0, 0, 0];
+}
+
+/**
+ * Mix two RGB colors
+ * @param {number[]} color - Foreground
+ * @param {number[]} background - Background
+ * @param {number} amount - Share of the foreground (0-1)
+ * @returns {number[]}
+ */
+function mixColors(color, background, amount) {
+  return color.map((channel, i) => channel * amount + background[i] * (1 - amount));
+}
+
+/**
+ * Wrap styled text runs into lines that fit a width
+ * Whitespace collapses to single spaces; '\n' forces a line break; words
+ * longer than a line are split.
+ *
+ * @param {Array<{text: string, style: string, color?: number[]}>} runs - Text runs
+ * @param {number} maxWidth - Line width in points
+ * @param {number} size - Font size
+ * @returns {Array<{width: number, segments: Array<{text: string, style: string, color: number[]|null, x: number}>}>}
+ */
+function wrapRuns(runs, maxWidth, size) {
+  const lines = [];
+  let line = { width: 0, segments: [] };
+  let pendingSpace = null;
+
+  const pushLine = () => {
+    lines.push(line);
+    line = { width: 0, segments: [] };
+    pendingSpace = null;
+  };
+
+  const append = (text, run) => {
+    const width = measureText(text, run.style, size);
+    const last = line.segments[line.segments.length - 1];
+    if (last && last.style === run.style && last.color === (run.color || null)) {
+      last.text += text;
+    } else {
+      line.segments.push({ text, style: run.style, color: run.color || null, x: line.width });
+    }
+    line.width += width;
+  };
+
+  runs.forEach(run => {
+    toWinAnsi(run.text).split(/(\n|[^\S\n]+)/).forEach(token => {
+      if (!token) return;
+      if (token === '\n') {
+        pushLine();
+        return;
+      }
+      if (/^[^\S\n]+$/.test(token)) {
+        if (line.segments.length) {
+          pendingSpace = run;
+        }
+        return;
+      }
+
+      const spaceWidth = pendingSpace ? measureText(' ', pendingSpace.style, size) : 0;
+      const wordWidth = measureText(token, run.style, size);
+      if (line.segments.length && line.width + spaceWidth + wordWidth > maxWidth) {
+        pushLine();
+      } else if (pendingSpace) {
+        append(' ', pendingSpace);
+      }
+      pendingSpace = null;
+
+      // Split words that do not fit on a line of their own
+      let rest = token;
+      while (measureText(rest, run.style, size) > maxWidth - line.width) {
+        if (line.segments.length) {
+          pushLine();
+          continue;
+        }
+        let fit = 1;
+        while (fit < rest.length && measureText(rest.slice(0, fit + 1), run.style, size) <= maxWidth) {
+          fit++;
+        }
+        append(rest.slice(0, fit), run);
+        pushLine();
+        rest = rest.slice(fit);
+      }
+      if (rest) {
+        append(rest, run);
+      }
+    });
+  });
+
+  if (line.segments.length) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Split highlighted code into lines of at most maxChars characters
+ * @param {Array<{text: string, color: number[]}>} segments - Code text with colors
+ * @param {number} maxChars - Characters per line
+ * @returns {Array<Array<{text: string, color: number[]}>>} Lines of segments
+ */
+function wrapCodeSegments(segments, maxChars) {
+  const lines = [[]];
+  let length = 0;
+  segments.forEach(segment => {
+    const text = segment.text.replace(/\t/g, '    ');
+    text.split('\n').forEach((part, partIndex) => {
+      if (partIndex > 0) {
+        lines.push([]);
+        length = 0;
+      }
+      let rest = toWinAnsi(part);
+      while (rest) {
+        if (length >= maxChars) {
+          lines.push([]);
+          length = 0;
+        }
+        const chunk = rest.slice(0, maxChars - length);
+        lines[lines.length - 1].push({ text: chunk, color: segment.color });
+        length += chunk.length;
+        rest = rest.slice(chunk.length);
+      }
+    });
+  });
+  // A trailing newline does not start another line
+  if (lines.length > 1 && !lines[lines.length - 1].length) {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Collect code text with syntax colors from highlight.js spans
+ * @param {Node} node - code element
+ * @param {Object} [syntaxColors=SYNTAX_COLORS] - Colors by token type (see getSyntaxColors)
+ * @param {string} [color=syntaxColors.base] - Inherited color
+ * @returns {Array<{text: string, color: number[]}>}
+ */
+function getCodeSegments(node, syntaxColors = SYNTAX_COLORS, color = syntaxColors.base) {
+  if (node.nodeType === TEXT_NODE) {
+    return [{ text: node.textContent, color: parseColor(color) }];
+  }
+  const token = (node.getAttribute?.('class') || '')
+    .split(/\s+/)
+    .find(name => name.startsWith('hljs-'));
+  const ownColor = token ? syntaxColors[token.slice(5)] || color : color;
+  return Array.from(node.childNodes).flatMap(child => getCodeSegments(child, syntaxColors, ownColor));
+}
+
+/**
+ * Convert sanitized message HTML (as a DOM node) to PDF layout blocks
+ * Blocks: text { runs, size, style, indent, marker }, code { lines, indent },
+ * image { src, alt, indent }, rule { indent }
+ *
+ * @param {Node} container - Node whose children are the message content
+ * @param {Object} [syntaxColors=SYNTAX_COLORS] - Code colors by token type (see getSyntaxColors)
+ * @returns {Array<Object>} Blocks in reading order
+ */
+function htmlToPdfBlocks(container, syntaxColors = SYNTAX_COLORS) {
+  const blocks = [];
+  appendPdfBlocks(container, blocks, { indent: 0, syntaxColors });
+  return blocks;
+}
+
+/**
+ * Append the blocks for a node's children
+ * Consecutive inline children form one text block.
+ *
+ * @param {Node} node - Container node
+ * @param {Array<Object>} blocks - Output list
+ * @param {Object} context - { indent, style, size, marker } of text blocks, and the
+ *   syntaxColors of code blocks
+ */
+function appendPdfBlocks(node, blocks, context) {
+  const baseStyle = context.style || 'regular';
+  let marker = context.marker || null;
+  let runs = [];
+
+  const flush = () => {
+    if (runs.some(run => run.text.trim())) {
+      blocks.push({
+        type: 'text',
+        runs,
+        size: context.size || PDF_FONT_SIZE,
+        indent: context.indent,
+        marker
+      });
+      marker = null;
+    }
+    runs = [];
+  };
+
+  const addInline = (child, style) => {
+    if (child.nodeType === TEXT_NODE) {
+      runs.push({ text: child.textContent.replace(/\s+/g, ' '), style });
+      return;
+    }
+    const tag = tagOf(child);
+    if (!tag) {
+      return;
+    }
+    if (PDF_BLOCK_TAGS.includes(tag)) {
+      flush();
+      appendPdfBlock(child, blocks, context.indent, context.syntaxColors);
+      return;
+    }
+    switch (tag) {
+      case 'img':
+        flush();
+        blocks.push({
+          type: 'image',
+          src: child.getAttribute('src') || '',
+          alt: child.getAttribute('alt') || '',
+          indent: context.indent
+        });
+        return;
+      case 'br':
+        runs.push({ text: '\n', style });
+        return;
+      case 'code':
+        runs.push({ text: child.textContent, style: 'mono' });
+        return;
+      case 'math': {
+        const tex = getTexSource(child) ?? child.textContent.trim();
+        if (child.getAttribute('display') === 'block') {
+          flush();
+          blocks.push({ type: 'text', runs: [{ text: tex, style: 'mono' }], size: PDF_FONT_SIZE, indent: context.indent + 24, marker: null });
+        } else {
+          runs.push({ text: tex, style: 'mono' });
+        }
+        return;
+      }
+      default: {
+        const nextStyle = tag === 'strong' || tag === 'b' ? 'bold'
+          : tag === 'em' || tag === 'i' ? 'italic'
+            : style;
+        Array.from(child.childNodes).forEach(grandchild => addInline(grandchild, nextStyle));
+      }
+    }
+  };
+
+  Array.from(node.childNodes).forEach(child => addInline(child, baseStyle));
+  flush();
+}
+
+/**
+ * Append the blocks for one block-level element
+ * @param {Node} node - Element whose tag is in PDF_BLOCK_TAGS
+ * @param {Array<Object>} blocks - Output list
+ * @param {number} indent - Left indent in points
+ * @param {Object} syntaxColors - Code colors by token type
+ */
+function appendPdfBlock(node, blocks, indent, syntaxColors) {
+  const tag = tagOf(node);
+
+  if (/^h[1-6]$/.test(tag)) {
+    appendPdfBlocks(node, blocks, { indent, syntaxColors, style: 'bold', size: PDF_HEADING_SIZES[tag[1]] });
+    return;
+  }
+
+  switch (tag) {
+    case 'pre': {
+      const code = childrenByTag(node, 'code')[0] || node;
+      blocks.push({ type: 'code', segments: getCodeSegments(code, syntaxColors), indent });
+      return;
+    }
+    case 'ul':
+    case 'ol': {
+      const start = parseInt(node.getAttribute('start'), 10) || 1;
+      childrenByTag(node, 'li').forEach((item, i) => {
+        appendPdfBlocks(item, blocks, {
+          indent: indent + 18,
+          syntaxColors,
+          marker: tag === 'ol' ? `${start + i}.` : '•'
+        });
+      });
+      return;
+    }
+    case 'blockquote':
+      appendPdfBlocks(node, blocks, { indent: indent + 16, syntaxColors, style: 'italic' });
+      return;
+    case 'table': {
+      const rows = [];
+      const collectRows = parent => {
+        Array.from(parent.childNodes).forEach(child => {
+          if (tagOf(child) === 'tr') {
+            rows.push(child);
+          } else if (child.nodeType !== TEXT_NODE) {
+            collectRows(child);
+          }
+        });
+      };
+      collectRows(node);
+      // Tables are laid out as one line of cells per row
+      rows.forEach(row => {
+        const cells = Array.from(row.childNodes).filter(cell => ['th', 'td'].includes(tagOf(cell)));
+        const isHeader = cells.some(cell => tagOf(cell) === 'th');
+        blocks.push({
+          type: 'text',
+          runs: [{
+            text: cells.map(cell => cell.textContent.replace(/\s+/g, ' ').trim()).join('  |  '),
+            style: isHeader ? 'bold' : 'regular'
+          }],
+          size: PDF_FONT_SIZE,
+          indent,
+          marker: null
+        });
+      });
+      return;
+    }
+    case 'hr':
+      blocks.push({ type: 'rule', indent });
+      return;
+    default:
+      appendPdfBlocks(node, blocks, { indent, syntaxColors });
+  }
+}
+
+/**
+ * Decode a base64 data URL
+ * @param {string} url - data: URL
+ * @returns {{mimeType: string, bytes: Uint8Array}|null} null if not a base64 data URL
+ */
+function decodeDataUrl(url) {
+  const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(url || '');
+  if (!match) {
+    return null;
+  }
+  const binary = atob(match[2]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return { mimeType: match[1].toLowerCase(), bytes };
+}
+
+/**
+ * Read the size and color components of a JPEG from its frame header
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {{width: number, height: number, components: number}|null} null if not a JPEG
+ */
+function getJpegInfo(bytes) {
+  if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    return null;
+  }
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xFF) {
+      return null;
+    }
+    const marker = bytes[i + 1];
+    if (marker === 0xFF) {
+      i++; // Fill byte
+      continue;
+    }
+    // Start of frame (SOF0-SOF15, except DHT, JPG and DAC markers)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return {
+        height: (bytes[i + 5] << 8) | bytes[i + 6],
+        width: (bytes[i + 7] << 8) | bytes[i + 8],
+        components: bytes[i + 9]
+      };
+    }
+    i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+  }
+  return null;
+}
+
+/**
+ * Lay out messages on pages
+ * Page content is a list of drawing operations:
+ * rect { x, y, width, height, color }, text { x, y, style, size, color, text },
+ * image { name, x, y, width, height }
+ *
+ * @param {Array<Object>} messages - { isUser, meta, blocks }; image blocks may carry
+ *   `jpeg` ({ bytes, width, height, components }) to be embedded, once per `src`
+ * @param {Object} details
+ * @param {string} details.title - Document title
+ * @param {string} details.exportedAt - Export time shown under the title
+ * @param {Object} details.colors - Theme colors from getThemeColors
+ * @returns {{pages: Array<{ops: Array<Object>}>, images: Array<Object>}} images has one entry per
+ *   distinct image
+ */
+function layoutPdfPages(messages, details) {
+  const { width: pageWidth, height: pageHeight, margin } = PDF_PAGE;
+  const background = parseColor(details.colors.background);
+  const textColor = parseColor(details.colors.primary, details.colors.background);
+  const mutedColor = mixColors(textColor, background, 0.6);
+  const userBubble = parseColor(details.colors.userBubble, details.colors.background);
+  const codeBackground = parseColor(details.colors.codeBlockBackground, details.colors.background);
+  const contentWidth = pageWidth - 2 * margin;
+  const bottom = margin;
+
+  const pages = [];
+  const images = [];
+  const imageNames = new Map(); // Image source (data URL, or the JPEG bytes) → XObject name
+  const boxes = []; // Open background boxes, outermost first
+  let ops = null;
+  let y = 0;
+
+  const startPage = () => {
+    ops = [];
+    pages.push({ ops });
+    y = pageHeight - margin;
+    boxes.forEach(box => {
+      box.start = ops.length;
+      box.top = y;
+    });
+  };
+
+  // Background rectangles are inserted before the content they cover
+  const drawBox = (box, boxBottom) => {
+    ops.splice(box.start, 0, {
+      op: 'rect', x: box.x, y: boxBottom, width: box.width, height: box.top - boxBottom, color: box.color
+    });
+  };
+
+  const ensureSpace = height => {
+    if (y - height >= bottom || y === pageHeight - margin) {
+      return;
+    }
+    boxes.slice().reverse().forEach(box => drawBox(box, bottom));
+    startPage();
+  };
+
+  const openBox = (color, x, width, padding) => {
+    ensureSpace(padding * 2 + PDF_FONT_SIZE * 1.5);
+    boxes.push({ color, x, width, padding, start: ops.length, top: y });
+    y -= padding;
+  };
+
+  const closeBox = () => {
+    const box = boxes.pop();
+    y -= box.padding;
+    drawBox(box, y);
+  };
+
+  const drawTextLines = (lines, x, size, color) => {
+    const lineHeight = size * 1.45;
+    lines.forEach(line => {
+      ensureSpace(lineHeight);
+      y -= lineHeight;
+      const baseline = y + (lineHeight - size) / 2 + size * 0.22;
+      line.segments.forEach(segment => {
+        ops.push({
+          op: 'text', x: x + segment.x, y: baseline, style: segment.style, size,
+          color: segment.color || color, text: segment.text
+        });
+      });
+    });
+  };
+
+  const layoutBlock = (block, left, width) => {
+    const x = left + block.indent;
+    const available = width - block.indent;
+
+    switch (block.type) {
+      case 'text': {
+        const lines = wrapRuns(block.runs, available, block.size);
+        if (!lines.length) return;
+        ensureSpace(block.size * 1.45);
+        if (block.marker) {
+          const marker = toWinAnsi(block.marker);
+          const markerWidth = measureText(marker, 'regular', block.size);
+          lines[0] = {
+            ...lines[0],
+            segments: [{ text: marker, style: 'regular', color: null, x: -markerWidth - 5 }, ...lines[0].segments]
+          };
+        }
+        drawTextLines(lines, x, block.size, textColor);
+        y -= block.size * 0.5;
+        return;
+      }
+      case 'code': {
+        const charWidth = PDF_CODE_SIZE * 0.6;
+        const lines = wrapCodeSegments(block.segments, Math.max(10, Math.floor((available - 16) / charWidth)));
+        openBox(codeBackground, x, available, 8);
+        drawTextLines(lines.map(segments => {
+          let offset = 0;
+          return {
+            segments: segments.map(segment => {
+              const placed = { text: segment.text, style: 'mono', color: segment.color, x: offset };
+              offset += segment.text.length * charWidth;
+              return placed;
+            })
+          };
+        }), x + 8, PDF_CODE_SIZE, textColor);
+        closeBox();
+        y -= PDF_FONT_SIZE * 0.6;
+        return;
+      }
+      case 'image': {
+        if (!block.jpeg) {
+          drawTextLines(wrapRuns([{ text: `[Image${block.alt ? `: ${block.alt}` : ''}]`, style: 'italic' }], available, PDF_FONT_SIZE), x, PDF_FONT_SIZE, mutedColor);
+          y -= PDF_FONT_SIZE * 0.5;
+          return;
+        }
+        // An image shown several times is embedded once
+        const imageKey = block.src || block.jpeg.bytes;
+        let name = imageNames.get(imageKey);
+        if (!name) {
+          name = `Im${images.length + 1}`;
+          images.push({ name, ...block.jpeg });
+          imageNames.set(imageKey, name);
+        }
+        const maxHeight = Math.min(360, pageHeight - 2 * margin - 20);
+        const scale = Math.min(1, available / block.jpeg.width, maxHeight / block.jpeg.height);
+        const imageWidth = block.jpeg.width * scale;
+        const imageHeight = block.jpeg.height * scale;
+        ensureSpace(imageHeight + 4);
+        y -= imageHeight + 4;
+        ops.push({ op: 'image', name, x, y: y + 2, width: imageWidth, height: imageHeight });
+        y -= PDF_FONT_SIZE * 0.5;
+        return;
+      }
+      case 'rule':
+        ensureSpace(12);
+        y -= 6;
+        ops.push({ op: 'rect', x, y, width: available, height: 0.75, color: mutedColor });
+        y -= 6;
+        return;
+      default:
+    }
+  };
+
+  startPage();
+
+  // Title block
+  drawTextLines(wrapRuns([{ text: details.title, style: 'bold' }], contentWidth, 18), margin, 18, textColor);
+  drawTextLines(wrapRuns([{ text: `Exported: ${details.exportedAt}`, style: 'regular' }], contentWidth, 9), margin, 9, mutedColor);
+  y -= 8;
+  ops.push({ op: 'rect', x: margin, y, width: contentWidth, height: 1, color: mutedColor });
+  y -= 16;
+
+  messages.forEach(message => {
+    if (message.meta) {
+      ensureSpace(30);
+      drawTextLines(wrapRuns([{ text: message.meta, style: 'regular' }], contentWidth, 8), margin, 8, mutedColor);
+      y -= 2;
+    }
+    if (message.isUser) {
+      openBox(userBubble, margin, contentWidth, 10);
+      message.blocks.forEach(block => layoutBlock(block, margin + 12, contentWidth - 24));
+      closeBox();
+    } else {
+      message.blocks.forEach(block => layoutBlock(block, margin, contentWidth));
+    }
+    y -= 14;
+  });
+
+  // Page background (dark theme) and header with title and page number
+  const headerY = pageHeight - margin / 2;
+  const headerTitle = clipText(toWinAnsi(details.title), 'regular', 8, contentWidth * 0.75);
+  pages.forEach((page, index) => {
+    if (!/^#f{3}(f{3})?$/i.test(details.colors.background)) {
+      page.ops.unshift({ op: 'rect', x: 0, y: 0, width: pageWidth, height: pageHeight, color: background });
+    }
+    const pageLabel = `Page ${index + 1} of ${pages.length}`;
+    page.ops.push(
+      { op: 'text', x: margin, y: headerY, style: 'regular', size: 8, color: mutedColor, text: headerTitle },
+      {
+        op: 'text',
+        x: pageWidth - margin - measureText(pageLabel, 'regular', 8),
+        y: headerY,
+        style: 'regular', size: 8, color: mutedColor, text: pageLabel
+      }
+    );
+  });
+
+  return { pages, images };
+}
+
+/**
+ * Format a number for a PDF content stream
+ * @param {number} value
+ * @returns {string}
+ */
+function pdfNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Escape a WinAnsi string for a PDF literal string
+ * @param {string} text
+ * @returns {string}
+ */
+function escapePdfString(text) {
+  return text.replace(/[\\()]/g, '\\$&').replace(/\r/g, '\\r');
+}
+
+/**
+ * Encode a Unicode string as a PDF text string (UTF-16BE hex with BOM)
+ * Used for document metadata, which is not limited to WinAnsi.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function pdfTextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * Format a date as a PDF date string (UTC)
+ * @param {Date} date
+ * @returns {string} e.g. "D:20260201120000Z"
+ */
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Render drawing operations as a PDF content stream
+ * @param {Array<Object>} ops - From layoutPdfPages
+ * @returns {string}
+ */
+function renderPdfContent(ops) {
+  const color = rgb => rgb.map(pdfNumber).join(' ');
+  return ops.map(op => {
+    switch (op.op) {
+      case 'rect':
+        return `${color(op.color)} rg ${pdfNumber(op.x)} ${pdfNumber(op.y)} ${pdfNumber(op.width)} ${pdfNumber(op.height)} re f`;
+      case 'text':
+        return `BT /${PDF_FONTS[op.style].resource} ${pdfNumber(op.size)} Tf ${color(op.color)} rg ` +
+          `${pdfNumber(op.x)} ${pdfNumber(op.y)} Td (${escapePdfString(op.text)}) Tj ET`;
+      case 'image':
+        return `q ${pdfNumber(op.width)} 0 0 ${pdfNumber(op.height)} ${pdfNumber(op.x)} ${pdfNumber(op.y)} cm /${op.name} Do Q`;
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+/**
+ * Write laid-out pages as a PDF file
+ * Output only depends on the input, so the same export gives the same bytes.
+ *
+ * @param {{pages: Array<Object>, images: Array<Object>}} layout - From layoutPdfPages
+ * @param {Object} details
+ * @param {string} details.title - Document title (metadata)
+ * @param {Date} details.createdAt - Creation date (metadata)
+ * @returns {Uint8Array} PDF file contents
+ */
+function writePdf(layout, details) {
+  const objects = []; // Each entry: array of string/Uint8Array parts
+  const addObject = parts => {
+    objects.push(parts);
+    return objects.length;
+  };
+  const stream = (dictionary, data) => [
+    `<< ${dictionary} /Length ${data.length} >>\nstream\n`, data, '\nendstream'
+  ];
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const infoId = addObject([
+    `<< /Title ${pdfTextString(details.title)} /Producer (GPT Chat Save) ` +
+    `/CreationDate (${pdfDate(details.createdAt)}) >>`
+  ]);
+
+  const fontRefs = Object.values(PDF_FONTS).map(font => {
+    const id = addObject([
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+    ]);
+    return `/${font.resource} ${id} 0 R`;
+  });
+
+  const imageRefs = layout.images.map(image => {
+    const colorSpace = image.components === 1 ? '/DeviceGray' : image.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+    const id = addObject(stream(
+      `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+      image.bytes
+    ));
+    return `/${image.name} ${id} 0 R`;
+  });
+
+  const resources = `<< /Font << ${fontRefs.join(' ')} >>` +
+    (imageRefs.length ? ` /XObject << ${imageRefs.join(' ')} >>` : '') + ' >>';
+
+  const pageIds = layout.pages.map(page => {
+    const contentId = addObject(stream('', renderPdfContent(page.ops)));
+    return addObject([
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+      `/Resources ${resources} /Contents ${contentId} 0 R >>`
+    ]);
+  });
+
+  objects[catalogId - 1] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+  objects[pagesId - 1] = [
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+  ];
+
+  // Strings hold one byte per char (WinAnsi), so lengths are byte offsets
+  const chunks = ['%PDF-1.4\n%\xE2\xE3\xCF\xD3\n'];
+  const offsets = [];
+  let position = chunks[0].length;
+  objects.forEach((parts, index) => {
+    offsets.push(position);
+    [`${index + 1} 0 obj\n`, ...parts, '\nendobj\n'].forEach(part => {
+      chunks.push(part);
+      position += part.length;
+    });
+  });
+
+  const xref = [
+    `xref\n0 ${objects.length + 1}\n`,
+    '0000000000 65535 f \n',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`),
+    `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`,
+    `startxref\n${position}\n%%EOF\n`
+  ].join('');
+  chunks.push(xref);
+  position += xref.length;
+
+  const output = new Uint8Array(position);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    if (typeof chunk === 'string') {
+      for (let i = 0; i < chunk.length; i++) {
+        output[offset + i] = chunk.charCodeAt(i) & 0xFF;
+      }
+    } else {
+      output.set(chunk, offset);
+    }
+    offset += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * Build a complete PDF document for a conversation
+ * @param {string} title - Conversation title
+ * @param {Array<Object>} messages - { isUser, createTime, model, blocks } (blocks from htmlToPdfBlocks)
+ * @param {string|Object} theme - Resolved theme ('light', 'dark' or a custom theme);
+ *   fonts and width of custom themes do not apply to PDF
+ * @param {Object} [options]
+ * @param {boolean} [options.showMetadata=true] - Show time and model above each message
+ * @param {Date} [options.exportedAt=new Date()] - Export time
+ * @returns {Uint8Array} PDF file contents
+ */
+function generatePdfDocument(title, messages, theme, options = {}) {
+  const showMetadata = options.showMetadata !== false;
+  const exportedAt = options.exportedAt || new Date();
+  const layout = layoutPdfPages(
+    messages.map(message => ({
+      isUser: message.isUser,
+      meta: showMetadata ? formatMessageMeta(message.createTime, message.model) : '',
+      blocks: message.blocks
+    })),
+    { title, exportedAt: exportedAt.toISOString(), colors: getThemeColors(theme) }
+  );
+  return writePdf(layout, { title, createdAt: exportedAt });
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PDF_PAGE,
+    toWinAnsi,
+    countNonWinAnsi,
+    countPdfReplacedChars,
+    getPdfUnsupportedCharsError,
+    measureText,
+    clipText,
+    parseColor,
+    wrapRuns,
+    wrapCodeSegments,
+    htmlToPdfBlocks,
+    decodeDataUrl,
+    getJpegInfo,
+    layoutPdfPages,
+    renderPdfContent,
+    writePdf,
+    generatePdfDocument
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM/Canvas)
+// ============================================================================
+
+/**
+ * Get JPEG data for an exported image, re-encoding other formats via canvas
+ * BROWSER ONLY
+ *
+ * @param {string} src - Image URL (usually a data URL from images.js)
+ * @returns {Promise<Object|null>} { bytes, width, height, components }, or null on failure
+ */
+async function loadPdfImage(src) {
+  try {
+    const decoded = decodeDataUrl(src);
+    if (decoded?.mimeType === 'image/jpeg') {
+      const info = getJpegInfo(decoded.bytes);
+      if (info) {
+        return { bytes: decoded.bytes, ...info };
+      }
+    }
+
+    const img = new Image();
+    img.src = src;
+    await waitForLoad(img);
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff'; // JPEG has no transparency
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0);
+    const bytes = decodeDataUrl(canvas.toDataURL('image/jpeg', 0.85)).bytes;
+    const info = getJpegInfo(bytes);
+    return info ? { bytes, ...info } : null;
+  } catch (error) {
+    console.warn('GPT Chat Save: Could not embed image in PDF', error);
+    return null;
+  }
+}
+
+/**
+ * Convert processed message HTML to PDF blocks with embedded images
+ * BROWSER ONLY
+ *
+ * @param {string} html - Processed message content
+ * @param {Object} [syntaxColors=SYNTAX_COLORS] - Code colors by token type
+ * @returns {Promise<Array<Object>>} Blocks for generatePdfDocument
+ */
+async function getPdfBlocks(html, syntaxColors = SYNTAX_COLORS) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  const blocks = htmlToPdfBlocks(container, syntaxColors);
+  for (const block of blocks) {
+    if (block.type === 'image' && block.src) {
+      block.jpeg = await loadPdfImage(block.src);
+    }
+  }
+  return blocks;
+}
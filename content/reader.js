@@ -0,0 +1,473 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Interactive Reader
+ * Optional script and styles added to HTML exports: a table of contents built
+ * from the user prompts, text search with highlighted hits, a light/dark
+ * toggle, copy buttons on code blocks and collapsible messages.
+ *
+ * The script is written out from the functions below (no eval, no inline
+ * event handlers, no network), works from file:// and only adds controls to
+ * the page, so with scripts disabled the export reads as before.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: getThemeColors is loaded from utils.js
+
+/** Colors switched by the light/dark toggle (code blocks keep their syntax palette) */
+const READER_COLOR_VARIABLES = {
+  background: '--background-color',
+  primary: '--primary-color',
+  userBubble: '--user-color',
+  inlineCode: '--inline-code-color',
+  tableBorder: '--table-border-color',
+  blockquoteBorder: '--blockquote-border-color'
+};
+
+/**
+ * Theme the light/dark toggle switches to
+ * @param {string|Object} theme - 'light', 'dark' or a custom theme ({ base })
+ * @returns {string} 'light' or 'dark'
+ */
+function getAlternateTheme(theme) {
+  const base = theme && typeof theme === 'object' ? theme.base : theme;
+  return base === 'dark' ? 'light' : 'dark';
+}
+
+/**
+ * Find a search query in a text, ignoring case
+ * Also written into the export (see getReaderScript).
+ *
+ * @param {string} text
+ * @param {string} query - Plain text (not a pattern)
+ * @returns {Array<Array<number>>} [start, end] of each match, in order, not overlapping
+ */
+function findTextMatches(text, query) {
+  if (!query) {
+    return [];
+  }
+  const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  const matches = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    matches.push([match.index, match.index + match[0].length]);
+  }
+  return matches;
+}
+
+/**
+ * Table of contents entry for a prompt
+ * Also written into the export (see getReaderScript).
+ *
+ * @param {string} text - Prompt text
+ * @param {number} [maxLength=80]
+ * @returns {string} Text on one line, shortened with an ellipsis
+ */
+function getPromptLabel(text, maxLength = 80) {
+  const label = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!label) {
+    return 'Prompt';
+  }
+  return label.length > maxLength ? `${label.slice(0, maxLength - 1).trimEnd()}…` : label;
+}
+
+/**
+ * Add the reader controls to an exported page
+ * Runs in the exported file, not in the extension: it may only use the DOM
+ * and the functions written out before it (see getReaderScript).
+ */
+function initReader() {
+  const root = document.documentElement;
+  const conversation = document.querySelector('.conversation');
+  if (!conversation) {
+    return;
+  }
+
+  function createButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'reader-ui';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Table of contents from the prompts of the displayed branch
+  const prompts = Array.from(conversation.children).filter(element => element.classList.contains('user-message'));
+  if (prompts.length) {
+    const toc = document.createElement('details');
+    toc.className = 'reader-ui reader-toc';
+    const summary = document.createElement('summary');
+    summary.textContent = `Contents (${prompts.length})`;
+    const list = document.createElement('ol');
+    prompts.forEach((message, index) => {
+      message.id = message.id || `prompt-${index + 1}`;
+      const content = message.querySelector('.content');
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${message.id}`;
+      link.textContent = getPromptLabel(content ? content.textContent : '');
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    toc.append(summary, list);
+    conversation.before(toc);
+  }
+
+  // Collapse/expand per message; collapsed messages show the start of their text
+  const messages = Array.from(conversation.querySelectorAll('.message'));
+  function setCollapsed(message, collapsed) {
+    message.classList.toggle('reader-collapsed', collapsed);
+    const toggle = message.querySelector(':scope > .reader-collapse');
+    toggle.textContent = collapsed ? '+' : '−';
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+  }
+  messages.forEach(message => {
+    const content = message.querySelector(':scope > .content');
+    message.dataset.readerPreview = getPromptLabel(content ? content.textContent : '', 120);
+    const toggle = createButton('−', 'Collapse or expand this message', () => {
+      setCollapsed(message, !message.classList.contains('reader-collapsed'));
+    });
+    toggle.classList.add('reader-collapse');
+    toggle.setAttribute('aria-expanded', 'true');
+    message.prepend(toggle);
+  });
+
+  // Copy buttons on code blocks
+  function copyWithSelection(text) {
+    const area = document.createElement('textarea');
+    area.className = 'reader-offscreen';
+    area.value = text;
+    area.setAttribute('readonly', '');
+    document.body.appendChild(area);
+    area.select();
+    let copied = false;
+    try {
+      copied = document.execCommand('copy');
+    } catch (error) {
+      copied = false;
+    }
+    area.remove();
+    return copied;
+  }
+  function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      return navigator.clipboard.writeText(text).then(() => true, () => copyWithSelection(text));
+    }
+    return Promise.resolve(copyWithSelection(text));
+  }
+  conversation.querySelectorAll('pre').forEach(pre => {
+    const code = pre.querySelector('code') || pre;
+    const text = code.textContent;
+    const button = createButton('Copy', 'Copy code', () => {
+      copyText(text).then(copied => {
+        button.textContent = copied ? 'Copied' : 'Copy failed';
+        setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+      });
+    });
+    button.classList.add('reader-copy');
+    pre.classList.add('reader-code');
+    pre.prepend(button);
+  });
+
+  // Search: hits are wrapped in <mark> elements, removed before the next search
+  let hits = [];
+  let current = -1;
+  let searchedQuery = '';
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Search';
+  searchInput.setAttribute('aria-label', 'Search the conversation');
+  const searchCount = document.createElement('span');
+  searchCount.className = 'reader-count';
+  searchCount.setAttribute('aria-live', 'polite');
+
+  function clearHits() {
+    hits.forEach(mark => {
+      const parent = mark.parentNode;
+      if (parent) {
+        parent.replaceChild(document.createTextNode(mark.textContent), mark);
+        parent.normalize();
+      }
+    });
+    hits = [];
+    current = -1;
+  }
+
+  function showHit(index) {
+    if (!hits.length) {
+      return;
+    }
+    if (current !== -1) {
+      hits[current].classList.remove('reader-hit-current');
+    }
+    current = (index + hits.length) % hits.length;
+    const mark = hits[current];
+    mark.classList.add('reader-hit-current');
+    // Open what hides the hit: other versions, reasoning blocks, collapsed messages
+    for (let element = mark.parentElement; element && element !== conversation; element = element.parentElement) {
+      if (element.tagName === 'DETAILS') {
+        element.open = true;
+      }
+      if (element.classList.contains('reader-collapsed')) {
+        setCollapsed(element, false);
+      }
+    }
+    mark.scrollIntoView({ block: 'center' });
+    searchCount.textContent = `${current + 1} of ${hits.length}`;
+  }
+
+  function search(query) {
+    clearHits();
+    searchedQuery = query;
+    if (!query) {
+      searchCount.textContent = '';
+      return;
+    }
+    const walker = document.createTreeWalker(conversation, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        // MathML cannot hold <mark> elements
+        return parent && !parent.closest('.reader-ui, math') ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+    });
+    const nodes = [];
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+    nodes.forEach(node => {
+      const matches = findTextMatches(node.nodeValue, query);
+      const marks = [];
+      // Split from the end, so earlier offsets stay valid
+      for (let i = matches.length - 1; i >= 0; i--) {
+        const [start, end] = matches[i];
+        const hit = node.splitText(start);
+        hit.splitText(end - start);
+        const mark = document.createElement('mark');
+        mark.className = 'reader-hit';
+        hit.replaceWith(mark);
+        mark.appendChild(hit);
+        marks.unshift(mark);
+      }
+      hits.push(...marks);
+    });
+    if (hits.length) {
+      showHit(0);
+    } else {
+      searchCount.textContent = 'No matches';
+    }
+  }
+
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => search(searchInput.value.trim()), 250);
+  });
+  searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      if (searchInput.value.trim() !== searchedQuery) {
+        // Typed faster than the search runs
+        clearTimeout(searchTimer);
+        search(searchInput.value.trim());
+      } else {
+        showHit(event.shiftKey ? current - 1 : current + 1);
+      }
+    } else if (event.key === 'Escape') {
+      searchInput.value = '';
+      search('');
+    }
+  });
+
+  // Light/dark toggle; the choice is remembered where the browser allows storage for local files
+  const alternate = root.dataset.readerAlt;
+  const exported = alternate === 'dark' ? 'light' : 'dark';
+  const storageKey = 'gpt-chat-save-reader-theme';
+  const getShownTheme = () => (root.classList.contains('reader-alt') ? alternate : exported);
+  const themeButton = createButton('', 'Switch between light and dark colors', () => {
+    root.classList.toggle('reader-alt');
+    updateThemeButton();
+    try {
+      localStorage.setItem(storageKey, getShownTheme());
+    } catch (error) {
+      // Storage unavailable
+    }
+  });
+  function updateThemeButton() {
+    themeButton.textContent = getShownTheme() === 'dark' ? 'Light theme' : 'Dark theme';
+  }
+  try {
+    root.classList.toggle('reader-alt', localStorage.getItem(storageKey) === alternate);
+  } catch (error) {
+    // Storage unavailable
+  }
+  updateThemeButton();
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'reader-ui reader-toolbar';
+  toolbar.append(
+    searchInput,
+    searchCount,
+    createButton('↑', 'Previous match (Shift+Enter)', () => showHit(current - 1)),
+    createButton('↓', 'Next match (Enter)', () => showHit(current + 1)),
+    createButton('Collapse all', 'Collapse all messages', () => messages.forEach(message => setCollapsed(message, true))),
+    createButton('Expand all', 'Expand all messages', () => messages.forEach(message => setCollapsed(message, false))),
+    themeButton
+  );
+  document.body.prepend(toolbar);
+}
+
+/**
+ * Reader script for an exported page
+ * @returns {string} Script source, for a <script> element at the end of <body>
+ */
+function getReaderScript() {
+  return `(function () {
+  'use strict';
+  ${findTextMatches}
+  ${getPromptLabel}
+  (${initReader})();
+})();`;
+}
+
+/**
+ * Reader styles for an exported page
+ * @param {string|Object} theme - Resolved theme of the export
+ * @param {number} maxWidth - Content width in pixels (see getThemeStyle)
+ * @returns {string} CSS for the document's <style> element
+ */
+function getReaderStyle(theme, maxWidth) {
+  const alternateColors = getThemeColors(getAlternateTheme(theme));
+  const variables = Object.entries(READER_COLOR_VARIABLES)
+    .map(([key, name]) => `      ${name}: ${alternateColors[key]};`)
+    .join('\n');
+
+  return `
+    /* Interactive reader */
+    html.reader-alt {
+${variables}
+    }
+
+    .reader-toolbar {
+      position: sticky;
+      top: 0;
+      z-index: 10;
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      align-items: center;
+      justify-content: flex-end;
+      max-width: ${maxWidth}px;
+      margin: 0 auto;
+      padding: 8px 0;
+      background-color: var(--background-color);
+    }
+
+    .reader-toolbar input {
+      flex: 1 1 160px;
+      max-width: 280px;
+      padding: 4px 8px;
+      font: inherit;
+      font-size: 14px;
+      color: inherit;
+      background: transparent;
+      border: 1px solid var(--table-border-color);
+      border-radius: 6px;
+    }
+
+    .reader-count {
+      font-size: 13px;
+      opacity: 0.7;
+    }
+
+    button.reader-ui {
+      padding: 3px 10px;
+      font: inherit;
+      font-size: 13px;
+      line-height: 1.4;
+      color: inherit;
+      background-color: var(--background-color);
+      border: 1px solid var(--table-border-color);
+      border-radius: 6px;
+      cursor: pointer;
+    }
+
+    .reader-toc {
+      max-width: ${maxWidth}px;
+      margin: 0 auto 20px;
+      padding: 0 20px;
+    }
+
+    .reader-toc summary {
+      cursor: pointer;
+      font-weight: 600;
+    }
+
+    .reader-toc li {
+      margin: 4px 0;
+    }
+
+    .reader-code {
+      position: relative;
+    }
+
+    button.reader-copy {
+      position: absolute;
+      top: 8px;
+      right: 8px;
+      opacity: 0.85;
+    }
+
+    button.reader-collapse {
+      float: right;
+      margin: 0 0 4px 8px;
+      padding: 0 8px;
+    }
+
+    .reader-collapsed > :not(.reader-collapse) {
+      display: none;
+    }
+
+    .reader-collapsed::after {
+      content: attr(data-reader-preview);
+      font-style: italic;
+      opacity: 0.7;
+    }
+
+    mark.reader-hit {
+      background: #ffe066;
+      color: #000;
+    }
+
+    mark.reader-hit-current {
+      background: #ff9f1c;
+    }
+
+    .reader-offscreen {
+      position: fixed;
+      left: -9999px;
+    }
+
+    @media print {
+      .reader-ui { display: none !important; }
+    }
+`;
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    READER_COLOR_VARIABLES,
+    getAlternateTheme,
+    findTextMatches,
+    getPromptLabel,
+    getReaderScript,
+    getReaderStyle
+  };
+}
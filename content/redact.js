@@ -0,0 +1,343 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Redaction
+ * Replaces secrets and personal data in exported messages with labeled
+ * placeholders such as [REDACTED:email]
+ *
+ * Built-in detectors can be switched off one by one; custom regular
+ * expressions and word lists are set on the options page.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+/**
+ * Built-in detectors, applied in this order
+ * Labels are [singular, plural] for the popup summary.
+ */
+const REDACTION_DETECTORS = [
+  {
+    kind: 'private-key',
+    labels: ['private key', 'private keys'],
+    patterns: [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g]
+  },
+  {
+    kind: 'jwt',
+    labels: ['JWT', 'JWTs'],
+    patterns: [/\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g]
+  },
+  {
+    kind: 'token',
+    labels: ['bearer token', 'bearer tokens'],
+    patterns: [/(?<=\bBearer\s+)[A-Za-z0-9\-._~+/]{8,}=*/gi]
+  },
+  {
+    kind: 'aws-key',
+    labels: ['AWS key', 'AWS keys'],
+    patterns: [
+      /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+      /(?<=aws_secret_access_key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi
+    ]
+  },
+  {
+    kind: 'api-key',
+    labels: ['API key', 'API keys'],
+    patterns: [
+      /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g,   // OpenAI, Anthropic
+      /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,           // GitHub
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,           // Slack
+      /\bAIza[0-9A-Za-z_-]{35}\b/g                 // Google
+    ]
+  },
+  {
+    kind: 'email',
+    labels: ['email address', 'email addresses'],
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g]
+  },
+  {
+    kind: 'phone',
+    labels: ['phone number', 'phone numbers'],
+    // Digit groups with separators, so plain numbers, dates and versions are left alone
+    patterns: [/(?<![\w+.-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]\d{3,4}(?![\w-]|\.\d)/g]
+  }
+];
+
+/** Labels for user-defined rules */
+const CUSTOM_REDACTION_LABELS = {
+  pattern: ['custom match', 'custom matches'],
+  word: ['listed word', 'listed words']
+};
+
+/**
+ * Kinds of the built-in detectors
+ * @returns {string[]}
+ */
+function getRedactionKinds() {
+  return REDACTION_DETECTORS.map(detector => detector.kind);
+}
+
+/**
+ * Parse one line of the custom pattern list: /source/flags or a bare regex
+ * @param {string} line
+ * @returns {RegExp} Global regular expression
+ * @throws {SyntaxError} If the expression is invalid
+ */
+function parseCustomPattern(line) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(line);
+  const source = match ? match[1] : line;
+  const flags = new Set((match ? match[2] : '').split('').filter(flag => 'imsu'.includes(flag)));
+  flags.add('g');
+  return new RegExp(source, Array.from(flags).join(''));
+}
+
+/**
+ * Build the rules for a redaction pass from the stored settings
+ * @param {Object} settings
+ * @param {boolean} settings.enabled - Redaction turned on
+ * @param {string[]} [settings.kinds] - Enabled built-in detectors (default: all)
+ * @param {string} [settings.patterns=''] - Custom regular expressions, one per line
+ * @param {string} [settings.words=''] - Words or phrases to hide, one per line (case-insensitive)
+ * @returns {{rules: Array<{kind: string, pattern: RegExp}>, errors: string[]}} Rules in the
+ *   order they apply; errors lists custom patterns that are not valid regular expressions
+ */
+function buildRedactionRules(settings) {
+  const rules = [];
+  const errors = [];
+  if (!settings?.enabled) {
+    return { rules, errors };
+  }
+
+  const kinds = Array.isArray(settings.kinds) ? settings.kinds : getRedactionKinds();
+  REDACTION_DETECTORS
+    .filter(detector => kinds.includes(detector.kind))
+    .forEach(detector => {
+      detector.patterns.forEach(pattern => rules.push({ kind: detector.kind, pattern }));
+    });
+
+  (settings.patterns || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    try {
+      const pattern = parseCustomPattern(line);
+      // Patterns that match empty text would insert placeholders everywhere
+      if (new RegExp(pattern.source, pattern.flags.replace('g', '')).test('')) {
+        errors.push(line);
+        return;
+      }
+      rules.push({ kind: 'pattern', pattern });
+    } catch (e) {
+      errors.push(line);
+    }
+  });
+
+  (settings.words || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(word => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Whole words only where the word starts/ends with a word character
+    const start = /^\w/.test(word) ? '\\b' : '';
+    const end = /\w$/.test(word) ? '\\b' : '';
+    rules.push({ kind: 'word', pattern: new RegExp(`${start}${escaped}${end}`, 'gi') });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Identifies a rule set, so cached exports are not reused across settings
+ * @param {Array<{kind: string, pattern: RegExp}>} rules
+ * @returns {string} Empty when nothing is redacted
+ */
+function getRedactionSignature(rules) {
+  return rules.map(rule => `${rule.kind}:${rule.pattern}`).join('\n');
+}
+
+/**
+ * Replace every match of the rules with [REDACTED:kind]
+ * @param {string} text
+ * @param {Array<{kind: string, pattern: RegExp}>} rules
+ * @returns {{text: string, counts: Object<string, number>}} Redacted text and matches per kind
+ */
+function redactText(text, rules) {
+  const counts = {};
+  let result = text;
+  rules.forEach(({ kind, pattern }) => {
+    result = result.replace(pattern, () => {
+      counts[kind] = (counts[kind] || 0) + 1;
+      return `[REDACTED:${kind}]`;
+    });
+  });
+  return { text: result, counts };
+}
+
+/**
+ * Add redaction counts together
+ * @param {Object<string, number>} total - Counts to add to (modified)
+ * @param {Object<string, number>} counts - Counts to add
+ * @returns {Object<string, number>} total
+ */
+function addRedactionCounts(total, counts) {
+  Object.entries(counts).forEach(([kind, count]) => {
+    total[kind] = (total[kind] || 0) + count;
+  });
+  return total;
+}
+
+/**
+ * Human-readable summary, e.g. "2 email addresses, 1 AWS key"
+ * @param {Object<string, number>} counts - Matches per kind
+ * @returns {string} Empty when nothing was redacted
+ */
+function formatRedactionSummary(counts) {
+  const labels = {};
+  REDACTION_DETECTORS.forEach(detector => {
+    labels[detector.kind] = detector.labels;
+  });
+  Object.assign(labels, CUSTOM_REDACTION_LABELS);
+  return Object.keys(labels)
+    .filter(kind => counts[kind] > 0)
+    .map(kind => `${counts[kind]} ${labels[kind][counts[kind] === 1 ? 0 : 1]}`)
+    .join(', ');
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getRedactionKinds,
+    parseCustomPattern,
+    buildRedactionRules,
+    getRedactionSignature,
+    redactText,
+    addRedactionCounts,
+    formatRedactionSummary
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/** Attributes that can carry redactable text */
+const REDACTED_ATTRIBUTES = ['href', 'alt', 'title'];
+
+/**
+ * Load redaction settings and build the rules
+ * BROWSER ONLY
+ *
+ * @returns {Promise<Array<{kind: string, pattern: RegExp}>>} Rules (empty when turned off)
+ */
+function loadRedactionRules() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get(['redactEnabled', 'redactKinds', 'redactPatterns', 'redactWords'], (result) => {
+      if (chrome.runtime.lastError) {
+        console.warn('GPT Chat Save: Failed to load redaction settings', chrome.runtime.lastError);
+        resolve([]);
+        return;
+      }
+      const { rules, errors } = buildRedactionRules({
+        enabled: result.redactEnabled === true,
+        kinds: result.redactKinds,
+        patterns: result.redactPatterns,
+        words: result.redactWords
+      });
+      if (errors.length) {
+        console.warn('GPT Chat Save: Ignoring invalid redaction patterns', errors);
+      }
+      resolve(rules);
+    });
+  });
+}
+
+/**
+ * Redact the text and link/image attributes of an element in place
+ * Code blocks are redacted as a whole, so secrets split across highlighting
+ * spans are still found; call before syntax highlighting.
+ * BROWSER ONLY
+ *
+ * @param {HTMLElement} root - Element to redact
+ * @param {Array<{kind: string, pattern: RegExp}>} rules
+ * @returns {Object<string, number>} Matches per kind
+ */
+function redactElement(root, rules) {
+  const counts = {};
+  if (!rules.length) {
+    return counts;
+  }
+
+  root.querySelectorAll('pre').forEach(pre => {
+    const result = redactText(pre.textContent, rules);
+    if (Object.keys(result.counts).length) {
+      const code = pre.querySelector('code') || document.createElement('code');
+      code.textContent = result.text;
+      pre.textContent = '';
+      pre.appendChild(code);
+      addRedactionCounts(counts, result.counts);
+    }
+  });
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement?.closest('pre')) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+  textNodes.forEach(node => {
+    const result = redactText(node.nodeValue, rules);
+    if (result.text !== node.nodeValue) {
+      node.nodeValue = result.text;
+      addRedactionCounts(counts, result.counts);
+    }
+  });
+
+  root.querySelectorAll(REDACTED_ATTRIBUTES.map(name => `[${name}]`).join(', ')).forEach(element => {
+    REDACTED_ATTRIBUTES.forEach(name => {
+      const value = element.getAttribute(name);
+      if (!value) return;
+      const result = redactText(value, rules);
+      if (result.text !== value) {
+        // Attribute matches usually repeat the link text, so they are not counted again
+        element.setAttribute(name, name === 'href' ? '#' : result.text);
+      }
+    });
+  });
+
+  return counts;
+}
+
+/**
+ * Redact an HTML fragment
+ * BROWSER ONLY
+ *
+ * @param {string} html
+ * @param {Array<{kind: string, pattern: RegExp}>} rules
+ * @returns {{html: string, counts: Object<string, number>}}
+ */
+function redactHtml(html, rules) {
+  if (!rules.length) {
+    return { html, counts: {} };
+  }
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  const counts = redactElement(container, rules);
+  return { html: container.innerHTML, counts };
+}
+
+/**
+ * Count what an export of the open conversation would redact
+ * Scans the visible message text, so the numbers can differ slightly from
+ * the export (which skips buttons and other page controls).
+ * BROWSER ONLY
+ *
+ * @returns {Promise<{enabled: boolean, counts: Object<string, number>, summary: string}>}
+ */
+async function scanPageRedactions() {
+  const rules = await loadRedactionRules();
+  if (!rules.length) {
+    return { enabled: false, counts: {}, summary: '' };
+  }
+  const counts = addRedactionCounts({}, redactText(document.title, rules).counts);
+  document.querySelectorAll(`${SELECTORS.conversationContainer} ${SELECTORS.messageArticle}`)
+    .forEach(article => addRedactionCounts(counts, redactText(article.textContent, rules).counts));
+  return { enabled: true, counts, summary: formatRedactionSummary(counts) };
+}
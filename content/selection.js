@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Message Selection
+ * Lets the user pick which messages to export via checkboxes on the page
+ *
+ * Selection is stored as article indices within the conversation container,
+ * so role detection in convertToHTML still sees the original positions.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+/** Class names used by the selection UI (removed again before export) */
+const SELECTION_CLASSES = {
+  overlay: 'gcs-selection-overlay',
+  toolbar: 'gcs-selection-toolbar',
+  selectable: 'gcs-selectable',
+  selected: 'gcs-selected'
+};
+
+/**
+ * Apply a checkbox click to the selection
+ * Shift-click sets every message between the previous click and this one
+ * to the clicked state.
+ *
+ * @param {Set<number>} selected - Current selection (not modified)
+ * @param {number} index - Clicked message index
+ * @param {boolean} checked - New state of the clicked checkbox
+ * @param {Object} [options]
+ * @param {boolean} [options.shiftKey=false] - Whether shift was held
+ * @param {number|null} [options.lastIndex=null] - Previously clicked index
+ * @returns {Set<number>} New selection
+ */
+function applySelectionClick(selected, index, checked, options = {}) {
+  const next = new Set(selected);
+  const lastIndex = options.lastIndex ?? null;
+  const from = options.shiftKey && lastIndex !== null ? Math.min(lastIndex, index) : index;
+  const to = options.shiftKey && lastIndex !== null ? Math.max(lastIndex, index) : index;
+
+  for (let i = from; i <= to; i++) {
+    if (checked) {
+      next.add(i);
+    } else {
+      next.delete(i);
+    }
+  }
+  return next;
+}
+
+/**
+ * Select a message and every message after it
+ * @param {Set<number>} selected - Current selection (not modified)
+ * @param {number} index - First message to select
+ * @param {number} total - Number of messages in the conversation
+ * @returns {Set<number>} New selection
+ */
+function selectFromIndex(selected, index, total) {
+  const next = new Set(selected);
+  for (let i = index; i < total; i++) {
+    next.add(i);
+  }
+  return next;
+}
+
+/**
+ * Keep only the items whose index is selected
+ * @param {Array<{index: number}>} items - Items carrying their original index
+ * @param {Set<number>} selected - Selected indices
+ * @returns {Array} Selected items in original order
+ */
+function filterSelected(items, selected) {
+  return items.filter(item => selected.has(item.index));
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SELECTION_CLASSES,
+    applySelectionClick,
+    selectFromIndex,
+    filterSelected
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require DOM)
+// ============================================================================
+
+/** Selection survives closing and reopening the popup */
+const selectionState = {
+  active: false,
+  selected: new Set(),
+  lastIndex: null
+};
+
+/**
+ * Article elements that can be selected, in conversation order
+ * BROWSER ONLY
+ *
+ * @returns {HTMLElement[]}
+ */
+function getSelectableArticles() {
+  const main = document.querySelector(SELECTORS.conversationContainer);
+  return main ? Array.from(main.querySelectorAll(SELECTORS.messageArticle)) : [];
+}
+
+/**
+ * Inject styles for the selection UI once
+ * BROWSER ONLY
+ */
+function injectSelectionStyles() {
+  if (document.getElementById('gcs-selection-style')) {
+    return;
+  }
+  const style = document.createElement('style');
+  style.id = 'gcs-selection-style';
+  style.textContent = `
+    .${SELECTION_CLASSES.selectable} { position: relative; }
+    .${SELECTION_CLASSES.selected} { outline: 2px solid #10a37f; outline-offset: -2px; }
+    .${SELECTION_CLASSES.overlay} {
+      position: absolute; top: 8px; left: 8px; z-index: 20;
+      display: flex; align-items: center; gap: 6px;
+      padding: 4px 8px; border-radius: 6px;
+      background: rgba(26, 26, 26, 0.85); color: #fff;
+      font: 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    }
+    .${SELECTION_CLASSES.overlay} input { width: 16px; height: 16px; accent-color: #10a37f; cursor: pointer; }
+    .${SELECTION_CLASSES.overlay} button,
+    .${SELECTION_CLASSES.toolbar} button {
+      border: 1px solid #444; border-radius: 4px; background: #2a2a2a; color: #fff;
+      padding: 2px 8px; font: inherit; cursor: pointer;
+    }
+    .${SELECTION_CLASSES.toolbar} {
+      position: fixed; bottom: 24px; left: 50%; transform: translateX(-50%); z-index: 1000;
+      display: flex; align-items: center; gap: 10px;
+      padding: 8px 14px; border-radius: 8px;
+      background: #1a1a1a; color: #fff; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+      font: 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Sync checkboxes, highlights and the toolbar count with selectionState
+ * BROWSER ONLY
+ */
+function renderSelection() {
+  getSelectableArticles().forEach((article, index) => {
+    const isSelected = selectionState.selected.has(index);
+    article.classList.toggle(SELECTION_CLASSES.selected, isSelected);
+    const checkbox = article.querySelector(`.${SELECTION_CLASSES.overlay} input`);
+    if (checkbox) {
+      checkbox.checked = isSelected;
+    }
+  });
+
+  const count = document.querySelector(`.${SELECTION_CLASSES.toolbar} .gcs-selection-count`);
+  if (count) {
+    count.textContent = `${selectionState.selected.size} selected`;
+  }
+}
+
+/**
+ * Build the checkbox overlay for one article
+ * BROWSER ONLY
+ *
+ * @param {number} index - Article index
+ * @param {number} total - Number of articles
+ * @returns {HTMLElement}
+ */
+function createSelectionOverlay(index, total) {
+  const overlay = document.createElement('div');
+  overlay.className = SELECTION_CLASSES.overlay;
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.title = 'Include in export (shift-click to select a range)';
+  checkbox.addEventListener('click', (event) => {
+    selectionState.selected = applySelectionClick(selectionState.selected, index, checkbox.checked, {
+      shiftKey: event.shiftKey,
+      lastIndex: selectionState.lastIndex
+    });
+    selectionState.lastIndex = index;
+    renderSelection();
+  });
+
+  const toEnd = document.createElement('button');
+  toEnd.type = 'button';
+  toEnd.textContent = 'From here to end';
+  toEnd.addEventListener('click', () => {
+    selectionState.selected = selectFromIndex(selectionState.selected, index, total);
+    selectionState.lastIndex = index;
+    renderSelection();
+  });
+
+  overlay.appendChild(checkbox);
+  overlay.appendChild(toEnd);
+  return overlay;
+}
+
+/**
+ * Build the floating toolbar with count, clear and done actions
+ * BROWSER ONLY
+ *
+ * @returns {HTMLElement}
+ */
+function createSelectionToolbar() {
+  const toolbar = document.createElement('div');
+  toolbar.className = SELECTION_CLASSES.toolbar;
+
+  const count = document.createElement('span');
+  count.className = 'gcs-selection-count';
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.textContent = 'Clear';
+  clear.addEventListener('click', () => {
+    selectionState.selected = new Set();
+    selectionState.lastIndex = null;
+    renderSelection();
+  });
+
+  const done = document.createElement('button');
+  done.type = 'button';
+  done.textContent = 'Done';
+  done.title = 'Open GPT Chat Save and choose "Export selection"';
+  done.addEventListener('click', stopSelectionMode);
+
+  toolbar.appendChild(count);
+  toolbar.appendChild(clear);
+  toolbar.appendChild(done);
+  return toolbar;
+}
+
+/**
+ * Show selection checkboxes on every message
+ * BROWSER ONLY
+ *
+ * @returns {number} Number of selectable messages
+ */
+function startSelectionMode() {
+  stopSelectionMode();
+  injectSelectionStyles();
+
+  const articles = getSelectableArticles();
+  articles.forEach((article, index) => {
+    article.classList.add(SELECTION_CLASSES.selectable);
+    article.prepend(createSelectionOverlay(index, articles.length));
+  });
+  document.body.appendChild(createSelectionToolbar());
+
+  selectionState.active = true;
+  renderSelection();
+  return articles.length;
+}
+
+/**
+ * Remove the selection UI (the selection itself is kept for export)
+ * BROWSER ONLY
+ */
+function stopSelectionMode() {
+  document.querySelectorAll(`.${SELECTION_CLASSES.overlay}, .${SELECTION_CLASSES.toolbar}`)
+    .forEach(el => el.remove());
+  document.querySelectorAll(`.${SELECTION_CLASSES.selectable}`).forEach(article => {
+    article.classList.remove(SELECTION_CLASSES.selectable, SELECTION_CLASSES.selected);
+  });
+  selectionState.active = false;
+}
@@ -0,0 +1,945 @@
+'use strict';
+
+/**
+ * GPT Chat Save - HTML Document Template
+ * Styled HTML output shared by the content script and the import page
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Original work Copyright (c) Enes Saltik
+ * Modified work Copyright (c) 2026 CorticalCode
+ */
+
+// Note: escapeHtml, formatMessageMeta, formatBytes, getAttachmentType, getThemeColors,
+// getThemeStyle are loaded from utils.js; getAlternateTheme, getReaderStyle,
+// getReaderScript from reader.js
+
+/**
+ * Syntax highlighting palettes for custom themes: code block colors by
+ * highlight.js token type (hljs-<type> classes)
+ * All but GitHub Light expect a dark code block background.
+ */
+const SYNTAX_PALETTES = {
+  dracula: {
+    name: 'Dracula',
+    colors: {
+      base: '#fff',
+      keyword: '#ff79c6',
+      string: '#f1fa8c',
+      number: '#bd93f9',
+      function: '#50fa7b',
+      comment: '#6272a4',
+      title: '#50fa7b',
+      params: '#f8f8f2',
+      built_in: '#8be9fd',
+      attr: '#50fa7b',
+      variable: '#f8f8f2',
+      type: '#8be9fd'
+    }
+  },
+  'github-dark': {
+    name: 'GitHub Dark',
+    colors: {
+      base: '#c9d1d9',
+      keyword: '#ff7b72',
+      string: '#a5d6ff',
+      number: '#79c0ff',
+      function: '#d2a8ff',
+      comment: '#8b949e',
+      title: '#d2a8ff',
+      params: '#c9d1d9',
+      built_in: '#ffa657',
+      attr: '#79c0ff',
+      variable: '#ffa657',
+      type: '#ffa657'
+    }
+  },
+  'github-light': {
+    name: 'GitHub Light',
+    colors: {
+      base: '#24292e',
+      keyword: '#d73a49',
+      string: '#032f62',
+      number: '#005cc5',
+      function: '#6f42c1',
+      comment: '#6a737d',
+      title: '#6f42c1',
+      params: '#24292e',
+      built_in: '#e36209',
+      attr: '#005cc5',
+      variable: '#e36209',
+      type: '#e36209'
+    }
+  },
+  monokai: {
+    name: 'Monokai',
+    colors: {
+      base: '#f8f8f2',
+      keyword: '#f92672',
+      string: '#e6db74',
+      number: '#ae81ff',
+      function: '#a6e22e',
+      comment: '#75715e',
+      title: '#a6e22e',
+      params: '#fd971f',
+      built_in: '#66d9ef',
+      attr: '#a6e22e',
+      variable: '#f8f8f2',
+      type: '#66d9ef'
+    }
+  },
+  nord: {
+    name: 'Nord',
+    colors: {
+      base: '#d8dee9',
+      keyword: '#81a1c1',
+      string: '#a3be8c',
+      number: '#b48ead',
+      function: '#88c0d0',
+      comment: '#616e88',
+      title: '#88c0d0',
+      params: '#d8dee9',
+      built_in: '#81a1c1',
+      attr: '#8fbcbb',
+      variable: '#d8dee9',
+      type: '#8fbcbb'
+    }
+  },
+  'solarized-dark': {
+    name: 'Solarized Dark',
+    colors: {
+      base: '#93a1a1',
+      keyword: '#859900',
+      string: '#2aa198',
+      number: '#d33682',
+      function: '#268bd2',
+      comment: '#586e75',
+      title: '#268bd2',
+      params: '#93a1a1',
+      built_in: '#cb4b16',
+      attr: '#b58900',
+      variable: '#b58900',
+      type: '#b58900'
+    }
+  }
+};
+
+/** Speaker names used when none are set */
+const DEFAULT_SPEAKER_NAMES = { user: 'You', assistant: 'ChatGPT' };
+
+/** Export layouts: chat bubbles, or full-width labeled turns */
+const EXPORT_LAYOUTS = ['bubbles', 'transcript'];
+
+/**
+ * Code block colors of the light and dark themes
+ * Code blocks have a dark background in both themes.
+ */
+const SYNTAX_COLORS = SYNTAX_PALETTES.dracula.colors;
+
+/**
+ * Get the code block colors of a theme
+ * @param {string|Object} theme - 'light', 'dark' or a custom theme ({ syntax })
+ * @returns {Object} Colors by token type
+ */
+function getSyntaxColors(theme) {
+  const syntax = theme && typeof theme === 'object' ? theme.syntax : null;
+  return syntax && Object.hasOwn(SYNTAX_PALETTES, syntax) ? SYNTAX_PALETTES[syntax].colors : SYNTAX_COLORS;
+}
+
+/**
+ * Count the messages of each speaker (other versions are not counted)
+ * @param {Array<{isUser: boolean}>} messages - Processed messages
+ * @returns {{user: number, assistant: number}}
+ */
+function countMessagesByRole(messages) {
+  const user = messages.filter(message => message.isUser).length;
+  return { user, assistant: messages.length - user };
+}
+
+/**
+ * Conversation details stored in <meta> tags, for archive and search tools
+ * @param {Object} details - See renderHTMLDocument (with messageCounts from countMessagesByRole)
+ * @returns {Array<[string, string]>} Meta name and content, for the details that are known
+ */
+function getExportMetaEntries(details) {
+  const url = /^https?:\/\//i.test(details.url || '') ? details.url : null;
+  const created = details.createTime ? new Date(details.createTime * 1000).toISOString() : null;
+  const entries = [
+    ['generator', details.version ? `GPT Chat Save ${details.version}` : 'GPT Chat Save'],
+    ['gpt-chat-save:conversation-id', details.conversationId],
+    ['gpt-chat-save:url', url],
+    ['gpt-chat-save:created', created],
+    ['gpt-chat-save:gpt-id', details.gpt?.id],
+    ['gpt-chat-save:gpt-name', details.gpt?.name],
+    ['gpt-chat-save:gpt-description', details.gpt?.description],
+    ['gpt-chat-save:project-id', details.project?.id],
+    ['gpt-chat-save:project-name', details.project?.name],
+    ['gpt-chat-save:messages-user', details.messageCounts ? String(details.messageCounts.user) : null],
+    ['gpt-chat-save:messages-assistant', details.messageCounts ? String(details.messageCounts.assistant) : null]
+  ];
+  return entries.filter(([, content]) => content);
+}
+
+/**
+ * Render the conversation details under the title
+ * @param {Object} details - See renderHTMLDocument (with messageCounts from countMessagesByRole)
+ * @returns {string} HTML (empty if nothing is known)
+ */
+function renderHeaderDetails(details) {
+  const lines = [];
+  if (details.gpt?.name) {
+    lines.push(`Custom GPT: ${escapeHtml(details.gpt.name)}`);
+  }
+  if (details.gpt?.description) {
+    lines.push(`<span class="header-description">${escapeHtml(details.gpt.description)}</span>`);
+  }
+  if (details.project?.name) {
+    lines.push(`Project: ${escapeHtml(details.project.name)}`);
+  }
+
+  const facts = [];
+  if (details.createTime) {
+    facts.push(`Created: ${escapeHtml(formatMessageTime(new Date(details.createTime * 1000)))}`);
+  }
+  if (details.messageCounts) {
+    const { user, assistant } = details.messageCounts;
+    facts.push(`${user} ${user === 1 ? 'prompt' : 'prompts'}, ${assistant} ${assistant === 1 ? 'reply' : 'replies'}`);
+  }
+  if (facts.length) {
+    lines.push(facts.join(' · '));
+  }
+
+  // Only web links; the id alone is shown for anything else
+  if (details.url && /^https?:\/\//i.test(details.url)) {
+    lines.push(`<a href="${escapeHtml(details.url)}">${escapeHtml(details.conversationId || details.url)}</a>`);
+  } else if (details.conversationId) {
+    lines.push(`Conversation: ${escapeHtml(details.conversationId)}`);
+  }
+
+  return lines.length ? `
+    <div class="header-details">
+${lines.map(line => `      <div>${line}</div>`).join('\n')}
+    </div>` : '';
+}
+
+/**
+ * Generate the HTML template with embedded styles
+ * @param {string} title - Conversation title
+ * @param {Object} colors - Theme colors from getThemeColors
+ * @param {string|Object} theme - 'light', 'dark' or a custom theme (also sets fonts,
+ *   width and syntax colors)
+ * @param {Object} [options]
+ * @param {boolean} [options.reader=false] - Add the interactive reader styles (see reader.js)
+ * @param {string} [options.layout='bubbles'] - One of EXPORT_LAYOUTS
+ * @param {Object} [options.details={}] - Conversation details for the header and <meta>
+ *   tags (see renderHTMLDocument), with messageCounts from countMessagesByRole
+ * @returns {string} Document start, up to the opening conversation element
+ */
+function generateHTMLTemplate(title, colors, theme, options = {}) {
+  const escapedTitle = escapeHtml(title);
+  const details = options.details || {};
+  const timestamp = new Date().toISOString();
+  // The version comes from the manifest (digits and dots), so it cannot end the comment below
+  const generator = details.version ? `GPT Chat Save v${escapeHtml(details.version)}` : 'GPT Chat Save';
+  const metaTags = getExportMetaEntries(details)
+    .map(([name, content]) => `
+  <meta name="${escapeHtml(name)}" content="${escapeHtml(content)}">`).join('');
+  const style = getThemeStyle(theme);
+  const syntaxColors = getSyntaxColors(theme);
+  // Custom theme ids are limited to [a-z0-9-], so they cannot end the comment
+  const themeLabel = typeof theme === 'object' ? `custom:${theme.id}` : theme;
+
+  return `<!DOCTYPE html>
+<!-- ${generator} | Theme: ${themeLabel} | Exported: ${timestamp} -->
+<html lang="en"${options.reader ? ` data-reader-alt="${getAlternateTheme(theme)}"` : ''}>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">${metaTags}
+  <title>${escapedTitle}</title>
+  <style>
+    :root {
+      --background-color: ${colors.background};
+      --primary-color: ${colors.primary};
+      --user-color: ${colors.userBubble};
+      --inline-code-color: ${colors.inlineCode};
+      --table-border-color: ${colors.tableBorder};
+      --blockquote-border-color: ${colors.blockquoteBorder};
+    }
+
+    * { box-sizing: border-box; }
+
+    body {
+      font-family: ${style.fontFamily};
+      font-size: ${style.fontSize}px;
+      background-color: var(--background-color);
+      color: var(--primary-color);
+      padding: 20px;
+      margin: 0 auto;
+      line-height: 1.6;
+    }
+
+    .header {
+      text-align: center;
+      margin-bottom: 30px;
+      border-bottom: 2px dashed var(--primary-color);
+      padding-bottom: 15px;
+      max-width: ${Math.max(style.maxWidth, 1200)}px;
+      margin-left: auto;
+      margin-right: auto;
+    }
+
+    .title {
+      font-size: 24px;
+      font-weight: bold;
+      margin: 0;
+      text-transform: uppercase;
+      letter-spacing: 2px;
+    }
+
+    .timestamp {
+      font-size: 14px;
+      margin-top: 10px;
+      opacity: 0.8;
+    }
+
+    .header-details {
+      font-size: 14px;
+      margin-top: 6px;
+      opacity: 0.8;
+    }
+
+    .header-details a {
+      color: inherit;
+      word-break: break-all;
+    }
+
+    .header-description {
+      font-style: italic;
+    }
+
+    .conversation {
+      max-width: ${style.maxWidth}px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+
+    .message {
+      margin-bottom: 20px;
+      padding: 10px 20px;
+      border-radius: 18px;
+      width: fit-content;
+      max-width: 80%;
+      clear: both;
+      overflow: hidden;
+    }
+
+    .user-message {
+      float: right;
+      background-color: var(--user-color);
+    }
+
+    .assistant-message {
+      float: left;
+    }
+
+    .role {
+      font-weight: bold;
+      margin-bottom: 5px;
+      text-transform: uppercase;
+      font-size: 12px;
+    }
+
+    .user-message .role {
+      color: #ff3333;
+      text-align: right;
+    }
+
+    .assistant-message .role {
+      color: var(--primary-color);
+    }
+
+    .role-avatar {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      width: 24px;
+      height: 24px;
+      margin-right: 6px;
+      border-radius: 50%;
+      border: 1px solid currentColor;
+      font-size: 10px;
+      letter-spacing: 0;
+      vertical-align: middle;
+    }
+
+    /* Transcript layout: full-width labeled turns instead of bubbles */
+    .layout-transcript .message {
+      float: none;
+      width: auto;
+      max-width: none;
+      margin-bottom: 0;
+      padding: 14px 0;
+      border-radius: 0;
+      border-bottom: 1px solid var(--table-border-color);
+      background-color: transparent;
+    }
+
+    .layout-transcript .user-message .role,
+    .layout-transcript .user-message .message-meta,
+    .layout-transcript .user-message .version-label {
+      text-align: left;
+    }
+
+    .layout-transcript .user-message .attachments {
+      justify-content: flex-start;
+    }
+
+    .layout-transcript .versions {
+      margin: 12px 0;
+    }
+
+    .message-meta {
+      font-size: 12px;
+      opacity: 0.6;
+      margin-bottom: 5px;
+    }
+
+    .user-message .message-meta {
+      text-align: right;
+    }
+
+    .attachments {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin-bottom: 8px;
+    }
+
+    .user-message .attachments {
+      justify-content: flex-end;
+    }
+
+    .attachment-card {
+      display: flex;
+      flex-direction: column;
+      max-width: 260px;
+      padding: 8px 12px;
+      border: 1px solid var(--table-border-color);
+      border-radius: 8px;
+      color: inherit;
+      text-decoration: none;
+    }
+
+    .attachment-name {
+      font-weight: 600;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .attachment-info {
+      font-size: 12px;
+      opacity: 0.6;
+    }
+
+    .version-label {
+      font-size: 12px;
+      font-weight: bold;
+      opacity: 0.6;
+      margin-bottom: 5px;
+    }
+
+    .user-message .version-label {
+      text-align: right;
+    }
+
+    .versions {
+      clear: both;
+      margin-bottom: 20px;
+      padding: 8px 12px;
+      border: 1px dashed rgba(128, 128, 128, 0.4);
+      border-radius: 8px;
+    }
+
+    .versions summary {
+      font-size: 14px;
+      opacity: 0.8;
+      cursor: pointer;
+    }
+
+    .trace {
+      margin-bottom: 8px;
+      padding: 6px 12px;
+      border-left: 3px solid var(--blockquote-border-color);
+      border-radius: 4px;
+      background: rgba(128, 128, 128, 0.08);
+    }
+
+    .trace summary {
+      font-size: 14px;
+      opacity: 0.8;
+      cursor: pointer;
+    }
+
+    .trace-content {
+      margin-top: 8px;
+      font-size: 14px;
+    }
+
+    .version {
+      display: flow-root;
+      margin-top: 12px;
+      padding-left: 12px;
+      border-left: 3px solid rgba(128, 128, 128, 0.3);
+    }
+
+    .content {
+      user-select: text;
+      word-wrap: break-word;
+    }
+
+    .content h1 { font-size: 24px; margin: 0.67em 0; }
+    .content h2 { font-size: 20px; margin: 0.75em 0; }
+    .content h3 { font-size: 18px; margin: 0.83em 0; }
+    .content h4 { font-size: 16px; margin: 1.12em 0; }
+    .content h5 { font-size: 14px; margin: 1.5em 0; }
+    .content h6 { font-size: 12px; margin: 1.67em 0; }
+
+    math[display="block"] {
+      display: block;
+      margin: 12px 0;
+      overflow-x: auto;
+    }
+
+    table {
+      border-collapse: collapse;
+      margin: 16px 0;
+      width: 100%;
+      max-width: 100%;
+      overflow-x: auto;
+      display: block;
+    }
+
+    th, td {
+      border: 1px solid var(--table-border-color);
+      padding: 8px 12px;
+      text-align: left;
+      vertical-align: top;
+    }
+
+    th {
+      font-weight: 600;
+      background: var(--table-border-color);
+    }
+
+    blockquote {
+      border-left: 4px solid var(--blockquote-border-color);
+      margin: 8px 0;
+      padding: 8px 24px;
+      font-style: italic;
+    }
+
+    hr {
+      border: none;
+      border-top: 1px solid var(--table-border-color);
+      margin: 28px 0;
+    }
+
+    li {
+      margin: 8px 0;
+    }
+
+    a {
+      color: inherit;
+      text-decoration: underline;
+    }
+
+    a:hover {
+      opacity: 0.8;
+    }
+
+    code {
+      background: var(--inline-code-color);
+      color: var(--primary-color);
+      padding: 2px 6px;
+      border-radius: 4px;
+      font-family: "SF Mono", Monaco, "Courier New", monospace;
+      font-size: 0.9em;
+    }
+
+    pre {
+      margin: 16px 0;
+    }
+
+    pre code,
+    .code-block {
+      display: block;
+      background: ${colors.codeBlockBackground} !important;
+      color: ${syntaxColors.base} !important;
+      padding: 16px !important;
+      border-radius: 8px !important;
+      border: 1px solid ${colors.codeBlockBorder} !important;
+      overflow-x: auto !important;
+      white-space: pre !important;
+      font-size: 14px !important;
+    }
+
+    /* Syntax highlighting */
+    .hljs { background: transparent; color: ${syntaxColors.base}; }
+${Object.entries(syntaxColors)
+    .filter(([name]) => name !== 'base')
+    .map(([name, color]) => `    .hljs-${name} { color: ${color}; }`)
+    .join('\n')}
+
+    /* Images */
+    .message img,
+    .message .exported-image {
+      max-width: 100%;
+      height: auto;
+      border-radius: 8px;
+      margin: 12px 0;
+      display: block;
+    }
+
+    .image-error {
+      display: inline-block;
+      padding: 12px 16px;
+      background: rgba(255, 100, 100, 0.1);
+      border: 1px dashed rgba(255, 100, 100, 0.3);
+      border-radius: 8px;
+      font-style: italic;
+    }
+
+    .image-error a {
+      color: inherit;
+      text-decoration: underline;
+    }
+
+    .image-placeholder {
+      display: inline-block;
+      padding: 8px 12px;
+      background: rgba(128, 128, 128, 0.1);
+      border-radius: 4px;
+      font-style: italic;
+      opacity: 0.7;
+    }
+
+    @media print {
+      .message { break-inside: avoid; }
+    }
+${options.reader ? getReaderStyle(theme, style.maxWidth) : ''}  </style>
+</head>
+<body${options.layout === 'transcript' ? ' class="layout-transcript"' : ''}>
+  <div class="header">
+    <h1 class="title">${escapedTitle}</h1>
+    <div class="timestamp">Exported: ${timestamp}${details.version ? ` with ${generator}` : ''}</div>${renderHeaderDetails(details)}
+  </div>
+  <div class="conversation">
+`;
+}
+
+/**
+ * Render attached and generated files as cards with name, type and size
+ * Files bundled with the export (attachment.path) link to their copy.
+ *
+ * @param {Array<Object>} [attachments] - { name, mimeType, size, path }
+ * @returns {string} HTML ('' without attachments)
+ */
+function renderAttachmentCards(attachments) {
+  if (!attachments?.length) {
+    return '';
+  }
+  const cards = attachments.map(attachment => {
+    const info = [getAttachmentType(attachment.name, attachment.mimeType), formatBytes(attachment.size)]
+      .filter(Boolean)
+      .join(' · ');
+    const body = `<span class="attachment-name">${escapeHtml(attachment.name || 'Unnamed file')}</span>` +
+      `<span class="attachment-info">${escapeHtml(info)}</span>`;
+    return attachment.path
+      ? `<a class="attachment-card" href="${escapeHtml(encodeURI(attachment.path))}">${body}</a>`
+      : `<div class="attachment-card">${body}</div>`;
+  }).join('');
+  return `
+      <div class="attachments">${cards}</div>`;
+}
+
+/**
+ * Render reasoning and tool calls as collapsed blocks labeled by kind
+ * @param {Array<Object>} [traces] - { kind, label, html } (see classifyTrace)
+ * @returns {string} HTML ('' without traces)
+ */
+function renderTraceBlocks(traces) {
+  if (!traces?.length) {
+    return '';
+  }
+  return traces.map(trace => `
+      <details class="trace trace-${escapeHtml(trace.kind)}">
+        <summary>${escapeHtml(trace.label)}</summary>${trace.html ? `
+        <div class="trace-content">${trace.html}</div>` : ''}
+      </details>`).join('');
+}
+
+/**
+ * Validate speaker settings, e.g. from storage
+ * @param {*} input - { userName, assistantName, avatars }
+ * @returns {{userName: string, assistantName: string, avatars: boolean}} Empty names use the
+ *   defaults (the assistant name may be filled in from the page first)
+ */
+function normalizeSpeakerSettings(input) {
+  const settings = input && typeof input === 'object' ? input : {};
+  const cleanName = name => String(name || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+  return {
+    userName: cleanName(settings.userName),
+    assistantName: cleanName(settings.assistantName),
+    avatars: settings.avatars === true
+  };
+}
+
+/**
+ * Initials shown in a speaker's avatar
+ * @param {string} name - Speaker name
+ * @returns {string} First letters of the first two words, uppercase (e.g. 'AL' for 'Ada Lovelace')
+ */
+function getSpeakerInitials(name) {
+  return String(name || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(word => Array.from(word)[0].toUpperCase())
+    .join('');
+}
+
+/**
+ * Render the speaker label of a message
+ * @param {Object} message - Processed message ({ isUser })
+ * @param {Object} speakers - From normalizeSpeakerSettings
+ * @returns {string} HTML
+ */
+function renderSpeakerLabel(message, speakers) {
+  const name = message.isUser
+    ? speakers.userName || DEFAULT_SPEAKER_NAMES.user
+    : speakers.assistantName || DEFAULT_SPEAKER_NAMES.assistant;
+  const avatar = speakers.avatars
+    ? `<span class="role-avatar" aria-hidden="true">${escapeHtml(getSpeakerInitials(name))}</span>`
+    : '';
+  return `
+      <div class="role">${avatar}${escapeHtml(name)}</div>`;
+}
+
+/**
+ * Render one message, followed by its other versions (edits/regenerations)
+ * @param {Object} message - Processed message
+ * @param {Array<Object>} [message.versions] - { index, total, alternatives: [{ index, messages }] }
+ * @param {Array<Object>} [message.attachments] - Shown as cards above the content
+ * @param {Array<Object>} [message.traces] - Reasoning and tool calls, collapsed above the content
+ * @param {boolean} showMetadata - Show time and model
+ * @param {Object|null} [speakers=null] - Speaker label settings (see normalizeSpeakerSettings);
+ *   null for no labels
+ * @returns {string} HTML
+ */
+function renderMessageHTML(message, showMetadata, speakers = null) {
+  const messageClass = message.isUser ? 'user-message' : 'assistant-message';
+  const versions = message.versions || [];
+  const roleHTML = speakers ? renderSpeakerLabel(message, speakers) : '';
+  const meta = showMetadata ? formatMessageMeta(message.createTime, message.model) : '';
+  const metaHTML = meta ? `
+      <div class="message-meta">${escapeHtml(meta)}</div>` : '';
+  const labelHTML = versions.map(group => `
+      <div class="version-label">Version ${group.index} of ${group.total}</div>`).join('');
+
+  const alternativesHTML = versions.map(group => {
+    const alternatives = group.alternatives.map(alternative => `
+      <div class="version">
+        <div class="version-label">Version ${alternative.index} of ${group.total}</div>
+        ${alternative.messages.map(nested => renderMessageHTML(nested, showMetadata, speakers)).join('')}
+      </div>`).join('');
+    return `
+    <details class="versions">
+      <summary>Other versions (${group.alternatives.length})</summary>${alternatives}
+    </details>
+`;
+  }).join('');
+
+  return `
+    <div class="message ${messageClass}">${roleHTML}${metaHTML}${labelHTML}${renderTraceBlocks(message.traces)}${renderAttachmentCards(message.attachments)}
+      <div class="content">${message.content}</div>
+    </div>
+${alternativesHTML}`;
+}
+
+/**
+ * Render processed messages as a complete HTML document
+ * @param {string} title - Conversation title
+ * @param {Array<Object>} messages - Processed messages
+ * @param {string|Object} theme - Resolved theme ('light', 'dark' or a custom theme)
+ * @param {Object} [options]
+ * @param {boolean} [options.showMetadata=true] - Show time and model under each message
+ * @param {boolean} [options.reader=false] - Add the interactive reader (contents, search,
+ *   light/dark toggle, copy buttons, collapsible messages; see reader.js)
+ * @param {string} [options.layout='bubbles'] - One of EXPORT_LAYOUTS
+ * @param {Object|null} [options.speakers=null] - Label each message with its speaker
+ *   (see normalizeSpeakerSettings); the transcript layout always labels them
+ * @param {Object} [options.details] - Conversation details for the header and <meta> tags
+ *   (message counts by speaker are always added)
+ * @param {string} [options.details.version] - Extension version (from the manifest)
+ * @param {string|null} [options.details.conversationId]
+ * @param {string|null} [options.details.url] - Conversation URL
+ * @param {number|null} [options.details.createTime] - Creation time (Unix seconds)
+ * @param {Object|null} [options.details.gpt] - Custom GPT ({ id, name, description })
+ * @param {Object|null} [options.details.project] - Project ({ id, name })
+ * @returns {string} HTML document
+ */
+function renderHTMLDocument(title, messages, theme, options = {}) {
+  const showMetadata = options.showMetadata !== false;
+  const colors = getThemeColors(theme);
+  const layout = EXPORT_LAYOUTS.includes(options.layout) ? options.layout : 'bubbles';
+  const speakers = options.speakers || (layout === 'transcript' ? normalizeSpeakerSettings({}) : null);
+  const details = { ...options.details, messageCounts: countMessagesByRole(messages) };
+
+  // Use array accumulation instead of string concatenation for memory efficiency
+  // Array.push() is O(1), vs string += which copies entire string each time
+  const htmlParts = [generateHTMLTemplate(title, colors, theme, { reader: options.reader, layout, details })];
+
+  messages.forEach(message => {
+    htmlParts.push(renderMessageHTML(message, showMetadata, speakers));
+  });
+
+  // Close HTML; the reader script runs once the conversation is parsed
+  htmlParts.push(`
+  </div>${options.reader ? `
+  <script>
+${getReaderScript()}
+  </script>` : ''}
+</body>
+</html>`);
+
+  // Single string allocation at the end
+  return htmlParts.join('');
+}
+
+/**
+ * Generate the index page of a ZIP archive of conversations
+ * @param {Array<Object>} entries - { title, filename, messageCount, error }
+ * @param {Object} details
+ * @param {string} details.heading - Page title
+ * @param {string} details.exportedAt - ISO timestamp
+ * @returns {string} HTML document
+ */
+function generateArchiveIndexPage(entries, details) {
+  const heading = escapeHtml(details.heading);
+  const rows = entries.map(entry => {
+    const title = escapeHtml(entry.title || 'Untitled');
+    const link = entry.filename
+      ? `<a href="${escapeHtml(encodeURI(entry.filename))}">${title}</a>`
+      : title;
+    const status = entry.error ? `Failed: ${escapeHtml(entry.error)}` : `${entry.messageCount} messages`;
+    return `      <tr><td>${link}</td><td>${status}</td></tr>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${heading}</title>
+  <style>
+    body { font-family: ui-sans-serif, -apple-system, system-ui, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 900px; margin: 0 auto; padding: 20px; line-height: 1.6; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid rgba(0, 0, 0, 0.15); padding: 8px 12px; text-align: left; }
+    .timestamp { opacity: 0.8; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>${heading}</h1>
+  <div class="timestamp">Exported: ${escapeHtml(details.exportedAt)} · ${entries.length} conversations</div>
+  <table>
+    <thead><tr><th>Conversation</th><th>Status</th></tr></thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</body>
+</html>`;
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SYNTAX_PALETTES,
+    SYNTAX_COLORS,
+    DEFAULT_SPEAKER_NAMES,
+    EXPORT_LAYOUTS,
+    getSyntaxColors,
+    countMessagesByRole,
+    getExportMetaEntries,
+    renderHeaderDetails,
+    generateHTMLTemplate,
+    normalizeSpeakerSettings,
+    getSpeakerInitials,
+    renderSpeakerLabel,
+    renderAttachmentCards,
+    renderTraceBlocks,
+    renderHTMLDocument,
+    generateArchiveIndexPage
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require chrome.storage)
+// ============================================================================
+
+/** chrome.storage.sync keys of the speaker settings (settings page) */
+const SPEAKER_SETTING_KEYS = {
+  userName: 'speakerUserName',
+  assistantName: 'speakerAssistantName',
+  avatars: 'speakerAvatars'
+};
+
+/**
+ * Load the speaker names and avatar setting
+ * BROWSER ONLY
+ *
+ * @returns {Promise<Object>} From normalizeSpeakerSettings
+ */
+function loadSpeakerSettings() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get(Object.values(SPEAKER_SETTING_KEYS), (result) => {
+      if (chrome.runtime.lastError) {
+        resolve(normalizeSpeakerSettings({}));
+        return;
+      }
+      resolve(normalizeSpeakerSettings({
+        userName: result[SPEAKER_SETTING_KEYS.userName],
+        assistantName: result[SPEAKER_SETTING_KEYS.assistantName],
+        avatars: result[SPEAKER_SETTING_KEYS.avatars]
+      }));
+    });
+  });
+}
+
+/**
+ * Save the speaker names and avatar setting
+ * BROWSER ONLY
+ *
+ * @param {Object} settings - { userName, assistantName, avatars }
+ * @returns {Promise<void>}
+ * @throws {Error} If storage rejects them
+ */
+function saveSpeakerSettings(settings) {
+  const { userName, assistantName, avatars } = normalizeSpeakerSettings(settings);
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({
+      [SPEAKER_SETTING_KEYS.userName]: userName,
+      [SPEAKER_SETTING_KEYS.assistantName]: assistantName,
+      [SPEAKER_SETTING_KEYS.avatars]: avatars
+    }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
@@ -0,0 +1,297 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Custom Themes
+ * User-defined export themes: colors, syntax palette, font and content width.
+ * Edited on the settings page and stored in chrome.storage.sync; the popup
+ * selects one as 'custom:<id>'.
+ *
+ * Theme values end up in the exported <style> element, so everything is
+ * validated here: colors must be hex or rgb()/rgba(), and font families may
+ * not contain characters that could end a CSS declaration.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: getThemeColors is loaded from utils.js,
+// SYNTAX_PALETTES from template.js
+
+/** chrome.storage.sync key holding the custom themes */
+const CUSTOM_THEMES_KEY = 'customThemes';
+
+/** Prefix of custom theme values in the popup's theme select ('custom:<id>') */
+const CUSTOM_THEME_PREFIX = 'custom:';
+
+/** Themes kept; chrome.storage.sync allows 8 KB per key */
+const MAX_CUSTOM_THEMES = 10;
+
+/** Editable color keys, as returned by getThemeColors */
+const THEME_COLOR_KEYS = Object.keys(getThemeColors('light'));
+
+/** Allowed font sizes and content widths, in pixels */
+const THEME_LIMITS = {
+  fontSize: { min: 10, max: 28, default: 16 },
+  maxWidth: { min: 480, max: 1920, default: 900 }
+};
+
+/** Marks files written by serializeThemes */
+const THEME_FILE_FORMAT = 'gpt-chat-save-themes';
+
+/**
+ * Check that a value is a color the exports and the PDF writer understand
+ * @param {*} value
+ * @returns {boolean} True for #rgb, #rrggbb, rgb(), rgba() and 'transparent'
+ */
+function isThemeColor(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const color = value.trim().toLowerCase();
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(color) ||
+    /^rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\)$/.test(color) ||
+    color === 'transparent';
+}
+
+/**
+ * Check that a font family list is safe to put in a CSS declaration
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isThemeFontFamily(value) {
+  return typeof value === 'string' && /^[\w\s,"'.-]{1,200}$/.test(value);
+}
+
+/**
+ * Theme id derived from its name
+ * @param {string} name - Theme name
+ * @returns {string} Lowercase letters, digits and dashes
+ */
+function getThemeId(name) {
+  const id = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return id || 'theme';
+}
+
+/**
+ * Theme id derived from its name that no other theme uses
+ * @param {Array<{id: string}>} themes - Existing themes
+ * @param {string} name - Theme name
+ * @returns {string}
+ */
+function getUniqueThemeId(themes, name) {
+  const base = getThemeId(name);
+  const ids = new Set(themes.map(theme => theme.id));
+  let id = base;
+  for (let n = 2; ids.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Clamp a numeric setting, falling back to its default
+ * @param {*} value
+ * @param {{min: number, max: number, default: number}} limits
+ * @returns {number}
+ */
+function clampThemeNumber(value, limits) {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number)) {
+    return limits.default;
+  }
+  return Math.min(limits.max, Math.max(limits.min, Math.round(number)));
+}
+
+/**
+ * Validate a custom theme, e.g. from storage or an imported file
+ * Invalid colors are replaced by those of the base theme and other invalid
+ * settings by their defaults.
+ *
+ * @param {*} input - Theme-like object
+ * @returns {Object|null} { id, name, base, colors, syntax, fontFamily, fontSize, maxWidth },
+ *   or null if the input is not an object
+ */
+function normalizeCustomTheme(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return null;
+  }
+  const name = String(input.name || '').replace(/\s+/g, ' ').trim().slice(0, 60) || 'Untitled theme';
+  const base = input.base === 'dark' ? 'dark' : 'light';
+  const baseColors = getThemeColors(base);
+  const inputColors = input.colors && typeof input.colors === 'object' ? input.colors : {};
+  const colors = {};
+  THEME_COLOR_KEYS.forEach(key => {
+    colors[key] = isThemeColor(inputColors[key]) ? inputColors[key].trim() : baseColors[key];
+  });
+
+  return {
+    id: typeof input.id === 'string' && /^[a-z0-9-]{1,40}$/.test(input.id) ? input.id : getThemeId(name),
+    name,
+    base,
+    colors,
+    syntax: typeof input.syntax === 'string' && Object.hasOwn(SYNTAX_PALETTES, input.syntax)
+      ? input.syntax
+      : 'dracula',
+    fontFamily: isThemeFontFamily(input.fontFamily) ? input.fontFamily.trim() : '',
+    fontSize: clampThemeNumber(input.fontSize, THEME_LIMITS.fontSize),
+    maxWidth: clampThemeNumber(input.maxWidth, THEME_LIMITS.maxWidth)
+  };
+}
+
+/**
+ * New custom theme starting from the light or dark theme
+ * @param {Array<{id: string}>} themes - Existing themes (for a unique id)
+ * @param {string} name - Theme name
+ * @param {string} [base='light'] - 'light' or 'dark'
+ * @returns {Object} Custom theme
+ */
+function createCustomTheme(themes, name, base = 'light') {
+  return normalizeCustomTheme({ id: getUniqueThemeId(themes, name), name, base });
+}
+
+/**
+ * Theme select value of a custom theme
+ * @param {{id: string}} theme
+ * @returns {string}
+ */
+function getCustomThemeValue(theme) {
+  return `${CUSTOM_THEME_PREFIX}${theme.id}`;
+}
+
+/**
+ * Find the custom theme selected in the popup
+ * @param {Array<Object>} themes - Custom themes
+ * @param {string} value - Theme select value
+ * @returns {Object|null} null for 'auto', 'light', 'dark' and deleted themes
+ */
+function findCustomTheme(themes, value) {
+  if (typeof value !== 'string' || !value.startsWith(CUSTOM_THEME_PREFIX)) {
+    return null;
+  }
+  const id = value.slice(CUSTOM_THEME_PREFIX.length);
+  return themes.find(theme => theme.id === id) || null;
+}
+
+/**
+ * Add imported themes; a theme with the id of an existing one replaces it
+ * @param {Array<Object>} themes - Existing themes (not modified)
+ * @param {Array<Object>} imported - Validated themes to add
+ * @returns {{themes: Array<Object>, skipped: number}} skipped counts themes over MAX_CUSTOM_THEMES
+ */
+function mergeCustomThemes(themes, imported) {
+  const merged = [...themes];
+  let skipped = 0;
+  imported.forEach(theme => {
+    const index = merged.findIndex(existing => existing.id === theme.id);
+    if (index !== -1) {
+      merged[index] = theme;
+    } else if (merged.length < MAX_CUSTOM_THEMES) {
+      merged.push(theme);
+    } else {
+      skipped++;
+    }
+  });
+  return { themes: merged, skipped };
+}
+
+/**
+ * Theme file contents
+ * @param {Array<Object>} themes - Custom themes
+ * @returns {string} JSON
+ */
+function serializeThemes(themes) {
+  return JSON.stringify({ format: THEME_FILE_FORMAT, version: 1, themes }, null, 2);
+}
+
+/**
+ * Read themes from a JSON file
+ * Accepts files from serializeThemes, a list of themes or a single theme.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Validated themes
+ * @throws {Error} If the file is not JSON or contains no themes
+ */
+function parseThemeFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+  const entries = Array.isArray(data) ? data
+    : Array.isArray(data?.themes) ? data.themes
+      : [data];
+  const themes = entries.map(normalizeCustomTheme).filter(Boolean);
+  if (!themes.length) {
+    throw new Error('No themes found in the file');
+  }
+  return themes;
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CUSTOM_THEME_PREFIX,
+    MAX_CUSTOM_THEMES,
+    THEME_COLOR_KEYS,
+    THEME_LIMITS,
+    isThemeColor,
+    isThemeFontFamily,
+    getThemeId,
+    getUniqueThemeId,
+    normalizeCustomTheme,
+    createCustomTheme,
+    getCustomThemeValue,
+    findCustomTheme,
+    mergeCustomThemes,
+    serializeThemes,
+    parseThemeFile
+  };
+}
+
+// ============================================================================
+// Browser-only functions (require chrome.storage)
+// ============================================================================
+
+/**
+ * Load the saved custom themes
+ * BROWSER ONLY
+ *
+ * @returns {Promise<Array<Object>>} Validated themes
+ */
+function loadCustomThemes() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get([CUSTOM_THEMES_KEY], (result) => {
+      const stored = chrome.runtime.lastError ? [] : result[CUSTOM_THEMES_KEY];
+      resolve(Array.isArray(stored) ? stored.map(normalizeCustomTheme).filter(Boolean) : []);
+    });
+  });
+}
+
+/**
+ * Save the custom themes
+ * BROWSER ONLY
+ *
+ * @param {Array<Object>} themes - Validated themes
+ * @returns {Promise<void>}
+ * @throws {Error} If storage rejects them (e.g. over the sync quota)
+ */
+function saveCustomThemes(themes) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ [CUSTOM_THEMES_KEY]: themes }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve();
+    });
+  });
+}
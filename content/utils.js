@@ -54,12 +54,98 @@ function formatDateCompact(date) {
   return `${year}${month}${day}`;
 }
 
+/**
+ * Format date as local "yyyy-mm-dd hh:mm"
+ * @param {Date} date - Date object to format
+ * @returns {string} Formatted date and time
+ */
+function formatMessageTime(date) {
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  const dateStr = formatDateCompact(date).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3');
+  return `${dateStr} ${hours}:${minutes}`;
+}
+
+/**
+ * Build the per-message metadata line (local time, model)
+ * @param {number|null} createTime - Message creation time (Unix seconds)
+ * @param {string|null} model - Model slug (e.g. 'gpt-4o')
+ * @returns {string} Metadata text, or '' if nothing is known
+ */
+function formatMessageMeta(createTime, model) {
+  const parts = [];
+  if (createTime) {
+    parts.push(formatMessageTime(new Date(createTime * 1000)));
+  }
+  if (model) {
+    parts.push(model);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Format a file size for display
+ * @param {number|null} bytes - Size in bytes
+ * @returns {string} e.g. '820 B', '14.2 KB', '3.1 MB', or '' if unknown
+ */
+function formatBytes(bytes) {
+  if (typeof bytes !== 'number' || !Number.isFinite(bytes) || bytes < 0) {
+    return '';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+}
+
+/**
+ * Short type label of an attached file, from its extension or MIME type
+ * @param {string|null} name - Filename (e.g. 'report.pdf')
+ * @param {string|null} mimeType - MIME type (e.g. 'application/pdf')
+ * @returns {string} e.g. 'PDF', 'CSV', or 'File' if unknown
+ */
+function getAttachmentType(name, mimeType) {
+  const extension = /\.([a-z0-9]{1,8})$/i.exec(name || '');
+  if (extension) {
+    return extension[1].toUpperCase();
+  }
+  const subtype = String(mimeType || '').split('/')[1] || '';
+  return /^[a-z0-9]{1,8}$/i.test(subtype) ? subtype.toUpperCase() : 'File';
+}
+
+/**
+ * One-line description of an attachment
+ * @param {{name: string|null, mimeType: string|null, size: number|null}} attachment
+ * @returns {string} e.g. 'data.csv (CSV, 14.2 KB)'
+ */
+function formatAttachmentLabel(attachment) {
+  const details = [getAttachmentType(attachment.name, attachment.mimeType), formatBytes(attachment.size)]
+    .filter(Boolean)
+    .join(', ');
+  return `${attachment.name || 'Unnamed file'} (${details})`;
+}
+
+/** Body font of exports, unless a custom theme sets one */
+const DEFAULT_FONT_FAMILY = 'ui-sans-serif, -apple-system, system-ui, "Segoe UI", Helvetica, Arial, sans-serif';
+
 /**
  * Get theme colors based on light/dark mode
- * @param {string} theme - 'light' or 'dark'
+ * Custom themes override the colors of their base theme.
+ *
+ * @param {string|Object} theme - 'light', 'dark' or a custom theme ({ base, colors })
  * @returns {Object} Color values for the theme
  */
 function getThemeColors(theme) {
+  if (theme && typeof theme === 'object') {
+    return { ...getThemeColors(theme.base), ...theme.colors };
+  }
   const isDark = theme === 'dark';
   return {
     background: isDark ? '#212121' : '#FFF',
@@ -73,6 +159,20 @@ function getThemeColors(theme) {
   };
 }
 
+/**
+ * Get the font and content width of a theme
+ * @param {string|Object} theme - 'light', 'dark' or a custom theme
+ * @returns {{fontFamily: string, fontSize: number, maxWidth: number}} Sizes in pixels
+ */
+function getThemeStyle(theme) {
+  const custom = theme && typeof theme === 'object' ? theme : {};
+  return {
+    fontFamily: custom.fontFamily || DEFAULT_FONT_FAMILY,
+    fontSize: custom.fontSize || 16,
+    maxWidth: custom.maxWidth || 900
+  };
+}
+
 /**
  * Process items in batches, yielding to the event loop between batches
  * @param {Array} items - Items to process
@@ -103,8 +203,149 @@ async function processInBatches(items, processItem, options = {}) {
   return results;
 }
 
+/**
+ * Extract the language from a code element's class list
+ * highlight.js and ChatGPT both mark code blocks with 'language-xxx'
+ * @param {string} className - Class attribute value
+ * @returns {string} Language identifier, or '' if none
+ */
+function getCodeLanguage(className) {
+  const match = /(?:^|\s)language-([\w+#.-]+)/.exec(className || '');
+  return match ? match[1] : '';
+}
+
+/**
+ * Extract the conversation id from a ChatGPT URL
+ * Handles plain chats (/c/id), custom GPTs and projects (/g/.../c/id)
+ * @param {string} url - Page URL
+ * @returns {string|null} Conversation id or null if not a conversation URL
+ */
+function getConversationIdFromUrl(url) {
+  try {
+    const match = /\/c\/([\w-]+)/.exec(new URL(url).pathname);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Custom GPT or project a conversation belongs to, from its URL
+ * (/g/g-<id>-<name-slug>/c/<conversation id> for GPTs,
+ * /g/g-p-<id>-<name-slug>/c/<conversation id> for projects)
+ * @param {string} url - Page URL
+ * @returns {{id: string, kind: 'gpt'|'project', name: string|null}|null} name has
+ *   capitalized words (e.g. 'Code Copilot'); null if the URL has no GPT or project
+ */
+function getGizmoFromUrl(url) {
+  try {
+    const match = /\/g\/(g-p-[A-Za-z0-9]+|g-[A-Za-z0-9]+)(?:-([^/]+))?/.exec(new URL(url).pathname);
+    if (!match) {
+      return null;
+    }
+    const name = decodeURIComponent(match[2] || '')
+      .split('-')
+      .filter(Boolean)
+      .map(word => word[0].toUpperCase() + word.slice(1))
+      .join(' ');
+    return {
+      id: match[1],
+      kind: match[1].startsWith('g-p-') ? 'project' : 'gpt',
+      name: name || null
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert a message to its JSON export form
+ * @param {Object} message - Message with role, id, createTime, model,
+ *   attachments, html, text, codeBlocks and optional versions
+ * @param {number} index - Position in its list
+ * @returns {Object}
+ */
+function toJSONMessage(message, index) {
+  const entry = {
+    index,
+    role: message.role,
+    id: message.id || null,
+    createdAt: message.createTime ? new Date(message.createTime * 1000).toISOString() : null,
+    model: message.model || null,
+    attachments: message.attachments || [],
+    html: message.html,
+    text: message.text,
+    codeBlocks: message.codeBlocks || []
+  };
+  // Reasoning and tool calls before the message, when exported
+  if (message.traces?.length) {
+    entry.traces = message.traces.map(({ kind, label, text, language }) => ({
+      kind, label, text, language: language || null
+    }));
+  }
+  // Other versions of an edited or regenerated turn, when exported
+  if (message.versions?.length) {
+    entry.versions = message.versions.map(group => ({
+      index: group.index,
+      total: group.total,
+      alternatives: group.alternatives.map(alternative => ({
+        index: alternative.index,
+        messages: alternative.messages.map(toJSONMessage)
+      }))
+    }));
+  }
+  return entry;
+}
+
+/**
+ * Build the structured JSON export object for a conversation
+ * @param {Object} details - Conversation details
+ * @param {string} details.title - Conversation title
+ * @param {string|null} details.conversationId - Id from the URL
+ * @param {number|null} details.createTime - Creation time (Unix seconds)
+ * @param {Date} details.exportedAt - Export time
+ * @param {string} [details.source] - Where message data came from ('fiber' or 'dom')
+ * @param {Object|null} [details.gpt] - Custom GPT ({ id, name, description })
+ * @param {Object|null} [details.project] - Project ({ id, name })
+ * @param {Array<Object>} messages - Messages with role, id, createTime, model,
+ *   attachments, html, text, codeBlocks, optional traces ({ kind, label, text, language })
+ *   and optional versions ({ index, total, alternatives: [{ index, messages }] })
+ * @returns {Object} Plain object ready for JSON.stringify
+ */
+function buildConversationJSON(details, messages) {
+  return {
+    schemaVersion: 1,
+    title: details.title,
+    conversationId: details.conversationId || null,
+    createdAt: details.createTime ? new Date(details.createTime * 1000).toISOString() : null,
+    exportedAt: details.exportedAt.toISOString(),
+    source: details.source || 'dom',
+    gpt: details.gpt || null,
+    project: details.project || null,
+    messageCount: messages.length,
+    messages: messages.map(toJSONMessage)
+  };
+}
+
 // Export for testing (ES modules)
 // In browser context, these are global functions
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { escapeHtml, sanitizeFilename, formatDateCompact, getThemeColors, processInBatches };
+  module.exports = {
+    escapeHtml,
+    sanitizeFilename,
+    formatDateCompact,
+    formatMessageTime,
+    formatMessageMeta,
+    formatBytes,
+    getAttachmentType,
+    formatAttachmentLabel,
+    DEFAULT_FONT_FAMILY,
+    getThemeColors,
+    getThemeStyle,
+    processInBatches,
+    getCodeLanguage,
+    getConversationIdFromUrl,
+    getGizmoFromUrl,
+    buildConversationJSON
+  };
 }
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * GPT Chat Save - ZIP Archive Writer
+ * Builds uncompressed (STORE) ZIP files in memory, no network or libraries
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+/** CRC-32 lookup table (IEEE polynomial, as used by ZIP) */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields (local time, 2-second precision)
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive from a list of files
+ * File names are stored as UTF-8; use '/' for folders (e.g. 'images/a.png').
+ *
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Files to store
+ * @param {Date} [modified=new Date()] - Modification time recorded for every file
+ * @returns {Uint8Array} ZIP file contents
+ */
+function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const nameBytes = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);   // Local file header signature
+    local.setUint16(4, 20, true);           // Version needed (2.0)
+    local.setUint16(6, 0x0800, true);       // Flags: UTF-8 names
+    local.setUint16(8, 0, true);            // Compression: STORE
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);           // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Central directory signature
+    central.setUint16(4, 20, true);         // Version made by
+    central.setUint16(6, 20, true);         // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    // Extra, comment, disk number, internal and external attributes stay 0
+    central.setUint32(42, offset, true);    // Offset of local header
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);       // End of central directory signature
+  end.setUint16(8, files.length, true);     // Entries on this disk
+  end.setUint16(10, files.length, true);    // Total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);          // Central directory offset
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Make a filename unique within an archive by appending -2, -3, ...
+ * @param {string} name - Desired filename
+ * @param {Set<string>} used - Names already in the archive (updated)
+ * @returns {string} Unique filename
+ */
+function makeUniqueFilename(name, used) {
+  let candidate = name;
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+  for (let n = 2; used.has(candidate); n++) {
+    candidate = `${base}-${n}${extension}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+// Export for testing (ES modules / Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { crc32, toDosDateTime, createZip, makeUniqueFilename };
+}
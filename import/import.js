@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Data Export Import Page
+ * Converts conversations.json from ChatGPT's data export to a ZIP of HTML files
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+const themeSelect = document.getElementById('themeSelect');
+const layoutSelect = document.getElementById('layoutSelect');
+const metadataCheckbox = document.getElementById('metadataCheckbox');
+const speakerCheckbox = document.getElementById('speakerCheckbox');
+const branchesCheckbox = document.getElementById('branchesCheckbox');
+const tracesCheckbox = document.getElementById('tracesCheckbox');
+const readerCheckbox = document.getElementById('readerCheckbox');
+const dropZone = document.getElementById('dropZone');
+const fileInput = document.getElementById('fileInput');
+const statusDiv = document.getElementById('status');
+const downloadButton = document.getElementById('downloadBtn');
+const resultsTable = document.getElementById('results');
+
+// Last conversion, kept until the next file is loaded
+let importResult = null;
+
+// Guard against converting two files at once
+let importInProgress = false;
+
+themeSelect.value = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+
+// Custom themes from the settings page, listed after light and dark
+let customThemes = [];
+loadCustomThemes().then(themes => {
+  customThemes = themes;
+  themes.forEach(theme => {
+    const option = document.createElement('option');
+    option.value = getCustomThemeValue(theme);
+    option.textContent = theme.name;
+    themeSelect.appendChild(option);
+  });
+});
+
+/**
+ * Show a status message
+ */
+function showStatus(message, isError = false) {
+  statusDiv.textContent = message;
+  statusDiv.classList.toggle('error', isError);
+}
+
+/**
+ * List converted conversations
+ */
+function showResults(entries) {
+  const tbody = resultsTable.querySelector('tbody');
+  tbody.textContent = '';
+  entries.forEach(entry => {
+    const row = document.createElement('tr');
+    const title = document.createElement('td');
+    const status = document.createElement('td');
+    title.textContent = entry.title;
+    if (entry.error) {
+      status.textContent = `Failed: ${entry.error}`;
+      status.className = 'error';
+    } else {
+      status.textContent = String(entry.messageCount);
+    }
+    row.appendChild(title);
+    row.appendChild(status);
+    tbody.appendChild(row);
+  });
+  resultsTable.hidden = entries.length === 0;
+}
+
+/**
+ * Convert every conversation in the loaded file
+ */
+async function convertFile(file) {
+  if (importInProgress) return;
+  importInProgress = true;
+  importResult = null;
+  downloadButton.hidden = true;
+  showResults([]);
+  showStatus(`Reading ${file.name}...`);
+
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error('File is not valid JSON');
+    }
+
+    const conversations = (Array.isArray(data) ? data : [data]).filter(isExportConversation);
+    if (!conversations.length) {
+      throw new Error('No conversations found. Choose conversations.json from the data export.');
+    }
+
+    const theme = findCustomTheme(customThemes, themeSelect.value) || themeSelect.value;
+    const speakers = speakerCheckbox.checked || layoutSelect.value === 'transcript'
+      ? await loadSpeakerSettings()
+      : null;
+    const options = {
+      showMetadata: metadataCheckbox.checked,
+      layout: layoutSelect.value,
+      speakers,
+      branches: branchesCheckbox.checked,
+      traces: tracesCheckbox.checked,
+      reader: readerCheckbox.checked,
+      details: { version: chrome.runtime.getManifest().version }
+    };
+    const usedNames = new Set(['index.html']);
+    const files = [];
+
+    const entries = await processInBatches(conversations, (conversation) => {
+      const title = conversation.title || 'Untitled';
+      try {
+        const { html, messageCount } = conversationToHTML(conversation, theme, options);
+        const filename = makeUniqueFilename(getConversationFilename(conversation), usedNames);
+        files.push({ name: filename, data: html });
+        return { title, filename, messageCount };
+      } catch (error) {
+        console.warn('GPT Chat Save: Import failed for', conversation.conversation_id, error);
+        return { title, filename: null, error: error.message };
+      }
+    }, {
+      batchSize: 20,
+      onProgress: (processed, total) => showStatus(`Converting... ${processed}/${total}`)
+    });
+
+    const exportedAt = new Date();
+    files.unshift({
+      name: 'index.html',
+      data: generateArchiveIndexPage(entries, {
+        heading: 'ChatGPT Data Export',
+        exportedAt: exportedAt.toISOString()
+      })
+    });
+    importResult = { files, exportedAt };
+
+    const failed = entries.filter(entry => entry.error).length;
+    showStatus(`Converted ${entries.length - failed} conversations` + (failed ? `, ${failed} failed` : ''));
+    showResults(entries);
+    downloadButton.hidden = false;
+
+  } catch (error) {
+    console.error('GPT Chat Save import error:', error);
+    showStatus(error.message, true);
+  } finally {
+    importInProgress = false;
+    fileInput.value = '';
+  }
+}
+
+/**
+ * Download the converted conversations as a ZIP
+ */
+function downloadZip() {
+  if (!importResult) return;
+
+  const blob = new Blob([createZip(importResult.files, importResult.exportedAt)], { type: 'application/zip' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `chatgpt-data-export-${formatDateCompact(importResult.exportedAt)}.zip`;
+  document.body.appendChild(link);
+  link.click();
+
+  setTimeout(() => {
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+fileInput.addEventListener('change', () => {
+  if (fileInput.files[0]) {
+    convertFile(fileInput.files[0]);
+  }
+});
+
+dropZone.addEventListener('dragover', (event) => {
+  event.preventDefault();
+  dropZone.classList.add('dragover');
+});
+
+dropZone.addEventListener('dragleave', () => {
+  dropZone.classList.remove('dragover');
+});
+
+dropZone.addEventListener('drop', (event) => {
+  event.preventDefault();
+  dropZone.classList.remove('dragover');
+  const file = event.dataTransfer.files[0];
+  if (file) {
+    convertFile(file);
+  }
+});
+
+downloadButton.addEventListener('click', downloadZip);
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Export Cache Settings
+ * Whether processed messages are kept in storage between page loads, and
+ * deleting them
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: formatBytes is loaded from content/utils.js; PROCESSED_CACHE_SETTING_KEY,
+// getStoredProcessedUsage, clearStoredProcessed from content/incremental.js
+
+const keepCacheCheckbox = document.getElementById('keepCacheCheckbox');
+const clearCacheButton = document.getElementById('clearCacheBtn');
+const cacheStatus = document.getElementById('cacheStatus');
+
+/**
+ * Show how much is stored
+ */
+async function showCacheUsage() {
+  const { count, size } = await getStoredProcessedUsage();
+  cacheStatus.textContent = count
+    ? `${count} ${count === 1 ? 'message' : 'messages'} stored (${formatBytes(size)})`
+    : 'Nothing stored';
+}
+
+/**
+ * Save the setting; turning it off deletes what was stored
+ */
+keepCacheCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ [PROCESSED_CACHE_SETTING_KEY]: keepCacheCheckbox.checked }, async () => {
+    if (chrome.runtime.lastError) {
+      cacheStatus.textContent = `Could not save: ${chrome.runtime.lastError.message}`;
+      return;
+    }
+    if (!keepCacheCheckbox.checked) {
+      await clearStoredProcessed();
+    }
+    showCacheUsage();
+  });
+});
+
+clearCacheButton.addEventListener('click', async () => {
+  await clearStoredProcessed();
+  showCacheUsage();
+});
+
+chrome.storage.sync.get([PROCESSED_CACHE_SETTING_KEY], (result) => {
+  keepCacheCheckbox.checked = !chrome.runtime.lastError && result[PROCESSED_CACHE_SETTING_KEY] === true;
+});
+showCacheUsage();
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Settings Page
+ * Redaction settings with a live preview
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: REDACTION_DETECTORS, buildRedactionRules, redactText,
+// formatRedactionSummary are loaded from content/redact.js
+
+const enabledCheckbox = document.getElementById('enabledCheckbox');
+const kindsDiv = document.getElementById('kinds');
+const patternsInput = document.getElementById('patternsInput');
+const patternErrors = document.getElementById('patternErrors');
+const wordsInput = document.getElementById('wordsInput');
+const saveButton = document.getElementById('saveBtn');
+const statusSpan = document.getElementById('status');
+const previewInput = document.getElementById('previewInput');
+const previewOutput = document.getElementById('previewOutput');
+const previewSummary = document.getElementById('previewSummary');
+
+/**
+ * One checkbox per built-in detector
+ */
+function renderKindCheckboxes() {
+  REDACTION_DETECTORS.forEach(detector => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = detector.kind;
+    checkbox.checked = true;
+    checkbox.addEventListener('change', updatePreview);
+    const name = detector.labels[1];
+    label.append(checkbox, `${name.charAt(0).toUpperCase()}${name.slice(1)} `);
+    const placeholder = document.createElement('code');
+    placeholder.textContent = `[REDACTED:${detector.kind}]`;
+    label.appendChild(placeholder);
+    kindsDiv.appendChild(label);
+  });
+}
+
+/**
+ * Detector kinds that are checked
+ */
+function getCheckedKinds() {
+  return Array.from(kindsDiv.querySelectorAll('input:checked'), checkbox => checkbox.value);
+}
+
+/**
+ * Settings as entered on the page
+ */
+function getFormSettings() {
+  return {
+    enabled: enabledCheckbox.checked,
+    kinds: getCheckedKinds(),
+    patterns: patternsInput.value,
+    words: wordsInput.value
+  };
+}
+
+/**
+ * Redact the preview text and list invalid patterns
+ */
+function updatePreview() {
+  const { rules, errors } = buildRedactionRules({ ...getFormSettings(), enabled: true });
+  patternErrors.textContent = errors.length ? `Ignored (invalid or matches empty text): ${errors.join(', ')}` : '';
+
+  const result = redactText(previewInput.value, rules);
+  previewOutput.textContent = result.text;
+  const summary = formatRedactionSummary(result.counts);
+  previewSummary.textContent = previewInput.value ? summary || 'Nothing would be redacted' : '';
+}
+
+/**
+ * Load saved settings into the form
+ */
+function loadSettings() {
+  chrome.storage.sync.get(['redactEnabled', 'redactKinds', 'redactPatterns', 'redactWords'], (result) => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to load preferences', chrome.runtime.lastError);
+      return;
+    }
+    enabledCheckbox.checked = result.redactEnabled === true;
+    // All detectors are on until the user turns some off
+    if (Array.isArray(result.redactKinds)) {
+      kindsDiv.querySelectorAll('input').forEach(checkbox => {
+        checkbox.checked = result.redactKinds.includes(checkbox.value);
+      });
+    }
+    patternsInput.value = result.redactPatterns || '';
+    wordsInput.value = result.redactWords || '';
+    updatePreview();
+  });
+}
+
+saveButton.addEventListener('click', () => {
+  const settings = getFormSettings();
+  chrome.storage.sync.set({
+    redactEnabled: settings.enabled,
+    redactKinds: settings.kinds,
+    redactPatterns: settings.patterns,
+    redactWords: settings.words
+  }, () => {
+    if (chrome.runtime.lastError) {
+      statusSpan.textContent = `Could not save: ${chrome.runtime.lastError.message}`;
+      return;
+    }
+    statusSpan.textContent = 'Saved';
+    setTimeout(() => { statusSpan.textContent = ''; }, 2000);
+  });
+});
+
+[patternsInput, wordsInput, previewInput].forEach(input => {
+  input.addEventListener('input', updatePreview);
+});
+
+renderKindCheckboxes();
+loadSettings();
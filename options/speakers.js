@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Speaker Settings
+ * Names and initials shown above each message of HTML exports
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: loadSpeakerSettings, saveSpeakerSettings are loaded from content/template.js
+
+const userNameInput = document.getElementById('userNameInput');
+const assistantNameInput = document.getElementById('assistantNameInput');
+const avatarsCheckbox = document.getElementById('avatarsCheckbox');
+const saveSpeakersButton = document.getElementById('saveSpeakersBtn');
+const speakerStatus = document.getElementById('speakerStatus');
+
+saveSpeakersButton.addEventListener('click', async () => {
+  try {
+    await saveSpeakerSettings({
+      userName: userNameInput.value,
+      assistantName: assistantNameInput.value,
+      avatars: avatarsCheckbox.checked
+    });
+    speakerStatus.textContent = 'Saved';
+    setTimeout(() => { speakerStatus.textContent = ''; }, 2000);
+  } catch (error) {
+    speakerStatus.textContent = `Could not save: ${error.message}`;
+  }
+});
+
+loadSpeakerSettings().then(settings => {
+  userNameInput.value = settings.userName;
+  assistantNameInput.value = settings.assistantName;
+  avatarsCheckbox.checked = settings.avatars;
+});
@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Theme Editor
+ * Custom export themes on the settings page, with a live preview and
+ * JSON import/export
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Copyright (c) 2026 CorticalCode
+ */
+
+// Note: renderHTMLDocument, SYNTAX_PALETTES are loaded from content/template.js;
+// THEME_COLOR_KEYS, MAX_CUSTOM_THEMES, normalizeCustomTheme, createCustomTheme,
+// isThemeColor, isThemeFontFamily, mergeCustomThemes, serializeThemes, parseThemeFile,
+// loadCustomThemes, saveCustomThemes from content/themes.js
+
+const themeList = document.getElementById('themeList');
+const themeEmpty = document.getElementById('themeEmpty');
+const themeEditor = document.getElementById('themeEditor');
+const themeNameInput = document.getElementById('themeNameInput');
+const themeColorsDiv = document.getElementById('themeColors');
+const syntaxSelect = document.getElementById('syntaxSelect');
+const fontFamilyInput = document.getElementById('fontFamilyInput');
+const fontSizeInput = document.getElementById('fontSizeInput');
+const maxWidthInput = document.getElementById('maxWidthInput');
+const newLightThemeButton = document.getElementById('newLightThemeBtn');
+const newDarkThemeButton = document.getElementById('newDarkThemeBtn');
+const duplicateThemeButton = document.getElementById('duplicateThemeBtn');
+const deleteThemeButton = document.getElementById('deleteThemeBtn');
+const saveThemesButton = document.getElementById('saveThemesBtn');
+const exportThemesButton = document.getElementById('exportThemesBtn');
+const importThemesButton = document.getElementById('importThemesBtn');
+const themeFileInput = document.getElementById('themeFileInput');
+const themeStatus = document.getElementById('themeStatus');
+const themePreview = document.getElementById('themePreview');
+
+/** Labels of the color keys */
+const THEME_COLOR_LABELS = {
+  background: 'Page background',
+  primary: 'Text',
+  userBubble: 'User messages',
+  inlineCode: 'Inline code',
+  tableBorder: 'Table borders',
+  blockquoteBorder: 'Quote border',
+  codeBlockBorder: 'Code block border',
+  codeBlockBackground: 'Code block background'
+};
+
+/** Conversation rendered in the preview */
+const PREVIEW_MESSAGES = [
+  {
+    isUser: true,
+    createTime: null,
+    model: null,
+    content: '<p>How do I read a file line by line in Python?</p>'
+  },
+  {
+    isUser: false,
+    createTime: null,
+    model: 'gpt-4o',
+    content: `<h3>Reading lines</h3>
+<p>Iterate over the file object, or use <code>readlines()</code> for small files:</p>
+<pre><code class="hljs language-python"><span class="hljs-comment"># Lines keep their newline</span>
+<span class="hljs-keyword">with</span> <span class="hljs-built_in">open</span>(<span class="hljs-string">"notes.txt"</span>) <span class="hljs-keyword">as</span> f:
+    <span class="hljs-keyword">for</span> number, line <span class="hljs-keyword">in</span> <span class="hljs-built_in">enumerate</span>(f, <span class="hljs-number">1</span>):
+        <span class="hljs-built_in">print</span>(number, line.rstrip())</code></pre>
+<blockquote><p>Files are closed when the <code>with</code> block ends.</p></blockquote>
+<table><thead><tr><th>Method</th><th>Memory</th></tr></thead>
+<tbody><tr><td>for line in f</td><td>One line</td></tr><tr><td>f.readlines()</td><td>Whole file</td></tr></tbody></table>`
+  }
+];
+
+// Themes being edited; saved to storage with the Save button
+let editedThemes = [];
+let selectedThemeIndex = -1;
+
+/**
+ * Show a status message next to the buttons
+ */
+function showThemeStatus(message) {
+  themeStatus.textContent = message;
+}
+
+/**
+ * Note that there are edits that are not saved yet
+ */
+function markThemesChanged() {
+  showThemeStatus('Unsaved changes');
+}
+
+/**
+ * Build the color inputs (a picker and a text field per color key)
+ */
+function renderColorInputs() {
+  THEME_COLOR_KEYS.forEach(key => {
+    const row = document.createElement('div');
+    row.className = 'color-row';
+
+    const label = document.createElement('label');
+    label.htmlFor = `color-${key}`;
+    label.textContent = THEME_COLOR_LABELS[key] || key;
+
+    const picker = document.createElement('input');
+    picker.type = 'color';
+    picker.dataset.key = key;
+    picker.setAttribute('aria-label', `${label.textContent} picker`);
+
+    const text = document.createElement('input');
+    text.type = 'text';
+    text.id = `color-${key}`;
+    text.dataset.key = key;
+    text.spellcheck = false;
+
+    picker.addEventListener('input', () => {
+      text.value = picker.value;
+      updateSelectedTheme();
+    });
+    text.addEventListener('input', () => {
+      if (/^#[0-9a-f]{6}$/i.test(text.value.trim())) {
+        picker.value = text.value.trim();
+      }
+      updateSelectedTheme();
+    });
+
+    row.append(label, picker, text);
+    themeColorsDiv.appendChild(row);
+  });
+}
+
+/**
+ * Fill the syntax palette select
+ */
+function renderSyntaxOptions() {
+  Object.entries(SYNTAX_PALETTES).forEach(([id, palette]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = palette.name;
+    syntaxSelect.appendChild(option);
+  });
+}
+
+/**
+ * List the themes and show the selected one in the form
+ */
+function renderThemeList() {
+  themeList.textContent = '';
+  editedThemes.forEach((theme, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = theme.name;
+    themeList.appendChild(option);
+  });
+  themeList.value = String(selectedThemeIndex);
+
+  const hasThemes = editedThemes.length > 0;
+  themeList.hidden = !hasThemes;
+  themeEditor.hidden = !hasThemes;
+  themeEmpty.hidden = hasThemes;
+  deleteThemeButton.disabled = !hasThemes;
+  exportThemesButton.disabled = !hasThemes;
+  newLightThemeButton.disabled = editedThemes.length >= MAX_CUSTOM_THEMES;
+  newDarkThemeButton.disabled = editedThemes.length >= MAX_CUSTOM_THEMES;
+  duplicateThemeButton.disabled = !hasThemes || editedThemes.length >= MAX_CUSTOM_THEMES;
+  renderThemeForm();
+}
+
+/**
+ * Show the selected theme in the form
+ */
+function renderThemeForm() {
+  const theme = editedThemes[selectedThemeIndex];
+  if (!theme) {
+    updatePreviewFrame();
+    return;
+  }
+  themeNameInput.value = theme.name;
+  themeColorsDiv.querySelectorAll('input').forEach(input => {
+    const color = theme.colors[input.dataset.key];
+    if (input.type === 'color') {
+      // Color pickers only take #rrggbb
+      input.value = /^#[0-9a-f]{6}$/i.test(color) ? color
+        : /^#[0-9a-f]{3}$/i.test(color) ? color.replace(/[0-9a-f]/gi, '$&$&') : '#000000';
+    } else {
+      input.value = color;
+      input.classList.remove('invalid');
+    }
+  });
+  syntaxSelect.value = theme.syntax;
+  fontFamilyInput.value = theme.fontFamily;
+  fontSizeInput.value = theme.fontSize;
+  maxWidthInput.value = theme.maxWidth;
+  updatePreviewFrame();
+}
+
+/**
+ * Apply the form to the selected theme
+ * The form keeps what was typed; invalid values are marked and replaced by
+ * defaults in the theme.
+ */
+function updateSelectedTheme() {
+  const current = editedThemes[selectedThemeIndex];
+  if (!current) {
+    return;
+  }
+  const colors = {};
+  themeColorsDiv.querySelectorAll('input[type="text"]').forEach(input => {
+    const valid = isThemeColor(input.value);
+    input.classList.toggle('invalid', !valid);
+    colors[input.dataset.key] = valid ? input.value : current.colors[input.dataset.key];
+  });
+  fontFamilyInput.classList.toggle('invalid',
+    fontFamilyInput.value.trim() !== '' && !isThemeFontFamily(fontFamilyInput.value.trim()));
+
+  editedThemes[selectedThemeIndex] = normalizeCustomTheme({
+    ...current,
+    name: themeNameInput.value,
+    colors,
+    syntax: syntaxSelect.value,
+    fontFamily: fontFamilyInput.value.trim(),
+    fontSize: fontSizeInput.value,
+    maxWidth: maxWidthInput.value
+  });
+  themeList.options[selectedThemeIndex].textContent = editedThemes[selectedThemeIndex].name;
+  markThemesChanged();
+  updatePreviewFrame();
+}
+
+/**
+ * Render the sample conversation with the selected theme
+ */
+function updatePreviewFrame() {
+  const theme = editedThemes[selectedThemeIndex] || 'light';
+  themePreview.srcdoc = renderHTMLDocument('Theme preview', PREVIEW_MESSAGES, theme, { showMetadata: true });
+}
+
+/**
+ * Add a theme and select it
+ */
+function addTheme(theme) {
+  editedThemes.push(theme);
+  selectedThemeIndex = editedThemes.length - 1;
+  renderThemeList();
+  markThemesChanged();
+}
+
+/**
+ * Download the themes as a JSON file
+ */
+function exportThemesFile() {
+  const blob = new Blob([serializeThemes(editedThemes)], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'gpt-chat-save-themes.json';
+  document.body.appendChild(link);
+  link.click();
+
+  setTimeout(() => {
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+/**
+ * Add the themes of a JSON file
+ */
+async function importThemesFile(file) {
+  try {
+    const imported = parseThemeFile(await file.text());
+    const { themes, skipped } = mergeCustomThemes(editedThemes, imported);
+    editedThemes = themes;
+    selectedThemeIndex = editedThemes.findIndex(theme => theme.id === imported[0].id);
+    renderThemeList();
+    const added = imported.length - skipped;
+    showThemeStatus(skipped
+      ? `Imported ${added} themes; ${skipped} skipped (limit is ${MAX_CUSTOM_THEMES}). Unsaved changes`
+      : `Imported ${added} themes. Unsaved changes`);
+  } catch (error) {
+    showThemeStatus(`Could not import: ${error.message}`);
+  }
+}
+
+themeList.addEventListener('change', () => {
+  selectedThemeIndex = Number(themeList.value);
+  renderThemeForm();
+});
+
+newLightThemeButton.addEventListener('click', () => {
+  addTheme(createCustomTheme(editedThemes, 'Custom light', 'light'));
+});
+
+newDarkThemeButton.addEventListener('click', () => {
+  addTheme(createCustomTheme(editedThemes, 'Custom dark', 'dark'));
+});
+
+duplicateThemeButton.addEventListener('click', () => {
+  const current = editedThemes[selectedThemeIndex];
+  const name = `${current.name} copy`;
+  addTheme({ ...current, name, id: createCustomTheme(editedThemes, name).id });
+});
+
+deleteThemeButton.addEventListener('click', () => {
+  const current = editedThemes[selectedThemeIndex];
+  if (!current || !window.confirm(`Delete the theme "${current.name}"?`)) {
+    return;
+  }
+  editedThemes.splice(selectedThemeIndex, 1);
+  selectedThemeIndex = Math.min(selectedThemeIndex, editedThemes.length - 1);
+  renderThemeList();
+  markThemesChanged();
+});
+
+[themeNameInput, syntaxSelect, fontFamilyInput, fontSizeInput, maxWidthInput].forEach(input => {
+  input.addEventListener('input', updateSelectedTheme);
+});
+
+saveThemesButton.addEventListener('click', async () => {
+  try {
+    await saveCustomThemes(editedThemes);
+    showThemeStatus('Saved');
+    setTimeout(() => { showThemeStatus(''); }, 2000);
+  } catch (error) {
+    showThemeStatus(`Could not save: ${error.message}`);
+  }
+});
+
+exportThemesButton.addEventListener('click', exportThemesFile);
+
+importThemesButton.addEventListener('click', () => themeFileInput.click());
+
+themeFileInput.addEventListener('change', () => {
+  const file = themeFileInput.files[0];
+  themeFileInput.value = '';
+  if (file) {
+    importThemesFile(file);
+  }
+});
+
+renderColorInputs();
+renderSyntaxOptions();
+loadCustomThemes().then(themes => {
+  editedThemes = themes;
+  selectedThemeIndex = themes.length ? 0 : -1;
+  renderThemeList();
+});
@@ -12,36 +12,212 @@
  */
 
 const exportButton = document.getElementById('exportBtn');
+const formatSelect = document.getElementById('formatSelect');
+const formatLabel = document.querySelector('label[for="formatSelect"]');
 const themeSelect = document.getElementById('themeSelect');
 const themeLabel = document.querySelector('label[for="themeSelect"]');
+const themeSettingsLink = document.getElementById('themeSettingsLink');
+const layoutSelect = document.getElementById('layoutSelect');
+const layoutLabel = document.querySelector('label[for="layoutSelect"]');
 const imageSelect = document.getElementById('imageSelect');
 const imageLabel = document.querySelector('label[for="imageSelect"]');
+const imageBudgetSelect = document.getElementById('imageBudgetSelect');
+const scopeSelect = document.getElementById('scopeSelect');
+const scopeLabel = document.querySelector('label[for="scopeSelect"]');
+const selectButton = document.getElementById('selectBtn');
+const exportAllButton = document.getElementById('exportAllBtn');
+const metadataCheckbox = document.getElementById('metadataCheckbox');
+const metadataLabel = document.querySelector('label[for="metadataCheckbox"]');
+const speakerCheckbox = document.getElementById('speakerCheckbox');
+const speakerLabel = document.querySelector('label[for="speakerCheckbox"]');
+const speakerSettingsLink = document.getElementById('speakerSettingsLink');
+const branchesCheckbox = document.getElementById('branchesCheckbox');
+const branchesLabel = document.querySelector('label[for="branchesCheckbox"]');
+const tracesCheckbox = document.getElementById('tracesCheckbox');
+const tracesLabel = document.querySelector('label[for="tracesCheckbox"]');
+const messageActionsCheckbox = document.getElementById('messageActionsCheckbox');
+const messageActionsLabel = document.querySelector('label[for="messageActionsCheckbox"]');
+const promptCheckbox = document.getElementById('promptCheckbox');
+const promptLabel = document.querySelector('label[for="promptCheckbox"]');
+const readerCheckbox = document.getElementById('readerCheckbox');
+const readerLabel = document.querySelector('label[for="readerCheckbox"]');
+const attachmentsCheckbox = document.getElementById('attachmentsCheckbox');
+const attachmentsLabel = document.querySelector('label[for="attachmentsCheckbox"]');
+const redactCheckbox = document.getElementById('redactCheckbox');
+const redactLabel = document.querySelector('label[for="redactCheckbox"]');
+const redactSettingsLink = document.getElementById('redactSettingsLink');
+const redactionSummary = document.getElementById('redactionSummary');
+const autoSaveSelect = document.getElementById('autoSaveSelect');
+const autoSaveLabel = document.querySelector('label[for="autoSaveSelect"]');
+const autoSavePatternInput = document.getElementById('autoSavePattern');
 const statusDiv = document.getElementById('status');
+const importLink = document.getElementById('importLink');
+const archiveLink = document.getElementById('archiveLink');
 
 // Guard against double-clicks and concurrent exports
 let exportInProgress = false;
 
+/**
+ * Export formats and their button labels
+ */
+const FORMAT_LABELS = {
+  html: 'HTML',
+  markdown: 'Markdown',
+  json: 'JSON',
+  pdf: 'PDF',
+  bundle: 'HTML + images (ZIP)'
+};
+
+/**
+ * Validate export format preference, defaulting to 'html' for unknown values
+ */
+function normalizeExportFormat(value) {
+  return Object.hasOwn(FORMAT_LABELS, value) ? value : 'html';
+}
+
+/**
+ * Export layouts (see EXPORT_LAYOUTS in content/template.js)
+ */
+const EXPORT_LAYOUTS = ['bubbles', 'transcript'];
+
+/**
+ * Validate layout preference, defaulting to chat bubbles
+ */
+function normalizeExportLayout(value) {
+  return EXPORT_LAYOUTS.includes(value) ? value : 'bubbles';
+}
+
+/**
+ * Image presets (see IMAGE_PRESETS in content/images.js)
+ */
+const IMAGE_QUALITIES = ['include', 'original', 'png', 'webp', 'none'];
+
+/**
+ * Validate image quality preference, defaulting to 'include' for unknown
+ * values (also handles stale values from old presets)
+ */
+function normalizeImageQuality(value) {
+  return IMAGE_QUALITIES.includes(value) ? value : 'include';
+}
+
+/**
+ * Image size limits offered in the popup, in megabytes (0: no limit)
+ */
+const IMAGE_BUDGETS_MB = [0, 2, 5, 10, 25];
+
+/**
+ * Validate image size limit preference, defaulting to no limit
+ */
+function normalizeImageBudget(value) {
+  return IMAGE_BUDGETS_MB.includes(Number(value)) ? Number(value) : 0;
+}
+
+/**
+ * Auto-save modes (see content/autosave.js)
+ */
+const AUTO_SAVE_MODES = ['off', 'all', 'pinned', 'pattern'];
+
+/**
+ * Validate auto-save mode preference, defaulting to 'off' for unknown values
+ */
+function normalizeAutoSaveMode(value) {
+  return AUTO_SAVE_MODES.includes(value) ? value : 'off';
+}
+
+/**
+ * Add saved custom themes (see content/themes.js) to the theme select
+ */
+function addCustomThemeOptions(themes) {
+  if (!Array.isArray(themes)) {
+    return;
+  }
+  themes.forEach(theme => {
+    if (typeof theme?.id !== 'string') {
+      return;
+    }
+    const option = document.createElement('option');
+    option.value = `custom:${theme.id}`;
+    option.textContent = theme.name || theme.id;
+    themeSelect.appendChild(option);
+  });
+}
+
+/**
+ * Export button label for the selected format
+ */
+function getExportButtonLabel() {
+  return `Export to ${FORMAT_LABELS[formatSelect.value] || FORMAT_LABELS.html}`;
+}
+
+/**
+ * Controls that only make sense on a ChatGPT page
+ */
+const exportControls = [
+  exportButton,
+  formatSelect, formatLabel,
+  themeSelect, themeLabel,
+  layoutSelect, layoutLabel,
+  imageSelect, imageLabel,
+  scopeSelect, scopeLabel, selectButton,
+  messageActionsLabel,
+  promptLabel,
+  metadataLabel,
+  speakerLabel,
+  branchesLabel,
+  tracesLabel,
+  readerLabel,
+  attachmentsLabel,
+  redactLabel,
+  autoSaveSelect, autoSaveLabel,
+  exportAllButton
+];
+
+// Resume state of an interrupted "Export all conversations" run
+let pendingBulkCount = 0;
+
 /**
  * Show/hide UI based on current page
  */
 function updateUI(isValidPage) {
+  exportControls.forEach(control => {
+    control.style.display = isValidPage ? 'block' : 'none';
+  });
+  updateAutoSavePattern(isValidPage);
+  updateImageBudget(isValidPage);
   if (isValidPage) {
-    exportButton.style.display = 'block';
-    themeSelect.style.display = 'block';
-    themeLabel.style.display = 'block';
-    imageSelect.style.display = 'block';
-    imageLabel.style.display = 'block';
     statusDiv.textContent = '';
   } else {
-    exportButton.style.display = 'none';
-    themeSelect.style.display = 'none';
-    themeLabel.style.display = 'none';
-    imageSelect.style.display = 'none';
-    imageLabel.style.display = 'none';
     showNotOnChatGPT();
   }
 }
 
+/**
+ * Show the title pattern field only for the 'pattern' auto-save mode
+ */
+function updateAutoSavePattern(isValidPage = autoSaveSelect.style.display !== 'none') {
+  autoSavePatternInput.hidden = !isValidPage || autoSaveSelect.value !== 'pattern';
+}
+
+/**
+ * Show the image size limit unless images are left out
+ */
+function updateImageBudget(isValidPage = imageSelect.style.display !== 'none') {
+  imageBudgetSelect.hidden = !isValidPage || imageSelect.value === 'none';
+}
+
+/**
+ * Enable the options of the selected format: attached files are only bundled by
+ * the HTML + images (ZIP) format; the reader, layout and speaker names apply to
+ * HTML documents
+ */
+function updateFormatOptions() {
+  const isHTML = formatSelect.value === 'html' || formatSelect.value === 'bundle';
+  attachmentsCheckbox.disabled = formatSelect.value !== 'bundle';
+  readerCheckbox.disabled = !isHTML;
+  layoutSelect.disabled = !isHTML;
+  speakerCheckbox.disabled = !isHTML;
+}
+
 /**
  * Display status message
  */
@@ -83,41 +259,163 @@ function showError(message) {
 function resetExportState() {
   exportInProgress = false;
   exportButton.disabled = false;
-  exportButton.textContent = 'Export to HTML';
+  exportAllButton.disabled = false;
+  exportButton.textContent = getExportButtonLabel();
+}
+
+/**
+ * Label for the export-all button, offering to resume an interrupted run
+ */
+function getExportAllButtonLabel() {
+  return pendingBulkCount > 0
+    ? `Resume export all (${pendingBulkCount} left)`
+    : 'Export all conversations';
+}
+
+/**
+ * Load resume state of a previous "Export all conversations" run
+ */
+function loadBulkExportState() {
+  chrome.storage.local.get(['bulkExport'], (result) => {
+    if (chrome.runtime.lastError || !result.bulkExport) {
+      return;
+    }
+    const state = result.bulkExport;
+    const done = new Set(state.done || []);
+    pendingBulkCount = (state.conversations || []).filter(c => !done.has(c.id)).length;
+    exportAllButton.textContent = getExportAllButtonLabel();
+  });
 }
 
 /**
  * Show success and close popup
+ * @param {Object} response - Result of convertToHTML (messageCount, branchesUnavailable,
+ *   tracesUnavailable, redactionSummary, imagesFailed, attachmentsFailed)
  */
-function showSuccess(messageCount) {
+function showSuccess(response) {
+  const messageCount = response.messageCount || 0;
+  const redactionSummary = response.redactionSummary || '';
+  const warnings = [];
+  if (response.branchesUnavailable) {
+    warnings.push('other versions could not be loaded');
+  }
+  if (response.tracesUnavailable) {
+    warnings.push('reasoning and tool calls could not be loaded');
+  }
+  if (response.imagesFailed) {
+    warnings.push(response.imagesFailed === 1
+      ? '1 image could not be embedded and links to the original'
+      : `${response.imagesFailed} images could not be embedded and link to the original`);
+  }
+  if (response.attachmentsFailed) {
+    warnings.push(response.attachmentsFailed === 1
+      ? '1 attached file could not be downloaded'
+      : `${response.attachmentsFailed} attached files could not be downloaded`);
+  }
+  if (warnings.length) {
+    // Keep the popup open so the warning can be read
+    const redacted = redactionSummary ? `. Redacted: ${redactionSummary}` : '';
+    showStatus(`Exported ${messageCount} messages (${warnings.join('; ')})${redacted}`, true);
+    resetExportState();
+    return;
+  }
+  if (redactionSummary) {
+    // Keep the popup open so the user sees what was removed
+    showStatus(`Exported ${messageCount} messages. Redacted: ${redactionSummary}`, false);
+    resetExportState();
+    return;
+  }
   showStatus(`Exported ${messageCount} messages`, false);
   setTimeout(() => window.close(), 500);
 }
 
+/**
+ * Show what an export would redact, before exporting
+ */
+function loadRedactionSummary(tabId) {
+  chrome.tabs.sendMessage(tabId, { action: 'scan_redactions' }, (response) => {
+    if (chrome.runtime.lastError || !response?.enabled) {
+      redactionSummary.hidden = true;
+      return; // Content script not loaded yet, or redaction off
+    }
+    redactionSummary.textContent = response.summary
+      ? `Will redact: ${response.summary}`
+      : 'Nothing to redact found';
+    redactionSummary.hidden = false;
+  });
+}
+
+/**
+ * Refresh the redaction summary for the active ChatGPT tab
+ */
+function refreshRedactionSummary() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs[0]?.id && tabs[0].url && new URL(tabs[0].url).hostname === 'chatgpt.com') {
+      loadRedactionSummary(tabs[0].id);
+    }
+  });
+}
+
 /**
  * Load saved preferences
  */
 function loadPreferences() {
-  chrome.storage.sync.get(['exportTheme', 'imageQuality'], (result) => {
+  const keys = [
+    'exportTheme', 'imageQuality', 'imageBudgetMB', 'exportFormat', 'showMetadata', 'exportBranches',
+    'exportTraces', 'exportReader', 'exportLayout', 'speakerLabels', 'exportAttachments', 'redactEnabled', 'autoSave', 'autoSavePattern', 'customThemes',
+    'messageActions', 'messageWithPrompt'
+  ];
+  chrome.storage.sync.get(keys, (result) => {
     if (chrome.runtime.lastError) {
       console.warn('GPT Chat Save: Failed to load preferences', chrome.runtime.lastError);
       return;
     }
-    if (result.exportTheme) {
+    formatSelect.value = normalizeExportFormat(result.exportFormat);
+    exportButton.textContent = getExportButtonLabel();
+    updateFormatOptions();
+    // Metadata is shown unless explicitly turned off
+    metadataCheckbox.checked = result.showMetadata !== false;
+    speakerCheckbox.checked = result.speakerLabels === true;
+    layoutSelect.value = normalizeExportLayout(result.exportLayout);
+    branchesCheckbox.checked = result.exportBranches === true;
+    tracesCheckbox.checked = result.exportTraces === true;
+    readerCheckbox.checked = result.exportReader === true;
+    // Page buttons are shown unless explicitly turned off
+    messageActionsCheckbox.checked = result.messageActions !== false;
+    promptCheckbox.checked = result.messageWithPrompt === true;
+    attachmentsCheckbox.checked = result.exportAttachments === true;
+    redactCheckbox.checked = result.redactEnabled === true;
+    autoSaveSelect.value = normalizeAutoSaveMode(result.autoSave);
+    autoSavePatternInput.value = result.autoSavePattern || '';
+    updateAutoSavePattern();
+    addCustomThemeOptions(result.customThemes);
+    // Deleted custom themes fall back to 'auto'
+    if (Array.from(themeSelect.options).some(option => option.value === result.exportTheme)) {
       themeSelect.value = result.exportTheme;
     }
-    // Default to 'include' - also handles stale values from old presets
-    const imageValue = result.imageQuality;
-    if (imageValue === 'include' || imageValue === 'none') {
-      imageSelect.value = imageValue;
-    } else {
-      imageSelect.value = 'include';
+    imageSelect.value = normalizeImageQuality(result.imageQuality);
+    if (result.imageQuality !== imageSelect.value) {
       // Clear stale value from storage
-      chrome.storage.sync.set({ imageQuality: 'include' });
+      chrome.storage.sync.set({ imageQuality: imageSelect.value });
     }
+    imageBudgetSelect.value = String(normalizeImageBudget(result.imageBudgetMB));
+    updateImageBudget();
   });
 }
 
+/**
+ * Save export format preference
+ */
+formatSelect.addEventListener('change', () => {
+  exportButton.textContent = getExportButtonLabel();
+  updateFormatOptions();
+  chrome.storage.sync.set({ exportFormat: formatSelect.value }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
 /**
  * Save theme preference
  */
@@ -129,10 +427,22 @@ themeSelect.addEventListener('change', () => {
   });
 });
 
+/**
+ * Save layout preference
+ */
+layoutSelect.addEventListener('change', () => {
+  chrome.storage.sync.set({ exportLayout: layoutSelect.value }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
 /**
  * Save image quality preference
  */
 imageSelect.addEventListener('change', () => {
+  updateImageBudget();
   chrome.storage.sync.set({ imageQuality: imageSelect.value }, () => {
     if (chrome.runtime.lastError) {
       console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
@@ -140,6 +450,151 @@ imageSelect.addEventListener('change', () => {
   });
 });
 
+/**
+ * Save image size limit preference
+ */
+imageBudgetSelect.addEventListener('change', () => {
+  chrome.storage.sync.set({ imageBudgetMB: normalizeImageBudget(imageBudgetSelect.value) }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save message metadata preference
+ */
+metadataCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ showMetadata: metadataCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save other versions (branches) preference
+ */
+branchesCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ exportBranches: branchesCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save reasoning and tool calls preference
+ */
+tracesCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ exportTraces: tracesCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save speaker names preference
+ */
+speakerCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ speakerLabels: speakerCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save whether the page shows Save and Download buttons (applied to open tabs
+ * through storage.onChanged, like auto-save)
+ */
+messageActionsCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ messageActions: messageActionsCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save the preference for single-message saves (Save buttons on the page and
+ * "Save this message" in the context menu)
+ */
+promptCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ messageWithPrompt: promptCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save interactive reader preference
+ */
+readerCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ exportReader: readerCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save attached files preference
+ */
+attachmentsCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ exportAttachments: attachmentsCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save redaction preference and update the summary
+ */
+redactCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ redactEnabled: redactCheckbox.checked }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+    refreshRedactionSummary();
+  });
+});
+
+/**
+ * Redaction settings link: opens the options page
+ */
+redactSettingsLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+  window.close();
+});
+
+/**
+ * Save auto-save mode preference
+ */
+autoSaveSelect.addEventListener('change', () => {
+  updateAutoSavePattern();
+  chrome.storage.sync.set({ autoSave: autoSaveSelect.value }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
+/**
+ * Save auto-save title pattern
+ */
+autoSavePatternInput.addEventListener('change', () => {
+  chrome.storage.sync.set({ autoSavePattern: autoSavePatternInput.value.trim() }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('GPT Chat Save: Failed to save preference', chrome.runtime.lastError);
+    }
+  });
+});
+
 /**
  * Check if current tab is a ChatGPT page
  */
@@ -151,7 +606,12 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
 
   try {
     const url = new URL(tabs[0].url);
-    updateUI(url.hostname === 'chatgpt.com');
+    const isChatGPT = url.hostname === 'chatgpt.com';
+    updateUI(isChatGPT);
+    if (isChatGPT) {
+      loadSelectionCount(tabs[0].id);
+      loadRedactionSummary(tabs[0].id);
+    }
   } catch {
     updateUI(false);
   }
@@ -177,23 +637,10 @@ function injectScripts(tabId, scripts, callback) {
 }
 
 /**
- * Export button click handler
+ * Run callback with the active tab id once its content script is ready
+ * Injects the content scripts first if they are not loaded yet
  */
-exportButton.addEventListener('click', () => {
-  // Guard against double-clicks
-  if (exportInProgress) {
-    return;
-  }
-  exportInProgress = true;
-
-  const selectedTheme = themeSelect.value;
-  const selectedImageQuality = imageSelect.value;
-
-  // Disable button and show progress
-  exportButton.disabled = true;
-  exportButton.textContent = 'Exporting...';
-  statusDiv.textContent = '';
-
+function withContentScript(callback) {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     const tab = tabs[0];
     if (!tab?.id) {
@@ -210,34 +657,182 @@ exportButton.addEventListener('click', () => {
           showError('The ChatGPT tab was closed or navigated away');
           return;
         }
-        // Content script not loaded - inject it first
-        const scripts = [
-          'lib/purify.min.js',
-          'lib/highlight.min.js',
-          'content/utils.js',
-          'content/images.js',
-          'content/content.js'
-        ];
-        injectScripts(tab.id, scripts, () => {
-          sendExportMessage(tab.id, selectedTheme, selectedImageQuality);
-        });
+        // Content script not loaded - inject it first (same order as manifest.json)
+        const scripts = chrome.runtime.getManifest().content_scripts[0].js;
+        injectScripts(tab.id, scripts, () => callback(tab.id));
       } else if (response?.status === 'ok') {
-        sendExportMessage(tab.id, selectedTheme, selectedImageQuality);
+        callback(tab.id);
       } else {
         showError('Content script not responding correctly');
       }
     });
   });
+}
+
+/**
+ * Export button click handler
+ */
+exportButton.addEventListener('click', () => {
+  // Guard against double-clicks
+  if (exportInProgress) {
+    return;
+  }
+  exportInProgress = true;
+
+  const exportOptions = {
+    format: formatSelect.value,
+    theme: themeSelect.value,
+    imageQuality: imageSelect.value,
+    imageBudgetMB: normalizeImageBudget(imageBudgetSelect.value),
+    scope: scopeSelect.value,
+    showMetadata: metadataCheckbox.checked,
+    layout: layoutSelect.value,
+    speakerLabels: speakerCheckbox.checked,
+    branches: branchesCheckbox.checked,
+    traces: tracesCheckbox.checked,
+    reader: readerCheckbox.checked,
+    attachments: attachmentsCheckbox.checked
+  };
+
+  // Disable button and show progress
+  exportButton.disabled = true;
+  exportButton.textContent = 'Exporting...';
+  statusDiv.textContent = '';
+
+  withContentScript(tabId => sendExportMessage(tabId, exportOptions));
+});
+
+/**
+ * Select messages button: show checkboxes on the page, then close the popup
+ * so the user can pick messages
+ */
+selectButton.addEventListener('click', () => {
+  withContentScript(tabId => {
+    chrome.tabs.sendMessage(tabId, { action: 'start_selection' }, () => {
+      if (chrome.runtime.lastError) {
+        showError('Failed to communicate with page: ' + chrome.runtime.lastError.message);
+        return;
+      }
+      window.close();
+    });
+  });
+});
+
+/**
+ * Show how many messages are selected on the page
+ * Defaults to exporting the selection when there is one
+ */
+function loadSelectionCount(tabId) {
+  chrome.tabs.sendMessage(tabId, { action: 'get_selection' }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      return; // Content script not loaded yet - nothing selected
+    }
+    const selectionOption = scopeSelect.querySelector('option[value="selection"]');
+    selectionOption.textContent = `Export selection (${response.count})`;
+    if (response.count > 0) {
+      scopeSelect.value = 'selection';
+    }
+  });
+}
+
+/**
+ * Export all conversations button: exports every conversation in the sidebar
+ * into ZIP archives, resuming a previous interrupted run if there is one
+ */
+exportAllButton.addEventListener('click', () => {
+  if (exportInProgress) {
+    return;
+  }
+  exportInProgress = true;
+
+  const request = {
+    action: 'bulk_export',
+    resume: pendingBulkCount > 0,
+    format: formatSelect.value,
+    theme: themeSelect.value,
+    imageQuality: imageSelect.value,
+    imageBudgetMB: normalizeImageBudget(imageBudgetSelect.value),
+    showMetadata: metadataCheckbox.checked,
+    layout: layoutSelect.value,
+    speakerLabels: speakerCheckbox.checked,
+    branches: branchesCheckbox.checked,
+    traces: tracesCheckbox.checked,
+    reader: readerCheckbox.checked,
+    attachments: attachmentsCheckbox.checked
+  };
+
+  exportButton.disabled = true;
+  exportAllButton.disabled = true;
+  statusDiv.textContent = 'Loading conversation history...';
+
+  withContentScript(tabId => {
+    chrome.tabs.sendMessage(tabId, request, (response) => {
+      if (chrome.runtime.lastError) {
+        showError('Failed to communicate with page: ' + chrome.runtime.lastError.message);
+        return;
+      }
+      if (!response?.success) {
+        showError(response?.error || 'Export failed');
+        loadBulkExportState();
+        return;
+      }
+      const failedText = response.failed ? ` (${response.failed} failed - click to retry)` : '';
+      showStatus(`Exported ${response.exported} conversations${failedText}`, response.failed > 0);
+      resetExportState();
+      pendingBulkCount = 0;
+      exportAllButton.textContent = getExportAllButtonLabel();
+      loadBulkExportState();
+    });
+  });
+});
+
+/**
+ * Import link: opens the page that converts ChatGPT's data export offline
+ * (works from any tab)
+ */
+importLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('import/import.html') });
+  window.close();
+});
+
+/**
+ * Theme link: opens the theme editor on the settings page
+ */
+themeSettingsLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#themes') });
+  window.close();
+});
+
+/**
+ * Speaker names link: opens the speaker section of the settings page
+ */
+speakerSettingsLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#speakers') });
+  window.close();
+});
+
+/**
+ * Archive link: opens the archive search page in a new tab
+ */
+archiveLink.addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('archive/archive.html') });
+  window.close();
 });
 
 /**
  * Send export message to content script
+ * @param {number} tabId - Tab to export
+ * @param {Object} exportOptions - format, theme, imageQuality, imageBudgetMB, scope, showMetadata,
+ *   branches, traces, reader, layout, speakerLabels, attachments
  */
-function sendExportMessage(tabId, theme, imageQuality) {
+function sendExportMessage(tabId, exportOptions) {
   chrome.tabs.sendMessage(tabId, {
     action: 'convert_to_html',
-    theme: theme,
-    imageQuality: imageQuality
+    ...exportOptions
   }, (response) => {
     if (chrome.runtime.lastError) {
       showError('Failed to communicate with page: ' + chrome.runtime.lastError.message);
@@ -250,7 +845,7 @@ function sendExportMessage(tabId, theme, imageQuality) {
     }
 
     if (response.success) {
-      showSuccess(response.messageCount || 0);
+      showSuccess(response);
     } else if (response.isStreaming) {
       // Special case: streaming - allow retry
       showError(response.error);
@@ -263,9 +858,11 @@ function sendExportMessage(tabId, theme, imageQuality) {
 // Listen for export progress updates from content script
 chrome.runtime.onMessage.addListener((message) => {
   if (message.action === 'export_progress' && exportInProgress) {
-    showStatus(`Exporting... ${message.processed}/${message.total}`);
+    const title = message.title ? `: ${message.title}` : '';
+    showStatus(`Exporting... ${message.processed}/${message.total}${title}`);
   }
 });
 
 // Initialize
 loadPreferences();
+loadBulkExportState();
@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Archive Store Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ARCHIVE_QUOTA_MB,
+  normalizeArchiveQuota,
+  createArchiveRecord,
+  selectArchiveEvictions,
+  parseSearchQuery,
+  toCompactDate,
+  getArchiveSnippet,
+  searchArchive
+} from '../archive/store.js';
+
+/**
+ * Archived record with defaults for fields a test does not care about
+ */
+function record(overrides) {
+  return {
+    id: 'id',
+    conversationId: 'id',
+    title: 'Untitled',
+    date: '20260201',
+    exportedAt: '2026-02-01T10:00:00.000Z',
+    messageCount: 0,
+    messages: [],
+    size: 100,
+    ...overrides
+  };
+}
+
+const records = [
+  record({
+    id: 'sort',
+    title: 'Sorting in Python',
+    date: '20260110',
+    messages: [
+      { role: 'user', text: 'How do I sort a list of tuples?' },
+      { role: 'assistant', text: 'Use sorted() with a key function, for example key=lambda t: t[1].' }
+    ]
+  }),
+  record({
+    id: 'bread',
+    title: 'Sourdough',
+    date: '20260203',
+    messages: [
+      { role: 'user', text: 'My starter smells like acetone' },
+      { role: 'assistant', text: 'Feed it more often; a hungry starter produces acetone.' }
+    ]
+  })
+];
+
+describe('normalizeArchiveQuota', () => {
+  it('accepts zero and positive numbers', () => {
+    expect(normalizeArchiveQuota(0)).toBe(0);
+    expect(normalizeArchiveQuota('50')).toBe(50);
+  });
+
+  it('defaults for missing or invalid values', () => {
+    expect(normalizeArchiveQuota(undefined)).toBe(DEFAULT_ARCHIVE_QUOTA_MB);
+    expect(normalizeArchiveQuota('')).toBe(DEFAULT_ARCHIVE_QUOTA_MB);
+    expect(normalizeArchiveQuota(-5)).toBe(DEFAULT_ARCHIVE_QUOTA_MB);
+    expect(normalizeArchiveQuota('lots')).toBe(DEFAULT_ARCHIVE_QUOTA_MB);
+  });
+
+  it('keeps the archive off until a limit is set', () => {
+    expect(normalizeArchiveQuota(undefined)).toBe(0);
+  });
+});
+
+describe('createArchiveRecord', () => {
+  const conversation = {
+    conversationId: 'abc',
+    title: 'Café',
+    date: '20260201',
+    exportedAt: '2026-02-01T10:00:00.000Z',
+    messages: [{ role: 'user', text: 'é', isUser: true }],
+    html: '<p>é</p>'
+  };
+
+  it('separates searchable fields from the HTML', () => {
+    const { record: stored, document } = createArchiveRecord(conversation);
+    expect(stored).toEqual({
+      id: 'abc',
+      conversationId: 'abc',
+      title: 'Café',
+      date: '20260201',
+      exportedAt: '2026-02-01T10:00:00.000Z',
+      messageCount: 1,
+      messages: [{ role: 'user', text: 'é' }],
+      size: 11
+    });
+    expect(document).toEqual({ id: 'abc', html: '<p>é</p>' });
+  });
+
+  it('keys conversations without an id by date and title', () => {
+    const { record: stored } = createArchiveRecord({ ...conversation, conversationId: null });
+    expect(stored.id).toBe('20260201-Café');
+    expect(stored.conversationId).toBeNull();
+  });
+});
+
+describe('selectArchiveEvictions', () => {
+  const stored = [
+    record({ id: 'new', exportedAt: '2026-02-03T00:00:00.000Z', size: 40 }),
+    record({ id: 'old', exportedAt: '2026-02-01T00:00:00.000Z', size: 40 }),
+    record({ id: 'mid', exportedAt: '2026-02-02T00:00:00.000Z', size: 40 })
+  ];
+
+  it('keeps everything within the quota', () => {
+    expect(selectArchiveEvictions(stored, 120)).toEqual([]);
+  });
+
+  it('evicts the oldest exports first', () => {
+    expect(selectArchiveEvictions(stored, 80)).toEqual(['old']);
+    expect(selectArchiveEvictions(stored, 40)).toEqual(['old', 'mid']);
+  });
+
+  it('never evicts the record just stored', () => {
+    expect(selectArchiveEvictions(stored, 40, 'old')).toEqual(['mid', 'new']);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('splits words and lowercases them', () => {
+    expect(parseSearchQuery('Sort  TUPLES')).toEqual(['sort', 'tuples']);
+  });
+
+  it('keeps quoted phrases together', () => {
+    expect(parseSearchQuery('"key function" sorted')).toEqual(['key function', 'sorted']);
+  });
+
+  it('returns no terms for an empty query', () => {
+    expect(parseSearchQuery('')).toEqual([]);
+    expect(parseSearchQuery(undefined)).toEqual([]);
+    expect(parseSearchQuery('""')).toEqual([]);
+  });
+});
+
+describe('toCompactDate', () => {
+  it('converts date input values', () => {
+    expect(toCompactDate('2026-02-01')).toBe('20260201');
+    expect(toCompactDate('')).toBe('');
+  });
+});
+
+describe('getArchiveSnippet', () => {
+  const text = `${'a '.repeat(50)}needle${' b'.repeat(50)}`;
+
+  it('shows context around the match', () => {
+    const snippet = getArchiveSnippet(text, 'needle');
+    expect(snippet).toContain('needle');
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+  });
+
+  it('shows the start of the text without a match', () => {
+    expect(getArchiveSnippet('short text', 'missing')).toBe('short text');
+  });
+});
+
+describe('searchArchive', () => {
+  it('returns everything newest first without filters', () => {
+    expect(searchArchive(records).map(result => result.record.id)).toEqual(['bread', 'sort']);
+  });
+
+  it('requires every term to match', () => {
+    expect(searchArchive(records, { query: 'sorted key' }).map(r => r.record.id)).toEqual(['sort']);
+    expect(searchArchive(records, { query: 'sorted acetone' })).toEqual([]);
+  });
+
+  it('matches titles as well as messages', () => {
+    expect(searchArchive(records, { query: 'sourdough' }).map(r => r.record.id)).toEqual(['bread']);
+  });
+
+  it('searches only messages by the chosen role', () => {
+    expect(searchArchive(records, { query: 'sorted', role: 'user' })).toEqual([]);
+    expect(searchArchive(records, { query: 'sorted', role: 'assistant' }).map(r => r.record.id)).toEqual(['sort']);
+  });
+
+  it('filters by date range, inclusive', () => {
+    expect(searchArchive(records, { from: '20260201' }).map(r => r.record.id)).toEqual(['bread']);
+    expect(searchArchive(records, { to: '20260110' }).map(r => r.record.id)).toEqual(['sort']);
+  });
+
+  it('includes a snippet of the first matching message', () => {
+    const [result] = searchArchive(records, { query: 'acetone', role: 'assistant' });
+    expect(result.snippet).toBe('Feed it more often; a hungry starter produces acetone.');
+  });
+});
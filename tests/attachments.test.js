@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Attached Files Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// attachments.js expects zip.js globals, as in the content script
+Object.assign(globalThis, await import('../content/zip.js'));
+
+const {
+  getAttachmentDownloadPath,
+  getAttachmentFilename
+} = await import('../content/attachments.js');
+
+describe('getAttachmentDownloadPath', () => {
+  it('uses the files API for uploads', () => {
+    expect(getAttachmentDownloadPath({ id: 'file-abc' }, 'c1')).toBe('/backend-api/files/file-abc/download');
+  });
+
+  it('uses the interpreter API for generated files', () => {
+    const path = getAttachmentDownloadPath(
+      { id: null, messageId: 'm1', sandboxPath: '/mnt/data/out file.csv' }, 'c1'
+    );
+    expect(path).toBe('/backend-api/conversation/c1/interpreter/download' +
+      '?message_id=m1&sandbox_path=%2Fmnt%2Fdata%2Fout+file.csv');
+  });
+
+  it('returns null when the file cannot be located', () => {
+    expect(getAttachmentDownloadPath({ id: null, name: 'a.pdf' }, 'c1')).toBeNull();
+    expect(getAttachmentDownloadPath({ id: null, messageId: 'm1', sandboxPath: '/mnt/data/a' }, null)).toBeNull();
+  });
+});
+
+describe('getAttachmentFilename', () => {
+  it('keeps names unique within the bundle', () => {
+    const used = new Set();
+    expect(getAttachmentFilename('data.csv', used)).toBe('attachments/data.csv');
+    expect(getAttachmentFilename('data.csv', used)).toBe('attachments/data-2.csv');
+  });
+
+  it('replaces characters that are not allowed in filenames', () => {
+    expect(getAttachmentFilename('../a:b?.txt', new Set())).toBe('attachments/_a_b_.txt');
+    expect(getAttachmentFilename('', new Set())).toBe('attachments/file');
+  });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Auto-save Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAutoSaveMode,
+  titleMatchesPattern,
+  shouldAutoSave,
+  isPinnedConversation,
+  getAutoSaveFilename
+} from '../content/autosave.js';
+
+describe('normalizeAutoSaveMode', () => {
+  it('accepts known modes', () => {
+    ['off', 'all', 'pinned', 'pattern'].forEach(mode => {
+      expect(normalizeAutoSaveMode(mode)).toBe(mode);
+    });
+  });
+
+  it('defaults to "off" for missing or unknown values', () => {
+    expect(normalizeAutoSaveMode(undefined)).toBe('off');
+    expect(normalizeAutoSaveMode('sometimes')).toBe('off');
+  });
+});
+
+describe('titleMatchesPattern', () => {
+  it('matches anywhere in the title, ignoring case', () => {
+    expect(titleMatchesPattern('Weekly Project Notes', 'project')).toBe(true);
+    expect(titleMatchesPattern('Weekly Project Notes', 'recipes')).toBe(false);
+  });
+
+  it('treats * as a wildcard', () => {
+    expect(titleMatchesPattern('Project Alpha notes', 'project*notes')).toBe(true);
+    expect(titleMatchesPattern('Notes on a project', 'project*notes')).toBe(false);
+  });
+
+  it('matches other characters literally', () => {
+    expect(titleMatchesPattern('C++ (draft)', 'c++ (draft)')).toBe(true);
+    expect(titleMatchesPattern('abc', 'a.c')).toBe(false);
+  });
+
+  it('never matches an empty pattern', () => {
+    expect(titleMatchesPattern('Anything', '')).toBe(false);
+    expect(titleMatchesPattern('Anything', '   ')).toBe(false);
+    expect(titleMatchesPattern('Anything', undefined)).toBe(false);
+  });
+});
+
+describe('shouldAutoSave', () => {
+  const conversation = { title: 'Project notes', pinned: false };
+
+  it('saves nothing when off', () => {
+    expect(shouldAutoSave({ mode: 'off' }, conversation)).toBe(false);
+    expect(shouldAutoSave({}, conversation)).toBe(false);
+  });
+
+  it('saves every conversation in "all" mode', () => {
+    expect(shouldAutoSave({ mode: 'all' }, conversation)).toBe(true);
+  });
+
+  it('saves only pinned conversations in "pinned" mode', () => {
+    expect(shouldAutoSave({ mode: 'pinned' }, conversation)).toBe(false);
+    expect(shouldAutoSave({ mode: 'pinned' }, { ...conversation, pinned: true })).toBe(true);
+  });
+
+  it('saves matching titles in "pattern" mode', () => {
+    expect(shouldAutoSave({ mode: 'pattern', pattern: 'project' }, conversation)).toBe(true);
+    expect(shouldAutoSave({ mode: 'pattern', pattern: 'recipe' }, conversation)).toBe(false);
+    expect(shouldAutoSave({ mode: 'pattern' }, conversation)).toBe(false);
+  });
+});
+
+describe('isPinnedConversation', () => {
+  it('reads the starred flag or pin time', () => {
+    expect(isPinnedConversation({ is_starred: true })).toBe(true);
+    expect(isPinnedConversation({ pinned_time: '2026-02-01T00:00:00Z' })).toBe(true);
+    expect(isPinnedConversation({ is_starred: false, pinned_time: null })).toBe(false);
+    expect(isPinnedConversation(null)).toBe(false);
+  });
+});
+
+describe('getAutoSaveFilename', () => {
+  it('uses the conversation id in the auto-save folder', () => {
+    expect(getAutoSaveFilename('6789abcd-1234-5678-9abc-def012345678', 'html'))
+      .toBe('gpt-chat-save/chatgpt-6789abcd-1234-5678-9abc-def012345678.html');
+  });
+
+  it('is the same for every save of a conversation', () => {
+    expect(getAutoSaveFilename('abc', 'md')).toBe(getAutoSaveFilename('abc', 'md'));
+  });
+
+  it('strips characters that could change the path', () => {
+    expect(getAutoSaveFilename('../x/y', 'json')).toBe('gpt-chat-save/chatgpt-xy.json');
+  });
+});
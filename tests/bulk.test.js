@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Bulk Export Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createBulkState,
+  getPendingConversations,
+  recordBulkConversation,
+  recordBulkPart
+} from '../content/bulk.js';
+
+const conversations = [
+  { id: 'a', title: 'First', href: 'https://chatgpt.com/c/a' },
+  { id: 'b', title: 'Second', href: 'https://chatgpt.com/c/b' },
+  { id: 'c', title: 'Third', href: 'https://chatgpt.com/c/c' }
+];
+
+describe('createBulkState', () => {
+  it('stores ids and titles with nothing done', () => {
+    const state = createBulkState(conversations, new Date('2026-02-01T00:00:00Z'));
+    expect(state).toEqual({
+      conversations: [
+        { id: 'a', title: 'First' },
+        { id: 'b', title: 'Second' },
+        { id: 'c', title: 'Third' }
+      ],
+      done: [],
+      current: [],
+      part: 0,
+      startedAt: '2026-02-01T00:00:00.000Z'
+    });
+  });
+});
+
+describe('getPendingConversations', () => {
+  it('returns all conversations for a new state', () => {
+    const state = createBulkState(conversations, new Date());
+    expect(getPendingConversations(state).map(c => c.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('skips downloaded conversations', () => {
+    const state = { ...createBulkState(conversations, new Date()), done: ['b'] };
+    expect(getPendingConversations(state).map(c => c.id)).toEqual(['a', 'c']);
+  });
+
+  it('skips conversations waiting in the open part', () => {
+    const state = { ...createBulkState(conversations, new Date()), done: ['a'], current: ['b'] };
+    expect(getPendingConversations(state).map(c => c.id)).toEqual(['c']);
+  });
+
+  it('returns empty array without state', () => {
+    expect(getPendingConversations(null)).toEqual([]);
+    expect(getPendingConversations({})).toEqual([]);
+  });
+});
+
+describe('recordBulkConversation', () => {
+  it('adds the conversation to the open part', () => {
+    const state = createBulkState(conversations, new Date());
+    const next = recordBulkConversation(recordBulkConversation(state, 'a'), 'b');
+    expect(next.current).toEqual(['a', 'b']);
+    expect(next.done).toEqual([]);
+    expect(state.current).toEqual([]);
+    expect(getPendingConversations(next).map(c => c.id)).toEqual(['c']);
+  });
+
+  it('accepts state saved without an open part', () => {
+    expect(recordBulkConversation({ done: [] }, 'a').current).toEqual(['a']);
+  });
+});
+
+describe('recordBulkPart', () => {
+  it('adds done ids and increments the part', () => {
+    const state = createBulkState(conversations, new Date());
+    const next = recordBulkPart(state, ['a', 'b']);
+    expect(next.done).toEqual(['a', 'b']);
+    expect(next.part).toBe(1);
+    expect(getPendingConversations(next).map(c => c.id)).toEqual(['c']);
+  });
+
+  it('closes the open part; failed conversations become pending again', () => {
+    const state = recordBulkConversation(recordBulkConversation(createBulkState(conversations, new Date()), 'a'), 'b');
+    const next = recordBulkPart(state, ['a']);
+    expect(next.current).toEqual([]);
+    expect(getPendingConversations(next).map(c => c.id)).toEqual(['b', 'c']);
+  });
+
+  it('does not modify the original state', () => {
+    const state = createBulkState(conversations, new Date());
+    recordBulkPart(state, ['a']);
+    expect(state.done).toEqual([]);
+    expect(state.part).toBe(0);
+  });
+});
@@ -0,0 +1,452 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Data Export Conversion Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+
+// conversations.js expects utils.js, template.js and fiber.js globals
+Object.assign(globalThis, await import('../content/utils.js'));
+Object.assign(globalThis, await import('../content/template.js'));
+Object.assign(globalThis, await import('../content/fiber.js'));
+
+const {
+  isExportConversation,
+  getLatestPath,
+  getConversationPath,
+  isVisibleMessage,
+  classifyTrace,
+  getBranchEntries,
+  renderInlineMarkdown,
+  renderMarkdownText,
+  renderMessageContent,
+  getConversationMessages,
+  getBranchVersions,
+  getBranchTraces,
+  getConversationGizmo,
+  parseGizmoInfo,
+  conversationToHTML,
+  getConversationFilename
+} = await import('../content/conversations.js');
+
+const [sorting, image] = JSON.parse(
+  readFileSync(new URL('./fixtures/conversations.json', import.meta.url), 'utf8')
+);
+
+describe('isExportConversation', () => {
+  it('accepts conversations with a mapping', () => {
+    expect(isExportConversation(sorting)).toBe(true);
+  });
+
+  it('rejects other values', () => {
+    expect(isExportConversation(null)).toBe(false);
+    expect(isExportConversation({ title: 'x' })).toBe(false);
+    expect(isExportConversation('conversation')).toBe(false);
+  });
+});
+
+describe('getConversationPath', () => {
+  it('follows current_node back to the root', () => {
+    expect(getConversationPath(sorting)).toEqual(['root', 'sys', 'u1', 'a2', 't1', 'a2b']);
+  });
+
+  it('follows the latest child without current_node', () => {
+    expect(getConversationPath(image)).toEqual(['n0', 'n1', 'n2']);
+  });
+
+  it('does not loop on cyclic parents', () => {
+    const conversation = {
+      current_node: 'a',
+      mapping: { a: { parent: 'b' }, b: { parent: 'a' } }
+    };
+    expect(getConversationPath(conversation)).toEqual(['b', 'a']);
+  });
+});
+
+describe('getLatestPath', () => {
+  it('follows the last child from a node', () => {
+    expect(getLatestPath(sorting.mapping, 'u1')).toEqual(['u1', 'a2', 't1', 'a2b']);
+  });
+
+  it('returns an empty path for unknown nodes', () => {
+    expect(getLatestPath(sorting.mapping, 'missing')).toEqual([]);
+  });
+});
+
+describe('isVisibleMessage', () => {
+  const message = id => sorting.mapping[id].message;
+
+  it('shows user and assistant text', () => {
+    expect(isVisibleMessage(message('u1'))).toBe(true);
+    expect(isVisibleMessage(message('a2b'))).toBe(true);
+  });
+
+  it('hides system, tool and tool-call messages', () => {
+    expect(isVisibleMessage(message('sys'))).toBe(false);
+    expect(isVisibleMessage(message('t1'))).toBe(false);
+    expect(isVisibleMessage(message('a2'))).toBe(false);
+  });
+
+  it('hides empty nodes and empty messages', () => {
+    expect(isVisibleMessage(null)).toBe(false);
+    expect(isVisibleMessage({
+      author: { role: 'assistant' },
+      content: { content_type: 'text', parts: [''] }
+    })).toBe(false);
+  });
+});
+
+describe('renderInlineMarkdown', () => {
+  it('escapes HTML', () => {
+    expect(renderInlineMarkdown('<b>&</b>')).toBe('&lt;b&gt;&amp;&lt;/b&gt;');
+  });
+
+  it('renders bold, italic and code', () => {
+    expect(renderInlineMarkdown('**a** *b* `c`')).toBe('<strong>a</strong> <em>b</em> <code>c</code>');
+  });
+
+  it('does not format inside code spans', () => {
+    expect(renderInlineMarkdown('`**x** <y>`')).toBe('<code>**x** &lt;y&gt;</code>');
+  });
+
+  it('keeps snake_case words intact', () => {
+    expect(renderInlineMarkdown('my_var_name')).toBe('my_var_name');
+  });
+
+  it('renders http links only', () => {
+    expect(renderInlineMarkdown('[a](https://x.com/p)')).toBe(
+      '<a href="https://x.com/p" target="_blank" rel="noopener">a</a>'
+    );
+    expect(renderInlineMarkdown('[a](javascript:alert(1))')).not.toContain('<a');
+  });
+});
+
+describe('renderMarkdownText', () => {
+  it('renders paragraphs and line breaks', () => {
+    expect(renderMarkdownText('one\ntwo\n\nthree')).toBe('<p>one<br>two</p><p>three</p>');
+  });
+
+  it('renders headings', () => {
+    expect(renderMarkdownText('## Title')).toBe('<h2>Title</h2>');
+  });
+
+  it('renders fenced code with language class', () => {
+    expect(renderMarkdownText('```js\nconst a = 1 < 2;\n```')).toBe(
+      '<pre><code class="hljs language-js code-block">const a = 1 &lt; 2;</code></pre>'
+    );
+  });
+
+  it('renders lists', () => {
+    expect(renderMarkdownText('- a\n- b')).toBe('<ul><li>a</li><li>b</li></ul>');
+    expect(renderMarkdownText('3. a\n4. b')).toBe('<ol start="3"><li>a</li><li>b</li></ol>');
+  });
+
+  it('renders nested lists', () => {
+    expect(renderMarkdownText('- a\n  - b')).toBe('<ul><li>a<ul><li>b</li></ul></li></ul>');
+  });
+
+  it('renders tables', () => {
+    expect(renderMarkdownText('| a | b |\n|---|---|\n| 1 | 2 |')).toBe(
+      '<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>'
+    );
+  });
+
+  it('renders blockquotes and rules', () => {
+    expect(renderMarkdownText('> quoted\n\n---')).toBe('<blockquote><p>quoted</p></blockquote><hr>');
+  });
+});
+
+describe('renderMessageContent', () => {
+  it('renders code content as a code block', () => {
+    expect(renderMessageContent(sorting.mapping.a2.message)).toBe(
+      '<pre><code class="hljs code-block">sorted(people)</code></pre>'
+    );
+  });
+
+  it('renders a placeholder for images', () => {
+    expect(renderMessageContent(image.mapping.n1.message)).toBe(
+      '<p class="image-placeholder">[Image not included in data export]</p><p>What is this?</p>'
+    );
+  });
+});
+
+describe('getConversationMessages', () => {
+  it('returns visible messages of the current branch', () => {
+    const messages = getConversationMessages(sorting);
+    expect(messages.map(m => m.id)).toEqual(['u1', 'a2b']);
+    expect(messages[0]).toMatchObject({ isUser: true, role: 'user', createTime: 1735689600, model: null });
+    expect(messages[1]).toMatchObject({ isUser: false, role: 'assistant', model: 'gpt-4o' });
+    expect(messages[1].content).toContain('<strong>sorted</strong>');
+    expect(messages[1].content).toContain('language-python');
+  });
+
+  it('excludes regenerated branches', () => {
+    const html = getConversationMessages(sorting).map(m => m.content).join('');
+    expect(html).not.toContain('First answer');
+  });
+});
+
+describe('getBranchEntries', () => {
+  const path = getConversationPath(sorting);
+
+  it('attaches sibling versions to the next visible message', () => {
+    const entries = getBranchEntries(sorting.mapping, path);
+    expect(entries.map(entry => entry.message.id)).toEqual(['u1', 'a2b']);
+    expect(entries[0].versions).toEqual([]);
+    expect(entries[1].versions).toHaveLength(1);
+    const [group] = entries[1].versions;
+    expect(group.index).toBe(2);
+    expect(group.total).toBe(2);
+    expect(group.alternatives).toHaveLength(1);
+    expect(group.alternatives[0].index).toBe(1);
+    expect(group.alternatives[0].entries.map(entry => entry.message.id)).toEqual(['a1']);
+  });
+
+  it('skips versions when not requested', () => {
+    const entries = getBranchEntries(sorting.mapping, path, false);
+    expect(entries.every(entry => entry.versions.length === 0)).toBe(true);
+  });
+
+  it('ignores siblings without visible messages', () => {
+    const mapping = {
+      r: { parent: null, children: ['u', 'x'] },
+      u: { parent: 'r', children: [], message: sorting.mapping.u1.message },
+      x: { parent: 'r', children: [], message: sorting.mapping.sys.message }
+    };
+    expect(getBranchEntries(mapping, ['r', 'u'])[0].versions).toEqual([]);
+  });
+
+  it('follows nested branches inside alternatives', () => {
+    const user = (id, text) => ({
+      id, author: { role: 'user' }, content: { content_type: 'text', parts: [text] }
+    });
+    const mapping = {
+      r: { parent: null, children: ['p1', 'p2'] },
+      p1: { parent: 'r', children: ['q1', 'q2'], message: user('p1', 'first prompt') },
+      q1: { parent: 'p1', children: [], message: user('q1', 'q one') },
+      q2: { parent: 'p1', children: [], message: user('q2', 'q two') },
+      p2: { parent: 'r', children: [], message: user('p2', 'edited prompt') }
+    };
+    const [entry] = getBranchEntries(mapping, ['r', 'p2']);
+    const alternative = entry.versions[0].alternatives[0];
+    expect(alternative.entries.map(e => e.message.id)).toEqual(['p1', 'q2']);
+    expect(alternative.entries[1].versions[0]).toMatchObject({ index: 2, total: 2 });
+  });
+});
+
+describe('getConversationMessages with branches', () => {
+  it('renders alternatives as messages', () => {
+    const messages = getConversationMessages(sorting, { branches: true });
+    const [group] = messages[1].versions;
+    expect(group.alternatives[0].messages[0]).toMatchObject({
+      id: 'a1',
+      isUser: false,
+      model: 'gpt-4o',
+      content: '<p>First answer (regenerated away).</p>',
+      versions: []
+    });
+  });
+
+  it('keys versions by message id', () => {
+    const versions = getBranchVersions(sorting);
+    expect(Array.from(versions.keys())).toEqual(['a2b']);
+    expect(versions.get('a2b')[0].total).toBe(2);
+  });
+});
+
+/** Reasoning model turn: thoughts, a web search, a code run, then the answer */
+const traced = {
+  title: 'Traced',
+  current_node: 'a',
+  mapping: {
+    r: { parent: null, children: ['u'] },
+    u: {
+      parent: 'r', children: ['t'],
+      message: { id: 'u', author: { role: 'user' }, content: { content_type: 'text', parts: ['Plot it'] } }
+    },
+    t: {
+      parent: 'u', children: ['rr'],
+      message: {
+        id: 't', author: { role: 'assistant' }, recipient: 'all',
+        content: { content_type: 'thoughts', thoughts: [{ summary: 'Planning', content: 'Load the *data* first.' }] }
+      }
+    },
+    rr: {
+      parent: 't', children: ['s'],
+      message: {
+        id: 'rr', author: { role: 'assistant' }, recipient: 'all',
+        content: { content_type: 'reasoning_recap', content: 'Thought for 34s' }
+      }
+    },
+    s: {
+      parent: 'rr', children: ['c'],
+      message: {
+        id: 's', author: { role: 'assistant' }, recipient: 'web.run',
+        content: { content_type: 'code', text: '{"search_query": [{"q": "matplotlib bar chart"}]}' }
+      }
+    },
+    c: {
+      parent: 's', children: ['o'],
+      message: {
+        id: 'c', author: { role: 'assistant' }, recipient: 'python',
+        content: { content_type: 'code', language: 'unknown', text: 'print(1 < 2)' }
+      }
+    },
+    o: {
+      parent: 'c', children: ['a'],
+      message: {
+        id: 'o', author: { role: 'tool', name: 'python' }, recipient: 'all',
+        content: { content_type: 'execution_output', text: 'True' }
+      }
+    },
+    a: {
+      parent: 'o', children: [],
+      message: {
+        id: 'a', author: { role: 'assistant' }, recipient: 'all',
+        content: { content_type: 'text', parts: ['Done.'] }
+      }
+    }
+  }
+};
+
+describe('classifyTrace', () => {
+  const message = id => traced.mapping[id].message;
+
+  it('reads reasoning summaries and content', () => {
+    const trace = classifyTrace(message('t'));
+    expect(trace).toMatchObject({ kind: 'reasoning', label: 'Reasoning', language: null });
+    expect(trace.text).toBe('**Planning**\n\nLoad the *data* first.');
+    expect(trace.html).toContain('<em>data</em>');
+  });
+
+  it('labels web searches with their query', () => {
+    expect(classifyTrace(message('s'))).toMatchObject({
+      kind: 'search', label: 'Web search: matplotlib bar chart', text: ''
+    });
+    const legacy = { ...message('s'), recipient: 'browser', content: { text: 'search("rust traits")' } };
+    expect(classifyTrace(legacy).label).toBe('Web search: rust traits');
+  });
+
+  it('renders code runs and their output as code', () => {
+    const code = classifyTrace(message('c'));
+    expect(code).toMatchObject({ kind: 'code', label: 'Code run', language: 'python' });
+    expect(code.html).toContain('language-python');
+    expect(code.html).toContain('print(1 &lt; 2)');
+    expect(classifyTrace(message('o'))).toMatchObject({ kind: 'code', label: 'Code output', text: 'True' });
+  });
+
+  it('names other tools', () => {
+    const call = { author: { role: 'assistant' }, recipient: 'dalle.text2im', content: { text: '{"prompt": "a cat"}' } };
+    const output = { author: { role: 'tool', name: 'dalle.text2im' }, content: { parts: ['Image created'] } };
+    expect(classifyTrace(call)).toMatchObject({ kind: 'tool', label: 'Tool call: dalle.text2im' });
+    expect(classifyTrace(output)).toMatchObject({ kind: 'tool', label: 'Tool output: dalle.text2im' });
+  });
+
+  it('ignores visible, system, recap and empty messages', () => {
+    expect(classifyTrace(message('a'))).toBeNull();
+    expect(classifyTrace(message('rr'))).toBeNull();
+    expect(classifyTrace(sorting.mapping.sys.message)).toBeNull();
+    expect(classifyTrace({ author: { role: 'tool', name: 'python' }, content: { text: '  ' } })).toBeNull();
+    expect(classifyTrace(null)).toBeNull();
+  });
+});
+
+describe('getConversationMessages with traces', () => {
+  it('attaches traces to the next visible message', () => {
+    const entries = getBranchEntries(traced.mapping, getConversationPath(traced));
+    expect(entries.map(entry => entry.message.id)).toEqual(['u', 'a']);
+    expect(entries[0].traces).toEqual([]);
+    expect(entries[1].traces.map(trace => trace.kind)).toEqual(['reasoning', 'search', 'code', 'code']);
+  });
+
+  it('labels reasoning with the recap', () => {
+    const [, answer] = getConversationMessages(traced, { traces: true });
+    expect(answer.traces[0].label).toBe('Thought for 34s');
+  });
+
+  it('omits traces unless requested', () => {
+    expect(getConversationMessages(traced).every(message => message.traces.length === 0)).toBe(true);
+  });
+
+  it('keys traces by message id', () => {
+    const traces = getBranchTraces(traced);
+    expect(Array.from(traces.keys())).toEqual(['a']);
+    expect(traces.get('a')).toHaveLength(4);
+  });
+
+  it('renders collapsed blocks in the document', () => {
+    const { html } = conversationToHTML(traced, 'light', { traces: true });
+    expect(html).toContain('<details class="trace trace-reasoning">');
+    expect(html).toContain('<summary>Thought for 34s</summary>');
+    expect(html).toContain('<summary>Web search: matplotlib bar chart</summary>');
+    expect(conversationToHTML(traced, 'light').html).not.toContain('class="trace ');
+  });
+});
+
+describe('conversationToHTML', () => {
+  it('renders a complete document', () => {
+    const { html, messageCount } = conversationToHTML(sorting, 'dark');
+    expect(messageCount).toBe(2);
+    expect(html).toContain('<title>Sorting in Python</title>');
+    expect(html).toContain('<div class="message user-message">');
+    expect(html).toContain('<div class="message assistant-message">');
+  });
+
+  it('includes other versions when requested', () => {
+    const { html, messageCount } = conversationToHTML(sorting, 'light', { branches: true });
+    expect(messageCount).toBe(2);
+    expect(html).toContain('<div class="version-label">Version 2 of 2</div>');
+    expect(html).toContain('<summary>Other versions (1)</summary>');
+    expect(html).toContain('First answer');
+  });
+
+  it('passes options to the template', () => {
+    const { html } = conversationToHTML(sorting, 'light', { showMetadata: false });
+    expect(html).not.toContain('<div class="message-meta">');
+  });
+
+  it('adds the conversation details to the header', () => {
+    const conversation = { ...sorting, conversation_id: 'conv-1', gizmo_id: 'g-p-123' };
+    const { html } = conversationToHTML(conversation, 'light', { details: { version: '1.2.0' } });
+    expect(html).toContain('<meta name="gpt-chat-save:conversation-id" content="conv-1">');
+    expect(html).toContain('<meta name="gpt-chat-save:project-id" content="g-p-123">');
+    expect(html).toContain('<a href="https://chatgpt.com/c/conv-1">conv-1</a>');
+    expect(html).toContain('<!-- GPT Chat Save v1.2.0 |');
+  });
+});
+
+describe('getConversationGizmo', () => {
+  it('tells custom GPTs from projects', () => {
+    expect(getConversationGizmo({ gizmo_id: 'g-abc123' })).toEqual({ id: 'g-abc123', kind: 'gpt' });
+    expect(getConversationGizmo({ gizmo_id: 'g-p-67ab' })).toEqual({ id: 'g-p-67ab', kind: 'project' });
+  });
+
+  it('returns null without a valid id', () => {
+    expect(getConversationGizmo({})).toBeNull();
+    expect(getConversationGizmo({ gizmo_id: '"><script>' })).toBeNull();
+  });
+});
+
+describe('parseGizmoInfo', () => {
+  it('reads the display name and description', () => {
+    const data = { gizmo: { id: 'g-abc', display: { name: ' Helper ', description: 'Answers questions' } } };
+    expect(parseGizmoInfo(data)).toEqual({ name: 'Helper', description: 'Answers questions' });
+  });
+
+  it('uses null for missing fields', () => {
+    expect(parseGizmoInfo({ gizmo: { display: { name: '' } } })).toEqual({ name: null, description: null });
+    expect(parseGizmoInfo(null)).toEqual({ name: null, description: null });
+  });
+});
+
+describe('getConversationFilename', () => {
+  it('uses the creation date and title', () => {
+    expect(getConversationFilename(sorting)).toMatch(/^2025010[01]-Sorting in Python\.html$/);
+  });
+
+  it('falls back for missing titles', () => {
+    expect(getConversationFilename({ create_time: 1738368000 }, 'md')).toMatch(/-chatgpt-conversation\.md$/);
+  });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Fiber Data Extraction Tests
+ * Fibers are plain objects, so no DOM is needed
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getSandboxFiles,
+  normalizeFiberMessage,
+  getMessagesFromFiber,
+  combineFiberMessages,
+  isVisibleFiberMessage,
+  getFiberMessageOrder
+} from '../content/fiber.js';
+
+const rawMessage = {
+  id: 'msg-1',
+  author: { role: 'assistant' },
+  create_time: 1735689600.5,
+  content: { content_type: 'text', parts: ['Hello there'] },
+  metadata: {
+    model_slug: 'gpt-4o',
+    attachments: [{ id: 'file-1', name: 'data.csv', mime_type: 'text/csv', size: 2048 }]
+  }
+};
+
+describe('normalizeFiberMessage', () => {
+  it('extracts role, time, parts, model and attachments', () => {
+    expect(normalizeFiberMessage(rawMessage)).toEqual({
+      id: 'msg-1',
+      role: 'assistant',
+      createTime: 1735689600.5,
+      contentType: 'text',
+      parts: ['Hello there'],
+      recipient: 'all',
+      hidden: false,
+      modelSlug: 'gpt-4o',
+      attachments: [{ id: 'file-1', name: 'data.csv', mimeType: 'text/csv', size: 2048 }]
+    });
+  });
+
+  it('fills missing optional fields with null or empty arrays', () => {
+    expect(normalizeFiberMessage({ id: 'x', author: { role: 'user' } })).toEqual({
+      id: 'x',
+      role: 'user',
+      createTime: null,
+      contentType: null,
+      parts: [],
+      recipient: 'all',
+      hidden: false,
+      modelSlug: null,
+      attachments: []
+    });
+  });
+
+  it('returns null without an id', () => {
+    expect(normalizeFiberMessage({ author: { role: 'user' } })).toBeNull();
+  });
+
+  it('returns null without an author role', () => {
+    expect(normalizeFiberMessage({ id: 'x', author: {} })).toBeNull();
+  });
+
+  it('returns null for non-objects', () => {
+    expect(normalizeFiberMessage(null)).toBeNull();
+    expect(normalizeFiberMessage('msg')).toBeNull();
+  });
+});
+
+describe('getSandboxFiles', () => {
+  it('finds files linked from Code Interpreter output', () => {
+    const parts = [
+      'Saved [the chart](sandbox:/mnt/data/chart.png) and [data](sandbox:/mnt/data/out file.csv).',
+      'Again: [chart](sandbox:/mnt/data/chart.png)',
+      { content_type: 'image_asset_pointer' }
+    ];
+    expect(getSandboxFiles(parts, 'msg-2')).toEqual([
+      { id: null, name: 'chart.png', mimeType: null, size: null, messageId: 'msg-2', sandboxPath: '/mnt/data/chart.png' },
+      { id: null, name: 'out file.csv', mimeType: null, size: null, messageId: 'msg-2', sandboxPath: '/mnt/data/out file.csv' }
+    ]);
+  });
+
+  it('adds generated files after uploads', () => {
+    const message = normalizeFiberMessage({
+      ...rawMessage,
+      content: { parts: ['[Download](sandbox:/mnt/data/result.xlsx)'] }
+    });
+    expect(message.attachments.map(attachment => attachment.name)).toEqual(['data.csv', 'result.xlsx']);
+  });
+});
+
+describe('getMessagesFromFiber', () => {
+  it('finds messages array on the fiber itself', () => {
+    const fiber = { memoizedProps: { messages: [rawMessage] } };
+    expect(getMessagesFromFiber(fiber)).toEqual([rawMessage]);
+  });
+
+  it('finds messages on parent fibers', () => {
+    const fiber = {
+      memoizedProps: { className: 'x' },
+      return: { memoizedProps: {}, return: { memoizedProps: { messages: [rawMessage] } } }
+    };
+    expect(getMessagesFromFiber(fiber)).toEqual([rawMessage]);
+  });
+
+  it('accepts a single message prop', () => {
+    const fiber = { memoizedProps: { message: rawMessage } };
+    expect(getMessagesFromFiber(fiber)).toEqual([rawMessage]);
+  });
+
+  it('stops after maxDepth fibers', () => {
+    const fiber = { memoizedProps: {}, return: { memoizedProps: { messages: [rawMessage] } } };
+    expect(getMessagesFromFiber(fiber, 1)).toEqual([]);
+  });
+
+  it('handles fibers without props', () => {
+    expect(getMessagesFromFiber({ memoizedProps: null })).toEqual([]);
+  });
+});
+
+describe('combineFiberMessages', () => {
+  it('returns null for no records', () => {
+    expect(combineFiberMessages([])).toBeNull();
+  });
+
+  it('keeps the first record id, role and time', () => {
+    const first = normalizeFiberMessage({ id: 'a', author: { role: 'assistant' }, create_time: 1 });
+    const second = normalizeFiberMessage({ id: 'b', author: { role: 'tool' }, create_time: 2 });
+    const combined = combineFiberMessages([first, second]);
+    expect(combined.id).toBe('a');
+    expect(combined.role).toBe('assistant');
+    expect(combined.createTime).toBe(1);
+  });
+
+  it('merges parts and attachments and uses the last model slug', () => {
+    const first = normalizeFiberMessage({
+      id: 'a', author: { role: 'assistant' },
+      content: { parts: ['one'] }, metadata: { model_slug: 'gpt-4o' }
+    });
+    const second = normalizeFiberMessage({
+      id: 'b', author: { role: 'assistant' },
+      content: { parts: ['two'] },
+      metadata: { model_slug: 'o3', attachments: [{ name: 'chart.png' }] }
+    });
+    const combined = combineFiberMessages([first, second]);
+    expect(combined.parts).toEqual(['one', 'two']);
+    expect(combined.modelSlug).toBe('o3');
+    expect(combined.attachments).toEqual([{ id: null, name: 'chart.png', mimeType: null, size: null }]);
+  });
+});
+
+describe('isVisibleFiberMessage', () => {
+  const message = (fields) => normalizeFiberMessage({
+    id: 'm', author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Hi'] }, ...fields
+  });
+
+  it('accepts user and assistant text', () => {
+    expect(isVisibleFiberMessage(message({}))).toBe(true);
+    expect(isVisibleFiberMessage(message({ author: { role: 'user' } }))).toBe(true);
+  });
+
+  it('skips tool messages, tool calls, hidden and empty messages', () => {
+    expect(isVisibleFiberMessage(message({ author: { role: 'tool' } }))).toBe(false);
+    expect(isVisibleFiberMessage(message({ recipient: 'python' }))).toBe(false);
+    expect(isVisibleFiberMessage(message({ metadata: { is_visually_hidden_from_conversation: true } }))).toBe(false);
+    expect(isVisibleFiberMessage(message({ content: { content_type: 'text', parts: ['  '] } }))).toBe(false);
+    expect(isVisibleFiberMessage(message({ content: { content_type: 'code', text: 'x' } }))).toBe(false);
+  });
+});
+
+describe('getFiberMessageOrder', () => {
+  const fiber = (id, role = 'assistant') => normalizeFiberMessage({
+    id, author: { role }, content: { content_type: 'text', parts: [`Text ${id}`] }
+  });
+
+  it('keeps articles in page order', () => {
+    expect(getFiberMessageOrder([fiber('a'), fiber('b')], [['a'], ['b']]))
+      .toEqual([{ articleIndex: 0 }, { articleIndex: 1 }]);
+  });
+
+  it('adds fiber messages without an article after the article before them', () => {
+    const messages = [fiber('u0', 'user'), fiber('a0'), fiber('u1', 'user'), fiber('a1')];
+    const order = getFiberMessageOrder(messages, [['a0'], ['a1']]);
+    expect(order.map(entry => entry.fiber?.id ?? entry.articleIndex)).toEqual(['u0', 0, 'u1', 1]);
+  });
+
+  it('builds the whole list from fiber data when no article is found', () => {
+    const order = getFiberMessageOrder([fiber('u', 'user'), fiber('a')], []);
+    expect(order.map(entry => entry.fiber.id)).toEqual(['u', 'a']);
+  });
+
+  it('skips hidden fiber messages and keeps articles without fiber data', () => {
+    const tool = normalizeFiberMessage({ id: 't', author: { role: 'tool' }, content: { parts: ['x'] } });
+    expect(getFiberMessageOrder([tool], [[], ['x']])).toEqual([{ articleIndex: 0 }, { articleIndex: 1 }]);
+  });
+});
@@ -8,21 +8,48 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { 
   IMAGE_PRESETS, 
+  FEW_COLORS_LIMIT,
   calculateScale, 
   shouldSkipImage,
   getScaledDimensions,
+  analyzePixels,
+  chooseImageFormat,
+  getBudgetSteps,
+  getDataUrlSize,
+  createImageBudget,
+  getImageAllowance,
+  chargeImageBudget,
+  isChatGptFileUrl,
+  fetchImageBytes,
+  bytesToDataUrl,
+  dataUrlToBytes,
+  createImageFileCollector,
+  addImageFile,
+  inlineImageFiles,
+  stripInteractiveElements,
   createImageResult
 } from '../content/images.js';
+import { JSDOM } from 'jsdom';
 
 describe('IMAGE_PRESETS', () => {
   it('has include preset with correct dimensions', () => {
     expect(IMAGE_PRESETS.include).toEqual({
       maxWidth: 800,
       maxHeight: 600,
+      format: 'auto',
       quality: 0.85
     });
   });
 
+  it('has original size presets without a size cap', () => {
+    ['original', 'png', 'webp'].forEach(preset => {
+      expect(IMAGE_PRESETS[preset].maxWidth).toBe(Infinity);
+      expect(IMAGE_PRESETS[preset].maxHeight).toBe(Infinity);
+    });
+    expect(IMAGE_PRESETS.png.format).toBe('png');
+    expect(IMAGE_PRESETS.webp.format).toBe('webp');
+  });
+
   it('has none preset as null', () => {
     expect(IMAGE_PRESETS.none).toBeNull();
   });
@@ -137,6 +164,114 @@ describe('getScaledDimensions', () => {
     const dims = getScaledDimensions(800, 600, 'invalid');
     expect(dims).toBeNull();
   });
+
+  it('keeps original resolution for original presets', () => {
+    expect(getScaledDimensions(4000, 3000, 'original')).toEqual({ width: 4000, height: 3000 });
+  });
+
+  it('applies an extra reduction factor', () => {
+    expect(getScaledDimensions(1600, 1200, 'include', 0.5)).toEqual({ width: 400, height: 300 });
+    expect(getScaledDimensions(4000, 3000, 'png', 0.25)).toEqual({ width: 1000, height: 750 });
+  });
+
+  it('never returns zero dimensions', () => {
+    expect(getScaledDimensions(4000, 2, 'include', 0.35)).toEqual({ width: 280, height: 1 });
+  });
+});
+
+/**
+ * RGBA bytes for a list of [r, g, b, a] pixels
+ */
+function pixels(list) {
+  return Uint8ClampedArray.from(list.flat());
+}
+
+describe('analyzePixels', () => {
+  it('detects transparency', () => {
+    expect(analyzePixels(pixels([[0, 0, 0, 255], [255, 255, 255, 0]])).hasAlpha).toBe(true);
+    expect(analyzePixels(pixels([[0, 0, 0, 255], [255, 255, 255, 255]])).hasAlpha).toBe(false);
+  });
+
+  it('counts distinct colors', () => {
+    const result = analyzePixels(pixels([[1, 2, 3, 255], [1, 2, 3, 255], [4, 5, 6, 255]]));
+    expect(result.colorCount).toBe(2);
+  });
+
+  it('stops counting above the few-colors limit', () => {
+    const list = Array.from({ length: 1000 }, (_, i) => [i % 256, Math.floor(i / 256), 0, 255]);
+    expect(analyzePixels(pixels(list)).colorCount).toBe(FEW_COLORS_LIMIT + 1);
+  });
+
+  it('samples large images', () => {
+    const list = Array.from({ length: 100 }, (_, i) => [i, 0, 0, 255]);
+    expect(analyzePixels(pixels(list), 10).colorCount).toBe(10);
+  });
+});
+
+describe('chooseImageFormat', () => {
+  const photo = { hasAlpha: false, colorCount: FEW_COLORS_LIMIT + 1 };
+
+  it('uses fixed formats as given', () => {
+    expect(chooseImageFormat('png', photo)).toBe('image/png');
+    expect(chooseImageFormat('webp', photo)).toBe('image/webp');
+  });
+
+  it('uses JPEG for photos', () => {
+    expect(chooseImageFormat('auto', photo)).toBe('image/jpeg');
+  });
+
+  it('keeps PNG for transparency and few colors', () => {
+    expect(chooseImageFormat('auto', { ...photo, hasAlpha: true })).toBe('image/png');
+    expect(chooseImageFormat('auto', { hasAlpha: false, colorCount: 12 })).toBe('image/png');
+  });
+});
+
+describe('getBudgetSteps', () => {
+  it('lowers quality before size for lossy images', () => {
+    expect(getBudgetSteps('image/jpeg', 0.7, false)).toEqual([
+      { mimeType: 'image/jpeg', quality: 0.6, scale: 1 },
+      { mimeType: 'image/jpeg', quality: 0.45, scale: 1 },
+      { mimeType: 'image/jpeg', quality: 0.45, scale: 0.75 },
+      { mimeType: 'image/jpeg', quality: 0.45, scale: 0.5 },
+      { mimeType: 'image/jpeg', quality: 0.45, scale: 0.35 }
+    ]);
+  });
+
+  it('switches PNG to WebP with transparency and JPEG without', () => {
+    expect(getBudgetSteps('image/png', 1, true)[0]).toEqual({ mimeType: 'image/webp', quality: 0.75, scale: 1 });
+    expect(getBudgetSteps('image/png', 1, false).every(step => step.mimeType === 'image/jpeg')).toBe(true);
+  });
+});
+
+describe('getDataUrlSize', () => {
+  it('returns the decoded size', () => {
+    expect(getDataUrlSize('data:image/png;base64,QUJD')).toBe(3);
+    expect(getDataUrlSize('data:image/png;base64,QUI=')).toBe(2);
+    expect(getDataUrlSize('data:image/png;base64,QQ==')).toBe(1);
+  });
+});
+
+describe('image budget', () => {
+  it('is null without a limit', () => {
+    expect(createImageBudget(0, 3)).toBeNull();
+    expect(getImageAllowance(null)).toBe(Infinity);
+    expect(() => chargeImageBudget(null, 100)).not.toThrow();
+  });
+
+  it('shares what is left between the remaining images', () => {
+    const budget = createImageBudget(900, 3);
+    expect(getImageAllowance(budget)).toBe(300);
+    chargeImageBudget(budget, 100);
+    expect(getImageAllowance(budget)).toBe(400);
+    chargeImageBudget(budget, 0);
+    expect(getImageAllowance(budget)).toBe(800);
+  });
+
+  it('never allows a negative size', () => {
+    const budget = createImageBudget(100, 2);
+    chargeImageBudget(budget, 500);
+    expect(getImageAllowance(budget)).toBe(0);
+  });
 });
 
 describe('createImageResult', () => {
@@ -149,6 +284,11 @@ describe('createImageResult', () => {
     });
   });
 
+  it('marks images downloaded by the extension', () => {
+    const result = createImageResult.success('data:image/png;base64,abc', 'https://orig.com/img.png', true);
+    expect(result.fetched).toBe(true);
+  });
+
   it('creates skipped result', () => {
     const result = createImageResult.skipped('data:image/png;base64,xyz');
     expect(result).toEqual({
@@ -168,3 +308,157 @@ describe('createImageResult', () => {
     });
   });
 });
+
+describe('isChatGptFileUrl', () => {
+  it('accepts chatgpt.com and oaiusercontent.com file URLs', () => {
+    expect(isChatGptFileUrl('https://chatgpt.com/backend-api/estuary/content?id=file-1')).toBe(true);
+    expect(isChatGptFileUrl('https://files.oaiusercontent.com/file-1?se=2026')).toBe(true);
+    expect(isChatGptFileUrl('https://SDMNTPR.OAIUSERCONTENT.COM/a.png')).toBe(true);
+  });
+
+  it('rejects other hosts', () => {
+    expect(isChatGptFileUrl('https://example.com/a.png')).toBe(false);
+    expect(isChatGptFileUrl('https://chatgpt.com.example.com/a.png')).toBe(false);
+    expect(isChatGptFileUrl('https://evil-oaiusercontent.com/a.png')).toBe(false);
+    expect(isChatGptFileUrl('https://oaiusercontent.com@example.com/a.png')).toBe(false);
+  });
+
+  it('rejects non-https and invalid URLs', () => {
+    expect(isChatGptFileUrl('http://chatgpt.com/a.png')).toBe(false);
+    expect(isChatGptFileUrl('data:image/png;base64,AAAA')).toBe(false);
+    expect(isChatGptFileUrl('/backend-api/files/1')).toBe(false);
+    expect(isChatGptFileUrl('')).toBe(false);
+  });
+});
+
+describe('fetchImageBytes', () => {
+  const noDelay = () => Promise.resolve();
+
+  function imageResponse(status, type = 'image/png', bytes = [1, 2, 3]) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: name => (name === 'content-type' ? type : null) },
+      arrayBuffer: async () => new Uint8Array(bytes).buffer
+    };
+  }
+
+  it('returns the bytes and type of the image', async () => {
+    const fetchFn = vi.fn(async () => imageResponse(200, 'image/webp; charset=binary'));
+    const result = await fetchImageBytes('https://files.example/a.webp', { fetchFn, delayFn: noDelay });
+    expect(result.mimeType).toBe('image/webp');
+    expect(Array.from(result.bytes)).toEqual([1, 2, 3]);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries server errors', async () => {
+    const fetchFn = vi.fn()
+      .mockResolvedValueOnce(imageResponse(503))
+      .mockRejectedValueOnce(new TypeError('NetworkError'))
+      .mockResolvedValueOnce(imageResponse(200));
+    const delayFn = vi.fn(noDelay);
+    await fetchImageBytes('https://files.example/a.png', { fetchFn, delayFn });
+    expect(fetchFn).toHaveBeenCalledTimes(3);
+    expect(delayFn.mock.calls.map(([ms]) => ms)).toEqual([500, 1000]);
+  });
+
+  it('gives up after the last retry', async () => {
+    const fetchFn = vi.fn(async () => imageResponse(500));
+    await expect(fetchImageBytes('https://files.example/a.png', { fetchFn, delayFn: noDelay, retries: 1 }))
+      .rejects.toThrow('HTTP 500');
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry client errors', async () => {
+    const fetchFn = vi.fn(async () => imageResponse(403));
+    await expect(fetchImageBytes('https://files.example/a.png', { fetchFn, delayFn: noDelay }))
+      .rejects.toThrow('HTTP 403');
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('aborts attempts that take too long', async () => {
+    const fetchFn = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    await expect(fetchImageBytes('https://files.example/a.png', { fetchFn, delayFn: noDelay, retries: 0, timeoutMs: 10 }))
+      .rejects.toThrow('Timed out');
+  });
+
+  it('rejects responses that are not images', async () => {
+    const fetchFn = vi.fn(async () => imageResponse(200, 'text/html'));
+    await expect(fetchImageBytes('https://files.example/a.png', { fetchFn, delayFn: noDelay }))
+      .rejects.toThrow('Not an image (text/html)');
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('bytesToDataUrl', () => {
+  it('encodes bytes as base64', () => {
+    expect(bytesToDataUrl(new Uint8Array([72, 105]), 'image/png')).toBe('data:image/png;base64,SGk=');
+  });
+
+  it('handles images larger than one chunk', () => {
+    const bytes = new Uint8Array(0x8000 * 2 + 5).fill(255);
+    const dataUrl = bytesToDataUrl(bytes, 'image/jpeg');
+    expect(Buffer.from(dataUrl.split(',')[1], 'base64')).toHaveLength(bytes.length);
+  });
+});
+
+describe('dataUrlToBytes', () => {
+  it('decodes base64 data URLs', () => {
+    const decoded = dataUrlToBytes('data:image/PNG;base64,SGk=');
+    expect(decoded.mimeType).toBe('image/png');
+    expect(Array.from(decoded.bytes)).toEqual([72, 105]);
+  });
+
+  it('returns null for other URLs', () => {
+    expect(dataUrlToBytes('https://example.com/a.png')).toBeNull();
+    expect(dataUrlToBytes('data:image/svg+xml,<svg/>')).toBeNull();
+  });
+});
+
+describe('image files', () => {
+  it('numbers files and names them by type', () => {
+    const collector = createImageFileCollector();
+    expect(addImageFile(collector, 'https://a/1', 'data:image/jpeg;base64,SGk=')).toBe('images/image-001.jpg');
+    expect(addImageFile(collector, 'https://a/2', 'data:image/webp;base64,SGk=')).toBe('images/image-002.webp');
+    expect(collector.files.map(file => file.name)).toEqual(['images/image-001.jpg', 'images/image-002.webp']);
+  });
+
+  it('stores each image once', () => {
+    const collector = createImageFileCollector();
+    addImageFile(collector, 'https://a/1', 'data:image/png;base64,SGk=');
+    expect(addImageFile(collector, 'https://a/1', 'data:image/png;base64,SGk=')).toBe('images/image-001.png');
+    expect(collector.files).toHaveLength(1);
+  });
+
+  it('does not store images it cannot decode', () => {
+    const collector = createImageFileCollector();
+    expect(addImageFile(collector, 'https://a/1', 'https://a/1')).toBeNull();
+    expect(collector.files).toHaveLength(0);
+  });
+
+  it('puts files back as data URLs', () => {
+    const collector = createImageFileCollector();
+    addImageFile(collector, 'https://a/1', 'data:image/png;base64,SGk=');
+    const html = '<img src="images/image-001.png"><img src="images/image-009.png">';
+    expect(inlineImageFiles(html, collector))
+      .toBe('<img src="data:image/png;base64,SGk="><img src="images/image-009.png">');
+  });
+});
+
+describe('stripInteractiveElements', () => {
+  // Same as SELECTORS.interactive in content.js
+  const interactive = 'button:not([disabled]), input, select, textarea, [role="button"]';
+
+  it('keeps chart images inside enabled buttons and removes the buttons', () => {
+    const { document } = new JSDOM().window;
+    const root = document.createElement('div');
+    root.innerHTML = '<p>Chart:</p><button type="button"><img src="https://files.oaiusercontent.com/chart.png" alt="Chart"></button>'
+      + '<button>Copy</button><input type="text">';
+
+    stripInteractiveElements(root, interactive);
+
+    expect(root.innerHTML).toBe('<p>Chart:</p><img src="https://files.oaiusercontent.com/chart.png" alt="Chart">');
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Incremental Export Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EXPORT_HISTORY_LIMIT,
+  getLastMessageId,
+  getMessagesAfter,
+  recordExportHistory,
+  hashString,
+  getProcessedFingerprint,
+  getProcessedCacheKey,
+  addProcessedCacheEntry
+} from '../content/incremental.js';
+
+const messages = [
+  { index: 0, id: 'u1', ids: ['u1'] },
+  { index: 1, id: 'a1', ids: ['a1', 'a1-image'] },
+  { index: 2, id: 'u2', ids: ['u2'] },
+  { index: 3, id: 'a2', ids: ['a2'] }
+];
+
+describe('getLastMessageId', () => {
+  it('returns the last id of the last message', () => {
+    expect(getLastMessageId(messages)).toBe('a2');
+    expect(getLastMessageId(messages.slice(0, 2))).toBe('a1-image');
+  });
+
+  it('skips trailing messages without ids', () => {
+    expect(getLastMessageId([...messages, { index: 4, id: null, ids: [] }])).toBe('a2');
+  });
+
+  it('returns null when no message has an id', () => {
+    expect(getLastMessageId([])).toBeNull();
+    expect(getLastMessageId([{ id: null, ids: [] }])).toBeNull();
+  });
+});
+
+describe('getMessagesAfter', () => {
+  it('returns every message when nothing was exported yet', () => {
+    expect(getMessagesAfter(messages, null)).toEqual({ found: true, messages });
+  });
+
+  it('returns the messages after the last exported one', () => {
+    const result = getMessagesAfter(messages, 'a1');
+    expect(result.found).toBe(true);
+    expect(result.messages.map(m => m.id)).toEqual(['u2', 'a2']);
+  });
+
+  it('finds messages by any of their ids', () => {
+    expect(getMessagesAfter(messages, 'a1-image').messages.map(m => m.id)).toEqual(['u2', 'a2']);
+  });
+
+  it('returns nothing new after the last message', () => {
+    expect(getMessagesAfter(messages, 'a2')).toEqual({ found: true, messages: [] });
+  });
+
+  it('reports a last message that is no longer on the page', () => {
+    expect(getMessagesAfter(messages, 'edited')).toEqual({ found: false, messages: [] });
+  });
+});
+
+describe('recordExportHistory', () => {
+  it('adds a conversation without changing the input', () => {
+    const history = { a: { messageId: 'm1', exportedAt: '2026-02-01T00:00:00.000Z' } };
+    const updated = recordExportHistory(history, 'b', 'm2', '2026-02-02T00:00:00.000Z');
+    expect(updated).toEqual({
+      a: { messageId: 'm1', exportedAt: '2026-02-01T00:00:00.000Z' },
+      b: { messageId: 'm2', exportedAt: '2026-02-02T00:00:00.000Z' }
+    });
+    expect(Object.keys(history)).toEqual(['a']);
+  });
+
+  it('replaces the previous entry of a conversation', () => {
+    const history = { a: { messageId: 'm1', exportedAt: '2026-02-01T00:00:00.000Z' } };
+    expect(recordExportHistory(history, 'a', 'm3', '2026-02-03T00:00:00.000Z'))
+      .toEqual({ a: { messageId: 'm3', exportedAt: '2026-02-03T00:00:00.000Z' } });
+  });
+
+  it('drops the least recently exported conversations over the limit', () => {
+    const history = {
+      old: { messageId: 'x', exportedAt: '2026-01-01T00:00:00.000Z' },
+      recent: { messageId: 'y', exportedAt: '2026-01-05T00:00:00.000Z' }
+    };
+    const updated = recordExportHistory(history, 'new', 'z', '2026-01-10T00:00:00.000Z', 2);
+    expect(Object.keys(updated).sort()).toEqual(['new', 'recent']);
+  });
+
+  it('handles a missing history', () => {
+    expect(recordExportHistory(undefined, 'a', 'm', '2026-02-01T00:00:00.000Z'))
+      .toEqual({ a: { messageId: 'm', exportedAt: '2026-02-01T00:00:00.000Z' } });
+  });
+
+  it('keeps a generous number of conversations by default', () => {
+    expect(EXPORT_HISTORY_LIMIT).toBeGreaterThanOrEqual(100);
+  });
+});
+
+describe('hashString', () => {
+  it('is stable and distinguishes changed content', () => {
+    expect(hashString('<p>hello</p>')).toBe(hashString('<p>hello</p>'));
+    expect(hashString('<p>hello</p>')).not.toBe(hashString('<p>hello!</p>'));
+  });
+
+  it('returns 8 hex digits', () => {
+    expect(hashString('')).toMatch(/^[0-9a-f]{8}$/);
+    expect(hashString('a')).toBe('e40c292c');
+  });
+});
+
+describe('getProcessedFingerprint', () => {
+  it('ignores the query strings of image URLs, which are signed and expire', () => {
+    const before = '<p>Chart</p><img alt="x" src="https://files.oaiusercontent.com/file-1?se=1&amp;sig=a">';
+    const after = '<p>Chart</p><img alt="x" src="https://files.oaiusercontent.com/file-1?se=2&amp;sig=b">';
+    expect(getProcessedFingerprint(['m1'], before)).toBe(getProcessedFingerprint(['m1'], after));
+  });
+
+  it('changes with the text, the image path and the message ids', () => {
+    const html = '<p>Chart</p><img src="https://a.example/file-1?sig=a">';
+    const fingerprint = getProcessedFingerprint(['m1'], html);
+    expect(getProcessedFingerprint(['m1'], html.replace('Chart', 'Charts'))).not.toBe(fingerprint);
+    expect(getProcessedFingerprint(['m1'], html.replace('file-1', 'file-2'))).not.toBe(fingerprint);
+    expect(getProcessedFingerprint(['m2'], html)).not.toBe(fingerprint);
+  });
+
+  it('keeps query strings outside images', () => {
+    const html = sig => `<a href="https://a.example/?q=${sig}">link</a>`;
+    expect(getProcessedFingerprint(['m1'], html('a'))).not.toBe(getProcessedFingerprint(['m1'], html('b')));
+  });
+});
+
+describe('getProcessedCacheKey', () => {
+  it('combines message ids and image setting', () => {
+    expect(getProcessedCacheKey(messages[1], 'include')).toBe('a1,a1-image|include');
+    expect(getProcessedCacheKey(messages[1], 'none')).toBe('a1,a1-image|none');
+  });
+
+  it('adds a hash of other processing settings', () => {
+    const key = getProcessedCacheKey(messages[1], 'include', 'email:/x/g');
+    expect(key).toBe(`a1,a1-image|include|${hashString('email:/x/g')}`);
+    expect(key).not.toBe(getProcessedCacheKey(messages[1], 'include', 'phone:/y/g'));
+  });
+
+  it('does not cache messages without ids', () => {
+    expect(getProcessedCacheKey({ ids: [] }, 'include')).toBeNull();
+    expect(getProcessedCacheKey({}, 'include')).toBeNull();
+  });
+});
+
+describe('addProcessedCacheEntry', () => {
+  it('appends new messages and moves updated ones to the end', () => {
+    const index = [{ key: 'a', size: 10 }, { key: 'b', size: 20 }];
+    expect(addProcessedCacheEntry(index, 'c', 5)).toEqual({
+      index: [...index, { key: 'c', size: 5 }],
+      removed: []
+    });
+    expect(addProcessedCacheEntry(index, 'a', 15).index.map(entry => entry.key)).toEqual(['b', 'a']);
+    expect(index).toHaveLength(2);
+  });
+
+  it('drops the oldest messages over the count or size limit', () => {
+    const index = [{ key: 'a', size: 10 }, { key: 'b', size: 20 }];
+    expect(addProcessedCacheEntry(index, 'c', 5, 2).removed).toEqual(['a']);
+    expect(addProcessedCacheEntry(index, 'c', 5, 10, 26)).toEqual({
+      index: [{ key: 'b', size: 20 }, { key: 'c', size: 5 }],
+      removed: ['a']
+    });
+  });
+
+  it('removes a message that alone is over the size limit', () => {
+    expect(addProcessedCacheEntry([], 'big', 100, 10, 50)).toEqual({ index: [], removed: ['big'] });
+  });
+
+  it('starts from an empty index', () => {
+    expect(addProcessedCacheEntry(undefined, 'a', 1).index).toEqual([{ key: 'a', size: 1 }]);
+  });
+});
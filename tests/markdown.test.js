@@ -0,0 +1,373 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Markdown Conversion Tests
+ * Uses minimal node objects instead of a DOM
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// markdown.js expects utils.js globals, as in the content script
+const { getCodeLanguage, formatAttachmentLabel, escapeHtml } = await import('../content/utils.js');
+globalThis.getCodeLanguage = getCodeLanguage;
+globalThis.formatAttachmentLabel = formatAttachmentLabel;
+globalThis.escapeHtml = escapeHtml;
+
+const {
+  escapeMarkdown,
+  escapeMarkdownUrl,
+  inlineCode,
+  fenceCode,
+  getTexSource,
+  htmlToMarkdown,
+  htmlToPlainText,
+  attachmentsToMarkdown,
+  tracesToMarkdown,
+  generateMarkdownDocument
+} = await import('../content/markdown.js');
+
+/**
+ * Build a minimal element node
+ */
+function el(tag, attrs = {}, children = []) {
+  const node = {
+    nodeType: 1,
+    nodeName: tag.toUpperCase(),
+    childNodes: children,
+    getAttribute: name => (name in attrs ? attrs[name] : null)
+  };
+  Object.defineProperty(node, 'textContent', {
+    get: () => children.map(child => child.textContent).join('')
+  });
+  return node;
+}
+
+/**
+ * Build a minimal text node
+ */
+function text(value) {
+  return { nodeType: 3, nodeName: '#text', childNodes: [], textContent: value };
+}
+
+/**
+ * Root container holding message content
+ */
+function root(...children) {
+  return el('div', {}, children);
+}
+
+describe('escapeMarkdown', () => {
+  it('escapes emphasis and code characters', () => {
+    expect(escapeMarkdown('a*b_c`d')).toBe('a\\*b\\_c\\`d');
+  });
+
+  it('escapes brackets and angle brackets', () => {
+    expect(escapeMarkdown('[x] <y>')).toBe('\\[x\\] \\<y\\>');
+  });
+
+  it('leaves plain text alone', () => {
+    expect(escapeMarkdown('Hello, world.')).toBe('Hello, world.');
+  });
+});
+
+describe('escapeMarkdownUrl', () => {
+  it('encodes parentheses, angle brackets and spaces', () => {
+    expect(escapeMarkdownUrl('https://en.wikipedia.org/wiki/Foo_(bar) <x>'))
+      .toBe('https://en.wikipedia.org/wiki/Foo_%28bar%29%20%3Cx%3E');
+  });
+
+  it('leaves other URLs alone', () => {
+    expect(escapeMarkdownUrl('https://example.com/a?b=1&c=%20')).toBe('https://example.com/a?b=1&c=%20');
+  });
+});
+
+describe('inlineCode', () => {
+  it('wraps code in single backticks', () => {
+    expect(inlineCode('npm test')).toBe('`npm test`');
+  });
+
+  it('uses a longer fence when code contains backticks', () => {
+    expect(inlineCode('a`b')).toBe('``a`b``');
+  });
+
+  it('pads code that starts with a backtick', () => {
+    expect(inlineCode('`x')).toBe('`` `x ``');
+  });
+});
+
+describe('fenceCode', () => {
+  it('keeps the language on the opening fence', () => {
+    expect(fenceCode('print(1)', 'python')).toBe('```python\nprint(1)\n```');
+  });
+
+  it('does not add a second trailing newline', () => {
+    expect(fenceCode('x\n')).toBe('```\nx\n```');
+  });
+
+  it('lengthens the fence around nested fences', () => {
+    expect(fenceCode('```js\nx\n```', 'markdown')).toBe('````markdown\n```js\nx\n```\n````');
+  });
+});
+
+describe('htmlToMarkdown', () => {
+  it('converts paragraphs separated by blank lines', () => {
+    const node = root(el('p', {}, [text('One')]), el('p', {}, [text('Two')]));
+    expect(htmlToMarkdown(node)).toBe('One\n\nTwo');
+  });
+
+  it('converts headings by level', () => {
+    const node = root(el('h2', {}, [text('Title')]), el('h4', {}, [text('Sub')]));
+    expect(htmlToMarkdown(node)).toBe('## Title\n\n#### Sub');
+  });
+
+  it('converts strong, em and inline code', () => {
+    const node = root(el('p', {}, [
+      el('strong', {}, [text('bold')]),
+      text(' and '),
+      el('em', {}, [text('italic')]),
+      text(' and '),
+      el('code', {}, [text('x = 1')])
+    ]));
+    expect(htmlToMarkdown(node)).toBe('**bold** and *italic* and `x = 1`');
+  });
+
+  it('converts links', () => {
+    const node = root(el('p', {}, [el('a', { href: 'https://example.com' }, [text('site')])]));
+    expect(htmlToMarkdown(node)).toBe('[site](https://example.com)');
+  });
+
+  it('encodes characters that would end the link early', () => {
+    const node = root(el('p', {}, [
+      el('a', { href: 'https://example.com/Foo_(bar) x' }, [text('wiki')]),
+      text(' '),
+      el('a', { href: 'https://example.com/a_(b)' }, [])
+    ]));
+    expect(htmlToMarkdown(node)).toBe(
+      '[wiki](https://example.com/Foo_%28bar%29%20x) [https://example.com/a\\_(b)](https://example.com/a_%28b%29)');
+  });
+
+  it('converts images', () => {
+    const node = root(el('p', {}, [el('img', { src: 'data:image/jpeg;base64,abc', alt: 'chart' })]));
+    expect(htmlToMarkdown(node)).toBe('![chart](data:image/jpeg;base64,abc)');
+  });
+
+  it('converts fenced code blocks with language', () => {
+    const code = el('code', { class: 'hljs language-javascript code-block' }, [
+      el('span', { class: 'hljs-keyword' }, [text('const')]),
+      text(' a = 1;')
+    ]);
+    expect(htmlToMarkdown(root(el('pre', {}, [code])))).toBe('```javascript\nconst a = 1;\n```');
+  });
+
+  it('converts unordered lists', () => {
+    const node = root(el('ul', {}, [
+      el('li', {}, [text('one')]),
+      el('li', {}, [el('p', {}, [text('two')])])
+    ]));
+    expect(htmlToMarkdown(node)).toBe('- one\n- two');
+  });
+
+  it('converts ordered lists honoring start', () => {
+    const node = root(el('ol', { start: '3' }, [
+      el('li', {}, [text('three')]),
+      el('li', {}, [text('four')])
+    ]));
+    expect(htmlToMarkdown(node)).toBe('3. three\n4. four');
+  });
+
+  it('indents nested lists under their item', () => {
+    const node = root(el('ol', {}, [
+      el('li', {}, [
+        el('p', {}, [text('parent')]),
+        el('ul', {}, [el('li', {}, [text('child')])])
+      ])
+    ]));
+    expect(htmlToMarkdown(node)).toBe('1. parent\n   - child');
+  });
+
+  it('converts blockquotes', () => {
+    const node = root(el('blockquote', {}, [
+      el('p', {}, [text('quoted')]),
+      el('p', {}, [text('more')])
+    ]));
+    expect(htmlToMarkdown(node)).toBe('> quoted\n>\n> more');
+  });
+
+  it('converts tables with a header separator', () => {
+    const node = root(el('table', {}, [
+      el('thead', {}, [el('tr', {}, [el('th', {}, [text('Name')]), el('th', {}, [text('Value')])])]),
+      el('tbody', {}, [el('tr', {}, [el('td', {}, [text('a|b')]), el('td', {}, [text('1')])])])
+    ]));
+    expect(htmlToMarkdown(node)).toBe('| Name | Value |\n| --- | --- |\n| a\\|b | 1 |');
+  });
+
+  it('pads short table rows', () => {
+    const node = root(el('table', {}, [
+      el('tr', {}, [el('th', {}, [text('A')]), el('th', {}, [text('B')])]),
+      el('tr', {}, [el('td', {}, [text('1')])])
+    ]));
+    expect(htmlToMarkdown(node)).toBe('| A | B |\n| --- | --- |\n| 1 |  |');
+  });
+
+  it('converts horizontal rules', () => {
+    const node = root(el('p', {}, [text('a')]), el('hr'), el('p', {}, [text('b')]));
+    expect(htmlToMarkdown(node)).toBe('a\n\n---\n\nb');
+  });
+
+  it('groups loose inline content into a paragraph', () => {
+    const node = root(text('  plain '), el('strong', {}, [text('text')]), text('  '));
+    expect(htmlToMarkdown(node)).toBe('plain **text**');
+  });
+
+  it('returns empty string for empty content', () => {
+    expect(htmlToMarkdown(root())).toBe('');
+  });
+});
+
+describe('htmlToPlainText', () => {
+  it('puts paragraphs and code blocks on separate lines', () => {
+    const node = root(
+      el('p', {}, [text('Hi there')]),
+      el('pre', {}, [el('code', {}, [text('print(1)\nprint(2)\n')])]),
+      el('p', {}, [text('Done')])
+    );
+    expect(htmlToPlainText(node)).toBe('Hi there\nprint(1)\nprint(2)\nDone');
+  });
+
+  it('puts headings, list items and quotes on separate lines', () => {
+    const node = root(
+      el('h2', {}, [text('Steps')]),
+      el('ul', {}, [
+        el('li', {}, [el('p', {}, [text('One')])]),
+        el('li', {}, [text('Two '), el('strong', {}, [text('bold')])])
+      ]),
+      el('blockquote', {}, [el('p', {}, [text('Quoted')])])
+    );
+    expect(htmlToPlainText(node)).toBe('Steps\nOne\nTwo bold\nQuoted');
+  });
+
+  it('separates table cells with tabs and rows with line breaks', () => {
+    const node = root(el('table', {}, [
+      el('thead', {}, [el('tr', {}, [el('th', {}, [text('Name')]), el('th', {}, [text('Age')])])]),
+      el('tbody', {}, [el('tr', {}, [el('td', {}, [text('Ada')]), el('td', {}, [text('36')])])])
+    ]));
+    expect(htmlToPlainText(node)).toBe('Name\tAge\nAda\t36');
+  });
+
+  it('keeps inline elements on one line and collapses whitespace', () => {
+    const node = root(el('p', {}, [text('Use  '), el('code', {}, [text('npm')]), text('\n now'), el('br'), text('Next')]));
+    expect(htmlToPlainText(node)).toBe('Use npm now\nNext');
+  });
+});
+
+/**
+ * KaTeX MathML output: math > semantics > (rendering, annotation)
+ */
+function katexMath(tex, display = false) {
+  const attrs = display ? { display: 'block' } : {};
+  return el('math', attrs, [
+    el('semantics', {}, [
+      el('mrow', {}, [el('mi', {}, [text('x')])]),
+      el('annotation', { encoding: 'application/x-tex' }, [text(tex)])
+    ])
+  ]);
+}
+
+describe('getTexSource', () => {
+  it('finds the TeX annotation', () => {
+    expect(getTexSource(katexMath('x^2 + y^2'))).toBe('x^2 + y^2');
+  });
+
+  it('ignores other annotation encodings', () => {
+    const math = el('math', {}, [el('annotation', { encoding: 'text/plain' }, [text('x')])]);
+    expect(getTexSource(math)).toBeNull();
+  });
+});
+
+describe('htmlToMarkdown math', () => {
+  it('converts inline math to $...$', () => {
+    const node = root(el('p', {}, [text('Area is '), katexMath('\\pi r^2'), text('.')]));
+    expect(htmlToMarkdown(node)).toBe('Area is $\\pi r^2$.');
+  });
+
+  it('converts display math to a $$ block', () => {
+    const node = root(el('p', {}, [katexMath('\\int_0^1 x\\,dx', true)]));
+    expect(htmlToMarkdown(node)).toBe('$$\n\\int_0^1 x\\,dx\n$$');
+  });
+
+  it('splits paragraphs around display math', () => {
+    const node = root(el('p', {}, [text('Before '), katexMath('a=b', true), text(' after')]));
+    expect(htmlToMarkdown(node)).toBe('Before\n\n$$\na=b\n$$\n\nafter');
+  });
+
+  it('does not escape markdown characters inside TeX', () => {
+    const node = root(el('p', {}, [katexMath('a_1 * b_2')]));
+    expect(htmlToMarkdown(node)).toBe('$a_1 * b_2$');
+  });
+
+  it('falls back to text content without annotation', () => {
+    const node = root(el('p', {}, [el('math', {}, [el('mi', {}, [text('y')])])]));
+    expect(htmlToMarkdown(node)).toBe('$y$');
+  });
+});
+
+describe('generateMarkdownDocument', () => {
+  it('adds title, export time and role headings', () => {
+    const markdown = generateMarkdownDocument('My Chat', [
+      { isUser: true, markdown: 'Hi' },
+      { isUser: false, markdown: 'Hello!' }
+    ], '2026-01-01T00:00:00.000Z');
+
+    expect(markdown).toBe(
+      '# My Chat\n\n*Exported: 2026-01-01T00:00:00.000Z*\n\n## User\n\nHi\n\n## Assistant\n\nHello!\n'
+    );
+  });
+
+  it('lists attachments under the role heading', () => {
+    const markdown = generateMarkdownDocument('T', [
+      { isUser: true, markdown: 'Summarize this', attachments: [{ name: 'notes.pdf', size: 100 }] }
+    ], 'now');
+    expect(markdown).toBe('# T\n\n*Exported: now*\n\n## User\n\n- Attachment: notes.pdf (PDF, 100 B)\n\nSummarize this\n');
+  });
+
+  it('keeps role heading for empty messages', () => {
+    const markdown = generateMarkdownDocument('T', [{ isUser: false, markdown: '' }], 'now');
+    expect(markdown).toBe('# T\n\n*Exported: now*\n\n## Assistant\n');
+  });
+});
+
+describe('tracesToMarkdown', () => {
+  it('wraps traces in details blocks, fencing code', () => {
+    expect(tracesToMarkdown([
+      { kind: 'reasoning', label: 'Thought for 5s', text: '**Plan** it' },
+      { kind: 'code', label: 'Code run', text: 'print(1)', language: 'python' }
+    ])).toBe(
+      '<details>\n<summary>Thought for 5s</summary>\n\n**Plan** it\n\n</details>\n\n' +
+      '<details>\n<summary>Code run</summary>\n\n```python\nprint(1)\n```\n\n</details>'
+    );
+  });
+
+  it('escapes labels and keeps empty blocks closed', () => {
+    expect(tracesToMarkdown([{ kind: 'search', label: 'Web search: <a>', text: '' }]))
+      .toBe('<details>\n<summary>Web search: &lt;a&gt;</summary>\n</details>');
+  });
+
+  it('places traces under the role heading', () => {
+    const markdown = generateMarkdownDocument('T', [
+      { isUser: false, markdown: 'Done.', traces: [{ kind: 'tool', label: 'Tool call', text: 'x' }] }
+    ], '2026-01-01T00:00:00.000Z');
+    expect(markdown).toContain('## Assistant\n\n<details>\n<summary>Tool call</summary>\n\nx\n\n</details>\n\nDone.');
+  });
+});
+
+describe('attachmentsToMarkdown', () => {
+  it('links bundled files', () => {
+    expect(attachmentsToMarkdown([{ name: 'a_b.csv', path: 'attachments/a b.csv' }]))
+      .toBe('- Attachment: [a\\_b.csv (CSV)](attachments/a%20b.csv)');
+  });
+
+  it('encodes parentheses in file paths', () => {
+    expect(attachmentsToMarkdown([{ name: 'r.csv', path: 'attachments/r (1).csv' }]))
+      .toBe('- Attachment: [r.csv (CSV)](attachments/r%20%281%29.csv)');
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Message Action Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// message-actions.js expects utils.js globals, as in the content script
+Object.assign(globalThis, await import('../content/utils.js'));
+
+const {
+  getCodeFileExtension,
+  getCodeFilename,
+  getSingleMessageExport
+} = await import('../content/message-actions.js');
+
+describe('getCodeFileExtension', () => {
+  it('maps languages and aliases to extensions', () => {
+    expect(getCodeFileExtension('python')).toBe('py');
+    expect(getCodeFileExtension('TypeScript')).toBe('ts');
+    expect(getCodeFileExtension('c++')).toBe('cpp');
+    expect(getCodeFileExtension('bash')).toBe('sh');
+    expect(getCodeFileExtension('yaml')).toBe('yml');
+  });
+
+  it('uses txt for unknown or missing languages', () => {
+    expect(getCodeFileExtension('brainfudge')).toBe('txt');
+    expect(getCodeFileExtension('')).toBe('txt');
+    expect(getCodeFileExtension('constructor')).toBe('txt');
+  });
+});
+
+describe('getCodeFilename', () => {
+  it('names the file after the title and block number', () => {
+    expect(getCodeFilename('python', 'Sorting: lists', 2)).toBe('Sorting- lists-code-2.py');
+  });
+
+  it('uses conventional names for build files', () => {
+    expect(getCodeFilename('dockerfile', 'Deploy', 1)).toBe('Dockerfile');
+    expect(getCodeFilename('Makefile', 'Build', 3)).toBe('Makefile');
+  });
+});
+
+describe('getSingleMessageExport', () => {
+  const messages = [
+    { article: 'a0', isUser: true },
+    { article: 'a1', isUser: false },
+    { article: 'a2', isUser: false }
+  ];
+
+  it('returns only the message by default', () => {
+    expect(getSingleMessageExport(messages, 'a1')).toEqual([messages[1]]);
+  });
+
+  it('adds the prompt before an answer when requested', () => {
+    expect(getSingleMessageExport(messages, 'a1', true)).toEqual([messages[0], messages[1]]);
+  });
+
+  it('does not add a prompt to prompts or to answers after other answers', () => {
+    expect(getSingleMessageExport(messages, 'a0', true)).toEqual([messages[0]]);
+    expect(getSingleMessageExport(messages, 'a2', true)).toEqual([messages[2]]);
+  });
+
+  it('returns nothing for unknown articles', () => {
+    expect(getSingleMessageExport(messages, 'gone', true)).toEqual([]);
+  });
+});
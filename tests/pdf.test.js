@@ -0,0 +1,447 @@
+'use strict';
+
+/**
+ * GPT Chat Save - PDF Export Tests
+ * Uses minimal node objects instead of a DOM
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// pdf.js expects utils.js, template.js and markdown.js globals, as in the content script
+Object.assign(globalThis, await import('../content/utils.js'));
+Object.assign(globalThis, await import('../content/template.js'));
+Object.assign(globalThis, await import('../content/markdown.js'));
+
+const {
+  PDF_PAGE,
+  toWinAnsi,
+  countNonWinAnsi,
+  countPdfReplacedChars,
+  getPdfUnsupportedCharsError,
+  measureText,
+  clipText,
+  parseColor,
+  wrapRuns,
+  wrapCodeSegments,
+  htmlToPdfBlocks,
+  decodeDataUrl,
+  getJpegInfo,
+  layoutPdfPages,
+  renderPdfContent,
+  writePdf,
+  generatePdfDocument
+} = await import('../content/pdf.js');
+
+/**
+ * Build a minimal element node
+ */
+function el(tag, attrs = {}, children = []) {
+  const node = {
+    nodeType: 1,
+    nodeName: tag.toUpperCase(),
+    childNodes: children,
+    getAttribute: name => (name in attrs ? attrs[name] : null)
+  };
+  Object.defineProperty(node, 'textContent', {
+    get: () => children.map(child => child.textContent).join('')
+  });
+  return node;
+}
+
+/**
+ * Build a minimal text node
+ */
+function text(value) {
+  return { nodeType: 3, nodeName: '#text', childNodes: [], textContent: value };
+}
+
+/**
+ * Read PDF bytes as a (latin1) string
+ */
+function pdfString(bytes) {
+  return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+/**
+ * Smallest JPEG-like header: SOI, APP0 segment, SOF0 with size and components
+ */
+function fakeJpeg(width, height, components = 3) {
+  return new Uint8Array([
+    0xFF, 0xD8,
+    0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,
+    0xFF, 0xC0, 0x00, 0x0B, 0x08, height >> 8, height & 0xFF, width >> 8, width & 0xFF, components,
+    0x01, 0x11, 0x00,
+    0xFF, 0xD9
+  ]);
+}
+
+const colors = getThemeColors('light');
+const details = { title: 'Chat', exportedAt: '2026-02-01T00:00:00.000Z', colors };
+
+describe('toWinAnsi', () => {
+  it('keeps ASCII and Latin-1 text', () => {
+    expect(toWinAnsi('Café, 100 °C')).toBe('Café, 100 °C');
+  });
+
+  it('maps typographic punctuation to WinAnsi codes', () => {
+    expect(toWinAnsi('“a” – b…')).toBe('\x93a\x94 \x96 b\x85');
+  });
+
+  it('replaces unsupported characters, one per code point', () => {
+    expect(toWinAnsi('日本 😀')).toBe('?? ?');
+  });
+
+  it('expands tabs', () => {
+    expect(toWinAnsi('\tx')).toBe('    x');
+  });
+});
+
+describe('countNonWinAnsi', () => {
+  it('counts characters written as ?, one per code point', () => {
+    expect(countNonWinAnsi('日本 😀 “ok”?')).toBe(3);
+    expect(countNonWinAnsi('Café\t')).toBe(0);
+    expect(countNonWinAnsi(undefined)).toBe(0);
+  });
+});
+
+describe('countPdfReplacedChars', () => {
+  it('counts the title, text runs, markers, code and image placeholders', () => {
+    const messages = [{
+      blocks: [
+        { type: 'text', runs: [{ text: 'Привет' }, { text: ' ok' }], marker: '•' },
+        { type: 'code', segments: [{ text: 'print("日本")' }] },
+        { type: 'image', alt: '图' },
+        { type: 'image', alt: '图', jpeg: {} },
+        { type: 'rule' }
+      ]
+    }];
+    expect(countPdfReplacedChars('Chat ✓', messages)).toBe(1 + 6 + 2 + 1);
+  });
+});
+
+describe('getPdfUnsupportedCharsError', () => {
+  it('names the count and suggests HTML', () => {
+    expect(getPdfUnsupportedCharsError(1)).toBe(
+      '1 character cannot be shown with the PDF fonts (e.g. non-Latin text or emoji). Export as HTML instead.');
+    expect(getPdfUnsupportedCharsError(12)).toMatch(/^12 characters cannot be shown/);
+  });
+});
+
+describe('measureText', () => {
+  it('uses Helvetica widths', () => {
+    expect(measureText('i', 'regular', 10)).toBeCloseTo(2.22);
+    expect(measureText('W', 'bold', 10)).toBeCloseTo(9.44);
+  });
+
+  it('treats Courier as monospaced', () => {
+    expect(measureText('iiii', 'mono', 10)).toBeCloseTo(24);
+  });
+});
+
+describe('clipText', () => {
+  it('keeps text that fits', () => {
+    expect(clipText('short', 'regular', 10, 100)).toBe('short');
+  });
+
+  it('adds an ellipsis to text that does not fit', () => {
+    const clipped = clipText('a fairly long conversation title', 'regular', 10, 60);
+    expect(clipped.endsWith('...')).toBe(true);
+    expect(measureText(clipped, 'regular', 10)).toBeLessThanOrEqual(60);
+  });
+});
+
+describe('parseColor', () => {
+  it('parses hex colors', () => {
+    expect(parseColor('#fff')).toEqual([1, 1, 1]);
+    expect(parseColor('#000000')).toEqual([0, 0, 0]);
+  });
+
+  it('blends rgba over the background', () => {
+    const [r] = parseColor('rgba(0, 0, 0, 0.25)', '#fff');
+    expect(r).toBeCloseTo(0.75);
+  });
+
+  it('treats transparent as the background', () => {
+    expect(parseColor('transparent', '#000')).toEqual([0, 0, 0]);
+  });
+});
+
+describe('wrapRuns', () => {
+  it('keeps short text on one line', () => {
+    const lines = wrapRuns([{ text: 'Hello world', style: 'regular' }], 500, 10);
+    expect(lines).toHaveLength(1);
+    expect(lines[0].segments[0].text).toBe('Hello world');
+  });
+
+  it('wraps at word boundaries within the width', () => {
+    const lines = wrapRuns([{ text: 'one two three four five six', style: 'regular' }], 60, 10);
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(line.width).toBeLessThanOrEqual(60));
+    expect(lines.map(line => line.segments.map(s => s.text).join('')).join(' ')).toBe('one two three four five six');
+  });
+
+  it('keeps styled runs as separate segments with offsets', () => {
+    const [line] = wrapRuns([
+      { text: 'plain ', style: 'regular' },
+      { text: 'bold', style: 'bold' }
+    ], 500, 10);
+    expect(line.segments.map(s => [s.text, s.style])).toEqual([['plain ', 'regular'], ['bold', 'bold']]);
+    expect(line.segments[1].x).toBeCloseTo(measureText('plain ', 'regular', 10));
+  });
+
+  it('breaks lines at newlines', () => {
+    expect(wrapRuns([{ text: 'a\nb', style: 'regular' }], 500, 10)).toHaveLength(2);
+  });
+
+  it('splits words longer than a line', () => {
+    const lines = wrapRuns([{ text: 'x'.repeat(100), style: 'mono' }], 60, 10);
+    expect(lines).toHaveLength(10);
+    expect(lines[0].segments[0].text).toBe('x'.repeat(10));
+  });
+});
+
+describe('wrapCodeSegments', () => {
+  it('splits at newlines and keeps colors', () => {
+    const red = [1, 0, 0];
+    const lines = wrapCodeSegments([{ text: 'a\nbc\n', color: red }], 80);
+    expect(lines).toEqual([[{ text: 'a', color: red }], [{ text: 'bc', color: red }]]);
+  });
+
+  it('hard-wraps long lines', () => {
+    const lines = wrapCodeSegments([{ text: 'abcdefg', color: [0, 0, 0] }], 3);
+    expect(lines.map(line => line.map(s => s.text).join(''))).toEqual(['abc', 'def', 'g']);
+  });
+});
+
+describe('htmlToPdfBlocks', () => {
+  it('converts paragraphs with inline styles', () => {
+    const [block] = htmlToPdfBlocks(el('div', {}, [
+      el('p', {}, [text('Use '), el('strong', {}, [text('bold')]), text(' and '), el('code', {}, [text('x()')])])
+    ]));
+    expect(block.type).toBe('text');
+    expect(block.runs.map(run => [run.text, run.style])).toEqual([
+      ['Use ', 'regular'], ['bold', 'bold'], [' and ', 'regular'], ['x()', 'mono']
+    ]);
+  });
+
+  it('sizes headings and makes them bold', () => {
+    const [block] = htmlToPdfBlocks(el('div', {}, [el('h2', {}, [text('Title')])]));
+    expect(block.size).toBeGreaterThan(12);
+    expect(block.runs[0].style).toBe('bold');
+  });
+
+  it('adds list markers and indents', () => {
+    const blocks = htmlToPdfBlocks(el('div', {}, [
+      el('ol', { start: '3' }, [el('li', {}, [text('a')]), el('li', {}, [text('b')])])
+    ]));
+    expect(blocks.map(block => block.marker)).toEqual(['3.', '4.']);
+    expect(blocks[0].indent).toBe(18);
+  });
+
+  it('colors highlighted code', () => {
+    const [block] = htmlToPdfBlocks(el('div', {}, [
+      el('pre', {}, [el('code', { class: 'hljs language-js' }, [
+        el('span', { class: 'hljs-keyword' }, [text('const')]), text(' x')
+      ])])
+    ]));
+    expect(block.type).toBe('code');
+    expect(block.segments).toEqual([
+      { text: 'const', color: parseColor(SYNTAX_COLORS.keyword) },
+      { text: ' x', color: parseColor(SYNTAX_COLORS.base) }
+    ]);
+  });
+
+  it('colors code with the given syntax palette', () => {
+    const palette = SYNTAX_PALETTES.monokai.colors;
+    const [block] = htmlToPdfBlocks(el('div', {}, [
+      el('ul', {}, [el('li', {}, [
+        el('pre', {}, [el('code', {}, [el('span', { class: 'hljs-string' }, [text('"a"')])])])
+      ])])
+    ]), palette);
+    expect(block.segments).toEqual([{ text: '"a"', color: parseColor(palette.string) }]);
+  });
+
+  it('splits paragraphs around images', () => {
+    const blocks = htmlToPdfBlocks(el('div', {}, [
+      el('p', {}, [text('before'), el('img', { src: 'data:x', alt: 'cat' }), text('after')])
+    ]));
+    expect(blocks.map(block => block.type)).toEqual(['text', 'image', 'text']);
+    expect(blocks[1]).toMatchObject({ src: 'data:x', alt: 'cat' });
+  });
+
+  it('writes math as TeX', () => {
+    const math = el('math', {}, [el('semantics', {}, [
+      el('mi', {}, [text('x')]),
+      el('annotation', { encoding: 'application/x-tex' }, [text('x^2')])
+    ])]);
+    const [block] = htmlToPdfBlocks(el('div', {}, [el('p', {}, [math])]));
+    expect(block.runs).toEqual([{ text: 'x^2', style: 'mono' }]);
+  });
+
+  it('lays out table rows as lines of cells', () => {
+    const blocks = htmlToPdfBlocks(el('div', {}, [el('table', {}, [
+      el('thead', {}, [el('tr', {}, [el('th', {}, [text('A')]), el('th', {}, [text('B')])])]),
+      el('tbody', {}, [el('tr', {}, [el('td', {}, [text('1')]), el('td', {}, [text('2')])])])
+    ])]));
+    expect(blocks.map(block => [block.runs[0].text, block.runs[0].style])).toEqual([
+      ['A  |  B', 'bold'], ['1  |  2', 'regular']
+    ]);
+  });
+});
+
+describe('decodeDataUrl', () => {
+  it('decodes base64 data URLs', () => {
+    const decoded = decodeDataUrl('data:image/jpeg;base64,AAEC');
+    expect(decoded.mimeType).toBe('image/jpeg');
+    expect(Array.from(decoded.bytes)).toEqual([0, 1, 2]);
+  });
+
+  it('returns null for other URLs', () => {
+    expect(decodeDataUrl('https://example.com/a.jpg')).toBeNull();
+  });
+});
+
+describe('getJpegInfo', () => {
+  it('reads size and components from the frame header', () => {
+    expect(getJpegInfo(fakeJpeg(640, 480))).toEqual({ width: 640, height: 480, components: 3 });
+  });
+
+  it('returns null for non-JPEG data', () => {
+    expect(getJpegInfo(new Uint8Array([0x89, 0x50, 0x4E, 0x47]))).toBeNull();
+  });
+});
+
+describe('layoutPdfPages', () => {
+  const paragraph = words => ({ type: 'text', runs: [{ text: words, style: 'regular' }], size: 10.5, indent: 0, marker: null });
+
+  it('fits a short conversation on one page with header and page number', () => {
+    const { pages } = layoutPdfPages([{ isUser: false, meta: '', blocks: [paragraph('Hello')] }], details);
+    expect(pages).toHaveLength(1);
+    const texts = pages[0].ops.filter(op => op.op === 'text').map(op => op.text);
+    expect(texts).toContain('Page 1 of 1');
+    expect(texts).toContain('Hello');
+  });
+
+  it('flows long conversations onto more pages', () => {
+    const messages = Array.from({ length: 80 }, (_, i) => ({
+      isUser: i % 2 === 0, meta: '', blocks: [paragraph(`Message ${i}`)]
+    }));
+    const { pages } = layoutPdfPages(messages, details);
+    expect(pages.length).toBeGreaterThan(1);
+    pages.forEach((page, index) => {
+      const texts = page.ops.filter(op => op.op === 'text');
+      expect(texts.map(op => op.text)).toContain(`Page ${index + 1} of ${pages.length}`);
+      texts.forEach(op => {
+        expect(op.y).toBeGreaterThan(0);
+        expect(op.y).toBeLessThan(PDF_PAGE.height);
+      });
+    });
+  });
+
+  it('draws user message backgrounds before their text', () => {
+    const { pages } = layoutPdfPages([{ isUser: true, meta: '', blocks: [paragraph('Question')] }], details);
+    const ops = pages[0].ops;
+    const bubble = ops.findIndex(op => op.op === 'rect' && op.color.every((c, i) => c === parseColor(colors.userBubble)[i]));
+    const question = ops.findIndex(op => op.text === 'Question');
+    expect(bubble).toBeGreaterThan(-1);
+    expect(bubble).toBeLessThan(question);
+  });
+
+  it('fills the page background for dark themes', () => {
+    const { pages } = layoutPdfPages([], { ...details, colors: getThemeColors('dark') });
+    expect(pages[0].ops[0]).toMatchObject({ op: 'rect', x: 0, y: 0, width: PDF_PAGE.width });
+  });
+
+  it('collects embedded images and uses placeholders otherwise', () => {
+    const jpeg = { bytes: fakeJpeg(100, 50), width: 100, height: 50, components: 3 };
+    const { pages, images } = layoutPdfPages([{ isUser: false, meta: '', blocks: [
+      { type: 'image', src: 'a', alt: '', indent: 0, jpeg },
+      { type: 'image', src: 'b', alt: 'chart', indent: 0, jpeg: null }
+    ] }], details);
+    expect(images).toHaveLength(1);
+    expect(images[0]).toMatchObject({ name: 'Im1', width: 100, height: 50 });
+    expect(pages[0].ops.some(op => op.op === 'image' && op.name === 'Im1')).toBe(true);
+    expect(pages[0].ops.some(op => op.text === '[Image: chart]')).toBe(true);
+  });
+
+  it('embeds an image shown several times once', () => {
+    const image = src => ({
+      type: 'image', src, alt: '', indent: 0,
+      jpeg: { bytes: fakeJpeg(10, 10), width: 10, height: 10, components: 3 }
+    });
+    const { pages, images } = layoutPdfPages([
+      { isUser: false, meta: '', blocks: [image('data:a'), image('data:b')] },
+      { isUser: false, meta: '', blocks: [image('data:a')] }
+    ], details);
+    expect(images.map(entry => entry.name)).toEqual(['Im1', 'Im2']);
+    expect(pages[0].ops.filter(op => op.op === 'image').map(op => op.name)).toEqual(['Im1', 'Im2', 'Im1']);
+  });
+});
+
+describe('renderPdfContent', () => {
+  it('escapes text and writes drawing operators', () => {
+    const content = renderPdfContent([
+      { op: 'rect', x: 1, y: 2, width: 3, height: 4, color: [1, 0, 0] },
+      { op: 'text', x: 10, y: 20, style: 'bold', size: 12, color: [0, 0, 0], text: 'a (b) \\' }
+    ]);
+    expect(content).toBe('1 0 0 rg 1 2 3 4 re f\nBT /F2 12 Tf 0 0 0 rg 10 20 Td (a \\(b\\) \\\\) Tj ET');
+  });
+});
+
+describe('writePdf', () => {
+  const createdAt = new Date('2026-02-01T12:00:00Z');
+
+  it('writes a PDF with header, pages and trailer', () => {
+    const pdf = pdfString(writePdf({ pages: [{ ops: [] }, { ops: [] }], images: [] }, { title: 'T', createdAt }));
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('/Count 2');
+    expect(pdf).toContain('/CreationDate (D:20260201120000Z)');
+    expect(pdf).toContain('/BaseFont /Helvetica /Encoding /WinAnsiEncoding');
+  });
+
+  it('points the xref table at each object', () => {
+    const pdf = pdfString(writePdf({ pages: [{ ops: [] }], images: [] }, { title: 'T', createdAt }));
+    const startxref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+    expect(pdf.slice(startxref, startxref + 4)).toBe('xref');
+    const offsets = pdf.slice(startxref).match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+    offsets.forEach((offset, i) => {
+      expect(pdf.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+    });
+  });
+
+  it('stores the title as a Unicode text string', () => {
+    const pdf = pdfString(writePdf({ pages: [{ ops: [] }], images: [] }, { title: 'Ü', createdAt }));
+    expect(pdf).toContain('/Title <FEFF00DC>');
+  });
+
+  it('embeds JPEG images unchanged', () => {
+    const bytes = fakeJpeg(2, 1);
+    const pdf = pdfString(writePdf({
+      pages: [{ ops: [{ op: 'image', name: 'Im1', x: 0, y: 0, width: 2, height: 1 }] }],
+      images: [{ name: 'Im1', bytes, width: 2, height: 1, components: 3 }]
+    }, { title: 'T', createdAt }));
+    expect(pdf).toContain('/Filter /DCTDecode');
+    expect(pdf).toContain('/XObject << /Im1');
+    expect(pdf).toContain(pdfString(bytes));
+  });
+});
+
+describe('generatePdfDocument', () => {
+  const messages = [
+    { isUser: true, createTime: null, model: null, blocks: htmlToPdfBlocks(el('div', {}, [el('p', {}, [text('Hi')])])) },
+    { isUser: false, createTime: null, model: 'gpt-4o', blocks: htmlToPdfBlocks(el('div', {}, [el('p', {}, [text('Hello')])])) }
+  ];
+  const exportedAt = new Date('2026-02-01T12:00:00Z');
+
+  it('is deterministic for the same input', () => {
+    const a = generatePdfDocument('Chat', messages, 'light', { exportedAt });
+    const b = generatePdfDocument('Chat', messages, 'light', { exportedAt });
+    expect(a).toEqual(b);
+  });
+
+  it('shows metadata unless disabled', () => {
+    expect(pdfString(generatePdfDocument('Chat', messages, 'light', { exportedAt }))).toContain('(gpt-4o)');
+    expect(pdfString(generatePdfDocument('Chat', messages, 'light', { exportedAt, showMetadata: false }))).not.toContain('(gpt-4o)');
+  });
+});
@@ -10,7 +10,7 @@ import { describe, it, expect } from 'vitest';
 /**
  * Valid image quality values
  */
-const VALID_IMAGE_QUALITIES = ['include', 'none'];
+const VALID_IMAGE_QUALITIES = ['include', 'original', 'png', 'webp', 'none'];
 
 /**
  * Validates and normalizes image quality preference
@@ -29,6 +29,12 @@ describe('normalizeImageQuality', () => {
     expect(normalizeImageQuality('none')).toBe('none');
   });
 
+  it('accepts original size presets as valid', () => {
+    expect(normalizeImageQuality('original')).toBe('original');
+    expect(normalizeImageQuality('png')).toBe('png');
+    expect(normalizeImageQuality('webp')).toBe('webp');
+  });
+
   it('defaults to "include" for undefined', () => {
     expect(normalizeImageQuality(undefined)).toBe('include');
   });
@@ -57,3 +63,102 @@ describe('normalizeImageQuality', () => {
     expect(normalizeImageQuality('garbage')).toBe('include');
   });
 });
+
+/**
+ * Image size limits offered by the popup, in megabytes (0: no limit)
+ */
+const IMAGE_BUDGETS_MB = [0, 2, 5, 10, 25];
+
+/**
+ * Validates image size limit preference
+ * Returns 0 (no limit) for unknown values
+ */
+function normalizeImageBudget(value) {
+  return IMAGE_BUDGETS_MB.includes(Number(value)) ? Number(value) : 0;
+}
+
+describe('normalizeImageBudget', () => {
+  it('accepts offered limits, also as select values', () => {
+    expect(normalizeImageBudget(5)).toBe(5);
+    expect(normalizeImageBudget('25')).toBe(25);
+  });
+
+  it('defaults to no limit for undefined and other values', () => {
+    expect(normalizeImageBudget(undefined)).toBe(0);
+    expect(normalizeImageBudget(7)).toBe(0);
+  });
+});
+
+/**
+ * Export formats offered by the popup
+ */
+const FORMAT_LABELS = {
+  html: 'HTML',
+  markdown: 'Markdown',
+  json: 'JSON',
+  pdf: 'PDF',
+  bundle: 'HTML + images (ZIP)'
+};
+
+/**
+ * Validates export format preference
+ * Returns 'html' for unknown values
+ */
+function normalizeExportFormat(value) {
+  return Object.hasOwn(FORMAT_LABELS, value) ? value : 'html';
+}
+
+/**
+ * Export layouts (see EXPORT_LAYOUTS in content/template.js)
+ */
+const EXPORT_LAYOUTS = ['bubbles', 'transcript'];
+
+/**
+ * Validates layout preference
+ * Returns 'bubbles' for unknown values
+ */
+function normalizeExportLayout(value) {
+  return EXPORT_LAYOUTS.includes(value) ? value : 'bubbles';
+}
+
+describe('normalizeExportLayout', () => {
+  it('accepts both layouts', () => {
+    expect(normalizeExportLayout('bubbles')).toBe('bubbles');
+    expect(normalizeExportLayout('transcript')).toBe('transcript');
+  });
+
+  it('defaults to "bubbles" for unknown values', () => {
+    expect(normalizeExportLayout(undefined)).toBe('bubbles');
+    expect(normalizeExportLayout('grid')).toBe('bubbles');
+  });
+});
+
+describe('normalizeExportFormat', () => {
+  it('accepts "html" as valid', () => {
+    expect(normalizeExportFormat('html')).toBe('html');
+  });
+
+  it('accepts "markdown" as valid', () => {
+    expect(normalizeExportFormat('markdown')).toBe('markdown');
+  });
+
+  it('accepts "json" as valid', () => {
+    expect(normalizeExportFormat('json')).toBe('json');
+  });
+
+  it('accepts "pdf" as valid', () => {
+    expect(normalizeExportFormat('pdf')).toBe('pdf');
+  });
+
+  it('accepts "bundle" as valid', () => {
+    expect(normalizeExportFormat('bundle')).toBe('bundle');
+  });
+
+  it('defaults to "html" for undefined', () => {
+    expect(normalizeExportFormat(undefined)).toBe('html');
+  });
+
+  it('defaults to "html" for inherited property names', () => {
+    expect(normalizeExportFormat('toString')).toBe('html');
+  });
+});
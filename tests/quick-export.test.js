@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Quick Export Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  QUICK_EXPORT_MENU_ITEMS,
+  getMenuExportRequest,
+  isChatGptUrl,
+  getQuickExportNotice
+} from '../background/quick-export.js';
+
+describe('getMenuExportRequest', () => {
+  it('maps menu entries to exports', () => {
+    expect(getMenuExportRequest('save-markdown')).toEqual({ format: 'markdown', scope: 'all' });
+    expect(getMenuExportRequest('save-message')).toEqual({ scope: 'message' });
+  });
+
+  it('returns copies, so requests cannot change the menu', () => {
+    getMenuExportRequest('save-html').format = 'pdf';
+    expect(getMenuExportRequest('save-html').format).toBe('html');
+  });
+
+  it('returns null for unknown entries', () => {
+    expect(getMenuExportRequest('other')).toBeNull();
+  });
+
+  it('has unique ids', () => {
+    const ids = QUICK_EXPORT_MENU_ITEMS.map(item => item.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+});
+
+describe('isChatGptUrl', () => {
+  it('accepts chatgpt.com pages only', () => {
+    expect(isChatGptUrl('https://chatgpt.com/c/abc')).toBe(true);
+    expect(isChatGptUrl('https://example.com/chatgpt.com')).toBe(false);
+    expect(isChatGptUrl(undefined)).toBe(false);
+  });
+});
+
+describe('getQuickExportNotice', () => {
+  it('reports the message count and format', () => {
+    expect(getQuickExportNotice({ success: true, messageCount: 12, format: 'markdown' }))
+      .toBe('Saved 12 messages as Markdown');
+    expect(getQuickExportNotice({ success: true, messageCount: 1, format: 'html' }))
+      .toBe('Saved 1 message as HTML');
+  });
+
+  it('adds image failures and redactions', () => {
+    const notice = getQuickExportNotice({
+      success: true, messageCount: 2, format: 'json', imagesFailed: 1, redactionSummary: '1 email address'
+    });
+    expect(notice).toBe('Saved 2 messages as JSON\n1 image links to the original\nRedacted: 1 email address');
+  });
+
+  it('shows errors such as a response still streaming', () => {
+    const error = 'ChatGPT is still generating a response. Please wait for it to finish.';
+    expect(getQuickExportNotice({ success: false, error, isStreaming: true })).toBe(error);
+    expect(getQuickExportNotice(undefined)).toBe('Export failed');
+  });
+});
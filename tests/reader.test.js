@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Interactive Reader Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// reader.js expects utils.js globals, as in the content script
+Object.assign(globalThis, await import('../content/utils.js'));
+
+const {
+  READER_COLOR_VARIABLES,
+  getAlternateTheme,
+  findTextMatches,
+  getPromptLabel,
+  getReaderScript,
+  getReaderStyle
+} = await import('../content/reader.js');
+
+describe('getAlternateTheme', () => {
+  it('switches between light and dark', () => {
+    expect(getAlternateTheme('light')).toBe('dark');
+    expect(getAlternateTheme('dark')).toBe('light');
+  });
+
+  it('uses the base of custom themes', () => {
+    expect(getAlternateTheme({ id: 'night', base: 'dark' })).toBe('light');
+    expect(getAlternateTheme({ id: 'paper', base: 'light' })).toBe('dark');
+  });
+});
+
+describe('findTextMatches', () => {
+  it('finds every match, ignoring case', () => {
+    expect(findTextMatches('Sort the list, then sort again', 'SORT')).toEqual([[0, 4], [20, 24]]);
+  });
+
+  it('treats the query as plain text', () => {
+    expect(findTextMatches('a.b axb (x)', 'a.b')).toEqual([[0, 3]]);
+    expect(findTextMatches('f(x) [1]', '(x)')).toEqual([[1, 4]]);
+    expect(findTextMatches('f(x) [1]', '[1]')).toEqual([[5, 8]]);
+  });
+
+  it('does not overlap matches', () => {
+    expect(findTextMatches('aaaa', 'aa')).toEqual([[0, 2], [2, 4]]);
+  });
+
+  it('returns nothing for an empty query', () => {
+    expect(findTextMatches('text', '')).toEqual([]);
+  });
+});
+
+describe('getPromptLabel', () => {
+  it('puts the text on one line', () => {
+    expect(getPromptLabel('  How do I\n\n  sort a list?  ')).toBe('How do I sort a list?');
+  });
+
+  it('shortens long prompts', () => {
+    const label = getPromptLabel('word '.repeat(40), 20);
+    expect(label.length).toBeLessThanOrEqual(20);
+    expect(label.endsWith('…')).toBe(true);
+  });
+
+  it('falls back for empty prompts', () => {
+    expect(getPromptLabel('  ')).toBe('Prompt');
+    expect(getPromptLabel(null)).toBe('Prompt');
+  });
+});
+
+describe('getReaderScript', () => {
+  const script = getReaderScript();
+
+  it('includes the helpers it uses', () => {
+    expect(script).toContain('function findTextMatches(');
+    expect(script).toContain('function getPromptLabel(');
+    expect(script).toContain('function initReader(');
+  });
+
+  it('is valid JavaScript that can sit in a <script> element', () => {
+    expect(() => new Function(script)).not.toThrow();
+    expect(script).not.toMatch(/<\/script|<!--/i);
+  });
+
+  it('does not evaluate code or load anything', () => {
+    expect(script).not.toMatch(/\beval\(|new Function|innerHTML|fetch\(|XMLHttpRequest|import\(/);
+  });
+});
+
+describe('getReaderStyle', () => {
+  it('defines the other palette for the toggle', () => {
+    const css = getReaderStyle('light', 900);
+    const dark = getThemeColors('dark');
+    expect(css).toContain('html.reader-alt {');
+    expect(css).toContain(`${READER_COLOR_VARIABLES.background}: ${dark.background};`);
+    expect(css).toContain(`${READER_COLOR_VARIABLES.userBubble}: ${dark.userBubble};`);
+    expect(css).toContain('max-width: 900px;');
+  });
+
+  it('hides the controls when printing', () => {
+    expect(getReaderStyle('dark', 900)).toContain('.reader-ui { display: none !important; }');
+  });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Message Selection Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  applySelectionClick,
+  selectFromIndex,
+  filterSelected
+} from '../content/selection.js';
+
+describe('applySelectionClick', () => {
+  it('selects a single message', () => {
+    const result = applySelectionClick(new Set(), 2, true);
+    expect([...result]).toEqual([2]);
+  });
+
+  it('deselects a single message', () => {
+    const result = applySelectionClick(new Set([1, 2]), 2, false);
+    expect([...result]).toEqual([1]);
+  });
+
+  it('does not modify the original selection', () => {
+    const original = new Set([1]);
+    applySelectionClick(original, 3, true);
+    expect([...original]).toEqual([1]);
+  });
+
+  it('selects a range on shift-click', () => {
+    const result = applySelectionClick(new Set([2]), 5, true, { shiftKey: true, lastIndex: 2 });
+    expect([...result].sort()).toEqual([2, 3, 4, 5]);
+  });
+
+  it('selects a range when shift-clicking upwards', () => {
+    const result = applySelectionClick(new Set([6]), 3, true, { shiftKey: true, lastIndex: 6 });
+    expect([...result].sort()).toEqual([3, 4, 5, 6]);
+  });
+
+  it('deselects a range on shift-click uncheck', () => {
+    const result = applySelectionClick(new Set([0, 1, 2, 3]), 3, false, { shiftKey: true, lastIndex: 1 });
+    expect([...result]).toEqual([0]);
+  });
+
+  it('treats shift-click without a previous click as a single click', () => {
+    const result = applySelectionClick(new Set(), 4, true, { shiftKey: true, lastIndex: null });
+    expect([...result]).toEqual([4]);
+  });
+});
+
+describe('selectFromIndex', () => {
+  it('selects from index to the last message', () => {
+    const result = selectFromIndex(new Set(), 3, 6);
+    expect([...result]).toEqual([3, 4, 5]);
+  });
+
+  it('keeps earlier selections', () => {
+    const result = selectFromIndex(new Set([0]), 4, 6);
+    expect([...result].sort()).toEqual([0, 4, 5]);
+  });
+
+  it('selects only the last message when starting there', () => {
+    expect([...selectFromIndex(new Set(), 5, 6)]).toEqual([5]);
+  });
+});
+
+describe('filterSelected', () => {
+  it('keeps selected items in original order with original indices', () => {
+    const items = [{ index: 0 }, { index: 1 }, { index: 2 }, { index: 3 }];
+    expect(filterSelected(items, new Set([3, 1]))).toEqual([{ index: 1 }, { index: 3 }]);
+  });
+
+  it('returns empty array for empty selection', () => {
+    expect(filterSelected([{ index: 0 }], new Set())).toEqual([]);
+  });
+});
@@ -0,0 +1,339 @@
+'use strict';
+
+/**
+ * GPT Chat Save - HTML Template Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// template.js expects utils.js globals, as in the content script
+const utils = await import('../content/utils.js');
+Object.assign(globalThis, utils);
+Object.assign(globalThis, await import('../content/reader.js'));
+
+const {
+  SYNTAX_PALETTES,
+  SYNTAX_COLORS,
+  getSyntaxColors,
+  normalizeSpeakerSettings,
+  getSpeakerInitials,
+  countMessagesByRole,
+  getExportMetaEntries,
+  renderAttachmentCards,
+  renderTraceBlocks,
+  renderHTMLDocument,
+  generateArchiveIndexPage
+} = await import('../content/template.js');
+
+describe('renderHTMLDocument', () => {
+  const messages = [
+    { isUser: true, content: '<p>Hi</p>', createTime: null, model: null },
+    { isUser: false, content: '<p>Hello</p>', createTime: null, model: 'gpt-4o' }
+  ];
+
+  it('escapes the title', () => {
+    const html = renderHTMLDocument('<script>x</script>', [], 'light');
+    expect(html).toContain('<title>&lt;script&gt;x&lt;/script&gt;</title>');
+    expect(html).not.toContain('<script>x</script>');
+  });
+
+  it('renders messages in order with role classes', () => {
+    const html = renderHTMLDocument('T', messages, 'light');
+    const user = html.indexOf('<div class="message user-message">');
+    const assistant = html.indexOf('<div class="message assistant-message">');
+    expect(user).toBeGreaterThan(-1);
+    expect(assistant).toBeGreaterThan(user);
+    expect(html).toContain('<div class="content"><p>Hello</p></div>');
+  });
+
+  it('shows model metadata by default', () => {
+    expect(renderHTMLDocument('T', messages, 'light')).toContain('<div class="message-meta">gpt-4o</div>');
+  });
+
+  it('hides metadata when disabled', () => {
+    const html = renderHTMLDocument('T', messages, 'light', { showMetadata: false });
+    expect(html).not.toContain('<div class="message-meta">');
+  });
+
+  it('renders other versions as collapsible alternatives', () => {
+    const html = renderHTMLDocument('T', [{
+      isUser: false,
+      content: '<p>Current</p>',
+      versions: [{
+        index: 3,
+        total: 3,
+        alternatives: [
+          { index: 1, messages: [{ isUser: false, content: '<p>First</p>' }] },
+          { index: 2, messages: [{ isUser: false, content: '<p>Second</p>' }] }
+        ]
+      }]
+    }], 'light');
+    expect(html).toContain('<div class="version-label">Version 3 of 3</div>');
+    expect(html).toContain('<summary>Other versions (2)</summary>');
+    expect(html.indexOf('Version 1 of 3')).toBeLessThan(html.indexOf('<p>First</p>'));
+    expect(html.indexOf('Version 2 of 3')).toBeLessThan(html.indexOf('<p>Second</p>'));
+    expect(html.indexOf('<p>Current</p>')).toBeLessThan(html.indexOf('<details class="versions">'));
+  });
+
+  it('omits version markup for messages without versions', () => {
+    const html = renderHTMLDocument('T', messages, 'light');
+    expect(html).not.toContain('class="version-label"');
+    expect(html).not.toContain('<details class="versions">');
+  });
+
+  it('uses theme colors', () => {
+    expect(renderHTMLDocument('T', [], 'dark')).toContain('background-color: #212121');
+  });
+
+  it('adds the reader script and styles when requested', () => {
+    const html = renderHTMLDocument('T', messages, 'light', { reader: true });
+    expect(html).toContain('<html lang="en" data-reader-alt="dark">');
+    expect(html).toContain('html.reader-alt {');
+    expect(html.indexOf('<script>')).toBeGreaterThan(html.indexOf('<div class="content"><p>Hello</p></div>'));
+    expect(html.trim().endsWith('</html>')).toBe(true);
+  });
+
+  it('stays a static page by default', () => {
+    const html = renderHTMLDocument('T', messages, 'light');
+    expect(html).not.toContain('<script');
+    expect(html).not.toContain('reader-');
+  });
+
+  it('closes the document', () => {
+    expect(renderHTMLDocument('T', [], 'light').trim().endsWith('</html>')).toBe(true);
+  });
+
+  it('applies custom theme colors, fonts, width and syntax palette', () => {
+    const theme = {
+      id: 'paper',
+      name: 'Paper',
+      base: 'light',
+      colors: { background: '#fdf6e3' },
+      syntax: 'nord',
+      fontFamily: 'Georgia, serif',
+      fontSize: 18,
+      maxWidth: 1100
+    };
+    const html = renderHTMLDocument('T', [], theme);
+    expect(html).toContain('background-color: #fdf6e3');
+    expect(html).toContain('font-family: Georgia, serif;');
+    expect(html).toContain('font-size: 18px;');
+    expect(html).toContain('max-width: 1100px;');
+    expect(html).toContain(`.hljs-keyword { color: ${SYNTAX_PALETTES.nord.colors.keyword}; }`);
+    expect(html).toContain('Theme: custom:paper');
+  });
+});
+
+describe('export details', () => {
+  const messages = [
+    { isUser: true, content: '<p>Hi</p>', createTime: null, model: null },
+    { isUser: false, content: '<p>Hello</p>', createTime: null, model: null },
+    { isUser: false, content: '<p>Anything else?</p>', createTime: null, model: null }
+  ];
+  const details = {
+    version: '1.2.0',
+    conversationId: 'conv-1',
+    url: 'https://chatgpt.com/g/g-abc-helper/c/conv-1',
+    createTime: 1735689600,
+    gpt: { id: 'g-abc', name: 'Helper <3', description: 'Answers "everything"' },
+    project: null
+  };
+
+  it('counts messages by speaker', () => {
+    expect(countMessagesByRole(messages)).toEqual({ user: 1, assistant: 2 });
+    expect(countMessagesByRole([])).toEqual({ user: 0, assistant: 0 });
+  });
+
+  it('lists only known details as meta entries', () => {
+    const entries = Object.fromEntries(getExportMetaEntries({ ...details, messageCounts: { user: 1, assistant: 0 } }));
+    expect(entries.generator).toBe('GPT Chat Save 1.2.0');
+    expect(entries['gpt-chat-save:created']).toBe('2025-01-01T00:00:00.000Z');
+    expect(entries['gpt-chat-save:messages-assistant']).toBe('0');
+    expect(entries).not.toHaveProperty('gpt-chat-save:project-name');
+    expect(getExportMetaEntries({})).toEqual([['generator', 'GPT Chat Save']]);
+  });
+
+  it('writes escaped meta tags and the extension version', () => {
+    const html = renderHTMLDocument('T', messages, 'light', { details });
+    expect(html).toContain('<!-- GPT Chat Save v1.2.0 |');
+    expect(html).not.toContain('v6.0.0');
+    expect(html).toContain('<meta name="generator" content="GPT Chat Save 1.2.0">');
+    expect(html).toContain('<meta name="gpt-chat-save:gpt-description" content="Answers &quot;everything&quot;">');
+    expect(html).toContain('<meta name="gpt-chat-save:messages-user" content="1">');
+  });
+
+  it('shows the GPT, creation date, counts and link in the header', () => {
+    const html = renderHTMLDocument('T', messages, 'light', { details });
+    expect(html).toContain('Custom GPT: Helper &lt;3');
+    expect(html).toContain('Created: ');
+    expect(html).toContain('1 prompt, 2 replies');
+    expect(html).toContain('<a href="https://chatgpt.com/g/g-abc-helper/c/conv-1">conv-1</a>');
+  });
+
+  it('shows the project and does not link other URLs', () => {
+    const html = renderHTMLDocument('T', [], 'light', {
+      details: { conversationId: 'c', url: 'javascript:alert(1)', project: { id: 'g-p-1', name: 'Notes' } }
+    });
+    expect(html).toContain('Project: Notes');
+    expect(html).toContain('Conversation: c');
+    expect(html).not.toContain('javascript:');
+  });
+});
+
+describe('normalizeSpeakerSettings', () => {
+  it('trims names and defaults avatars to off', () => {
+    expect(normalizeSpeakerSettings({ userName: '  Ada \n Lovelace ', assistantName: 'x'.repeat(50) })).toEqual({
+      userName: 'Ada Lovelace',
+      assistantName: 'x'.repeat(40),
+      avatars: false
+    });
+    expect(normalizeSpeakerSettings(null)).toEqual({ userName: '', assistantName: '', avatars: false });
+  });
+});
+
+describe('getSpeakerInitials', () => {
+  it('uses the first letters of the first two words', () => {
+    expect(getSpeakerInitials('Ada Lovelace')).toBe('AL');
+    expect(getSpeakerInitials('code-copilot helper bot')).toBe('CC');
+    expect(getSpeakerInitials('ChatGPT')).toBe('C');
+    expect(getSpeakerInitials('émile zola')).toBe('ÉZ');
+    expect(getSpeakerInitials('')).toBe('');
+  });
+});
+
+describe('speaker labels and layouts', () => {
+  const messages = [
+    { isUser: true, content: '<p>Hi</p>' },
+    { isUser: false, content: '<p>Hello</p>' }
+  ];
+
+  it('labels messages with default names', () => {
+    const html = renderHTMLDocument('T', messages, 'light', { speakers: normalizeSpeakerSettings({}) });
+    expect(html).toContain('<div class="message user-message">\n      <div class="role">You</div>');
+    expect(html).toContain('<div class="message assistant-message">\n      <div class="role">ChatGPT</div>');
+  });
+
+  it('uses custom names and escapes them, with initials', () => {
+    const speakers = normalizeSpeakerSettings({ userName: 'Ada <L>', assistantName: 'Code Copilot', avatars: true });
+    const html = renderHTMLDocument('T', messages, 'light', { speakers });
+    expect(html).toContain('<div class="role"><span class="role-avatar" aria-hidden="true">AL</span>Ada &lt;L&gt;</div>');
+    expect(html).toContain('<span class="role-avatar" aria-hidden="true">CC</span>Code Copilot</div>');
+  });
+
+  it('labels other versions too', () => {
+    const html = renderHTMLDocument('T', [{
+      isUser: false,
+      content: '<p>B</p>',
+      versions: [{ index: 2, total: 2, alternatives: [{ index: 1, messages: [{ isUser: false, content: '<p>A</p>' }] }] }]
+    }], 'light', { speakers: normalizeSpeakerSettings({}) });
+    expect(html.match(/<div class="role">ChatGPT<\/div>/g)).toHaveLength(2);
+  });
+
+  it('omits labels in the bubble layout by default', () => {
+    expect(renderHTMLDocument('T', messages, 'light')).not.toContain('<div class="role">');
+    expect(renderHTMLDocument('T', messages, 'light')).toContain('<body>');
+  });
+
+  it('labels turns in the transcript layout', () => {
+    const html = renderHTMLDocument('T', messages, 'light', { layout: 'transcript' });
+    expect(html).toContain('<body class="layout-transcript">');
+    expect(html).toContain('<div class="role">You</div>');
+  });
+
+  it('ignores unknown layouts', () => {
+    expect(renderHTMLDocument('T', messages, 'light', { layout: 'grid' })).toContain('<body>');
+  });
+});
+
+describe('renderTraceBlocks', () => {
+  it('renders collapsed blocks labeled by kind', () => {
+    const html = renderTraceBlocks([
+      { kind: 'reasoning', label: 'Thought for <5s>', html: '<p>Plan</p>' },
+      { kind: 'search', label: 'Web search', html: '' }
+    ]);
+    expect(html).toContain('<details class="trace trace-reasoning">');
+    expect(html).toContain('<summary>Thought for &lt;5s&gt;</summary>');
+    expect(html).toContain('<div class="trace-content"><p>Plan</p></div>');
+    expect(html.match(/trace-content/g)).toHaveLength(1);
+  });
+
+  it('renders nothing without traces', () => {
+    expect(renderTraceBlocks([])).toBe('');
+    expect(renderTraceBlocks(undefined)).toBe('');
+  });
+
+  it('places traces above the message content', () => {
+    const html = renderHTMLDocument('T', [{
+      isUser: false, content: '<p>Answer</p>', traces: [{ kind: 'code', label: 'Code run', html: '<pre></pre>' }]
+    }], 'light');
+    expect(html.indexOf('trace-code')).toBeLessThan(html.indexOf('<p>Answer</p>'));
+  });
+});
+
+describe('renderAttachmentCards', () => {
+  it('shows name, type and size', () => {
+    const html = renderAttachmentCards([{ name: 'data.csv', mimeType: 'text/csv', size: 2048 }]);
+    expect(html).toContain('<div class="attachment-card"><span class="attachment-name">data.csv</span>' +
+      '<span class="attachment-info">CSV · 2.0 KB</span></div>');
+  });
+
+  it('links bundled files and escapes names', () => {
+    const html = renderAttachmentCards([{ name: '<b>.pdf', path: 'attachments/a b.pdf' }]);
+    expect(html).toContain('<a class="attachment-card" href="attachments/a%20b.pdf">');
+    expect(html).toContain('&lt;b&gt;.pdf');
+  });
+
+  it('renders nothing without attachments', () => {
+    expect(renderAttachmentCards([])).toBe('');
+    expect(renderAttachmentCards(undefined)).toBe('');
+  });
+
+  it('places cards above the message content', () => {
+    const html = renderHTMLDocument('T', [{ isUser: true, content: '<p>See file</p>', attachments: [{ name: 'a.pdf' }] }], 'light');
+    expect(html.indexOf('class="attachments"')).toBeGreaterThan(-1);
+    expect(html.indexOf('class="attachments"')).toBeLessThan(html.indexOf('<p>See file</p>'));
+  });
+});
+
+describe('getSyntaxColors', () => {
+  it('uses the default palette for light and dark', () => {
+    expect(getSyntaxColors('dark')).toBe(SYNTAX_COLORS);
+  });
+
+  it('uses the palette of custom themes', () => {
+    expect(getSyntaxColors({ syntax: 'monokai' })).toBe(SYNTAX_PALETTES.monokai.colors);
+  });
+
+  it('falls back for unknown palettes', () => {
+    expect(getSyntaxColors({ syntax: 'toString' })).toBe(SYNTAX_COLORS);
+  });
+});
+
+describe('generateArchiveIndexPage', () => {
+  const details = { heading: 'ChatGPT Archive - Part 2', exportedAt: '2026-02-01T00:00:00.000Z' };
+
+  it('links exported conversations', () => {
+    const html = generateArchiveIndexPage([
+      { title: 'First', filename: '20260101-First.html', messageCount: 4 }
+    ], details);
+    expect(html).toContain('<a href="20260101-First.html">First</a>');
+    expect(html).toContain('4 messages');
+    expect(html).toContain('<h1>ChatGPT Archive - Part 2</h1>');
+  });
+
+  it('lists failures without a link', () => {
+    const html = generateArchiveIndexPage([
+      { title: 'Broken', filename: null, error: 'Timed out' }
+    ], details);
+    expect(html).toContain('<td>Broken</td>');
+    expect(html).toContain('Failed: Timed out');
+  });
+
+  it('escapes titles and encodes filenames', () => {
+    const html = generateArchiveIndexPage([
+      { title: '<b>x</b>', filename: '2026 <b>.html', messageCount: 1 }
+    ], details);
+    expect(html).toContain('&lt;b&gt;x&lt;/b&gt;');
+    expect(html).toContain('href="2026%20%3Cb%3E.html"');
+  });
+});
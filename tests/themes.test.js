@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * GPT Chat Save - Custom Theme Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// themes.js expects utils.js and template.js globals, as in the content script
+Object.assign(globalThis, await import('../content/utils.js'));
+Object.assign(globalThis, await import('../content/template.js'));
+
+const {
+  MAX_CUSTOM_THEMES,
+  THEME_COLOR_KEYS,
+  isThemeColor,
+  isThemeFontFamily,
+  getThemeId,
+  getUniqueThemeId,
+  normalizeCustomTheme,
+  createCustomTheme,
+  getCustomThemeValue,
+  findCustomTheme,
+  mergeCustomThemes,
+  serializeThemes,
+  parseThemeFile
+} = await import('../content/themes.js');
+
+describe('isThemeColor', () => {
+  it('accepts hex, rgb(), rgba() and transparent', () => {
+    ['#fff', '#A0B1C2', 'rgb(1, 2, 3)', 'rgba(255,255,255,0.05)', 'rgba(0, 0, 0, 1)', 'transparent']
+      .forEach(color => expect(isThemeColor(color)).toBe(true));
+  });
+
+  it('rejects other values', () => {
+    ['red', '#ffff', 'rgb(1,2)', 'rgba(0,0,0,2)', '#fff; } body { display: none', '', null]
+      .forEach(color => expect(isThemeColor(color)).toBe(false));
+  });
+});
+
+describe('isThemeFontFamily', () => {
+  it('accepts font lists', () => {
+    expect(isThemeFontFamily('"Iowan Old Style", Georgia, serif')).toBe(true);
+  });
+
+  it('rejects characters that could end the declaration', () => {
+    ['Arial; color: red', 'Arial}', 'Arial</style>', 'url(x)'].forEach(value => {
+      expect(isThemeFontFamily(value)).toBe(false);
+    });
+  });
+});
+
+describe('getThemeId', () => {
+  it('derives a slug from the name', () => {
+    expect(getThemeId('  My Theme!  ')).toBe('my-theme');
+  });
+
+  it('falls back for names without letters or digits', () => {
+    expect(getThemeId('★★')).toBe('theme');
+  });
+
+  it('avoids ids in use', () => {
+    const themes = [{ id: 'paper' }, { id: 'paper-2' }];
+    expect(getUniqueThemeId(themes, 'Paper')).toBe('paper-3');
+    expect(getUniqueThemeId(themes, 'Ink')).toBe('ink');
+  });
+});
+
+describe('normalizeCustomTheme', () => {
+  it('fills missing settings from the base theme and defaults', () => {
+    const theme = normalizeCustomTheme({ name: 'Night', base: 'dark' });
+    expect(theme).toEqual({
+      id: 'night',
+      name: 'Night',
+      base: 'dark',
+      colors: getThemeColors('dark'),
+      syntax: 'dracula',
+      fontFamily: '',
+      fontSize: 16,
+      maxWidth: 900
+    });
+  });
+
+  it('keeps valid colors and replaces invalid ones', () => {
+    const theme = normalizeCustomTheme({
+      colors: { background: ' #123456 ', primary: 'expression(alert(1))', unknown: '#fff' }
+    });
+    expect(theme.colors.background).toBe('#123456');
+    expect(theme.colors.primary).toBe(getThemeColors('light').primary);
+    expect(Object.keys(theme.colors)).toEqual(THEME_COLOR_KEYS);
+  });
+
+  it('clamps sizes and rejects unknown palettes and unsafe fonts', () => {
+    const theme = normalizeCustomTheme({
+      id: 'Bad Id',
+      name: 'X',
+      syntax: 'unknown',
+      fontFamily: 'x;}',
+      fontSize: 100,
+      maxWidth: '600'
+    });
+    expect(theme).toMatchObject({ id: 'x', syntax: 'dracula', fontFamily: '', fontSize: 28, maxWidth: 600 });
+  });
+
+  it('returns null for non-objects', () => {
+    expect(normalizeCustomTheme(null)).toBeNull();
+    expect(normalizeCustomTheme('dark')).toBeNull();
+    expect(normalizeCustomTheme([])).toBeNull();
+  });
+});
+
+describe('createCustomTheme', () => {
+  it('starts from the chosen base theme with a unique id', () => {
+    const theme = createCustomTheme([{ id: 'custom-dark' }], 'Custom dark', 'dark');
+    expect(theme.id).toBe('custom-dark-2');
+    expect(theme.colors).toEqual(getThemeColors('dark'));
+  });
+});
+
+describe('findCustomTheme', () => {
+  const themes = [normalizeCustomTheme({ id: 'paper', name: 'Paper' })];
+
+  it('finds themes by select value', () => {
+    expect(getCustomThemeValue(themes[0])).toBe('custom:paper');
+    expect(findCustomTheme(themes, 'custom:paper')).toBe(themes[0]);
+  });
+
+  it('returns null for built-in and deleted themes', () => {
+    expect(findCustomTheme(themes, 'dark')).toBeNull();
+    expect(findCustomTheme(themes, 'custom:gone')).toBeNull();
+    expect(findCustomTheme(themes, undefined)).toBeNull();
+  });
+});
+
+describe('mergeCustomThemes', () => {
+  it('replaces themes with the same id and appends new ones', () => {
+    const existing = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+    const { themes, skipped } = mergeCustomThemes(existing, [{ id: 'b', name: 'B2' }, { id: 'c', name: 'C' }]);
+    expect(themes.map(theme => theme.name)).toEqual(['A', 'B2', 'C']);
+    expect(skipped).toBe(0);
+    expect(existing).toHaveLength(2);
+  });
+
+  it('skips themes over the limit', () => {
+    const existing = Array.from({ length: MAX_CUSTOM_THEMES }, (_, i) => ({ id: `t${i}` }));
+    const { themes, skipped } = mergeCustomThemes(existing, [{ id: 'new' }, { id: 't0' }]);
+    expect(themes).toHaveLength(MAX_CUSTOM_THEMES);
+    expect(skipped).toBe(1);
+  });
+});
+
+describe('parseThemeFile', () => {
+  it('reads files written by serializeThemes', () => {
+    const themes = [normalizeCustomTheme({ name: 'Paper', syntax: 'nord' })];
+    expect(parseThemeFile(serializeThemes(themes))).toEqual(themes);
+  });
+
+  it('accepts a list or a single theme', () => {
+    expect(parseThemeFile('[{"name": "A"}, 3]').map(theme => theme.id)).toEqual(['a']);
+    expect(parseThemeFile('{"name": "B", "base": "dark"}')[0].base).toBe('dark');
+  });
+
+  it('rejects invalid files', () => {
+    expect(() => parseThemeFile('{')).toThrow('Not a JSON file');
+    expect(() => parseThemeFile('{"themes": []}')).toThrow('No themes found');
+  });
+});
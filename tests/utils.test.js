@@ -6,7 +6,24 @@ import { describe, it, expect } from 'vitest';
 
 // Import functions directly (we'll read from utils.js)
 // Since utils.js uses CommonJS exports for Node compatibility
-const { escapeHtml, sanitizeFilename, formatDateCompact, getThemeColors, processInBatches } = await import('../content/utils.js');
+const {
+  escapeHtml,
+  sanitizeFilename,
+  formatDateCompact,
+  formatMessageTime,
+  formatMessageMeta,
+  formatBytes,
+  getAttachmentType,
+  formatAttachmentLabel,
+  DEFAULT_FONT_FAMILY,
+  getThemeColors,
+  getThemeStyle,
+  processInBatches,
+  getCodeLanguage,
+  getConversationIdFromUrl,
+  getGizmoFromUrl,
+  buildConversationJSON
+} = await import('../content/utils.js');
 
 describe('escapeHtml', () => {
   it('escapes ampersands', () => {
@@ -138,6 +155,76 @@ describe('formatDateCompact', () => {
   });
 });
 
+describe('formatMessageTime', () => {
+  it('formats local date and time', () => {
+    const date = new Date(2025, 0, 5, 9, 7); // Jan 5, 2025 09:07
+    expect(formatMessageTime(date)).toBe('2025-01-05 09:07');
+  });
+
+  it('uses 24-hour time', () => {
+    const date = new Date(2025, 11, 31, 23, 59);
+    expect(formatMessageTime(date)).toBe('2025-12-31 23:59');
+  });
+});
+
+describe('formatMessageMeta', () => {
+  it('joins time and model', () => {
+    const createTime = new Date(2025, 5, 1, 14, 30).getTime() / 1000;
+    expect(formatMessageMeta(createTime, 'gpt-4o')).toBe('2025-06-01 14:30 · gpt-4o');
+  });
+
+  it('shows only time when model is unknown', () => {
+    const createTime = new Date(2025, 5, 1, 14, 30).getTime() / 1000;
+    expect(formatMessageMeta(createTime, null)).toBe('2025-06-01 14:30');
+  });
+
+  it('shows only model when time is unknown', () => {
+    expect(formatMessageMeta(null, 'o3')).toBe('o3');
+  });
+
+  it('returns empty string when nothing is known', () => {
+    expect(formatMessageMeta(null, null)).toBe('');
+  });
+});
+
+describe('formatBytes', () => {
+  it('uses the largest fitting unit', () => {
+    expect(formatBytes(820)).toBe('820 B');
+    expect(formatBytes(14540)).toBe('14 KB');
+    expect(formatBytes(3.1 * 1024 * 1024)).toBe('3.1 MB');
+    expect(formatBytes(5 * 1024 ** 4)).toBe('5120 GB');
+  });
+
+  it('returns empty string for unknown sizes', () => {
+    expect(formatBytes(null)).toBe('');
+    expect(formatBytes(-1)).toBe('');
+    expect(formatBytes(NaN)).toBe('');
+  });
+});
+
+describe('getAttachmentType', () => {
+  it('prefers the file extension', () => {
+    expect(getAttachmentType('sales.2025.csv', 'text/plain')).toBe('CSV');
+  });
+
+  it('falls back to a short MIME subtype', () => {
+    expect(getAttachmentType('report', 'application/pdf')).toBe('PDF');
+    expect(getAttachmentType(null, 'application/vnd.ms-excel')).toBe('File');
+    expect(getAttachmentType(null, null)).toBe('File');
+  });
+});
+
+describe('formatAttachmentLabel', () => {
+  it('adds type and size to the name', () => {
+    expect(formatAttachmentLabel({ name: 'data.csv', mimeType: 'text/csv', size: 2048 }))
+      .toBe('data.csv (CSV, 2.0 KB)');
+  });
+
+  it('handles unnamed files of unknown size', () => {
+    expect(formatAttachmentLabel({ name: null, mimeType: null, size: null })).toBe('Unnamed file (File)');
+  });
+});
+
 describe('getThemeColors', () => {
   it('returns dark theme colors', () => {
     const colors = getThemeColors('dark');
@@ -169,6 +256,24 @@ describe('getThemeColors', () => {
     expect(colors).toHaveProperty('codeBlockBorder');
     expect(colors).toHaveProperty('codeBlockBackground');
   });
+
+  it('overrides the base theme with custom colors', () => {
+    const colors = getThemeColors({ base: 'dark', colors: { background: '#102030' } });
+    expect(colors.background).toBe('#102030');
+    expect(colors.userBubble).toBe('#303030');
+  });
+});
+
+describe('getThemeStyle', () => {
+  it('uses defaults for light and dark', () => {
+    expect(getThemeStyle('dark')).toEqual({ fontFamily: DEFAULT_FONT_FAMILY, fontSize: 16, maxWidth: 900 });
+  });
+
+  it('uses the settings of custom themes', () => {
+    expect(getThemeStyle({ fontFamily: 'Georgia, serif', fontSize: 18, maxWidth: 1200 }))
+      .toEqual({ fontFamily: 'Georgia, serif', fontSize: 18, maxWidth: 1200 });
+    expect(getThemeStyle({ fontFamily: '' }).fontFamily).toBe(DEFAULT_FONT_FAMILY);
+  });
 });
 
 describe('processInBatches', () => {
@@ -245,3 +350,169 @@ describe('processInBatches', () => {
     expect(progressCalls[progressCalls.length - 1]).toEqual({ processed: 13, total: 13 });
   });
 });
+
+describe('getCodeLanguage', () => {
+  it('extracts language from language- class', () => {
+    expect(getCodeLanguage('language-python')).toBe('python');
+  });
+
+  it('finds language among other classes', () => {
+    expect(getCodeLanguage('hljs language-typescript code-block')).toBe('typescript');
+  });
+
+  it('keeps symbols used in language names', () => {
+    expect(getCodeLanguage('language-c++')).toBe('c++');
+    expect(getCodeLanguage('language-objective-c')).toBe('objective-c');
+  });
+
+  it('returns empty string without a language class', () => {
+    expect(getCodeLanguage('hljs code-block')).toBe('');
+  });
+
+  it('handles missing class attribute', () => {
+    expect(getCodeLanguage(null)).toBe('');
+  });
+});
+
+describe('getConversationIdFromUrl', () => {
+  it('extracts id from a plain chat URL', () => {
+    expect(getConversationIdFromUrl('https://chatgpt.com/c/67a1b2c3-0000-8000-abcd-1234567890ab'))
+      .toBe('67a1b2c3-0000-8000-abcd-1234567890ab');
+  });
+
+  it('extracts id from a custom GPT URL', () => {
+    expect(getConversationIdFromUrl('https://chatgpt.com/g/g-abc123-helper/c/conv-1'))
+      .toBe('conv-1');
+  });
+
+  it('ignores query strings and hashes', () => {
+    expect(getConversationIdFromUrl('https://chatgpt.com/c/abc?model=gpt-4o#end')).toBe('abc');
+  });
+
+  it('returns null for the home page', () => {
+    expect(getConversationIdFromUrl('https://chatgpt.com/')).toBeNull();
+  });
+
+  it('returns null for invalid URLs', () => {
+    expect(getConversationIdFromUrl('not a url')).toBeNull();
+  });
+});
+
+describe('getGizmoFromUrl', () => {
+  it('reads the id and name slug of a custom GPT', () => {
+    expect(getGizmoFromUrl('https://chatgpt.com/g/g-abc123-code-copilot/c/conv-1'))
+      .toEqual({ id: 'g-abc123', kind: 'gpt', name: 'Code Copilot' });
+    expect(getGizmoFromUrl('https://chatgpt.com/g/g-abc123-helper').name).toBe('Helper');
+  });
+
+  it('recognizes projects', () => {
+    expect(getGizmoFromUrl('https://chatgpt.com/g/g-p-67ab01cd-thesis-notes/c/conv-1'))
+      .toEqual({ id: 'g-p-67ab01cd', kind: 'project', name: 'Thesis Notes' });
+  });
+
+  it('returns a null name without a slug', () => {
+    expect(getGizmoFromUrl('https://chatgpt.com/g/g-abc123')).toEqual({ id: 'g-abc123', kind: 'gpt', name: null });
+  });
+
+  it('returns null outside custom GPTs and projects', () => {
+    expect(getGizmoFromUrl('https://chatgpt.com/c/abc')).toBeNull();
+    expect(getGizmoFromUrl('not a url')).toBeNull();
+  });
+});
+
+describe('buildConversationJSON', () => {
+  const details = {
+    title: 'Test Chat',
+    conversationId: 'abc',
+    createTime: 1735689600, // 2025-01-01T00:00:00Z
+    exportedAt: new Date('2026-02-01T12:00:00Z')
+  };
+
+  it('includes conversation details', () => {
+    const data = buildConversationJSON(details, []);
+    expect(data.title).toBe('Test Chat');
+    expect(data.conversationId).toBe('abc');
+    expect(data.createdAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(data.exportedAt).toBe('2026-02-01T12:00:00.000Z');
+    expect(data.schemaVersion).toBe(1);
+  });
+
+  it('uses null for unknown creation time and id', () => {
+    const data = buildConversationJSON({ ...details, conversationId: null, createTime: null }, []);
+    expect(data.conversationId).toBeNull();
+    expect(data.createdAt).toBeNull();
+    expect(data.gpt).toBeNull();
+    expect(data.project).toBeNull();
+  });
+
+  it('includes the custom GPT and project', () => {
+    const gpt = { id: 'g-abc', name: 'Helper', description: 'Answers questions' };
+    const data = buildConversationJSON({ ...details, gpt, project: { id: 'g-p-1', name: 'Notes' } }, []);
+    expect(data.gpt).toEqual(gpt);
+    expect(data.project).toEqual({ id: 'g-p-1', name: 'Notes' });
+  });
+
+  it('keeps messages in order with indices', () => {
+    const data = buildConversationJSON(details, [
+      { role: 'user', id: 'm1', html: '<p>Hi</p>', text: 'Hi' },
+      { role: 'assistant', id: 'm2', model: 'gpt-4o', html: '<p>Hello</p>', text: 'Hello',
+        codeBlocks: [{ language: 'js', code: 'x()' }] }
+    ]);
+
+    expect(data.messageCount).toBe(2);
+    expect(data.messages).toEqual([
+      { index: 0, role: 'user', id: 'm1', createdAt: null, model: null, attachments: [],
+        html: '<p>Hi</p>', text: 'Hi', codeBlocks: [] },
+      { index: 1, role: 'assistant', id: 'm2', createdAt: null, model: 'gpt-4o', attachments: [],
+        html: '<p>Hello</p>', text: 'Hello', codeBlocks: [{ language: 'js', code: 'x()' }] }
+    ]);
+  });
+
+  it('converts per-message create time to ISO', () => {
+    const data = buildConversationJSON(details, [
+      { role: 'user', createTime: 1735689660, html: '', text: '' }
+    ]);
+    expect(data.messages[0].createdAt).toBe('2025-01-01T00:01:00.000Z');
+  });
+
+  it('includes other versions recursively when present', () => {
+    const data = buildConversationJSON(details, [{
+      role: 'assistant', id: 'm2', html: '<p>B</p>', text: 'B',
+      versions: [{
+        index: 2, total: 2,
+        alternatives: [{ index: 1, messages: [
+          { role: 'assistant', id: 'm1', createTime: 1735689660, html: '<p>A</p>', text: 'A', versions: [] }
+        ] }]
+      }]
+    }]);
+    expect(data.messages[0].versions).toEqual([{
+      index: 2, total: 2,
+      alternatives: [{ index: 1, messages: [
+        { index: 0, role: 'assistant', id: 'm1', createdAt: '2025-01-01T00:01:00.000Z', model: null,
+          attachments: [], html: '<p>A</p>', text: 'A', codeBlocks: [] }
+      ] }]
+    }]);
+  });
+
+  it('includes reasoning and tool calls without their HTML', () => {
+    const data = buildConversationJSON(details, [{
+      role: 'assistant', html: '<p>B</p>', text: 'B',
+      traces: [{ kind: 'code', label: 'Code run', text: 'print(1)', language: 'python', html: '<pre></pre>' }]
+    }]);
+    expect(data.messages[0].traces).toEqual([
+      { kind: 'code', label: 'Code run', text: 'print(1)', language: 'python' }
+    ]);
+    expect(buildConversationJSON(details, [{ role: 'user', html: '', text: '' }]).messages[0])
+      .not.toHaveProperty('traces');
+  });
+
+  it('reports the data source, defaulting to dom', () => {
+    expect(buildConversationJSON(details, []).source).toBe('dom');
+    expect(buildConversationJSON({ ...details, source: 'fiber' }, []).source).toBe('fiber');
+  });
+
+  it('produces JSON-serializable output', () => {
+    const data = buildConversationJSON(details, [{ role: 'user', html: '', text: '' }]);
+    expect(JSON.parse(JSON.stringify(data))).toEqual(data);
+  });
+});
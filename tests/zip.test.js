@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * GPT Chat Save - ZIP Writer Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { crc32, toDosDateTime, createZip, makeUniqueFilename } from '../content/zip.js';
+
+/**
+ * Read entries back from a STORE-only ZIP via its central directory
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const endOffset = zip.length - 22;
+  expect(view.getUint32(endOffset, true)).toBe(0x06054B50);
+  const count = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014B50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(zip.subarray(offset + 46, offset + 46 + nameLength));
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    entries.push({
+      name,
+      crc: view.getUint32(offset + 16, true),
+      data: zip.subarray(dataStart, dataStart + size)
+    });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+  });
+
+  it('returns 0 for empty input', () => {
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('toDosDateTime', () => {
+  it('packs local date and time', () => {
+    const { time, date } = toDosDateTime(new Date(2026, 1, 5, 13, 45, 30));
+    expect(date).toBe(((2026 - 1980) << 9) | (2 << 5) | 5);
+    expect(time).toBe((13 << 11) | (45 << 5) | 15);
+  });
+
+  it('clamps dates before 1980', () => {
+    const { date } = toDosDateTime(new Date(1970, 0, 1));
+    expect(date >> 9).toBe(0);
+  });
+});
+
+describe('createZip', () => {
+  it('creates a valid empty archive', () => {
+    const zip = createZip([]);
+    expect(zip.length).toBe(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+
+  it('stores text and binary files', () => {
+    const zip = createZip([
+      { name: 'index.html', data: '<h1>Hi</h1>' },
+      { name: 'images/a.png', data: new Uint8Array([1, 2, 3]) }
+    ]);
+    const entries = readZip(zip);
+
+    expect(entries.map(e => e.name)).toEqual(['index.html', 'images/a.png']);
+    expect(new TextDecoder().decode(entries[0].data)).toBe('<h1>Hi</h1>');
+    expect(Array.from(entries[1].data)).toEqual([1, 2, 3]);
+    expect(entries[1].crc).toBe(crc32(new Uint8Array([1, 2, 3])));
+  });
+
+  it('stores UTF-8 filenames', () => {
+    const entries = readZip(createZip([{ name: '20260101-你好.html', data: 'x' }]));
+    expect(entries[0].name).toBe('20260101-你好.html');
+  });
+
+  it('starts with a local file header', () => {
+    const zip = createZip([{ name: 'a.txt', data: 'a' }]);
+    expect(new DataView(zip.buffer).getUint32(0, true)).toBe(0x04034B50);
+  });
+});
+
+describe('makeUniqueFilename', () => {
+  it('keeps unused names', () => {
+    expect(makeUniqueFilename('a.html', new Set())).toBe('a.html');
+  });
+
+  it('appends a counter before the extension', () => {
+    const used = new Set(['a.html', 'a-2.html']);
+    expect(makeUniqueFilename('a.html', used)).toBe('a-3.html');
+  });
+
+  it('records the returned name', () => {
+    const used = new Set();
+    makeUniqueFilename('a.md', used);
+    expect(makeUniqueFilename('a.md', used)).toBe('a-2.md');
+  });
+
+  it('handles names without an extension', () => {
+    expect(makeUniqueFilename('notes', new Set(['notes']))).toBe('notes-2');
+  });
+});